@@ -0,0 +1,89 @@
+/**
+ * CLI Output Formats — Text, JSON and CSV
+ * ========================================
+ *
+ * Each formatter takes the results of one `rstools roll` run (canonical
+ * ResultSchema results with tableName, params and seed) and returns the
+ * text to print.
+ *
+ *   text  The result text as the results list shows it, one flight per
+ *         line, under a heading with the table, parameters and seed
+ *   json  The results as a JSON array
+ *   csv   One row per flight (error results get one row with the error)
+ */
+
+'use strict';
+
+const CSV_COLUMNS = [
+  'roll', 'seed', 'table', 'faction', 'raidType', 'raidNationality',
+  'flight', 'nationality', 'aircraftType', 'aircraftId', 'tasking',
+  'flightCount', 'flightSize', 'ordnance', 'error',
+];
+
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ' };
+
+/**
+ * Result text as plain lines (<br> breaks lines, other markup is dropped)
+ */
+function plainLines(html) {
+  return String(html || '')
+    .split(/<br\s*\/?>/i)
+    .map(line => line.replace(/<[^>]*>/g, '').replace(/&[a-z#0-9]+;/gi, entity => HTML_ENTITIES[entity] ?? entity).trim())
+    .filter(Boolean);
+}
+
+/**
+ * @param {object[]} results - Rolled results
+ * @param {function} describeParams - (result) => "Post-6/1/87" style parameter text
+ * @returns {string}
+ */
+function formatText(results, describeParams) {
+  return results.map(result => {
+    const paramText = describeParams(result);
+    const heading = `Table ${result.table}${result.tableName ? `: ${result.tableName}` : ''}` +
+      `${paramText ? ` [${paramText}]` : ''} (seed ${result.seed})`;
+    const lines = result.error ? [`Error: ${result.error}`] : plainLines(result.text);
+    return [heading, ...lines.map(line => `  ${line}`)].join('\n');
+  }).join('\n\n') + '\n';
+}
+
+/**
+ * @param {object[]} results - Rolled results
+ * @returns {string}
+ */
+function formatJson(results) {
+  return JSON.stringify(results, null, 2) + '\n';
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {object[]} results - Rolled results
+ * @returns {string}
+ */
+function formatCsv(results) {
+  const rows = [CSV_COLUMNS];
+  results.forEach((result, index) => {
+    const shared = {
+      roll: index + 1,
+      seed: result.seed,
+      table: result.table,
+      faction: result.faction,
+      raidType: result.raidType,
+      raidNationality: result.nationality,
+    };
+    const flights = result.error || result.flights.length === 0 ? [null] : result.flights;
+    flights.forEach((flight, flightIndex) => {
+      const row = flight
+        ? { ...shared, ...flight, flight: flightIndex + 1 }
+        : { ...shared, error: result.error };
+      rows.push(CSV_COLUMNS.map(column => row[column]));
+    });
+  });
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { formatText, formatJson, formatCsv, plainLines, CSV_COLUMNS };
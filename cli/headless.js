@@ -0,0 +1,186 @@
+/**
+ * Headless OOB Engine — Table Processors in Node.js
+ * ==================================================
+ *
+ * Loads the OOB engine modules (dice roller, result contract, table
+ * registry, processors and factory) with require(), along with both module
+ * table packs and their table data, so TableProcessorFactory.processTable()
+ * runs without a page.
+ *
+ * The engine modules log as they load; that output, and anything they log
+ * while rolling, is sent to the `log` function given to createEngine()
+ * (nothing by default), so the engine's own output stays clean for piping.
+ *
+ * Usage:
+ *   const { createEngine } = require('./headless');
+ *   const engine = createEngine();
+ *   engine.roll('C', { scenarioDate: 'post' }, { count: 3, seed: 'abc' });
+ */
+
+'use strict';
+
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SHARED_JS = path.join(ROOT, 'shared', 'oob-generator', 'js');
+const MODULES_DIR = path.join(ROOT, 'modules');
+
+/** Modules whose tables the engine loads */
+const MODULES = ['red-storm', 'baltic-approaches'];
+
+/**
+ * Run a function with console.log/info/warn sent to `log` (or dropped)
+ */
+function withConsole(log, fn) {
+  const saved = { log: console.log, info: console.info, warn: console.warn };
+  const sink = log || (() => {});
+  console.log = sink;
+  console.info = sink;
+  console.warn = sink;
+  try {
+    return fn();
+  } finally {
+    Object.assign(console, saved);
+  }
+}
+
+/**
+ * The engine modules and the module table packs
+ */
+function loadModules() {
+  const modules = {
+    DiceRoller: require(path.join(SHARED_JS, 'dice-roller.js')),
+    ResultSchema: require(path.join(SHARED_JS, 'result-schema.js')),
+    TableRegistry: require(path.join(SHARED_JS, 'table-processors', 'TableRegistry.js')),
+    TableProcessorFactory: require(path.join(SHARED_JS, 'table-processors', 'TableProcessorFactory.js')).TableProcessorFactory,
+    ModuleConfig: require(path.join(ROOT, 'shared', 'js', 'module-config.js')),
+    AircraftResolver: require(path.join(ROOT, 'shared', 'js', 'aircraft-resolver.js')),
+  };
+  for (const module of MODULES) {
+    require(path.join(MODULES_DIR, module, 'oob-generator', 'js', 'table-pack.js'));
+  }
+  return modules;
+}
+
+/**
+ * NATO and WP table data of a module, keyed by table ID
+ */
+function loadTables(module) {
+  const dataDir = path.join(MODULES_DIR, module, 'oob-generator', 'data');
+  const tables = {
+    ...require(path.join(dataDir, 'nato-tables.json')),
+    ...require(path.join(dataDir, 'wp-tables.json')),
+  };
+  for (const key of Object.keys(tables)) {
+    if (key.startsWith('_')) delete tables[key];
+  }
+  return tables;
+}
+
+/**
+ * Shared aircraft databases and name mapping, as the print generator loads them
+ */
+function loadAircraftData() {
+  const dataDir = path.join(ROOT, 'shared', 'data');
+  return {
+    aircraftNATO: require(path.join(dataDir, 'aircraft-nato.json')),
+    aircraftWP: require(path.join(dataDir, 'aircraft-wp.json')),
+    nameMapping: require(path.join(dataDir, 'aircraft-name-mapping.json')),
+  };
+}
+
+/**
+ * Create the headless engine
+ * @param {object} [options] - { log: function receiving script log output }
+ * @returns {object} Engine: the engine modules (DiceRoller, ResultSchema,
+ *   TableRegistry, ModuleConfig, AircraftResolver) and the functions below
+ */
+function createEngine(options = {}) {
+  const log = options.log || null;
+  const { DiceRoller, ResultSchema, TableRegistry, TableProcessorFactory, ModuleConfig, AircraftResolver } = withConsole(log, loadModules);
+
+  const tablesByModule = {};
+  const factories = {};
+  for (const module of MODULES) {
+    tablesByModule[module] = loadTables(module);
+    factories[module] = new TableProcessorFactory(tablesByModule[module]);
+  }
+
+  /**
+   * Module a table belongs to, or null for unknown tables
+   */
+  function moduleOf(tableId) {
+    return MODULES.find(module => Object.prototype.hasOwnProperty.call(tablesByModule[module], tableId)) || null;
+  }
+
+  /**
+   * Table data (JSON) of a table, or null
+   */
+  function tableData(tableId) {
+    const module = moduleOf(tableId);
+    return module ? tablesByModule[module][tableId] : null;
+  }
+
+  /**
+   * Registered tables of a module that have table data, in pack order
+   */
+  function listTables(module) {
+    return TableRegistry.list({ module }).filter(entry => tablesByModule[module][entry.id]);
+  }
+
+  /**
+   * Roll a table one or more times. Each roll gets its own seed derived
+   * from the base seed, as in the browser ("abc", "abc-2", "abc-3"...).
+   * @param {string} tableId - Table identifier
+   * @param {object} params - Processor parameters
+   * @param {object} [rollOptions] - { count: number (default 1), seed: string (default random) }
+   * @returns {object[]} Canonical results, each with tableName, params and seed
+   */
+  function roll(tableId, params, rollOptions = {}) {
+    const module = moduleOf(tableId);
+    const count = rollOptions.count || 1;
+    const seeds = DiceRoller.deriveRollSeeds(rollOptions.seed || DiceRoller.generateRngSeed(), count);
+
+    return withConsole(log, () => {
+      const results = [];
+      try {
+        for (const seed of seeds) {
+          DiceRoller.setRngSeed(seed);
+          const result = module
+            ? factories[module].processTable(tableId, params)
+            : ResultSchema.createErrorResult({ table: tableId }, `Unknown table "${tableId}"`);
+          results.push({ ...result, tableName: module ? tableData(tableId).name : null, params, seed });
+        }
+      } finally {
+        DiceRoller.setRngSeed(null);
+      }
+      return results;
+    });
+  }
+
+  /**
+   * Aircraft names in a module's tables that do not resolve against the
+   * shared aircraft database (AircraftResolver.unresolvedNames())
+   * @param {string} module - Module ID
+   * @returns {Array} [{ faction, nationality, name, aircraftId, reason, key, tables }]
+   */
+  function unresolvedAircraft(module) {
+    return AircraftResolver.unresolvedNames(tablesByModule[module], loadAircraftData());
+  }
+
+  return {
+    DiceRoller,
+    ResultSchema,
+    TableRegistry,
+    ModuleConfig,
+    AircraftResolver,
+    modules: [...MODULES],
+    moduleOf,
+    tableData,
+    listTables,
+    roll,
+    unresolvedAircraft,
+  };
+}
+
+module.exports = { createEngine, MODULES };
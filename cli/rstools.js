@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+/**
+ * rstools — OOB Generator Command Line
+ * =====================================
+ *
+ * Rolls Red Storm and Baltic Approaches OOB tables without a browser, for
+ * scripting raid generation (e.g. for play-by-email games):
+ *
+ *   rstools roll C --date post --count 3 --seed abc --json
+ *   rstools roll A --ataf-zone 2ATAF --date pre
+ *   rstools tables --module baltic-approaches
+ *   rstools aircraft
+ *
+ * Results are the same as the browser generator's for the same table,
+ * parameters and seed. Output is text (default), ResultSchema JSON
+ * (--json) or one CSV row per flight (--csv).
+ *
+ * Exit codes: 0 success, 1 a roll produced an error result (or table
+ * aircraft names do not resolve), 2 bad usage (unknown table or option,
+ * missing or invalid table parameters).
+ */
+
+'use strict';
+
+const { createEngine } = require('./headless');
+const { formatText, formatJson, formatCsv } = require('./formatters');
+
+const MAX_COUNT = 1000;
+
+/** Options that take no value */
+const FLAGS = ['json', 'csv', 'strict', 'verbose', 'help'];
+
+const USAGE = `Usage: rstools <command> [options]
+
+Commands:
+  roll <table>      Roll an OOB table
+  tables            List the tables and their parameters
+  aircraft          Report table aircraft names missing from the aircraft database
+  help              Show this help
+
+Roll options:
+  --date <date>     Scenario date: pre or post (Red Storm); 1, 2, 3 or
+                    may-early, may-late, june-early (Baltic Approaches)
+  --count <n>       Number of rolls (default 1, at most ${MAX_COUNT})
+  --seed <seed>     Seed of the first roll; later rolls use <seed>-2, <seed>-3...
+  --json            Output the results as ResultSchema JSON
+  --csv             Output one CSV row per flight
+  --strict          Fail on results that break the result contract
+  --verbose         Show the processors' log output on stderr
+  --ataf-zone, --nationality, --hex-type, --mission-type,
+  --tactical-recon-nation <value>
+                    Table parameters (see rstools tables)
+
+Table and aircraft options:
+  --module <id>     red-storm or baltic-approaches (default: both)
+  --json            (aircraft) Output the report as JSON
+
+Examples:
+  rstools roll C --date post --count 3 --seed abc --json
+  rstools roll D3 --date 3 --csv
+  rstools roll L2 --mission-type "Standoff Jamming"
+`;
+
+/**
+ * Bad command line: reported with a pointer to the help, exit code 2
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Option name for a processor parameter, e.g. atafZone → ataf-zone
+ */
+function optionName(param) {
+  return param === 'scenarioDate' ? 'date' : param.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Split the command line into positional arguments and --options
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {object} { positional: string[], options: {name: value|true} }
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    if (FLAGS.includes(name)) {
+      options[name] = true;
+    } else if (inline !== undefined) {
+      options[name] = inline;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      options[name] = argv[++i];
+    } else {
+      throw new UsageError(`Option --${name} needs a value`);
+    }
+  }
+  return { positional, options };
+}
+
+/**
+ * Whether a module's scenario dates are ordinals (1, 2, 3) mapped through
+ * a date range map, rather than ids like 'pre'/'post'
+ */
+function usesOrdinalDates(engine, module) {
+  return engine.listTables(module).some(entry =>
+    entry.params.some(param => param.name === 'scenarioDate' && param.dates));
+}
+
+/**
+ * Scenario date value the processors expect for the module
+ */
+function parseDate(engine, module, value) {
+  if (!usesOrdinalDates(engine, module)) {
+    return value;
+  }
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  const dates = Object.values(engine.ModuleConfig.MODULES[module].scenarioDates);
+  const index = dates.findIndex(date => date.id === value || date.label === value);
+  return index >= 0 ? index + 1 : value;
+}
+
+/**
+ * Processor parameters from the table options
+ */
+function collectParams(engine, tableId, options) {
+  const module = engine.moduleOf(tableId);
+  const params = {};
+  for (const name of Object.keys(engine.TableRegistry.PARAMETERS)) {
+    const value = options[optionName(name)];
+    if (value !== undefined) {
+      params[name] = name === 'scenarioDate' ? parseDate(engine, module, value) : value;
+    }
+  }
+  return params;
+}
+
+/**
+ * Allowed values of a parameter as typed on the command line
+ */
+function describeAllowed(engine, param, tableData) {
+  const allowed = engine.TableRegistry.getOptions(param, tableData).map(option => option.value);
+  const dateMap = param.dates ? engine.TableRegistry.getDates(param.dates) : null;
+  if (dateMap) {
+    return Object.keys(dateMap).filter(ordinal => allowed.length === 0 || allowed.includes(dateMap[ordinal])).join('|');
+  }
+  return allowed.join('|');
+}
+
+function countOption(value) {
+  if (value === undefined) return 1;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+    throw new UsageError(`--count must be a whole number from 1 to ${MAX_COUNT}`);
+  }
+  return count;
+}
+
+function checkOptions(options, known) {
+  const unknown = Object.keys(options).find(name => !known.includes(name));
+  if (unknown) {
+    throw new UsageError(`Unknown option --${unknown}`);
+  }
+}
+
+// =========================================================================
+//  COMMANDS
+// =========================================================================
+
+function rollCommand(engine, positional, options, io) {
+  const { TableRegistry, ResultSchema } = engine;
+  const paramOptions = Object.keys(TableRegistry.PARAMETERS).map(optionName);
+  checkOptions(options, [...FLAGS, 'count', 'seed', ...paramOptions]);
+
+  const tableId = positional[0];
+  if (!tableId) {
+    throw new UsageError('Which table? e.g. rstools roll C --date post');
+  }
+  if (!engine.moduleOf(tableId)) {
+    throw new UsageError(`Unknown table "${tableId}" (see rstools tables)`);
+  }
+  if (options.json && options.csv) {
+    throw new UsageError('Choose one of --json and --csv');
+  }
+
+  const tableData = engine.tableData(tableId);
+  const params = collectParams(engine, tableId, options);
+  const errors = TableRegistry.validateParams(tableId, params, tableData);
+  if (errors.length > 0) {
+    const details = errors.map(error => {
+      const param = TableRegistry.getParams(tableId).find(p => p.name === error.param);
+      const allowed = param ? describeAllowed(engine, param, tableData) : '';
+      return `${error.message}${allowed ? ` (--${optionName(error.param)} ${allowed})` : ''}`;
+    });
+    throw new UsageError(details.join('\n'));
+  }
+
+  ResultSchema.setStrict(Boolean(options.strict));
+  const results = engine.roll(tableId, params, { count: countOption(options.count), seed: options.seed });
+
+  if (options.json) {
+    io.stdout.write(formatJson(results));
+  } else if (options.csv) {
+    io.stdout.write(formatCsv(results));
+  } else {
+    io.stdout.write(formatText(results, result =>
+      TableRegistry.describeParams(result.table, result.params, engine.tableData(result.table))));
+  }
+  return results.some(result => result.error) ? 1 : 0;
+}
+
+function selectedModules(engine, options) {
+  if (options.module && !engine.modules.includes(options.module)) {
+    throw new UsageError(`Unknown module "${options.module}" (${engine.modules.join(', ')})`);
+  }
+  return options.module ? [options.module] : engine.modules;
+}
+
+function tablesCommand(engine, positional, options, io) {
+  checkOptions(options, ['module', 'verbose']);
+
+  const sections = selectedModules(engine, options).map(module => {
+    const rows = engine.listTables(module).map(entry => {
+      const tableData = engine.tableData(entry.id);
+      const params = entry.params.map(param => {
+        const allowed = describeAllowed(engine, param, tableData);
+        const condition = param.showWhen
+          ? ` (when ${Object.entries(param.showWhen).map(([name, value]) => `--${optionName(name)} ${[].concat(value).join('|')}`).join(', ')})`
+          : '';
+        return `--${optionName(param.name)}${param.required ? '' : '?'} ${allowed || '<value>'}${condition}`;
+      });
+      return `  ${entry.id.padEnd(6)}${(entry.faction || '').padEnd(6)}${tableData.name}` +
+        (params.length > 0 ? `\n${params.map(param => `          ${param}`).join('\n')}` : '');
+    });
+    return `${engine.ModuleConfig.MODULES[module].name}\n${rows.join('\n')}`;
+  });
+  io.stdout.write(`${sections.join('\n\n')}\n`);
+  return 0;
+}
+
+function aircraftCommand(engine, positional, options, io) {
+  checkOptions(options, ['module', 'json', 'verbose']);
+
+  const reports = selectedModules(engine, options).map(module => ({ module, unresolved: engine.unresolvedAircraft(module) }));
+  if (options.json) {
+    io.stdout.write(`${JSON.stringify(reports, null, 2)}\n`);
+  } else {
+    const sections = reports.map(({ module, unresolved }) => {
+      const rows = unresolved.map(row => {
+        const detail = row.reason === 'unknown-id'
+          ? `aircraft ID ${row.aircraftId} not found, resolves by name to ${row.key}`
+          : 'not found';
+        return `  ${row.faction.padEnd(6)}${(row.nationality || '').padEnd(12)}${row.name} — ${detail} (${row.tables.join(', ')})`;
+      });
+      return `${engine.ModuleConfig.MODULES[module].name}\n${rows.length > 0 ? rows.join('\n') : '  All table aircraft resolve'}`;
+    });
+    io.stdout.write(`${sections.join('\n\n')}\n`);
+  }
+  return reports.some(report => report.unresolved.length > 0) ? 1 : 0;
+}
+
+// =========================================================================
+//  ENTRY POINT
+// =========================================================================
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the script name
+ * @param {object} [io] - { stdout, stderr } streams (default: the process's)
+ * @returns {number} Exit code
+ */
+function main(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  try {
+    const { positional, options } = parseArgs(argv);
+    const command = positional.shift();
+    if (!command || command === 'help' || options.help) {
+      io.stdout.write(USAGE);
+      return 0;
+    }
+
+    const engine = createEngine({
+      log: options.verbose ? (...args) => io.stderr.write(`${args.map(String).join(' ')}\n`) : null,
+    });
+    if (command === 'roll') return rollCommand(engine, positional, options, io);
+    if (command === 'tables') return tablesCommand(engine, positional, options, io);
+    if (command === 'aircraft') return aircraftCommand(engine, positional, options, io);
+    throw new UsageError(`Unknown command "${command}"`);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    io.stderr.write(`rstools: ${error.message}\nRun "rstools help" for usage.\n`);
+    return 2;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseArgs, UsageError };
@@ -0,0 +1,106 @@
+/**
+ * Baltic Approaches Table Pack
+ * Registers the Baltic Approaches OOB tables, their faction and the
+ * parameter schema each one needs, for the table buttons, parameter inputs
+ * and input validation. Scenario dates are the ordinal date buttons (1-3),
+ * mapped through the date range maps registered below; the allowed dates are the
+ * ranges each table lists (D3 and H2 combine the May periods)
+ */
+
+(function ({ TableRegistry }) {
+
+  // Date Range Configuration
+  // Maps ordinal date values (1, 2, 3) to actual date range strings
+  TableRegistry.registerDates('BA_DATE_RANGES', {
+    1: '15-20 May',
+    2: '21-31 May',
+    3: '1-15 June'
+  });
+
+  // Special date ranges for tables that combine May periods
+  TableRegistry.registerDates('BA_DATE_RANGES_COMBINED_MAY', {
+    1: '15-31 May',  // Combines periods 1 and 2
+    2: '15-31 May',  // Combines periods 1 and 2
+    3: '1-15 June'
+  });
+
+  TableRegistry.registerPack('baltic-approaches', {
+    // NATO tables
+    A2: {
+      faction: 'NATO',
+      params: [{ name: 'scenarioDate', dates: 'BA_DATE_RANGES', optionsFrom: 'dateRanges' }]
+    },
+    'A2-SE': { faction: 'NATO' },
+    B2: {
+      faction: 'NATO',
+      params: [{ name: 'scenarioDate', dates: 'BA_DATE_RANGES', optionsFrom: 'dateRanges' }]
+    },
+    C2: {
+      faction: 'NATO',
+      params: [{ name: 'scenarioDate', dates: 'BA_DATE_RANGES', optionsFrom: 'taskings.SEAD.dateRanges' }]
+    },
+    D2: { faction: 'NATO' },
+    D3: {
+      faction: 'NATO',
+      params: [{ name: 'scenarioDate', dates: 'BA_DATE_RANGES_COMBINED_MAY', optionsFrom: 'nationalityRolls' }]
+    },
+    E2: {
+      faction: 'NATO',
+      params: [
+        {
+          name: 'nationality',
+          options: [
+            { value: 'FRG', label: 'FRG (West/East Germany)' },
+            { value: 'DK', label: 'DK (Denmark)' },
+            { value: 'SE', label: 'SE (Sweden)' }
+          ]
+        },
+        {
+          name: 'hexType',
+          options: [
+            { value: 'land', label: 'Land Hex (CH-53)' },
+            { value: 'sea', label: 'Sea Hex (Mk41 Sea King)' }
+          ],
+          showWhen: { nationality: 'FRG' }
+        }
+      ]
+    },
+    F2: { faction: 'NATO' },
+
+    // WP tables
+    G2: {
+      faction: 'WP',
+      params: [{ name: 'scenarioDate', dates: 'BA_DATE_RANGES', optionsFrom: 'dateRanges' }]
+    },
+    H2: {
+      faction: 'WP',
+      params: [{ name: 'scenarioDate', dates: 'BA_DATE_RANGES_COMBINED_MAY', optionsFrom: 'dateRanges' }]
+    },
+    I2: { faction: 'WP' },
+    J2: { faction: 'WP' },
+    J3: { faction: 'WP' },
+    K2: {
+      faction: 'WP',
+      params: [
+        {
+          name: 'nationality',
+          label: 'Land or sea hex?',
+          required: false,
+          options: [
+            { value: 'GDR', label: 'Land Hex' },
+            { value: 'GDR Naval', label: 'Sea Hex' }
+          ]
+        }
+      ]
+    },
+    L2: {
+      faction: 'WP',
+      params: [{ name: 'missionType', optionsFrom: 'missionTypes' }]
+    }
+  });
+
+})(typeof module !== 'undefined' && module.exports
+  ? { TableRegistry: require('../../../../shared/oob-generator/js/table-processors/TableRegistry.js') }
+  : { TableRegistry });
+
+console.log('Baltic Approaches table pack loaded');
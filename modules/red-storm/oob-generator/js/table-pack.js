@@ -0,0 +1,101 @@
+/**
+ * Red Storm Table Pack
+ * Registers the Red Storm OOB tables (A-L), their faction and the
+ * parameter schema each one needs, for the table buttons, parameter inputs
+ * and input validation
+ */
+
+(function ({ TableRegistry }) {
+
+  const RED_STORM_SCENARIO_DATES = [
+    { value: 'pre', label: 'Pre-6/1/87' },
+    { value: 'post', label: '6/1/87+' }
+  ];
+
+  const RED_STORM_ATAF_ZONES = [
+    { value: '2ATAF', label: '2ATAF' },
+    { value: '4ATAF', label: '4ATAF' }
+  ];
+
+  TableRegistry.registerPack('red-storm', {
+    // NATO tables
+    A: {
+      faction: 'NATO',
+      params: [
+        { name: 'atafZone', options: RED_STORM_ATAF_ZONES },
+        { name: 'scenarioDate', options: RED_STORM_SCENARIO_DATES }
+      ]
+    },
+    B: {
+      faction: 'NATO',
+      params: [
+        { name: 'atafZone', options: RED_STORM_ATAF_ZONES },
+        { name: 'scenarioDate', options: RED_STORM_SCENARIO_DATES }
+      ]
+    },
+    C: {
+      faction: 'NATO',
+      params: [
+        { name: 'scenarioDate', options: RED_STORM_SCENARIO_DATES }
+      ]
+    },
+    D: { faction: 'NATO' },
+    E: {
+      faction: 'NATO',
+      params: [
+        {
+          name: 'nationality',
+          options: [
+            { value: 'US', label: 'US' },
+            { value: 'UK', label: 'UK/BE/NE' },
+            { value: 'FRG', label: 'FRG' },
+            { value: 'CAN', label: 'CAN (uses US rescue)' }
+          ]
+        }
+      ]
+    },
+    F: {
+      faction: 'NATO',
+      params: [
+        { name: 'missionType', optionsFrom: 'missionTypes' }
+      ]
+    },
+
+    // WP tables
+    G: { faction: 'WP' },
+    H: { faction: 'WP' },
+    I: { faction: 'WP' },
+    J: { faction: 'WP' },
+    K: {
+      faction: 'WP',
+      params: [
+        {
+          name: 'nationality',
+          options: [
+            { value: 'USSR', label: 'USSR' },
+            { value: 'GDR', label: 'GDR' }
+          ]
+        }
+      ]
+    },
+    L: {
+      faction: 'WP',
+      params: [
+        { name: 'missionType', optionsFrom: 'missionTypes' },
+        {
+          name: 'tacticalReconNation',
+          options: [
+            { value: 'USSR', label: 'USSR' },
+            { value: 'GDR', label: 'GDR' }
+          ],
+          showWhen: { missionType: 'Tactical Recon' }
+        }
+      ]
+    }
+  });
+
+})(typeof module !== 'undefined' && module.exports
+  ? { TableRegistry: require('../../../../shared/oob-generator/js/table-processors/TableRegistry.js') }
+  : { TableRegistry });
+
+console.log('Red Storm table pack loaded');
@@ -0,0 +1,303 @@
+/**
+ * AircraftResolver — Find a Flight's Aircraft in the Shared Database
+ * ===================================================================
+ *
+ * The OOB tables name aircraft the way the printed tables do ("Torn GR1",
+ * "F-16A(NE)", "MiG-21bis"), which is not always the key of the aircraft in
+ * shared/data/aircraft-nato.json or aircraft-wp.json. Every tool that goes
+ * from a table entry or rolled flight to its aircraft data (the print
+ * generator, the flight sheet designers, the aircraft reference) resolves it
+ * here, trying in order:
+ *
+ *   1. 'id'            The flight's aircraftId
+ *   2. 'name-mapping'  aircraft-name-mapping.json (per WP nation, then per
+ *                      faction): the mapped aircraftId, then the mapped name
+ *   3. 'exact'         The aircraft type is a database key
+ *   4. 'alias'         The aircraft type is in an entry's aliases
+ *   5. 'split'         A split type ("F-4G/F-4E") whose parts all resolve;
+ *                      the parts are returned, there is no single entry
+ *
+ * Resolution shape:
+ *
+ *   {
+ *     tier:         'id' | 'name-mapping' | 'exact' | 'alias' | 'split' | null,
+ *     aircraftType: string,        // mapped name if it is a database key
+ *     aircraftId:   string|null,   // the entry's ID, else the flight's
+ *     key:          string|null,   // database key (null: split or not found)
+ *     data:         object|null,   // database entry
+ *     parts:        Resolution[]|null   // split types only
+ *   }
+ *
+ * unresolvedNames() walks the OOB table data and reports every aircraft
+ * name a processor can produce that does not resolve, or resolves without
+ * its aircraftId, so gaps are found before a flight card goes missing.
+ *
+ * SCRIPT LOAD ORDER
+ * -----------------
+ * No dependencies. Load before print-generator.js:
+ *   <script src="../../../shared/js/aircraft-resolver.js"></script>   <!-- THIS FILE -->
+ *   <script src="../../../shared/oob-generator/js/print-generator.js"></script>
+ */
+
+const AircraftResolver = (function () {
+
+  const TIERS = ['id', 'name-mapping', 'exact', 'alias', 'split'];
+
+  // =========================================================================
+  //  LOOKUPS
+  // =========================================================================
+
+  function isEntryKey(aircraftDB, key) {
+    return !!(aircraftDB && key && !key.startsWith('_') &&
+      Object.prototype.hasOwnProperty.call(aircraftDB, key));
+  }
+
+  function findById(aircraftDB, aircraftId) {
+    if (!aircraftId || !aircraftDB || typeof aircraftDB !== 'object') return null;
+    for (const [key, data] of Object.entries(aircraftDB)) {
+      if (key.startsWith('_')) continue;
+      if (data && data.id === aircraftId) {
+        return { key, data };
+      }
+    }
+    return null;
+  }
+
+  function findByAlias(aircraftDB, aircraftType) {
+    if (!aircraftDB || typeof aircraftDB !== 'object') return null;
+    for (const [key, data] of Object.entries(aircraftDB)) {
+      if (key.startsWith('_')) continue;
+      if (data && Array.isArray(data.aliases) && data.aliases.includes(aircraftType)) {
+        return { key, data };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Name mapping entry of an aircraft type as { name, aircraftId }: the
+   * nation's mapping for WP, then the faction's
+   */
+  function findMapping(nameMapping, faction, nationality, aircraftType) {
+    const factionMapping = nameMapping && nameMapping[faction];
+    if (!factionMapping) return null;
+
+    let entry = null;
+    if (faction === 'WP' && nationality && factionMapping[nationality]) {
+      entry = factionMapping[nationality][aircraftType];
+    }
+    if (!entry) {
+      entry = factionMapping[aircraftType];
+    }
+    if (typeof entry === 'string') {
+      return { name: entry, aircraftId: null };
+    }
+    if (entry && typeof entry === 'object' && (entry.name || entry.aircraftId)) {
+      return { name: entry.name || null, aircraftId: entry.aircraftId || null };
+    }
+    return null;
+  }
+
+  // =========================================================================
+  //  RESOLVE
+  // =========================================================================
+
+  function resolution(tier, aircraftType, aircraftId, match) {
+    return {
+      tier,
+      aircraftType,
+      aircraftId: (match && match.data && match.data.id) || aircraftId,
+      key: match ? match.key : null,
+      data: match ? match.data : null,
+      parts: null,
+    };
+  }
+
+  /**
+   * The name a flight card looks up: the mapped name if it is a database
+   * key, else the aircraft type
+   */
+  function lookupName(mapping, aircraftDB, aircraftType) {
+    return mapping && isEntryKey(aircraftDB, mapping.name) ? mapping.name : aircraftType;
+  }
+
+  /**
+   * Resolve a name through tiers 2-4
+   */
+  function resolveName(aircraftType, aircraftId, aircraftDB, nameMapping, faction, nationality) {
+    const mapping = findMapping(nameMapping, faction, nationality, aircraftType);
+    const name = lookupName(mapping, aircraftDB, aircraftType);
+
+    if (mapping) {
+      const byMappedId = findById(aircraftDB, mapping.aircraftId);
+      if (byMappedId) {
+        return resolution('name-mapping', name, aircraftId, byMappedId);
+      }
+      if (name !== aircraftType) {
+        return resolution('name-mapping', name, aircraftId, { key: name, data: aircraftDB[name] });
+      }
+    }
+
+    if (isEntryKey(aircraftDB, aircraftType)) {
+      return resolution('exact', name, aircraftId, { key: aircraftType, data: aircraftDB[aircraftType] });
+    }
+
+    const byAlias = findByAlias(aircraftDB, aircraftType);
+    if (byAlias) {
+      return resolution('alias', name, aircraftId, byAlias);
+    }
+    return null;
+  }
+
+  /**
+   * Find a flight's aircraft (see the tiers above)
+   * @param {object} flight - Flight with aircraftType, and aircraftId,
+   *   faction and nationality where known (faction defaults to NATO)
+   * @param {object} dataFiles - { aircraftNATO, aircraftWP, nameMapping }
+   *   as loaded by PrintGenerator.loadDataFiles()
+   * @returns {object} Resolution (tier null if the aircraft was not found)
+   */
+  function resolve(flight, dataFiles) {
+    const faction = flight.faction === 'WP' ? 'WP' : 'NATO';
+    const aircraftDB = faction === 'WP' ? dataFiles.aircraftWP : dataFiles.aircraftNATO;
+    const nameMapping = dataFiles.nameMapping;
+    const nationality = flight.actualNationality || flight.nationality || flight.nationCode || '';
+    const aircraftId = flight.aircraftId || null;
+    const aircraftType = String(flight.aircraftType || 'Unknown').trim();
+
+    const byId = findById(aircraftDB, aircraftId);
+    if (byId) {
+      const mapping = findMapping(nameMapping, faction, nationality, aircraftType);
+      return resolution('id', lookupName(mapping, aircraftDB, aircraftType), aircraftId, byId);
+    }
+
+    const byName = resolveName(aircraftType, aircraftId, aircraftDB, nameMapping, faction, nationality);
+    if (byName) {
+      return byName;
+    }
+
+    if (aircraftType.includes('/')) {
+      const parts = aircraftType.split('/').map(part => part.trim());
+      const resolved = parts.map(part => resolveName(part, null, aircraftDB, nameMapping, faction, nationality));
+      if (parts.every(Boolean) && resolved.every(Boolean)) {
+        return { ...resolution('split', aircraftType, aircraftId, null), parts: resolved };
+      }
+    }
+
+    return resolution(null, aircraftType, aircraftId, null);
+  }
+
+  // =========================================================================
+  //  TABLE REPORT
+  // =========================================================================
+
+  /**
+   * Every aircraft entry of a table, as the processors read it: the entry
+   * name without footnote markup, its aircraftId and the nationality it is
+   * rolled under. Entries with variants are replaced by their variants.
+   */
+  function collectEntries(node, nationality, entries) {
+    if (Array.isArray(node)) {
+      node.forEach(child => collectEntries(child, nationality, entries));
+      return entries;
+    }
+    if (!node || typeof node !== 'object') return entries;
+
+    if (Object.prototype.hasOwnProperty.call(node, 'aircraftId')) {
+      if (node.variants) {
+        return collectEntries(node.variants, nationality, entries);
+      }
+      const name = node.name || node.aircraft || node.display || node.model || '';
+      entries.push({
+        name: String(name).replace(/<[^>]*>/g, '').trim(),
+        aircraftId: node.aircraftId || null,
+        nationality,
+      });
+      return entries;
+    }
+
+    let nation = nationality;
+    if (typeof node.nationality === 'string') {
+      nation = node.nationality;
+    } else if (typeof node.name === 'string' && node.aircraft) {
+      nation = node.name;
+    }
+    for (const [key, child] of Object.entries(node)) {
+      if (key.startsWith('_')) continue;
+      if (key === 'nationalities' && child && typeof child === 'object') {
+        // Raids keyed by nationality (Table E)
+        for (const [code, raid] of Object.entries(child)) {
+          collectEntries(raid, code, entries);
+        }
+      } else {
+        collectEntries(child, nation, entries);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Aircraft names in OOB table data that do not resolve against the
+   * shared database ('unresolved'), or whose aircraftId is not in it
+   * ('unknown-id', the card falls back to the name). One row per distinct
+   * entry, with the tables it appears in.
+   * @param {object} tables - Table data keyed by table ID (both factions)
+   * @param {object} dataFiles - { aircraftNATO, aircraftWP, nameMapping }
+   * @returns {Array} [{ faction, nationality, name, aircraftId, reason, key, tables }]
+   */
+  function unresolvedNames(tables, dataFiles) {
+    const rows = new Map();
+    for (const [tableId, table] of Object.entries(tables || {})) {
+      if (tableId.startsWith('_') || !table || typeof table !== 'object') continue;
+      const faction = table.faction === 'WP' ? 'WP' : 'NATO';
+
+      for (const entry of collectEntries(table, null, [])) {
+        const resolved = resolve({ ...entry, aircraftType: entry.name, faction }, dataFiles);
+        let reason = null;
+        if (!resolved.tier) {
+          reason = 'unresolved';
+        } else if (entry.aircraftId && resolved.tier !== 'id') {
+          reason = 'unknown-id';
+        }
+        if (!reason) continue;
+
+        const rowKey = [faction, entry.nationality, entry.name, entry.aircraftId].join('|');
+        if (!rows.has(rowKey)) {
+          rows.set(rowKey, {
+            faction,
+            nationality: entry.nationality,
+            name: entry.name,
+            aircraftId: entry.aircraftId,
+            reason,
+            key: resolved.key,
+            tables: [],
+          });
+        }
+        const row = rows.get(rowKey);
+        if (!row.tables.includes(tableId)) {
+          row.tables.push(tableId);
+        }
+      }
+    }
+    return [...rows.values()];
+  }
+
+  // =========================================================================
+  //  PUBLIC API
+  // =========================================================================
+
+  return {
+    resolve:         resolve,
+    unresolvedNames: unresolvedNames,
+    TIERS:           TIERS,
+  };
+
+})();
+
+// Export for CommonJS (Node.js, the Expo app) or as a global for <script>
+// tags and workers (importScripts)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AircraftResolver;
+} else {
+  globalThis.AircraftResolver = AircraftResolver;
+}
@@ -54,6 +54,8 @@ const MODULES = {
     
     // Print Generation Configuration
     print: {
+      // Tables whose results get a raid summary page on the flight sheets
+      raidTables: ['C', 'D', 'I', 'J'],
       // Data structure mapping for aircraft databases
       dataStructure: {
         weaponPaths: {
@@ -177,6 +179,8 @@ const MODULES = {
     
     // Print Generation Configuration
     print: {
+      // Tables whose results get a raid summary page on the flight sheets
+      raidTables: ['C2', 'D2', 'D3', 'I2', 'J2', 'J3'],
       // Data structure mapping for Baltic Approaches aircraft databases
       dataStructure: {
         weaponPaths: {
@@ -0,0 +1,450 @@
+/**
+ * PdfWriter — Minimal PDF Documents Without a Library
+ * ====================================================
+ *
+ * Builds PDF 1.4 files from fixed-size pages of text, boxes, lines, circles
+ * and JPEG images, for the flight sheet PDF export. Everything is drawn in
+ * points from the top-left corner of the page.
+ *
+ * Text uses the standard Helvetica fonts (regular, bold, oblique), which
+ * every PDF viewer has built in, so nothing is embedded or downloaded and
+ * the writer works offline. Text widths come from the Helvetica metrics
+ * below, so wrapping and truncation give the same layout on every machine.
+ * Characters outside the Windows-1252 set print as '?'.
+ *
+ * The file has no creation date or random ID: the same drawing gives the
+ * same bytes.
+ *
+ * Usage:
+ *   const pdf = PdfWriter.create({ width: 612, height: 792 });
+ *   pdf.addPage();
+ *   pdf.rect(36, 36, 200, 100, { stroke: 0, lineWidth: 2 });
+ *   pdf.text(40, 50, 'F-15C', { font: 'bold', size: 7 });
+ *   const bytes = pdf.toBytes();      // Uint8Array
+ *
+ * SCRIPT LOAD ORDER
+ * -----------------
+ * No dependencies. Load before print-generator.js:
+ *   <script src="../../../shared/js/pdf-writer.js"></script>   <!-- THIS FILE -->
+ *   <script src="../../../shared/oob-generator/js/print-generator.js"></script>
+ */
+
+const PdfWriter = (function () {
+
+  /** Page sizes in points */
+  const PAGE_SIZES = {
+    letter: { width: 612, height: 792 },
+    a4: { width: 595.28, height: 841.89 }
+  };
+
+  const FONTS = {
+    regular: { resource: 'F1', baseFont: 'Helvetica' },
+    bold: { resource: 'F2', baseFont: 'Helvetica-Bold' },
+    italic: { resource: 'F3', baseFont: 'Helvetica-Oblique' }
+  };
+
+  // =========================================================================
+  //  FONT METRICS
+  // =========================================================================
+
+  // Helvetica and Helvetica-Bold advance widths (1/1000 em) of the printable
+  // ASCII characters, from the Adobe AFM files. Helvetica-Oblique has the
+  // Helvetica widths.
+  const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, // space - /
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556, // 0 - ?
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, // @ - O
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, // P - _
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, // ` - o
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584        // p - ~
+  ];
+  const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ];
+
+  /** Width of characters outside printable ASCII (accented letters, dashes) */
+  const DEFAULT_WIDTH = 556;
+
+  // Unicode punctuation with a Windows-1252 code
+  const WIN_ANSI = {
+    0x2013: 0x96, 0x2014: 0x97, 0x2018: 0x91, 0x2019: 0x92, 0x201C: 0x93,
+    0x201D: 0x94, 0x2022: 0x95, 0x2026: 0x85, 0x20AC: 0x80, 0x2020: 0x86
+  };
+
+  /**
+   * Text as Windows-1252 codes (the encoding of the fonts)
+   * @param {string} text
+   * @returns {number[]}
+   */
+  function encode(text) {
+    const codes = [];
+    for (const char of String(text)) {
+      const code = char.codePointAt(0);
+      if (code >= 0x20 && code <= 0x7E) {
+        codes.push(code);
+      } else if (code >= 0xA0 && code <= 0xFF) {
+        codes.push(code);
+      } else if (WIN_ANSI[code]) {
+        codes.push(WIN_ANSI[code]);
+      } else if (code === 0x09 || code === 0x0A || code === 0x0D) {
+        codes.push(0x20);
+      } else {
+        codes.push(0x3F);
+      }
+    }
+    return codes;
+  }
+
+  /**
+   * Width of a line of text in points
+   * @param {string} text
+   * @param {string} font - 'regular', 'bold' or 'italic'
+   * @param {number} size - Font size in points
+   * @returns {number}
+   */
+  function textWidth(text, font, size) {
+    const widths = font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let units = 0;
+    for (const code of encode(text)) {
+      units += code >= 0x20 && code <= 0x7E ? widths[code - 0x20] : DEFAULT_WIDTH;
+    }
+    return units * size / 1000;
+  }
+
+  /**
+   * Text cut to fit a width, ending in '...' if it was cut
+   * @param {string} text
+   * @param {string} font
+   * @param {number} size
+   * @param {number} maxWidth - Points
+   * @returns {string}
+   */
+  function fitText(text, font, size, maxWidth) {
+    text = String(text);
+    if (textWidth(text, font, size) <= maxWidth) return text;
+    let end = text.length;
+    while (end > 0 && textWidth(`${text.slice(0, end).trimEnd()}...`, font, size) > maxWidth) {
+      end--;
+    }
+    return end > 0 ? `${text.slice(0, end).trimEnd()}...` : '';
+  }
+
+  /**
+   * Text broken into lines at spaces; a word wider than the line is cut
+   * @param {string} text
+   * @param {string} font
+   * @param {number} size
+   * @param {number} maxWidth - Points
+   * @returns {string[]}
+   */
+  function wrapText(text, font, size, maxWidth) {
+    const lines = [];
+    let line = '';
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (!line || textWidth(candidate, font, size) <= maxWidth) {
+        line = candidate;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    }
+    if (line) lines.push(line);
+    return lines.map(l => fitText(l, font, size, maxWidth));
+  }
+
+  // =========================================================================
+  //  JPEG
+  // =========================================================================
+
+  /**
+   * Size and colour components of a JPEG, read from its frame header
+   * @param {Uint8Array} bytes
+   * @returns {object|null} { width, height, components }, null if not a JPEG
+   */
+  function readJpegInfo(bytes) {
+    if (!bytes || bytes.length < 4 || bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null;
+    let i = 2;
+    while (i + 3 < bytes.length) {
+      if (bytes[i] !== 0xFF) return null;
+      const marker = bytes[i + 1];
+      if (marker === 0xFF) {
+        i++;
+        continue;
+      }
+      if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+        i += 2;
+        continue;
+      }
+      const length = (bytes[i + 2] << 8) | bytes[i + 3];
+      // Start of frame (baseline, extended, progressive, lossless)
+      if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+        if (i + 9 >= bytes.length) return null;
+        return {
+          height: (bytes[i + 5] << 8) | bytes[i + 6],
+          width: (bytes[i + 7] << 8) | bytes[i + 8],
+          components: bytes[i + 9]
+        };
+      }
+      i += 2 + length;
+    }
+    return null;
+  }
+
+  // =========================================================================
+  //  DOCUMENT
+  // =========================================================================
+
+  /** Numbers as PDF writes them: at most two decimals, no trailing zeros */
+  function num(value) {
+    const rounded = Math.round(value * 100) / 100;
+    return Object.is(rounded, -0) ? '0' : String(rounded);
+  }
+
+  /** Windows-1252 codes as a PDF string literal */
+  function pdfString(codes) {
+    let out = '(';
+    for (const code of codes) {
+      if (code === 0x28 || code === 0x29 || code === 0x5C) {
+        out += `\\${String.fromCharCode(code)}`;
+      } else if (code < 0x20 || code > 0x7E) {
+        out += `\\${code.toString(8).padStart(3, '0')}`;
+      } else {
+        out += String.fromCharCode(code);
+      }
+    }
+    return `${out})`;
+  }
+
+  /** A string of character codes 0-255 as bytes */
+  function latin1Bytes(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+      bytes[i] = text.charCodeAt(i) & 0xFF;
+    }
+    return bytes;
+  }
+
+  /**
+   * Start a PDF document
+   * @param {object} [options] - { width, height } in points (letter by
+   *   default), or { size: 'letter' | 'a4' }
+   * @returns {object} Document (see the usage above)
+   */
+  function create(options = {}) {
+    const pageSize = PAGE_SIZES[options.size] || PAGE_SIZES.letter;
+    const width = options.width || pageSize.width;
+    const height = options.height || pageSize.height;
+    const pages = [];
+    const images = [];
+    let ops = null;
+
+    function page() {
+      if (!ops) throw new Error('PdfWriter: addPage() before drawing');
+      return ops;
+    }
+
+    // Top-left page coordinates to PDF user space (origin bottom left)
+    const px = x => num(x);
+    const py = y => num(height - y);
+
+    function setStroke(gray, lineWidth) {
+      page().push(`${num(gray)} G ${num(lineWidth)} w`);
+    }
+
+    return {
+      width,
+      height,
+
+      get pageCount() {
+        return pages.length;
+      },
+
+      /** Start a new page; drawing goes to it */
+      addPage() {
+        ops = [];
+        pages.push(ops);
+      },
+
+      /**
+       * Rectangle, filled and/or stroked in gray (0 black - 1 white)
+       * @param {object} [style] - { fill, stroke, lineWidth }
+       */
+      rect(x, y, w, h, style = { stroke: 0 }) {
+        const { fill = null, stroke = null, lineWidth = 1 } = style;
+        const path = `${px(x)} ${py(y + h)} ${num(w)} ${num(h)} re`;
+        if (fill !== null) {
+          page().push(`${num(fill)} g ${path} f`);
+        }
+        if (stroke !== null) {
+          setStroke(stroke, lineWidth);
+          page().push(`${path} S`);
+        }
+      },
+
+      /**
+       * Straight line
+       * @param {object} [style] - { stroke, lineWidth }
+       */
+      line(x1, y1, x2, y2, style = {}) {
+        setStroke(style.stroke ?? 0, style.lineWidth ?? 1);
+        page().push(`${px(x1)} ${py(y1)} m ${px(x2)} ${py(y2)} l S`);
+      },
+
+      /**
+       * Circle outline (four Bezier curves)
+       * @param {object} [style] - { stroke, lineWidth }
+       */
+      circle(cx, cy, r, style = {}) {
+        const k = r * 0.5523;
+        const x = cx;
+        const y = height - cy;
+        setStroke(style.stroke ?? 0, style.lineWidth ?? 1);
+        page().push([
+          `${num(x + r)} ${num(y)} m`,
+          `${num(x + r)} ${num(y + k)} ${num(x + k)} ${num(y + r)} ${num(x)} ${num(y + r)} c`,
+          `${num(x - k)} ${num(y + r)} ${num(x - r)} ${num(y + k)} ${num(x - r)} ${num(y)} c`,
+          `${num(x - r)} ${num(y - k)} ${num(x - k)} ${num(y - r)} ${num(x)} ${num(y - r)} c`,
+          `${num(x + k)} ${num(y - r)} ${num(x + r)} ${num(y - k)} ${num(x + r)} ${num(y)} c S`
+        ].join(' '));
+      },
+
+      /**
+       * One line of text, y being the baseline
+       * @param {object} [style] - { font: 'regular'|'bold'|'italic', size, gray }
+       */
+      text(x, y, text, style = {}) {
+        const font = FONTS[style.font] || FONTS.regular;
+        const codes = encode(text);
+        if (codes.length === 0) return;
+        page().push(`BT /${font.resource} ${num(style.size || 10)} Tf ${num(style.gray ?? 0)} g ` +
+          `${px(x)} ${py(y)} Td ${pdfString(codes)} Tj ET`);
+      },
+
+      /**
+       * Add a JPEG for image(). Other formats are not supported.
+       * @param {Uint8Array} bytes
+       * @returns {object|null} { name, width, height }, null if not a JPEG
+       */
+      addJpeg(bytes) {
+        const info = readJpegInfo(bytes);
+        if (!info || ![1, 3, 4].includes(info.components)) return null;
+        const image = { name: `Im${images.length + 1}`, bytes, ...info };
+        images.push(image);
+        return { name: image.name, width: info.width, height: info.height };
+      },
+
+      /** Draw an image from addJpeg() into a box */
+      image(name, x, y, w, h) {
+        page().push(`q ${num(w)} 0 0 ${num(h)} ${px(x)} ${py(y + h)} cm /${name} Do Q`);
+      },
+
+      textWidth,
+      fitText,
+      wrapText,
+
+      /**
+       * The finished PDF file
+       * @returns {Uint8Array}
+       */
+      toBytes() {
+        if (pages.length === 0) this.addPage();
+
+        // Objects: 1 catalog, 2 page tree, 3-5 fonts, images, then a page
+        // and its content stream per page
+        const fontIds = { F1: 3, F2: 4, F3: 5 };
+        const imageIds = images.map((_, i) => 6 + i);
+        const firstPageId = 6 + images.length;
+        const pageIds = pages.map((_, i) => firstPageId + i * 2);
+
+        const objects = [];
+        objects[1] = ['<< /Type /Catalog /Pages 2 0 R >>'];
+        objects[2] = [`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`];
+        for (const font of Object.values(FONTS)) {
+          objects[fontIds[font.resource]] = [
+            `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`
+          ];
+        }
+        images.forEach((image, i) => {
+          const colorSpace = { 1: 'DeviceGray', 3: 'DeviceRGB', 4: 'DeviceCMYK' }[image.components];
+          // Adobe CMYK JPEGs are stored inverted
+          const decode = image.components === 4 ? ' /Decode [1 0 1 0 1 0 1 0]' : '';
+          objects[imageIds[i]] = [
+            `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+            `/ColorSpace /${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode${decode} /Length ${image.bytes.length} >>\nstream\n`,
+            image.bytes,
+            '\nendstream'
+          ];
+        });
+
+        const fontResources = Object.entries(fontIds).map(([name, id]) => `/${name} ${id} 0 R`).join(' ');
+        const imageResources = images.map((image, i) => `/${image.name} ${imageIds[i]} 0 R`).join(' ');
+        pages.forEach((pageOps, i) => {
+          const content = pageOps.join('\n');
+          objects[pageIds[i]] = [
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] ` +
+            `/Resources << /Font << ${fontResources} >>${images.length > 0 ? ` /XObject << ${imageResources} >>` : ''} >> ` +
+            `/Contents ${pageIds[i] + 1} 0 R >>`
+          ];
+          objects[pageIds[i] + 1] = [`<< /Length ${content.length} >>\nstream\n${content}\nendstream`];
+        });
+
+        // Header (with a comment of high bytes, marking the file as binary)
+        const chunks = [latin1Bytes('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')];
+        let offset = chunks[0].length;
+        const offsets = [];
+        for (let id = 1; id < objects.length; id++) {
+          offsets[id] = offset;
+          const parts = [`${id} 0 obj\n`, ...objects[id], '\nendobj\n'];
+          for (const part of parts) {
+            const bytes = typeof part === 'string' ? latin1Bytes(part) : part;
+            chunks.push(bytes);
+            offset += bytes.length;
+          }
+        }
+
+        let xref = `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+        for (let id = 1; id < objects.length; id++) {
+          xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        }
+        xref += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${offset}\n%%EOF\n`;
+        chunks.push(latin1Bytes(xref));
+
+        const file = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+        let position = 0;
+        for (const chunk of chunks) {
+          file.set(chunk, position);
+          position += chunk.length;
+        }
+        return file;
+      }
+    };
+  }
+
+  // =========================================================================
+  //  PUBLIC API
+  // =========================================================================
+
+  return {
+    create:       create,
+    textWidth:    textWidth,
+    fitText:      fitText,
+    wrapText:     wrapText,
+    readJpegInfo: readJpegInfo,
+    PAGE_SIZES:   PAGE_SIZES,
+  };
+
+})();
+
+// Export for CommonJS (Node.js, the Expo app) or as a global for <script>
+// tags and workers (importScripts)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PdfWriter;
+} else {
+  globalThis.PdfWriter = PdfWriter;
+}
@@ -0,0 +1,248 @@
+/**
+ * PrintLayouts — Paper Size and Card Layout Profiles for Flight Sheets
+ * =====================================================================
+ *
+ * The flight sheet printer (PrintGenerator: the printed HTML sheet and the
+ * PDF export) lays out its cards by a named profile:
+ *
+ *   {
+ *     id:         'a4',
+ *     name:       'A4, 6 cards per page',
+ *     paper:      'letter' | 'a4',
+ *     margin:     18,          // page margin, points
+ *     columns:    2,           // cards across
+ *     rows:       3,           // card rows per page
+ *     cardHeight: 240,         // points; rows x cardHeight fit the page
+ *     csar:       { columns: 4, height: 125 } | null
+ *                              // compact CSAR cards (across, height), or
+ *                              // null for full cards for CSAR flights
+ *   }
+ *
+ * The profile chosen in the OOB generator or the flight sheet designer is
+ * remembered in localStorage (key print-layout) for both, as is whether the
+ * OOB generator's sheets start with a summary page per raid (key
+ * print-raid-summaries).
+ *
+ * SCRIPT LOAD ORDER
+ * -----------------
+ * No dependencies. Load before print-generator.js:
+ *   <script src="../../../shared/js/print-layouts.js"></script>   <!-- THIS FILE -->
+ *   <script src="../../../shared/oob-generator/js/print-generator.js"></script>
+ */
+
+const PrintLayouts = (function () {
+
+  const STORAGE_KEY = 'print-layout';
+  const RAID_SUMMARIES_KEY = 'print-raid-summaries';
+
+  /** Paper sizes in points */
+  const PAPER_SIZES = {
+    letter: { width: 612, height: 792 },
+    a4: { width: 595.28, height: 841.89 }
+  };
+
+  /** Space between cards, points */
+  const CARD_GAP = 3;
+
+  const PROFILES = [
+    {
+      id: 'letter',
+      name: 'Letter, 6 cards per page',
+      paper: 'letter',
+      margin: 18,
+      columns: 2,
+      rows: 3,
+      cardHeight: 240,
+      csar: { columns: 4, height: 125 }
+    },
+    {
+      id: 'a4',
+      name: 'A4, 6 cards per page',
+      paper: 'a4',
+      margin: 18,
+      columns: 2,
+      rows: 3,
+      cardHeight: 262,
+      csar: { columns: 4, height: 135 }
+    },
+    {
+      id: 'letter-half',
+      name: 'Letter, 1 card per half page (laminating)',
+      paper: 'letter',
+      margin: 36,
+      columns: 1,
+      rows: 2,
+      cardHeight: 354,
+      csar: null
+    },
+    {
+      id: 'a4-half',
+      name: 'A4, 1 card per half page (laminating)',
+      paper: 'a4',
+      margin: 36,
+      columns: 1,
+      rows: 2,
+      cardHeight: 381,
+      csar: null
+    }
+  ];
+
+  const DEFAULT_PROFILE = 'letter';
+
+  let storage = defaultStorage();
+
+  /**
+   * The page's localStorage, or null where it is unavailable (Node.js,
+   * browsers with storage disabled)
+   */
+  function defaultStorage() {
+    try {
+      return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Use a different Storage (tests)
+   * @param {Storage|null} store - Object with getItem/setItem
+   */
+  function setStorage(store) {
+    storage = store;
+  }
+
+  // =========================================================================
+  //  PROFILES
+  // =========================================================================
+
+  /**
+   * All profiles, in menu order
+   * @returns {Array}
+   */
+  function list() {
+    return PROFILES.slice();
+  }
+
+  /**
+   * A profile by ID (the default profile for unknown IDs)
+   * @param {string} id
+   * @returns {object}
+   */
+  function get(id) {
+    return PROFILES.find(profile => profile.id === id) ||
+      PROFILES.find(profile => profile.id === DEFAULT_PROFILE);
+  }
+
+  /**
+   * Page size of a profile in points
+   * @param {object} profile
+   * @returns {object} { width, height }
+   */
+  function pageSize(profile) {
+    return PAPER_SIZES[profile.paper];
+  }
+
+  /**
+   * Regular cards on a full page
+   * @param {object} profile
+   * @returns {number}
+   */
+  function cardsPerPage(profile) {
+    return profile.columns * profile.rows;
+  }
+
+  // =========================================================================
+  //  SELECTED PROFILE
+  // =========================================================================
+
+  /**
+   * The profile last chosen, or the default
+   * @returns {object}
+   */
+  function getSelected() {
+    let id = null;
+    try {
+      id = storage ? storage.getItem(STORAGE_KEY) : null;
+    } catch (error) {
+      console.warn('Could not read the print layout:', error);
+    }
+    return get(id);
+  }
+
+  /**
+   * Choose the profile for the flight sheets from now on
+   * @param {string} id - Profile ID
+   * @returns {object} The profile
+   */
+  function select(id) {
+    const profile = PROFILES.find(p => p.id === id);
+    if (!profile) {
+      throw new Error(`Unknown print layout: ${id}`);
+    }
+    try {
+      if (storage) storage.setItem(STORAGE_KEY, id);
+    } catch (error) {
+      console.warn('Could not save the print layout:', error);
+    }
+    return profile;
+  }
+
+  // =========================================================================
+  //  RAID SUMMARY PAGES
+  // =========================================================================
+
+  /**
+   * Whether the flight sheets start with a summary page per raid (off
+   * unless chosen)
+   * @returns {boolean}
+   */
+  function raidSummaries() {
+    try {
+      return storage ? storage.getItem(RAID_SUMMARIES_KEY) === 'on' : false;
+    } catch (error) {
+      console.warn('Could not read the raid summary setting:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Print raid summary pages with the flight sheets from now on, or stop
+   * @param {boolean} on
+   * @returns {boolean} The setting
+   */
+  function selectRaidSummaries(on) {
+    try {
+      if (storage) storage.setItem(RAID_SUMMARIES_KEY, on ? 'on' : 'off');
+    } catch (error) {
+      console.warn('Could not save the raid summary setting:', error);
+    }
+    return !!on;
+  }
+
+  // =========================================================================
+  //  PUBLIC API
+  // =========================================================================
+
+  return {
+    list:                list,
+    get:                 get,
+    pageSize:            pageSize,
+    cardsPerPage:        cardsPerPage,
+    getSelected:         getSelected,
+    select:              select,
+    raidSummaries:       raidSummaries,
+    selectRaidSummaries: selectRaidSummaries,
+    setStorage:          setStorage,
+    PAPER_SIZES:         PAPER_SIZES,
+    CARD_GAP:            CARD_GAP,
+  };
+
+})();
+
+// Export for CommonJS (Node.js, the Expo app) or as a global for <script>
+// tags and workers (importScripts)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PrintLayouts;
+} else {
+  globalThis.PrintLayouts = PrintLayouts;
+}
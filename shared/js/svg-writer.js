@@ -0,0 +1,182 @@
+/**
+ * SvgWriter — Flight Cards as SVG Images
+ * ======================================
+ *
+ * Draws one SVG image with the drawing calls of a PdfWriter page (rect,
+ * line, circle, text, addJpeg and image) and its Helvetica metrics
+ * (textWidth, fitText, wrapText), so the PDF card drawing in
+ * PrintGenerator draws the same card as a standalone SVG for the tabletop
+ * setup export. Everything is drawn in points from the top-left corner;
+ * the image is one unit per point.
+ *
+ * JPEGs are embedded as data URIs (xlink:href, which older SVG renderers
+ * such as VASSAL's need), so the image needs no other files.
+ *
+ * Usage:
+ *   const svg = SvgWriter.create({ width: 286.5, height: 240 });
+ *   svg.rect(1, 1, 284.5, 238, { stroke: 0, lineWidth: 2 });
+ *   svg.text(5, 12, 'F-15C', { font: 'bold', size: 7 });
+ *   const markup = svg.toString();
+ *
+ * SCRIPT LOAD ORDER
+ * -----------------
+ * Load after pdf-writer.js (text metrics), before print-generator.js:
+ *   <script src="../../../shared/js/pdf-writer.js"></script>
+ *   <script src="../../../shared/js/svg-writer.js"></script>   <!-- THIS FILE -->
+ *   <script src="../../../shared/oob-generator/js/print-generator.js"></script>
+ */
+
+const SvgWriter = (function ({ PdfWriter }) {
+
+  /** Text attributes of the PdfWriter fonts */
+  const FONTS = {
+    regular: '',
+    bold: ' font-weight="bold"',
+    italic: ' font-style="italic"'
+  };
+
+  /** Numbers with at most two decimals, no trailing zeros (as PdfWriter) */
+  function num(value) {
+    const rounded = Math.round(value * 100) / 100;
+    return Object.is(rounded, -0) ? '0' : String(rounded);
+  }
+
+  /** Gray level (0 black - 1 white) as an SVG colour */
+  function gray(level) {
+    const hex = Math.round(Math.min(1, Math.max(0, level)) * 255).toString(16).padStart(2, '0');
+    return `#${hex}${hex}${hex}`;
+  }
+
+  function escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /** Bytes as base64 (btoa takes one character per byte) */
+  function base64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Start an SVG image
+   * @param {object} options - { width, height } in points
+   * @returns {object} Image (see the usage above)
+   */
+  function create(options) {
+    const { width, height } = options;
+    const elements = [];
+    const images = {};
+
+    function stroke(style) {
+      return ` stroke="${gray(style.stroke ?? 0)}" stroke-width="${num(style.lineWidth ?? 1)}"`;
+    }
+
+    return {
+      width,
+      height,
+
+      /**
+       * Rectangle, filled and/or stroked in gray (0 black - 1 white)
+       * @param {object} [style] - { fill, stroke, lineWidth }
+       */
+      rect(x, y, w, h, style = { stroke: 0 }) {
+        const { fill = null } = style;
+        const paint = fill !== null ? ` fill="${gray(fill)}"` : ' fill="none"';
+        const outline = style.stroke !== null && style.stroke !== undefined ? stroke(style) : '';
+        elements.push(`<rect x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}"${paint}${outline}/>`);
+      },
+
+      /**
+       * Straight line
+       * @param {object} [style] - { stroke, lineWidth }
+       */
+      line(x1, y1, x2, y2, style = {}) {
+        elements.push(`<line x1="${num(x1)}" y1="${num(y1)}" x2="${num(x2)}" y2="${num(y2)}"${stroke(style)}/>`);
+      },
+
+      /**
+       * Circle outline
+       * @param {object} [style] - { stroke, lineWidth }
+       */
+      circle(cx, cy, r, style = {}) {
+        elements.push(`<circle cx="${num(cx)}" cy="${num(cy)}" r="${num(r)}" fill="none"${stroke(style)}/>`);
+      },
+
+      /**
+       * One line of text, y being the baseline
+       * @param {object} [style] - { font: 'regular'|'bold'|'italic', size, gray }
+       */
+      text(x, y, text, style = {}) {
+        if (String(text).length === 0) return;
+        const font = FONTS[style.font] || FONTS.regular;
+        elements.push(`<text x="${num(x)}" y="${num(y)}" font-size="${num(style.size || 10)}" ` +
+          `fill="${gray(style.gray ?? 0)}"${font}>${escapeXml(text)}</text>`);
+      },
+
+      /**
+       * Add a JPEG for image(). Other formats are not supported, as in
+       * PdfWriter.
+       * @param {Uint8Array} bytes
+       * @returns {object|null} { name, width, height }, null if not a JPEG
+       */
+      addJpeg(bytes) {
+        const info = PdfWriter.readJpegInfo(bytes);
+        if (!info || ![1, 3, 4].includes(info.components)) return null;
+        const name = `Im${Object.keys(images).length + 1}`;
+        images[name] = `data:image/jpeg;base64,${base64(bytes)}`;
+        return { name, width: info.width, height: info.height };
+      },
+
+      /** Draw an image from addJpeg() into a box */
+      image(name, x, y, w, h) {
+        elements.push(`<image x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}" ` +
+          `preserveAspectRatio="none" xlink:href="${images[name]}"/>`);
+      },
+
+      textWidth: PdfWriter.textWidth,
+      fitText: PdfWriter.fitText,
+      wrapText: PdfWriter.wrapText,
+
+      /**
+       * The finished SVG image on a white background
+       * @returns {string}
+       */
+      toString() {
+        return [
+          `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+            `width="${num(width)}" height="${num(height)}" viewBox="0 0 ${num(width)} ${num(height)}" ` +
+            `font-family="Helvetica, Arial, sans-serif">`,
+          `<rect width="${num(width)}" height="${num(height)}" fill="#ffffff"/>`,
+          ...elements,
+          '</svg>'
+        ].join('\n');
+      }
+    };
+  }
+
+  // =========================================================================
+  //  PUBLIC API
+  // =========================================================================
+
+  return {
+    create: create,
+  };
+
+})(typeof module !== 'undefined' && module.exports
+  ? { PdfWriter: require('./pdf-writer.js') }
+  : { PdfWriter });
+
+// Export for CommonJS (Node.js, the Expo app) or as a global for <script>
+// tags and workers (importScripts)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SvgWriter;
+} else {
+  globalThis.SvgWriter = SvgWriter;
+}
@@ -1213,14 +1213,12 @@ function applyDualBombLoad(modifiedData, sourceTable, tasking) {
   }
 }
 
-// Export for use in other modules
+// Export for CommonJS (Node.js, the Expo app) or as a global for <script>
+// tags and workers (importScripts)
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = { applyDesignerNoteRules };
-}
-
-// Make available globally for index.html
-if (typeof window !== 'undefined') {
-  window.applyDesignerNoteRules = applyDesignerNoteRules;
+} else {
+  globalThis.applyDesignerNoteRules = applyDesignerNoteRules;
 }
 
 console.log('Aircraft notes module loaded');
@@ -0,0 +1,262 @@
+/**
+ * BatchSimulator — Aggregate Results of Many Table Rolls
+ * =======================================================
+ *
+ * Rolls a table many times through TableProcessorFactory.processTable()
+ * and tallies what comes up, for scenario balancing:
+ *
+ *   - Aircraft types: flights and aircraft per nation and aircraft type
+ *   - Package size: aircraft per raid, on average and as a distribution
+ *   - Guided bombs: share of flights with ordnance that carry LGB/EOGB
+ *   - Split SEAD: share of raids whose SEAD is a split F-4G pair
+ *     (F-4G/F-4E or F-4G/F-16C, whose components have no aircraft ID)
+ *
+ * Run i is rolled with deriveRollSeed(seed, i), the seed Make Rolls gives
+ * the i-th roll of a batch, so any run can be regenerated on the page.
+ * Runs are rolled in batches into one tally (runBatch), so a worker can
+ * report progress between batches; summarize() turns the tally into the
+ * report the simulation panel charts and toCsv() exports.
+ *
+ * Summary shape:
+ *
+ *   {
+ *     tableId, params, seed,
+ *     runs:            number,
+ *     errors:          [{ message, count }],
+ *     averageFlights:  number,   // per raid, error results not counted
+ *     averageAircraft: number,
+ *     aircraftTypes:   [{ nationality, aircraftType, flights, aircraft, share }],
+ *     packageSizes:    [{ aircraft, raids, share }],
+ *     guidedBombs:     { flights, ordnanceFlights, share },
+ *     splitSead:       { raids, seadRaids, share }
+ *   }
+ *
+ * Shares are fractions (0-1): of all flights for aircraft types, of raids
+ * for package sizes and split SEAD, of flights with ordnance for guided
+ * bombs.
+ *
+ * SCRIPT LOAD ORDER
+ * -----------------
+ * simulation-worker.js loads it after the engine scripts. On the page, load
+ * after dice-roller.js, before ui-controller.js:
+ *   <script src="dice-roller.js"></script>
+ *   <script src="batch-simulator.js"></script>   <!-- THIS FILE -->
+ */
+
+const BatchSimulator = (function ({ DiceRoller }) {
+
+  /** Ordnance counted as guided bombs */
+  const GUIDED_BOMBS = /\b(LGB|EOGB)\b/;
+
+  const CSV_COLUMNS = ['section', 'item', 'raids', 'flights', 'aircraft', 'share'];
+
+  // =========================================================================
+  //  TALLY
+  // =========================================================================
+
+  /**
+   * Start an empty tally for a simulation
+   * @param {string} tableId - Table identifier
+   * @param {object} params - Processor parameters
+   * @param {string} seed - Seed of the first run
+   * @returns {object} Tally (plain data, safe to post between threads)
+   */
+  function createTally(tableId, params, seed) {
+    return {
+      tableId,
+      params,
+      seed,
+      runs: 0,
+      raids: 0,
+      errors: {},
+      flights: 0,
+      aircraft: 0,
+      aircraftTypes: {},
+      packageSizes: {},
+      ordnanceFlights: 0,
+      guidedBombFlights: 0,
+      seadRaids: 0,
+      splitSeadRaids: 0,
+    };
+  }
+
+  /**
+   * Add one canonical result to a tally
+   * @param {object} tally - Tally from createTally()
+   * @param {object} result - Canonical result (ResultSchema)
+   */
+  function addResult(tally, result) {
+    tally.runs++;
+    if (result.error) {
+      tally.errors[result.error] = (tally.errors[result.error] || 0) + 1;
+      return;
+    }
+
+    let raidAircraft = 0;
+    for (const flight of result.flights) {
+      const flights = flight.flightCount;
+      const aircraft = flight.flightCount * flight.flightSize;
+      const key = `${flight.nationality} ${flight.aircraftType}`;
+      const type = tally.aircraftTypes[key] || (tally.aircraftTypes[key] = {
+        nationality: flight.nationality,
+        aircraftType: flight.aircraftType,
+        flights: 0,
+        aircraft: 0,
+      });
+      type.flights += flights;
+      type.aircraft += aircraft;
+      tally.flights += flights;
+      raidAircraft += aircraft;
+
+      if (flight.ordnance) {
+        tally.ordnanceFlights += flights;
+        if (GUIDED_BOMBS.test(flight.ordnance)) {
+          tally.guidedBombFlights += flights;
+        }
+      }
+    }
+
+    const sead = result.flights.filter(flight => flight.tasking === 'SEAD');
+    if (sead.length > 0) {
+      tally.seadRaids++;
+      if (sead.some(flight => flight.aircraftType === 'F-4G' && flight.aircraftId === null)) {
+        tally.splitSeadRaids++;
+      }
+    }
+
+    tally.raids++;
+    tally.aircraft += raidAircraft;
+    tally.packageSizes[raidAircraft] = (tally.packageSizes[raidAircraft] || 0) + 1;
+  }
+
+  /**
+   * Roll the next runs of a simulation into its tally. Dice are always
+   * random here (a manual dice setting is put back afterwards), and the
+   * RNG is unseeded when the batch ends.
+   * @param {TableProcessorFactory} factory - Factory over the table data
+   * @param {object} tally - Tally from createTally()
+   * @param {number} count - Number of runs to roll
+   * @returns {object} The tally
+   */
+  function runBatch(factory, tally, count) {
+    const diceSource = DiceRoller.getDiceSource();
+    DiceRoller.setDiceSource('random');
+    try {
+      const end = tally.runs + count;
+      for (let run = tally.runs; run < end; run++) {
+        DiceRoller.setRngSeed(DiceRoller.deriveRollSeed(tally.seed, run));
+        addResult(tally, factory.processTable(tally.tableId, tally.params));
+      }
+    } finally {
+      DiceRoller.setRngSeed(null);
+      DiceRoller.setDiceSource(diceSource);
+    }
+    return tally;
+  }
+
+  // =========================================================================
+  //  REPORT
+  // =========================================================================
+
+  function share(count, total) {
+    return total > 0 ? count / total : 0;
+  }
+
+  /**
+   * Summarize a tally (see the summary shape above)
+   * @param {object} tally - Tally from createTally()
+   * @returns {object} Summary
+   */
+  function summarize(tally) {
+    return {
+      tableId: tally.tableId,
+      params: tally.params,
+      seed: tally.seed,
+      runs: tally.runs,
+      errors: Object.entries(tally.errors)
+        .map(([message, count]) => ({ message, count }))
+        .sort((a, b) => b.count - a.count),
+      averageFlights: share(tally.flights, tally.raids),
+      averageAircraft: share(tally.aircraft, tally.raids),
+      aircraftTypes: Object.values(tally.aircraftTypes)
+        .map(type => ({ ...type, share: share(type.flights, tally.flights) }))
+        .sort((a, b) => b.flights - a.flights || a.aircraftType.localeCompare(b.aircraftType)),
+      packageSizes: Object.entries(tally.packageSizes)
+        .map(([aircraft, raids]) => ({ aircraft: Number(aircraft), raids, share: share(raids, tally.raids) }))
+        .sort((a, b) => a.aircraft - b.aircraft),
+      guidedBombs: {
+        flights: tally.guidedBombFlights,
+        ordnanceFlights: tally.ordnanceFlights,
+        share: share(tally.guidedBombFlights, tally.ordnanceFlights),
+      },
+      splitSead: {
+        raids: tally.splitSeadRaids,
+        seadRaids: tally.seadRaids,
+        share: share(tally.splitSeadRaids, tally.raids),
+      },
+    };
+  }
+
+  function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function round(value) {
+    return Math.round(value * 10000) / 10000;
+  }
+
+  /**
+   * Summary as CSV: one row per reported figure, sections in the order the
+   * panel shows them
+   * @param {object} summary - Summary from summarize()
+   * @returns {string} CSV text (CRLF line ends)
+   */
+  function toCsv(summary) {
+    const rows = [
+      { section: 'table', item: summary.tableId },
+      { section: 'seed', item: summary.seed },
+      ...Object.entries(summary.params).map(([name, value]) => ({ section: 'parameter', item: `${name}=${value}` })),
+      { section: 'runs', raids: summary.runs },
+      ...summary.errors.map(error => ({ section: 'error', item: error.message, raids: error.count, share: round(share(error.count, summary.runs)) })),
+      { section: 'average per raid', flights: round(summary.averageFlights), aircraft: round(summary.averageAircraft) },
+      ...summary.aircraftTypes.map(type => ({
+        section: 'aircraft type',
+        item: `${type.nationality} ${type.aircraftType}`.trim(),
+        flights: type.flights,
+        aircraft: type.aircraft,
+        share: round(type.share),
+      })),
+      ...summary.packageSizes.map(size => ({ section: 'package size', item: size.aircraft, raids: size.raids, share: round(size.share) })),
+      { section: 'guided bombs', item: 'LGB/EOGB', flights: summary.guidedBombs.flights, share: round(summary.guidedBombs.share) },
+      { section: 'split SEAD', item: 'F-4G pair', raids: summary.splitSead.raids, share: round(summary.splitSead.share) },
+    ];
+    return [CSV_COLUMNS, ...rows.map(row => CSV_COLUMNS.map(column => row[column]))]
+      .map(row => row.map(csvField).join(','))
+      .join('\r\n') + '\r\n';
+  }
+
+  // =========================================================================
+  //  PUBLIC API
+  // =========================================================================
+
+  return {
+    createTally: createTally,
+    addResult:   addResult,
+    runBatch:    runBatch,
+    summarize:   summarize,
+    toCsv:       toCsv,
+    CSV_COLUMNS: CSV_COLUMNS,
+  };
+
+})(typeof module !== 'undefined' && module.exports
+  ? { DiceRoller: require('./dice-roller.js') }
+  : { DiceRoller });
+
+// Export for CommonJS (Node.js, the Expo app) or as a global for <script>
+// tags and workers (importScripts)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BatchSimulator;
+} else {
+  globalThis.BatchSimulator = BatchSimulator;
+}
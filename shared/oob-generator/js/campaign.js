@@ -0,0 +1,464 @@
+/**
+ * Campaign — Raids and Losses Across Game Turns
+ * ==============================================
+ *
+ * A campaign links OOB generator sessions into a sequence of game days.
+ * Each day records the raids generated for it and, per flight, how many
+ * aircraft were destroyed or damaged. The scenario date carries forward
+ * from day to day and can be advanced to the next date period.
+ *
+ *   {
+ *     format:    "oob-generator-campaign",
+ *     version:   1,
+ *     module:    string,               // "red-storm", "baltic-approaches"
+ *     name:      string,
+ *     createdAt: string,               // ISO timestamp
+ *     dates:     (string|number)[],    // Scenario dates in campaign order
+ *     days:      Day[]                 // The last day is the current day
+ *   }
+ *
+ *   Day    { day: number, scenarioDate: string|number, raids: Raid[] }
+ *   Raid   { id, table, tableName, faction, raidType, nationality, text,
+ *            rolledAt, seed, flights: Flight[] }
+ *   Flight { aircraftType, aircraftId, nationality, tasking, flightSize,
+ *            flightCount, text, destroyed, damaged }
+ *
+ * Losses are counted in aircraft; a flight entry of 4 x {2} F-15C can
+ * lose at most 8. Every function that changes a campaign returns a new
+ * campaign and leaves the one passed in alone.
+ *
+ * Campaign files use the same versioning as session documents: parse()
+ * upgrades older versions through MIGRATIONS and rejects newer ones.
+ *
+ * SCRIPT LOAD ORDER
+ * -----------------
+ * Load after session-document.js, before session-store.js:
+ *   <script src="session-document.js"></script>
+ *   <script src="campaign.js"></script>   <!-- THIS FILE -->
+ *   <script src="session-store.js"></script>
+ */
+
+const Campaign = (function () {
+  'use strict';
+
+  const FORMAT = 'oob-generator-campaign';
+  const VERSION = 1;
+
+  /**
+   * Upgrades from each older version to the next (version → function)
+   */
+  const MIGRATIONS = {};
+
+  /**
+   * Thrown for invalid campaign changes (losses above the flight's
+   * aircraft, advancing past the last date) and unreadable campaign files
+   */
+  class CampaignError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'CampaignError';
+    }
+  }
+
+  function copy(campaign) {
+    return JSON.parse(JSON.stringify(campaign));
+  }
+
+  // =========================================================================
+  //  DAYS
+  // =========================================================================
+
+  /**
+   * Start a campaign on day 1
+   * @param {object} options - { module, name, dates, scenarioDate }
+   *   dates lists the module's scenario dates in order; scenarioDate is
+   *   the starting date (default: the first)
+   * @returns {object} Campaign
+   * @throws {CampaignError} If the name is blank or the date is not one of the dates
+   */
+  function create(options) {
+    const name = typeof options.name === 'string' ? options.name.trim() : '';
+    if (!name) {
+      throw new CampaignError('Campaign name is required');
+    }
+    const dates = options.dates || [];
+    const scenarioDate = options.scenarioDate ?? dates[0] ?? null;
+    if (dates.length > 0 && !dates.includes(scenarioDate)) {
+      throw new CampaignError(`Unknown scenario date "${scenarioDate}"`);
+    }
+
+    return {
+      format: FORMAT,
+      version: VERSION,
+      module: options.module || null,
+      name,
+      createdAt: new Date().toISOString(),
+      dates: [...dates],
+      days: [{ day: 1, scenarioDate, raids: [] }],
+    };
+  }
+
+  /**
+   * The day raids are currently recorded in
+   * @param {object} campaign - Campaign
+   * @returns {object} Day
+   */
+  function currentDay(campaign) {
+    return campaign.days[campaign.days.length - 1];
+  }
+
+  /**
+   * The scenario date after the current one, or null on the last date
+   * @param {object} campaign - Campaign
+   * @returns {string|number|null}
+   */
+  function nextDate(campaign) {
+    const index = campaign.dates.indexOf(currentDay(campaign).scenarioDate);
+    return index >= 0 && index < campaign.dates.length - 1 ? campaign.dates[index + 1] : null;
+  }
+
+  /**
+   * Start the next day, carrying the scenario date forward
+   * @param {object} campaign - Campaign
+   * @param {object} [options] - { advanceDate: true } moves to the next date period
+   * @returns {object} Campaign
+   * @throws {CampaignError} If advancing from the last date
+   */
+  function nextDay(campaign, options = {}) {
+    const today = currentDay(campaign);
+    let scenarioDate = today.scenarioDate;
+    if (options.advanceDate) {
+      scenarioDate = nextDate(campaign);
+      if (scenarioDate === null) {
+        throw new CampaignError('The campaign is already on its last scenario date');
+      }
+    }
+
+    const updated = copy(campaign);
+    updated.days.push({ day: today.day + 1, scenarioDate, raids: [] });
+    return updated;
+  }
+
+  // =========================================================================
+  //  RAIDS AND LOSSES
+  // =========================================================================
+
+  /**
+   * Campaign record of a generated result
+   */
+  function toRaid(result, id) {
+    return {
+      id,
+      table: result.table,
+      tableName: result.tableName || null,
+      faction: result.faction,
+      raidType: result.raidType ?? null,
+      nationality: result.nationality ?? null,
+      text: result.text,
+      rolledAt: result.timestamp ?? null,
+      seed: result.seed ?? null,
+      flights: result.flights.map(flight => ({
+        aircraftType: flight.aircraftType,
+        aircraftId: flight.aircraftId ?? null,
+        nationality: flight.nationality,
+        tasking: flight.tasking,
+        flightSize: flight.flightSize,
+        flightCount: flight.flightCount,
+        text: flight.text,
+        destroyed: 0,
+        damaged: 0,
+      })),
+    };
+  }
+
+  /**
+   * Whether a generated result is already recorded (anywhere in the campaign)
+   */
+  function isRecorded(campaign, result) {
+    return result.timestamp !== undefined && campaign.days.some(day =>
+      day.raids.some(raid => raid.rolledAt === result.timestamp && raid.table === result.table));
+  }
+
+  /**
+   * Record generated results as raids on the current day. Error results
+   * and results already in the campaign are skipped.
+   * @param {object} campaign - Campaign
+   * @param {object[]} results - Results list entries
+   * @returns {object} { campaign, added } — the updated campaign and the number of raids added
+   */
+  function addRaids(campaign, results) {
+    const updated = copy(campaign);
+    const day = currentDay(updated);
+    let number = day.raids.reduce((max, raid) => Math.max(max, Number(raid.id.split('-')[1])), 0);
+    let added = 0;
+
+    for (const result of results) {
+      if (result.error || isRecorded(updated, result)) continue;
+      number++;
+      day.raids.push(toRaid(result, `${day.day}-${number}`));
+      added++;
+    }
+    return { campaign: updated, added };
+  }
+
+  function findRaid(campaign, raidId) {
+    for (const day of campaign.days) {
+      const raid = day.raids.find(entry => entry.id === raidId);
+      if (raid) return raid;
+    }
+    throw new CampaignError(`No raid "${raidId}" in the campaign`);
+  }
+
+  /**
+   * Remove a raid
+   * @param {object} campaign - Campaign
+   * @param {string} raidId - Raid id (e.g. "2-1")
+   * @returns {object} Campaign
+   */
+  function removeRaid(campaign, raidId) {
+    findRaid(campaign, raidId);
+    const updated = copy(campaign);
+    for (const day of updated.days) {
+      day.raids = day.raids.filter(raid => raid.id !== raidId);
+    }
+    return updated;
+  }
+
+  /**
+   * Set a flight's losses
+   * @param {object} campaign - Campaign
+   * @param {string} raidId - Raid id
+   * @param {number} flightIndex - Index in the raid's flights
+   * @param {object} losses - { destroyed, damaged } (aircraft; either may be omitted)
+   * @returns {object} Campaign
+   * @throws {CampaignError} If the counts are not whole numbers or exceed the flight's aircraft
+   */
+  function setLosses(campaign, raidId, flightIndex, losses) {
+    const updated = copy(campaign);
+    const raid = findRaid(updated, raidId);
+    const flight = raid.flights[flightIndex];
+    if (!flight) {
+      throw new CampaignError(`Raid ${raidId} has no flight ${flightIndex + 1}`);
+    }
+
+    const destroyed = losses.destroyed ?? flight.destroyed;
+    const damaged = losses.damaged ?? flight.damaged;
+    for (const [field, value] of [['destroyed', destroyed], ['damaged', damaged]]) {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new CampaignError(`Aircraft ${field} must be a whole number of 0 or more`);
+      }
+    }
+    const aircraft = flight.flightCount * flight.flightSize;
+    if (destroyed + damaged > aircraft) {
+      throw new CampaignError(`${flight.aircraftType} (${flight.tasking}) has only ${aircraft} aircraft`);
+    }
+
+    flight.destroyed = destroyed;
+    flight.damaged = damaged;
+    return updated;
+  }
+
+  // =========================================================================
+  //  LEDGER
+  // =========================================================================
+
+  /**
+   * Sorties and losses per nation
+   * @param {object} campaign - Campaign
+   * @param {object} [options] - { day } limits the ledger to one day
+   * @returns {object[]} [{ faction, nationality, raids, flights, sorties, destroyed, damaged }]
+   *   sorted by faction, then nation; sorties and losses count aircraft
+   */
+  function ledger(campaign, options = {}) {
+    const rows = new Map();
+    const days = options.day === undefined
+      ? campaign.days
+      : campaign.days.filter(day => day.day === options.day);
+
+    for (const day of days) {
+      for (const raid of day.raids) {
+        const nations = new Set();
+        for (const flight of raid.flights) {
+          const rowKey = `${raid.faction}|${flight.nationality}`;
+          if (!rows.has(rowKey)) {
+            rows.set(rowKey, {
+              faction: raid.faction,
+              nationality: flight.nationality,
+              raids: 0,
+              flights: 0,
+              sorties: 0,
+              destroyed: 0,
+              damaged: 0,
+            });
+          }
+          const row = rows.get(rowKey);
+          if (!nations.has(rowKey)) {
+            row.raids++;
+            nations.add(rowKey);
+          }
+          row.flights += flight.flightCount;
+          row.sorties += flight.flightCount * flight.flightSize;
+          row.destroyed += flight.destroyed;
+          row.damaged += flight.damaged;
+        }
+      }
+    }
+
+    return [...rows.values()].sort((a, b) =>
+      a.faction.localeCompare(b.faction) || a.nationality.localeCompare(b.nationality));
+  }
+
+  // =========================================================================
+  //  FILES
+  // =========================================================================
+
+  /**
+   * Serialize a campaign as JSON text
+   * @param {object} campaign - Campaign
+   * @returns {string} Indented JSON
+   */
+  function serialize(campaign) {
+    return JSON.stringify(campaign, null, 2);
+  }
+
+  /**
+   * Download file name, e.g. "campaign-baltic-approaches-danish-straits.json"
+   * @param {object} campaign - Campaign
+   * @returns {string} File name
+   */
+  function filename(campaign) {
+    const parts = ['campaign', campaign.module, campaign.name].filter(Boolean);
+    return `${parts.join('-').toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/-+/g, '-')}.json`;
+  }
+
+  function migrate(campaign) {
+    let current = campaign;
+    while (current.version < VERSION) {
+      const upgrade = MIGRATIONS[current.version];
+      if (!upgrade) {
+        throw new CampaignError(`No upgrade from campaign version ${current.version}`);
+      }
+      current = { ...upgrade(current), version: current.version + 1 };
+    }
+    return current;
+  }
+
+  /**
+   * Check a current-version campaign, returning every problem found
+   * @param {object} campaign - Campaign
+   * @returns {string[]} Errors (empty when the campaign is valid)
+   */
+  function validate(campaign) {
+    const errors = [];
+
+    if (!campaign.module || typeof campaign.module !== 'string') {
+      errors.push('missing "module"');
+    }
+    if (!campaign.name || typeof campaign.name !== 'string') {
+      errors.push('missing "name"');
+    }
+    if (!Array.isArray(campaign.dates)) {
+      errors.push('"dates" must be an array');
+    }
+    if (!Array.isArray(campaign.days) || campaign.days.length === 0) {
+      errors.push('"days" must be a non-empty array');
+      return errors;
+    }
+
+    campaign.days.forEach((day, dayIndex) => {
+      const dayContext = `Day ${dayIndex + 1}`;
+      if (!day || day.day !== dayIndex + 1) {
+        errors.push(`${dayContext}: day must be ${dayIndex + 1}`);
+      }
+      if (!day || !Array.isArray(day.raids)) {
+        errors.push(`${dayContext}: raids must be an array`);
+        return;
+      }
+
+      day.raids.forEach(raid => {
+        const raidContext = `${dayContext}, raid ${raid && raid.id}`;
+        if (!raid || typeof raid.id !== 'string' || typeof raid.table !== 'string') {
+          errors.push(`${raidContext}: missing id or table`);
+          return;
+        }
+        if (!Array.isArray(raid.flights)) {
+          errors.push(`${raidContext}: flights must be an array`);
+          return;
+        }
+        raid.flights.forEach((flight, flightIndex) => {
+          const aircraft = flight.flightCount * flight.flightSize;
+          if (!Number.isInteger(flight.destroyed) || !Number.isInteger(flight.damaged) ||
+              flight.destroyed < 0 || flight.damaged < 0 || !(flight.destroyed + flight.damaged <= aircraft)) {
+            errors.push(`${raidContext}, flight ${flightIndex + 1}: invalid losses`);
+          }
+        });
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Read a campaign from JSON text, upgrading older versions
+   * @param {string} text - File contents
+   * @returns {object} Campaign at the current version
+   * @throws {CampaignError} If the text is not a valid campaign file
+   */
+  function parse(text) {
+    let campaign;
+    try {
+      campaign = JSON.parse(text);
+    } catch (error) {
+      throw new CampaignError(`Not a JSON file: ${error.message}`);
+    }
+
+    if (!campaign || typeof campaign !== 'object' || campaign.format !== FORMAT) {
+      throw new CampaignError('Not an OOB generator campaign file');
+    }
+    if (!Number.isInteger(campaign.version) || campaign.version < 1) {
+      throw new CampaignError(`Unknown campaign version "${campaign.version}"`);
+    }
+    if (campaign.version > VERSION) {
+      throw new CampaignError(`This campaign was saved by a newer version of the OOB generator (version ${campaign.version})`);
+    }
+
+    const current = migrate(campaign);
+    const errors = validate(current);
+    if (errors.length > 0) {
+      throw new CampaignError(`Invalid campaign file:\n${errors.join('\n')}`);
+    }
+    return current;
+  }
+
+  // =========================================================================
+  //  PUBLIC API
+  // =========================================================================
+
+  return {
+    FORMAT:        FORMAT,
+    VERSION:       VERSION,
+    MIGRATIONS:    MIGRATIONS,
+    create:        create,
+    currentDay:    currentDay,
+    nextDate:      nextDate,
+    nextDay:       nextDay,
+    addRaids:      addRaids,
+    removeRaid:    removeRaid,
+    setLosses:     setLosses,
+    ledger:        ledger,
+    serialize:     serialize,
+    filename:      filename,
+    parse:         parse,
+    validate:      validate,
+    CampaignError: CampaignError,
+  };
+
+})();
+
+// Export for both browser (window.Campaign) and Node.js (module.exports)
+if (typeof window !== 'undefined') {
+  window.Campaign = Campaign;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Campaign;
+}
@@ -1,100 +1,377 @@
 /**
- * OOB Generator - Dice Rolling and Probability Module
- * 
- * Purpose:
- * - Handle all random number generation (dice rolls)
- * - Provide probability calculations
- * - Support debug mode for roll transparency
- * - Ensure fair and consistent random results
- * 
- * Future Responsibilities:
- * - Generate random rolls with specified ranges
- * - Track rolls for debug mode
- * - Calculate probabilities for table outcomes
- * - Support different dice types (d10, d6, etc.)
- * 
- * Functions to Extract:
- * - makeDebugRoll(): Generate roll with debug tracking
- * - rollDie(): Basic die roll function
- * - parseRange(): Parse range strings like "1-5" or "7"
-/**
- * OOB Generator - Dice Rolling and Probability
+ * OOB Generator - Dice Rolling
  * 
  * Purpose:
  * - Handle all random number generation and dice rolling
- * - Debug mode roll tracking
- * - Probability calculations and range checking
+ * - Seeded RNG so a roll can be regenerated from its seed
+ * - Manual dice mode (the player enters physical dice rolls)
+ * - Roll journal and debug mode roll tracking
  * 
- * Dependencies: None (self-contained)
+ * Dependencies: None (self-contained). Nothing here touches the page: the
+ * browser adapter (engine-browser.js) supplies the manual roll prompt and
+ * the debug mode button, so the same module runs in Node.js, a Web Worker
+ * or the mobile app.
+ * 
+ * Usage:
+ *   const DiceRoller = require('./dice-roller.js');   // or the DiceRoller global
+ *   DiceRoller.setRngSeed('abc');
+ *   const { roll } = DiceRoller.makeDebugRoll(10, 'Nationality');
  */
 
-// Global debug mode state
-let debugMode = false;
+const DiceRoller = (function () {
+  'use strict';
 
-/**
- * Toggle debug mode on/off
- */
-function toggleDebugMode() {
-  debugMode = !debugMode;
-  const button = document.getElementById('debugModeButton');
-  const status = document.getElementById('debugStatus');
-  
-  if (debugMode) {
-    button.textContent = 'Debug Mode: ON';
-    button.style.backgroundColor = '#d32f2f';
-    status.textContent = 'All die rolls will be shown';
-    status.style.color = '#d32f2f';
-  } else {
-    button.textContent = 'Debug Mode: OFF';
-    button.style.backgroundColor = '#666';
-    status.textContent = 'Debug mode shows all die rolls for testing';
-    status.style.color = '#888';
-  }
-  
-  // Refresh the results display to show/hide debug information
-  if (typeof updateResultsDisplay === 'function') {
-    updateResultsDisplay();
+  // Debug mode: each roll also returns a "<label>: <roll>" debug entry
+  let debugMode = false;
+
+  // Active RNG state. When no seed is set, rolls fall back to Math.random().
+  let rngSeed = null;
+  let rngSource = null;
+
+  // Dice source: 'random' (computer rolls) or 'manual' (player enters physical dice)
+  let diceSource = 'random';
+  let manualRollCancelled = false;
+
+  // Asks the player for a physical die roll: (message) => entered text, or
+  // null if cancelled. Set by the host (window.prompt in the browser adapter).
+  let manualRollPrompt = null;
+
+  // Roll journal for the generation in progress (null when not capturing)
+  let rollJournal = null;
+
+  /**
+   * Hash a seed string into a 32-bit unsigned integer (FNV-1a)
+   * @param {string} seed - Seed string
+   * @returns {number} 32-bit hash
+   */
+  function hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    const str = String(seed);
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
   }
-}
 
-/**
- * Make a debug-tracked roll
- * @param {number} sides - Number of sides on the die
- * @param {string} description - Description of what this roll is for
- * @returns {object} Object with roll result and debug entry
- */
-function makeDebugRoll(sides, description) {
-  const roll = Math.floor(Math.random() * sides) + 1;
-  const debugEntry = debugMode ? `${description}: ${roll}` : null;
-  return { roll, debugEntry };
-}
+  /**
+   * Create a deterministic RNG (mulberry32) from a seed string
+   * @param {string} seed - Seed string
+   * @returns {function} Function returning floats in [0, 1)
+   */
+  function createSeededRng(seed) {
+    let state = hashSeed(seed);
+    return function() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
 
-/**
- * Check if a roll falls within a range string (e.g., "1-4" or "7")
- * @param {number} roll - The roll result
- * @param {string} range - Range string like "1-4" or "7"
- * @returns {boolean} True if roll is in range
- */
-function isInRange(roll, range) {
-  if (range.includes('-')) {
-    const [min, max] = range.split('-').map(num => parseInt(num));
-    return roll >= min && roll <= max;
-  } else {
-    return roll === parseInt(range);
+  /**
+   * Generate a new random seed string (8 base-36 characters)
+   * @returns {string} Seed string
+   */
+  function generateRngSeed() {
+    let seed = '';
+    for (let i = 0; i < 8; i++) {
+      seed += Math.floor(Math.random() * 36).toString(36);
+    }
+    return seed;
   }
-}
 
-/**
- * Get the current debug mode state
- * @returns {boolean} Current debug mode state
- */
-function getDebugMode() {
-  return debugMode;
-}
+  /**
+   * Seed of one roll in a batch: the base seed for the first roll, then
+   * "<base>-2", "<base>-3", ... so each roll can be regenerated on its own
+   * @param {string} baseSeed - Seed of the first roll
+   * @param {number} index - Position of the roll in the batch (0 = first)
+   * @returns {string} Seed of the roll
+   */
+  function deriveRollSeed(baseSeed, index) {
+    return index === 0 ? baseSeed : `${baseSeed}-${index + 1}`;
+  }
+
+  /**
+   * Seeds for a batch of rolls (see deriveRollSeed)
+   * @param {string} baseSeed - Seed of the first roll
+   * @param {number} rollCount - Number of rolls
+   * @returns {string[]} One seed per roll
+   */
+  function deriveRollSeeds(baseSeed, rollCount) {
+    const seeds = [];
+    for (let i = 0; i < rollCount; i++) {
+      seeds.push(deriveRollSeed(baseSeed, i));
+    }
+    return seeds;
+  }
 
-// Make functions globally available for onclick handlers
-window.toggleDebugMode = toggleDebugMode;
-window.makeDebugRoll = makeDebugRoll;
-window.getDebugMode = getDebugMode;
+  /**
+   * Seed the RNG. Passing null or an empty string restores Math.random().
+   * @param {string|null} seed - Seed string
+   * @returns {string|null} The active seed
+   */
+  function setRngSeed(seed) {
+    if (seed === null || seed === undefined || String(seed).trim() === '') {
+      rngSeed = null;
+      rngSource = null;
+    } else {
+      rngSeed = String(seed).trim();
+      rngSource = createSeededRng(rngSeed);
+    }
+    return rngSeed;
+  }
+
+  /**
+   * Inject a custom random source (e.g. for tests or replay).
+   * Passing null restores Math.random().
+   * @param {function|null} source - Function returning floats in [0, 1)
+   */
+  function setRngSource(source) {
+    rngSeed = null;
+    rngSource = typeof source === 'function' ? source : null;
+  }
+
+  /**
+   * Get the active seed
+   * @returns {string|null} Current seed, or null when unseeded
+   */
+  function getRngSeed() {
+    return rngSeed;
+  }
+
+  /**
+   * Get the next random float from the active RNG
+   * @returns {number} Float in [0, 1)
+   */
+  function nextRandom() {
+    return rngSource ? rngSource() : Math.random();
+  }
+
+  /**
+   * Roll a die using the active RNG
+   * @param {number} sides - Number of sides on the die
+   * @returns {number} Roll result (1 to sides)
+   */
+  function rollDie(sides) {
+    return Math.floor(nextRandom() * sides) + 1;
+  }
+
+  /**
+   * Turn debug mode on or off
+   * @param {boolean} enabled
+   * @returns {boolean} The new debug mode state
+   */
+  function setDebugMode(enabled) {
+    debugMode = Boolean(enabled);
+    return debugMode;
+  }
+
+  /**
+   * Set the dice source
+   * @param {string} source - 'random' or 'manual'
+   * @returns {string} The dice source now in use
+   */
+  function setDiceSource(source) {
+    diceSource = source === 'manual' ? 'manual' : 'random';
+    manualRollCancelled = false;
+    return diceSource;
+  }
+
+  /**
+   * Get the current dice source
+   * @returns {string} 'random' or 'manual'
+   */
+  function getDiceSource() {
+    return diceSource;
+  }
+
+  /**
+   * Check whether the player cancelled a manual roll prompt since the last reset
+   * @returns {boolean} True if a manual roll was cancelled
+   */
+  function isManualRollCancelled() {
+    return manualRollCancelled;
+  }
+
+  /**
+   * Clear the manual roll cancelled flag (call before each generation)
+   */
+  function resetManualRollCancelled() {
+    manualRollCancelled = false;
+  }
+
+  /**
+   * Set how manual dice mode asks for a roll
+   * @param {function|null} prompt - (message) => entered text, or null when cancelled
+   */
+  function setManualRollPrompt(prompt) {
+    manualRollPrompt = typeof prompt === 'function' ? prompt : null;
+  }
+
+  /**
+   * Ask the player for a physical die roll, re-prompting until the value is valid.
+   * Throws if the prompt is cancelled so the processor stops mid-generation.
+   * @param {number} sides - Number of sides on the die
+   * @param {string} description - Description of what this roll is for
+   * @returns {number} Entered roll (1 to sides)
+   */
+  function promptForRoll(sides, description) {
+    if (manualRollCancelled) {
+      throw new Error('Manual roll cancelled');
+    }
+    if (!manualRollPrompt) {
+      throw new Error('Manual dice need a roll prompt (setManualRollPrompt)');
+    }
+
+    let message = `Roll 1d${sides} for: ${description}\nEnter a value from 1 to ${sides}:`;
+    for (;;) {
+      const input = manualRollPrompt(message);
+      if (input === null || input === undefined) {
+        manualRollCancelled = true;
+        throw new Error('Manual roll cancelled');
+      }
+
+      const value = Number(String(input).trim());
+      if (Number.isInteger(value) && value >= 1 && value <= sides) {
+        return value;
+      }
+      message = `"${input}" is not a valid d${sides} roll.\nRoll 1d${sides} for: ${description}\nEnter a value from 1 to ${sides}:`;
+    }
+  }
+
+  /**
+   * Start capturing a roll journal. Every makeDebugRoll() call is recorded
+   * until stopRollJournal() is called, whatever the debug mode setting.
+   */
+  function startRollJournal() {
+    rollJournal = [];
+  }
+
+  /**
+   * Stop capturing and return the recorded journal
+   * @returns {Array<object>} Journal entries in roll order
+   */
+  function stopRollJournal() {
+    const entries = rollJournal || [];
+    rollJournal = null;
+    return entries;
+  }
+
+  /**
+   * Create a journal entry for a roll. Processors fill in the modifier,
+   * modified value, matched range key and result once they interpret the roll.
+   * @param {number} sides - Number of sides on the die
+   * @param {string} label - Description of what this roll is for
+   * @param {number} roll - Raw roll value
+   * @returns {object} Journal entry
+   */
+  function createJournalEntry(sides, label, roll) {
+    return {
+      label,
+      die: sides,
+      raw: roll,
+      modifier: 0,
+      modified: roll,
+      matched: null,
+      result: null,
+      detail: null,
+      source: diceSource
+    };
+  }
+
+  /**
+   * Record something that is not a die roll (e.g. a reroll) in the roll
+   * journal being captured. Notes have no die; their text is in detail.
+   * @param {string} label - What happened (e.g. "Reroll")
+   * @param {string} detail - Description (e.g. "SEAD tasking")
+   * @returns {object} Journal entry
+   */
+  function noteRollJournal(label, detail) {
+    const journalEntry = { ...createJournalEntry(null, label, null), detail };
+    if (rollJournal) {
+      rollJournal.push(journalEntry);
+    }
+    return journalEntry;
+  }
+
+  /**
+   * Make a debug-tracked roll
+   * In manual dice mode the player is prompted for the value instead.
+   * The roll is also recorded in the roll journal when one is being captured.
+   * @param {number} sides - Number of sides on the die
+   * @param {string} description - Description of what this roll is for
+   * @returns {object} Object with roll result, debug entry and journal entry
+   */
+  function makeDebugRoll(sides, description) {
+    const roll = diceSource === 'manual' ? promptForRoll(sides, description) : rollDie(sides);
+    const debugEntry = debugMode ? `${description}: ${roll}` : null;
+    const journalEntry = createJournalEntry(sides, description, roll);
+    if (rollJournal) {
+      rollJournal.push(journalEntry);
+    }
+    return { roll, debugEntry, journalEntry };
+  }
+
+  /**
+   * Check if a roll falls within a range string (e.g., "1-4" or "7")
+   * @param {number} roll - The roll result
+   * @param {string} range - Range string like "1-4" or "7"
+   * @returns {boolean} True if roll is in range
+   */
+  function isInRange(roll, range) {
+    if (range.includes('-')) {
+      const [min, max] = range.split('-').map(num => parseInt(num));
+      return roll >= min && roll <= max;
+    } else {
+      return roll === parseInt(range);
+    }
+  }
+
+  /**
+   * Get the current debug mode state
+   * @returns {boolean} Current debug mode state
+   */
+  function getDebugMode() {
+    return debugMode;
+  }
+
+  // =========================================================================
+  //  PUBLIC API
+  // =========================================================================
+
+  return {
+    generateRngSeed:          generateRngSeed,
+    deriveRollSeed:           deriveRollSeed,
+    deriveRollSeeds:          deriveRollSeeds,
+    setRngSeed:               setRngSeed,
+    setRngSource:             setRngSource,
+    getRngSeed:               getRngSeed,
+    nextRandom:               nextRandom,
+    rollDie:                  rollDie,
+    setDebugMode:             setDebugMode,
+    getDebugMode:             getDebugMode,
+    setDiceSource:            setDiceSource,
+    getDiceSource:            getDiceSource,
+    isManualRollCancelled:    isManualRollCancelled,
+    resetManualRollCancelled: resetManualRollCancelled,
+    setManualRollPrompt:      setManualRollPrompt,
+    startRollJournal:         startRollJournal,
+    stopRollJournal:          stopRollJournal,
+    noteRollJournal:          noteRollJournal,
+    makeDebugRoll:            makeDebugRoll,
+    isInRange:                isInRange,
+  };
+
+})();
+
+// Export for CommonJS (Node.js, the Expo app) or as a global for <script>
+// tags and workers (importScripts)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DiceRoller;
+} else {
+  globalThis.DiceRoller = DiceRoller;
+}
 
 console.log('OOB Generator: dice-roller.js module loaded (Phase 4 - Component Extraction)');
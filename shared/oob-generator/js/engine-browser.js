@@ -0,0 +1,132 @@
+/**
+ * Engine Browser Adapter — The OOB Engine on the Generator Page
+ * ==============================================================
+ *
+ * The OOB engine (dice-roller.js, result-schema.js, the table processors and
+ * the factory) has no page dependencies, so it runs unchanged in Node.js, a
+ * Web Worker or the mobile app. This adapter connects it to the generator
+ * page:
+ *
+ *   - Manual dice mode asks for each roll with window.prompt()
+ *   - Strict result contract mode is on for localhost and ?strict pages
+ *   - The page's global functions (inline onclick handlers, ui-controller.js,
+ *     state-manager.js): the dice functions, toggleDebugMode() for the Debug
+ *     Mode button, setDiceSource() that keeps the dice source select in step,
+ *     and getTableProcessorFactory() for a factory over the loaded tables
+ *     (getTableDataSource() in utils.js)
+ *
+ * SCRIPT LOAD ORDER
+ * -----------------
+ * Load after result-schema.js and dice-roller.js, before state-manager.js:
+ *   <script src="result-schema.js"></script>
+ *   <script src="dice-roller.js"></script>
+ *   <script src="engine-browser.js"></script>   <!-- THIS FILE -->
+ */
+
+const EngineBrowser = (function ({ DiceRoller, ResultSchema }) {
+
+  /**
+   * Dice functions the page calls as globals
+   */
+  const PAGE_DICE_FUNCTIONS = [
+    'makeDebugRoll', 'getDebugMode', 'generateRngSeed', 'deriveRollSeeds',
+    'setRngSeed', 'setRngSource', 'getRngSeed', 'nextRandom', 'rollDie',
+    'getDiceSource', 'isManualRollCancelled', 'resetManualRollCancelled',
+    'startRollJournal', 'stopRollJournal', 'noteRollJournal',
+  ];
+
+  /**
+   * Strict by default in development: served from localhost, or ?strict
+   * in the URL
+   */
+  function developmentMode() {
+    if (!window.location) return false;
+    const { hostname, search } = window.location;
+    return hostname === 'localhost'
+      || hostname === '127.0.0.1'
+      || new URLSearchParams(search || '').has('strict');
+  }
+
+  /**
+   * Toggle debug mode on/off
+   */
+  function toggleDebugMode() {
+    const debugMode = DiceRoller.setDebugMode(!DiceRoller.getDebugMode());
+    const button = document.getElementById('debugModeButton');
+    const status = document.getElementById('debugStatus');
+
+    if (debugMode) {
+      button.textContent = 'Debug Mode: ON';
+      button.style.backgroundColor = '#d32f2f';
+      status.textContent = 'All die rolls will be shown';
+      status.style.color = '#d32f2f';
+    } else {
+      button.textContent = 'Debug Mode: OFF';
+      button.style.backgroundColor = '#666';
+      status.textContent = 'Debug mode shows all die rolls for testing';
+      status.style.color = '#888';
+    }
+
+    // Refresh the results display to show/hide debug information
+    if (typeof updateResultsDisplay === 'function') {
+      updateResultsDisplay();
+    }
+  }
+
+  /**
+   * Set the dice source and show it in the dice source select
+   * @param {string} source - 'random' or 'manual'
+   * @returns {string} The dice source now in use
+   */
+  function setDiceSource(source) {
+    const diceSource = DiceRoller.setDiceSource(source);
+    const select = typeof document !== 'undefined' ? document.getElementById('diceSource') : null;
+    if (select && select.value !== diceSource) {
+      select.value = diceSource;
+    }
+    return diceSource;
+  }
+
+  let tableProcessorFactory = null;
+
+  /**
+   * The page's table processor factory, reading the tables the page loaded
+   * @returns {TableProcessorFactory} Factory instance
+   */
+  function getTableProcessorFactory() {
+    if (!tableProcessorFactory) {
+      tableProcessorFactory = new window.TableProcessorFactory(() => getTableDataSource());
+    }
+    return tableProcessorFactory;
+  }
+
+  DiceRoller.setManualRollPrompt(message => window.prompt(message, ''));
+  ResultSchema.setStrict(developmentMode());
+
+  for (const name of PAGE_DICE_FUNCTIONS) {
+    window[name] = DiceRoller[name];
+  }
+  window.toggleDebugMode = toggleDebugMode;
+  window.setDiceSource = setDiceSource;
+  window.getTableProcessorFactory = getTableProcessorFactory;
+
+  return {
+    toggleDebugMode:          toggleDebugMode,
+    setDiceSource:            setDiceSource,
+    getTableProcessorFactory: getTableProcessorFactory,
+  };
+
+})(typeof module !== 'undefined' && module.exports
+  ? {
+      DiceRoller: require('./dice-roller.js'),
+      ResultSchema: require('./result-schema.js'),
+    }
+  : { DiceRoller, ResultSchema });
+
+// Export for both browser (window.EngineBrowser) and Node.js (module.exports)
+if (typeof window !== 'undefined') {
+  window.EngineBrowser = EngineBrowser;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EngineBrowser;
+}
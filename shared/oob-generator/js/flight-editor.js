@@ -0,0 +1,295 @@
+/**
+ * FlightEditor — Hand Edits to Generated Flights
+ * ===============================================
+ *
+ * Scenario special rules and house rules sometimes swap an aircraft or
+ * change a flight size after the roll. FlightEditor applies such an edit
+ * to one flight of a canonical ResultSchema result:
+ *
+ *   editFlight(result, 2, { aircraftId: 'US-F-16C-1', flightSize: 4 }, aircraftDB)
+ *
+ * Editable fields are the aircraft (aircraftId from the faction's aircraft
+ * database, which also sets aircraftType), nationality, tasking,
+ * flightSize and ordnance. The edited flight keeps the rolled values of
+ * the fields that changed in `overridden`, e.g.
+ *
+ *   overridden: { aircraftType: 'F-15C', aircraftId: 'US-F-15C-1', text: '...' }
+ *
+ * so it is marked as edited, can be described ("aircraft was F-15C") and
+ * can be reverted. Setting a field back to its rolled value drops it from
+ * `overridden`; a flight with nothing left overridden goes back to its
+ * rolled text and `overridden: null`.
+ *
+ * Edited flights get the standard flight text
+ * ("1 x {4} US F-16C, Bombing (Bombs/CBU/Rockets)") and the result text is
+ * rebuilt around them. Every edited result is checked with
+ * ResultSchema.check(), and PrintGenerator prints the edited fields as it
+ * does rolled ones (the card is looked up by aircraftId).
+ *
+ * SCRIPT LOAD ORDER
+ * -----------------
+ * Load after result-schema.js, before ui-controller.js:
+ *   <script src="result-schema.js"></script>
+ *   <script src="flight-editor.js"></script>   <!-- THIS FILE -->
+ */
+
+const FlightEditor = (function () {
+  'use strict';
+
+  /**
+   * Flight fields whose rolled values are kept in `overridden`
+   */
+  const TRACKED_FIELDS = ['aircraftType', 'aircraftId', 'nationality', 'actualNationality', 'tasking', 'flightSize', 'ordnance'];
+
+  /**
+   * How edited fields are named in describeOverride()
+   */
+  const FIELD_LABELS = {
+    aircraftType: 'aircraft',
+    nationality: 'nationality',
+    tasking: 'tasking',
+    flightSize: 'flight size',
+    ordnance: 'ordnance',
+  };
+
+  /**
+   * Aircraft database nations that the tables write differently
+   */
+  const NATION_CODES = {
+    Belgium: 'BE',
+    Canada: 'CAN',
+  };
+
+  /**
+   * Thrown for edits that cannot be applied (unknown aircraft or nation,
+   * blank tasking, flight sizes below 1)
+   */
+  class FlightEditError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'FlightEditError';
+    }
+  }
+
+  // =========================================================================
+  //  AIRCRAFT DATABASE
+  // =========================================================================
+
+  /**
+   * Aircraft of a faction database (aircraft-nato.json / aircraft-wp.json)
+   * @param {object} aircraftDB - Aircraft database keyed by aircraft name
+   * @returns {object[]} { id, aircraftType, name, nationality }
+   */
+  function aircraftEntries(aircraftDB) {
+    return Object.entries(aircraftDB || {})
+      .filter(([key, entry]) => !key.startsWith('_') && entry && entry.id)
+      .map(([key, entry]) => ({
+        id: entry.id,
+        aircraftType: key,
+        name: entry.name || key,
+        nationality: NATION_CODES[entry.nation] || entry.nation,
+      }));
+  }
+
+  /**
+   * Nationalities a flight of this faction can be given
+   * @param {object} aircraftDB - Faction aircraft database
+   * @returns {string[]} Sorted nationality codes
+   */
+  function nationalities(aircraftDB) {
+    return [...new Set(aircraftEntries(aircraftDB).map(entry => entry.nationality))].sort();
+  }
+
+  /**
+   * Aircraft to choose from for a flight: the nation's own aircraft, then
+   * the rest of the faction's (several nations fly aircraft listed under
+   * another nation, e.g. Dutch and Belgian F-16s)
+   * @param {object} aircraftDB - Faction aircraft database
+   * @param {string} nationality - Flight nationality
+   * @returns {object} { nation: entry[], other: entry[] }, each sorted by aircraftType
+   */
+  function aircraftOptions(aircraftDB, nationality) {
+    const entries = aircraftEntries(aircraftDB)
+      .sort((a, b) => a.aircraftType.localeCompare(b.aircraftType));
+    return {
+      nation: entries.filter(entry => entry.nationality === nationality),
+      other: entries.filter(entry => entry.nationality !== nationality),
+    };
+  }
+
+  // =========================================================================
+  //  EDITS
+  // =========================================================================
+
+  /**
+   * Standard text for an edited flight
+   * @param {object} flight - Canonical flight
+   * @returns {string} e.g. "1 x {4} US F-16C, Bombing (Bombs/CBU/Rockets)"
+   */
+  function flightText(flight) {
+    const text = `${flight.flightCount} x {${flight.flightSize}} ${flight.nationality} ${flight.aircraftType}, ${flight.tasking}`;
+    return flight.ordnance ? `${text} (${flight.ordnance})` : text;
+  }
+
+  /**
+   * Apply the changed fields to a flight, checking each value
+   */
+  function applyChanges(flight, changes, aircraftDB, faction) {
+    const edited = { ...flight };
+
+    if (changes.aircraftId !== undefined && changes.aircraftId !== flight.aircraftId) {
+      const aircraft = aircraftEntries(aircraftDB).find(entry => entry.id === changes.aircraftId);
+      if (!aircraft) {
+        throw new FlightEditError(`Unknown ${faction} aircraft "${changes.aircraftId}"`);
+      }
+      edited.aircraftId = aircraft.id;
+      edited.aircraftType = aircraft.aircraftType;
+    }
+
+    if (changes.nationality !== undefined) {
+      const nationality = String(changes.nationality).trim();
+      if (nationality !== flight.nationality) {
+        if (!nationalities(aircraftDB).includes(nationality)) {
+          throw new FlightEditError(`Unknown ${faction} nationality "${nationality}"`);
+        }
+        edited.nationality = nationality;
+        edited.actualNationality = null;
+      }
+    }
+
+    if (changes.tasking !== undefined) {
+      const tasking = String(changes.tasking).trim();
+      if (!tasking) {
+        throw new FlightEditError('Tasking is required');
+      }
+      edited.tasking = tasking;
+    }
+
+    if (changes.flightSize !== undefined) {
+      const flightSize = Number(changes.flightSize);
+      if (!Number.isInteger(flightSize) || flightSize < 1) {
+        throw new FlightEditError('Flight size must be a whole number of 1 or more');
+      }
+      edited.flightSize = flightSize;
+    }
+
+    if (changes.ordnance !== undefined) {
+      const ordnance = changes.ordnance === null ? '' : String(changes.ordnance).trim();
+      edited.ordnance = ordnance || null;
+    }
+
+    return edited;
+  }
+
+  /**
+   * Mark the edited flight with the rolled values of the fields that now
+   * differ from them, and set its text
+   */
+  function markOverrides(flight, edited) {
+    const rolled = { ...flight, ...(flight.overridden || {}) };
+    const overridden = {};
+    for (const field of TRACKED_FIELDS) {
+      if (edited[field] !== rolled[field]) {
+        overridden[field] = rolled[field];
+      }
+    }
+
+    if (Object.keys(overridden).length === 0) {
+      return { ...edited, overridden: null, text: rolled.text };
+    }
+    return { ...edited, overridden: { ...overridden, text: rolled.text }, text: flightText(edited) };
+  }
+
+  /**
+   * Put flights into a result, rebuilding its text (header lines such as
+   * "USSR Naval Strike Raid" are kept)
+   */
+  function withFlights(result, flights) {
+    const lines = (result.text || '').split('<br>');
+    const header = lines.slice(0, Math.max(0, lines.length - result.flights.length));
+    const next = {
+      ...result,
+      flights,
+      text: [...header, ...flights.map(flight => flight.text)].join('<br>'),
+    };
+    ResultSchema.check(next, next.table, next.processor);
+    return next;
+  }
+
+  function flightAt(result, flightIndex) {
+    const flight = (result.flights || [])[flightIndex];
+    if (!flight) {
+      throw new FlightEditError(`Table ${result.table} has no flight ${flightIndex + 1}`);
+    }
+    return flight;
+  }
+
+  /**
+   * Edit one flight of a result
+   * @param {object} result - Canonical result (results-list entry)
+   * @param {number} flightIndex - Index of the flight
+   * @param {object} changes - Any of { aircraftId, nationality, tasking, flightSize, ordnance }
+   * @param {object} aircraftDB - The result faction's aircraft database
+   * @returns {object} New result (the one passed in is left alone), or
+   *   the result passed in if no field changed
+   * @throws {FlightEditError} If a value cannot be used
+   */
+  function editFlight(result, flightIndex, changes, aircraftDB) {
+    const flight = flightAt(result, flightIndex);
+    const edited = markOverrides(flight, applyChanges(flight, changes, aircraftDB, result.faction));
+    if (TRACKED_FIELDS.every(field => edited[field] === flight[field])) {
+      return result;
+    }
+    return withFlights(result, result.flights.map((other, index) => (index === flightIndex ? edited : other)));
+  }
+
+  /**
+   * Put a flight back to its rolled values
+   * @param {object} result - Canonical result
+   * @param {number} flightIndex - Index of the flight
+   * @returns {object} New result
+   */
+  function revertFlight(result, flightIndex) {
+    const flight = flightAt(result, flightIndex);
+    const rolled = { ...flight, ...(flight.overridden || {}), overridden: null };
+    return withFlights(result, result.flights.map((other, index) => (index === flightIndex ? rolled : other)));
+  }
+
+  /**
+   * Describe what was edited in a flight
+   * @param {object} flight - Canonical flight
+   * @returns {string} e.g. "aircraft was F-15C, flight size was 2" ('' if not edited)
+   */
+  function describeOverride(flight) {
+    const overridden = flight.overridden || {};
+    return Object.keys(FIELD_LABELS)
+      .filter(field => field in overridden)
+      .map(field => `${FIELD_LABELS[field]} was ${overridden[field] ?? 'none'}`)
+      .join(', ');
+  }
+
+  // =========================================================================
+  //  PUBLIC API
+  // =========================================================================
+
+  return {
+    TRACKED_FIELDS:   TRACKED_FIELDS,
+    aircraftEntries:  aircraftEntries,
+    nationalities:    nationalities,
+    aircraftOptions:  aircraftOptions,
+    flightText:       flightText,
+    editFlight:       editFlight,
+    revertFlight:     revertFlight,
+    describeOverride: describeOverride,
+    FlightEditError:  FlightEditError,
+  };
+
+})();
+
+// Export for both browser (window.FlightEditor) and Node.js (module.exports)
+if (typeof window !== 'undefined') {
+  window.FlightEditor = FlightEditor;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FlightEditor;
+}
@@ -33,6 +33,9 @@ class PrintGenerator {
       
       // Mission types that require special handling
       specialMissions: ['CSAR'],
+
+      // Tables whose results get a raid summary page
+      raidTables: moduleConfig?.print?.raidTables || [],
       
       // Print layout options
       layout: {
@@ -41,6 +44,28 @@ class PrintGenerator {
         groupSpecialMissions: true
       }
     };
+
+    // Paper size and card layout (PrintLayouts profile); null follows the
+    // profile selected in the page
+    this.layoutProfile = null;
+  }
+
+  /**
+   * The card layout profile of the flight sheet: the one set with
+   * setLayout(), else the one selected in the page (PrintLayouts)
+   * @returns {object} PrintLayouts profile
+   */
+  getLayout() {
+    return this.layoutProfile || PrintLayouts.getSelected();
+  }
+
+  /**
+   * Print with a layout profile instead of the selected one
+   * @param {string|null} profileId - PrintLayouts profile ID (null: follow
+   *   the page's selection again)
+   */
+  setLayout(profileId) {
+    this.layoutProfile = profileId ? PrintLayouts.get(profileId) : null;
   }
 
   /**
@@ -118,66 +143,110 @@ class PrintGenerator {
 
   /**
    * Generate a single designer flight card
-   * @param {object} flight - Flight result object
+   * @param {object} flight - Processed flight (see processFlights())
    * @param {object} aircraftNATO - NATO aircraft database
    * @param {object} aircraftWP - WP aircraft database  
    * @param {object} noteRulesData - Aircraft note rules database
    * @param {object} weaponsData - Weapons database
    * @param {object} nameMappingData - Aircraft name mapping
    * @param {boolean} isLastNATOFlight - Whether this is the last NATO flight
-   * @returns {Promise<string>} HTML for flight card
+   * @returns {Promise<string>} HTML for flight card (numbered from the
+   *   flight's firstCard, see sheetFlights(); blank without one)
    */
   async generateDesignerFlightCard(flight, aircraftNATO, aircraftWP, noteRulesData, weaponsData, nameMappingData, isLastNATOFlight = false) {
-    // Parse result text to extract flight info
-    const resultText = flight.result || flight.text || '';
-    const faction = flight.faction || 'NATO';
+    const prepared = this.prepareDesignerFlight(flight, aircraftNATO, aircraftWP, noteRulesData, weaponsData, nameMappingData);
+    if (!prepared) {
+      return '';
+    }
+    const { aircraftType, numFlights } = prepared;
+    // Layouts without CSAR compaction print full cards for CSAR flights
+    const card = this.buildCardModel(prepared, prepared.useCompactCSAR && !!this.getLayout().csar);
 
+    // Generate cards for each flight
+    let allCardsHTML = '';
+    let hasCSAR = false;
+    let csarCardCount = 0;
+    const csarGroupSize = 4;
     
-    const flightsArray = flight.flights || (flight.result && typeof flight.result === 'object' && flight.result.flights);
-    const taskingsArray = flight.taskings || (flight.result && typeof flight.result === 'object' && flight.result.taskings);
-
-    if (Array.isArray(flightsArray) || Array.isArray(taskingsArray)) {
-      const entries = Array.isArray(flightsArray) ? flightsArray : taskingsArray;
-      let allHTML = '';
-      const cardGroups = [];
-
-      for (let i = 0; i < entries.length; i++) {
-        const entry = entries[i];
-        const mergedFlight = {
-          ...flight,
-          ...entry,
-          flights: null,
-          taskings: null,
-          result: entry.text || entry.result || resultText
-        };
-        const isLastPart = i === entries.length - 1;
-        const applyPageBreakToThisFlight = isLastNATOFlight && isLastPart;
-
-        const cardHTML = await this.generateDesignerFlightCard(
-          mergedFlight,
-          aircraftNATO,
-          aircraftWP,
-          noteRulesData,
-          weaponsData,
-          nameMappingData,
-          applyPageBreakToThisFlight
-        );
-
-        const isCSARGroup = cardHTML.includes('compact-csar-card');
-        cardGroups.push({ html: cardHTML, isCsar: isCSARGroup });
-
-        if (isCSARGroup) {
-          const pageBreakStyle = applyPageBreakToThisFlight ? ' style="page-break-after: always;"' : '';
-          allHTML += `<div class="csar-container"${pageBreakStyle}>\n${cardHTML}\n</div>\n`;
-        } else {
-          allHTML += cardHTML;
+    for (let flightNum = 0; flightNum < numFlights; flightNum++) {
+      const isLastCard = flightNum === numFlights - 1;
+      const applyPageBreak = isLastNATOFlight && isLastCard;
+      const numbered = { ...card, number: flight.firstCard ? flight.firstCard + flightNum : null };
+      
+      console.log(`Flight ${flightNum + 1}/${numFlights}: ${aircraftType}, Tasking: "${card.tasking}", Compact: ${card.compact}`);
+      
+      if (card.compact) {
+        hasCSAR = true;
+        
+        // Start new CSAR container if this is the first card or we've hit the group size
+        if (csarCardCount === 0) {
+          allCardsHTML += '<div class="csar-container">\n';
+        }
+        
+        console.log(`Generating compact CSAR card for ${aircraftType}`);
+        allCardsHTML += this.renderCompactCSARCardHTML(numbered);
+        
+        csarCardCount++;
+        
+        // Close container after 4 cards or if this is the last card
+        if (csarCardCount === csarGroupSize || isLastCard) {
+          allCardsHTML += '</div>\n';
+          
+          // Apply page break wrapper if this is the last NATO flight and last CSAR card
+          const needsPageBreak = isLastNATOFlight && isLastCard;
+          if (needsPageBreak) {
+            // Wrap the last container in a page break div
+            const lastContainerStart = allCardsHTML.lastIndexOf('<div class="csar-container">');
+            const beforeContainer = allCardsHTML.substring(0, lastContainerStart);
+            const container = allCardsHTML.substring(lastContainerStart);
+            allCardsHTML = beforeContainer + '<div style="page-break-after: always !important; break-after: page !important;" class="page-break-after-nato">\n' + container + '</div>\n';
+          }
+          
+          csarCardCount = 0;
         }
+      } else {
+        console.log(`Generating regular designer card for ${aircraftType}`);
+        allCardsHTML += this.renderDesignerCardHTML(numbered, applyPageBreak);
+      }
+    }
+    
+    // Close any unclosed CSAR container (shouldn't happen but safety check)
+    if (hasCSAR && csarCardCount > 0) {
+      allCardsHTML += '</div>\n';
+      
+      // Apply page break if needed
+      const needsPageBreak = isLastNATOFlight;
+      if (needsPageBreak) {
+        // Wrap the last container in a page break div
+        const lastContainerStart = allCardsHTML.lastIndexOf('<div class="csar-container">');
+        const beforeContainer = allCardsHTML.substring(0, lastContainerStart);
+        const container = allCardsHTML.substring(lastContainerStart);
+        allCardsHTML = beforeContainer + '<div style="page-break-after: always !important; break-after: page !important;" class="page-break-after-nato">\n' + container + '</div>\n';
       }
-
-      return allHTML;
     }
+    
+    return allCardsHTML;
+  }
+
+
+  /**
+   * A flight before its card model is built (see buildCardModel()): the
+   * aircraft found and converted to designer format with its note rules
+   * applied, and the flight's size, count, nation, tasking and rolled
+   * ordnance
+   * @param {object} flight - Processed flight (see processFlights())
+   * @param {object} aircraftNATO - NATO aircraft database
+   * @param {object} aircraftWP - WP aircraft database
+   * @param {object} noteRulesData - Aircraft note rules database
+   * @param {object} weaponsData - Weapons database
+   * @param {object} nameMappingData - Aircraft name mapping
+   * @returns {object|null} { aircraftType, aircraftData, flightSize,
+   *   numFlights, nationCode, tasking, faction, rolledOrdnance,
+   *   useCompactCSAR }, or null if the aircraft is not in the database
+   */
+  prepareDesignerFlight(flight, aircraftNATO, aircraftWP, noteRulesData, weaponsData, nameMappingData) {
+    const faction = flight.faction || 'NATO';
 
-    // Single flight processing
     // Priority: Use structured data from table processors, fallback to defaults
     let aircraftType = flight.aircraftType || 'Unknown';
     let aircraftId = flight.aircraftId || null;
@@ -227,124 +296,22 @@ class PrintGenerator {
       console.warn('[FLIGHT CARD] Missing structured fields; legacy parsing disabled:', {
         missingFields,
         flight,
-        resultText
+        text: flight.text || ''
       });
     }
 
     const originalAircraftType = aircraftType;
-
-    // Apply name mapping
-    const factionKey = faction === 'NATO' ? 'NATO' : 'WP';
-    let mappedName = null;
-    if (typeof aircraftType === 'string') {
-      aircraftType = aircraftType.trim();
-    }
-
-    if (nameMappingData && nameMappingData[factionKey] && aircraftType && typeof aircraftType === 'string') {
-      let mappedEntry = null;
-      
-      if (factionKey === 'WP' && nationCode && nameMappingData[factionKey][nationCode]) {
-        mappedEntry = nameMappingData[factionKey][nationCode][aircraftType];
-      }
-      
-      if (!mappedEntry && nameMappingData[factionKey][aircraftType]) {
-        mappedEntry = nameMappingData[factionKey][aircraftType];
-      }
-      
-      if (mappedEntry) {
-        if (typeof mappedEntry === 'string') {
-          mappedName = mappedEntry;
-        } else if (typeof mappedEntry === 'object') {
-          if (mappedEntry.name) {
-            mappedName = mappedEntry.name;
-          }
-          if (!aircraftId && mappedEntry.aircraftId) {
-            aircraftId = mappedEntry.aircraftId;
-          }
-        }
-      }
-    } else if (typeof aircraftType !== 'string') {
-      console.error('Aircraft type is not a string:', aircraftType, typeof aircraftType);
-      aircraftType = String(aircraftType || 'Unknown');
-    }
-    
-    // Get aircraft data - check by key, then by aliases
-    const aircraftDB = faction === 'NATO' ? aircraftNATO : aircraftWP;
-    let rawAircraftData = null;
-    let matchedAircraftKey = null;
-
-    if (mappedName && aircraftDB && Object.prototype.hasOwnProperty.call(aircraftDB, mappedName)) {
-      aircraftType = mappedName;
-    } else if (mappedName) {
-      console.warn('[AIRCRAFT LOOKUP] Mapping name not found in DB, keeping original aircraftType:', {
-        originalAircraftType: aircraftType,
-        mappedName
-      });
-    }
-    
-    console.log(`[AIRCRAFT LOOKUP] Searching for: "${aircraftType}" (type: ${typeof aircraftType}) in ${faction} database`);
-    console.log(`[AIRCRAFT LOOKUP] Flight object keys:`, Object.keys(flight));
-    console.log(`[AIRCRAFT LOOKUP] Flight.aircraftType:`, flight.aircraftType);
-    console.log(`[AIRCRAFT LOOKUP] Flight.nationality:`, flight.nationality);
-    console.log(`[AIRCRAFT LOOKUP] Flight.tasking:`, flight.tasking);
-    console.log(`[AIRCRAFT LOOKUP] Flight.aircraftId:`, aircraftId);
-    
-
-    const aircraftIdIndex = this.aircraftIdIndex ? this.aircraftIdIndex[factionKey] : null;
-
-    if (aircraftId && aircraftIdIndex && aircraftIdIndex[aircraftId]) {
-      rawAircraftData = aircraftIdIndex[aircraftId].data;
-      matchedAircraftKey = aircraftIdIndex[aircraftId].key;
-      console.log(`[AIRCRAFT LOOKUP] Found by aircraftId "${aircraftId}" -> "${matchedAircraftKey}"`);
-    } else if (aircraftId && aircraftIdIndex) {
-      console.warn(`[AIRCRAFT LOOKUP] No aircraft found for aircraftId "${aircraftId}" in ${faction} database`);
-    }
-
-    // First try exact match by key
-    const hasExactKey = !!(aircraftType && aircraftDB && Object.prototype.hasOwnProperty.call(aircraftDB, aircraftType));
-    if (!rawAircraftData && hasExactKey) {
-      rawAircraftData = aircraftDB[aircraftType];
-      matchedAircraftKey = aircraftType;
-      console.log(`[AIRCRAFT LOOKUP] ?" Found exact match for "${aircraftType}"`);
-    }
-
-    if (!rawAircraftData && aircraftId && aircraftDB && typeof aircraftDB === 'object') {
-      for (const [key, data] of Object.entries(aircraftDB)) {
-        if (key.startsWith('_')) continue;
-        if (data && data.id === aircraftId) {
-          rawAircraftData = data;
-          matchedAircraftKey = key;
-          console.log(`[AIRCRAFT LOOKUP] Found by aircraftId scan "${aircraftId}" -> "${matchedAircraftKey}"`);
-          break;
-        }
-      }
-    }
-
-    if (!rawAircraftData) {
-      console.log(`[AIRCRAFT LOOKUP] No exact match, searching aliases...`);
-      // Search by aliases
-      for (const [key, data] of Object.entries(aircraftDB)) {
-        if (key.startsWith('_')) continue;
-        
-        if (data.aliases && Array.isArray(data.aliases)) {
-          if (data.aliases.includes(aircraftType)) {
-            rawAircraftData = data;
-            matchedAircraftKey = key;
-            console.log(`[AIRCRAFT LOOKUP] ?" Found via alias "${aircraftType}" -> "${key}"`);
-            break;
-          }
-        }
-      }
-    }
+    const resolved = this.resolveAircraft(flight, aircraftNATO, aircraftWP, nameMappingData);
+    const rawAircraftData = resolved.data;
+    const matchedAircraftKey = resolved.key;
+    aircraftType = resolved.aircraftType;
 
     if (!rawAircraftData) {
+      const aircraftDB = faction === 'NATO' ? aircraftNATO : aircraftWP;
       console.error(`[AIRCRAFT LOOKUP] ?- FAILED: Aircraft not found: "${aircraftType}" in ${faction} database`);
-      console.error(`[AIRCRAFT LOOKUP] Available aircraft in ${faction}:`, Object.keys(aircraftDB).filter(k => !k.startsWith('_')).slice(0, 10).join(', '), '...');
-    }
-
-    if (!rawAircraftData) {
+      console.error(`[AIRCRAFT LOOKUP] Available aircraft in ${faction}:`, Object.keys(aircraftDB || {}).filter(k => !k.startsWith('_')).slice(0, 10).join(', '), '...');
       console.warn(`Skipping flight card generation - aircraft "${aircraftType}" not found`);
-      return '';
+      return null;
     }
     
     // Convert to designer format
@@ -374,94 +341,47 @@ class PrintGenerator {
       aircraftData = window.applyDesignerNoteRules(aircraftData, tasking, noteRulesData, aircraftNation, sourceTable, weaponsData, moduleCode);
     }
     
-    // Generate cards for each flight
-    let allCardsHTML = '';
-    let hasCSAR = false;
-    let csarCardCount = 0;
-    const csarGroupSize = 4;
-    
-    for (let flightNum = 0; flightNum < numFlights; flightNum++) {
-      const isLastCard = flightNum === numFlights - 1;
-      const applyPageBreak = isLastNATOFlight && isLastCard;
-      
-      // Detect CSAR by tasking or capabilities (all CSAR flights are helicopters)
-      const isCSAR = tasking && tasking.toUpperCase().trim() === 'CSAR';
-      // Use compact cards for all CSAR helicopters (they have minimal/no combat data)
-      const hasCSARCapability = aircraftData && aircraftData.capabilities && aircraftData.capabilities.includes('CSAR');
-      const useCompactCSAR = isCSAR || hasCSARCapability;
-      console.log(`Flight ${flightNum + 1}/${numFlights}: ${aircraftType}, Tasking: "${tasking}", CSAR: ${isCSAR}, Has CSAR capability: ${hasCSARCapability}, Compact: ${useCompactCSAR}`);
-      
-      if (useCompactCSAR) {
-        hasCSAR = true;
-        
-        // Start new CSAR container if this is the first card or we've hit the group size
-        if (csarCardCount === 0) {
-          allCardsHTML += '<div class="csar-container">\n';
-        }
-        
-        console.log(`Generating compact CSAR card for ${aircraftType}`);
-        allCardsHTML += this.generateCompactCSARCard(
-          aircraftType,
-          aircraftData,
-          flightSize,
-          nationCode,
-          tasking,
-          faction,
-          false  // Never apply page break to individual cards
-        );
-        
-        csarCardCount++;
-        
-        // Close container after 4 cards or if this is the last card
-        if (csarCardCount === csarGroupSize || isLastCard) {
-          allCardsHTML += '</div>\n';
-          
-          // Apply page break wrapper if this is the last NATO flight and last CSAR card
-          const needsPageBreak = isLastNATOFlight && isLastCard;
-          if (needsPageBreak) {
-            // Wrap the last container in a page break div
-            const lastContainerStart = allCardsHTML.lastIndexOf('<div class="csar-container">');
-            const beforeContainer = allCardsHTML.substring(0, lastContainerStart);
-            const container = allCardsHTML.substring(lastContainerStart);
-            allCardsHTML = beforeContainer + '<div style="page-break-after: always !important; break-after: page !important;" class="page-break-after-nato">\n' + container + '</div>\n';
-          }
-          
-          csarCardCount = 0;
-        }
-      } else {
-        console.log(`Generating regular designer card for ${aircraftType}`);
-        allCardsHTML += this.generateSingleDesignerCard(
-          aircraftType,
-          aircraftData,
-          flightSize,
-          nationCode,
-          tasking,
-          faction,
-          applyPageBreak,
-          rolledOrdnance
-        );
-      }
-    }
-    
-    // Close any unclosed CSAR container (shouldn't happen but safety check)
-    if (hasCSAR && csarCardCount > 0) {
-      allCardsHTML += '</div>\n';
-      
-      // Apply page break if needed
-      const needsPageBreak = isLastNATOFlight;
-      if (needsPageBreak) {
-        // Wrap the last container in a page break div
-        const lastContainerStart = allCardsHTML.lastIndexOf('<div class="csar-container">');
-        const beforeContainer = allCardsHTML.substring(0, lastContainerStart);
-        const container = allCardsHTML.substring(lastContainerStart);
-        allCardsHTML = beforeContainer + '<div style="page-break-after: always !important; break-after: page !important;" class="page-break-after-nato">\n' + container + '</div>\n';
-      }
-    }
-    
-    return allCardsHTML;
+    // Compact cards for all CSAR helicopters (they have minimal/no combat
+    // data), found by tasking or capabilities
+    const isCSAR = tasking.toUpperCase().trim() === 'CSAR';
+    const hasCSARCapability = !!(aircraftData && aircraftData.capabilities && aircraftData.capabilities.includes('CSAR'));
+
+    return {
+      aircraftType,
+      aircraftData,
+      flightSize,
+      numFlights,
+      nationCode,
+      tasking,
+      faction,
+      rolledOrdnance,
+      useCompactCSAR: isCSAR || hasCSARCapability
+    };
   }
 
 
+  /**
+   * Find a flight's aircraft in its faction's database (AircraftResolver:
+   * by aircraftId, name mapping, exact key, then alias). A flight whose
+   * aircraft cannot be found gets no flight card.
+   * @param {object} flight - Processed flight (see processFlights())
+   * @param {object} aircraftNATO - NATO aircraft database
+   * @param {object} aircraftWP - WP aircraft database
+   * @param {object} nameMappingData - Aircraft name mapping
+   * @returns {object} AircraftResolver resolution: { tier, aircraftType,
+   *   aircraftId, key, data, parts } (key and data null if not found)
+   */
+  resolveAircraft(flight, aircraftNATO, aircraftWP, nameMappingData) {
+    const resolved = AircraftResolver.resolve(flight, {
+      aircraftNATO,
+      aircraftWP,
+      nameMapping: nameMappingData
+    });
+    console.log(`[AIRCRAFT LOOKUP] "${flight.aircraftType}" (${flight.aircraftId || 'no ID'}) -> ` +
+      (resolved.key ? `"${resolved.key}" by ${resolved.tier}` : 'not found'));
+    return resolved;
+  }
+
   /**
    * Convert JSON aircraft data to designer display format
    * @param {object} jsonData - Raw aircraft JSON from database
@@ -758,92 +678,288 @@ class PrintGenerator {
   }
 
   /**
-   * Generate a single flight card using exact designer layout
-   * @param {string} aircraftType - Aircraft name
-   * @param {object} aircraftData - Designer-formatted aircraft data
-   * @param {number} flightSize - Number of aircraft in flight
-   * @param {string} nationCode - Nation code (FRG, USSR, etc.)
-   * @param {string} tasking - Mission tasking
-   * @param {string} faction - NATO or WP
-   * @param {boolean} applyPageBreak - Whether to apply page-break-before to this card
-   * @param {string} rolledOrdnance - Ordnance additions from table roll
-   * @returns {string} HTML for single flight card
+   * The card model of a flight: what its card shows (aircraft, weapons with
+   * their depletion, stores, sensors, notes, speeds by altitude band, damage
+   * boxes and rolled ordnance), as data. The HTML, PDF and text renderers
+   * all draw from it, and it needs no DOM.
+   *
+   *   {
+   *     compact:        boolean,      // compact CSAR card
+   *     number:         number|null,  // card number on the flight sheet
+   *                                   // (see sheetFlights()), null: blank
+   *     faction, aircraftType, nationCode, tasking,
+   *     aircraft:       string,       // name shown on the card
+   *     roundel:        { image, nation },   // image file, nation it shows
+   *     flightSize:     number,       // aircraft boxes
+   *     fuel:           { value, circles: [top, bottom] | null } | null,
+   *                                   // null: blank fuel field (CSAR)
+   *     notes, crew, rwy: string|null,
+   *     weapons:        [{ type: 'Gun'|'IRM'|'RHM', text,
+   *                        loads: [{ rating, depletion }] }],
+   *     stores:         { aam, ordnance, bomb, sight },
+   *     sensors:        { radar, surfaceRadar, rwr, jam, standoffJamming },
+   *     capabilities:   string|null,
+   *     specialRules:   string[],     // note rules
+   *     speeds:         { laden, bands: [{ band, clean, laden }] } | null,
+   *                                   // { combat, dash, maneuver } per band
+   *     damage:         string[],     // damage boxes per aircraft
+   *     rolledOrdnance: string[]      // "+" items of the table roll
+   *   }
+   *
+   * Ordnance, bomb and sight are null for taskings without air-to-ground
+   * ordnance (see hidesGroundAttack()).
+   * @param {object} prepared - prepareDesignerFlight() data (aircraftData
+   *   null for a card without database data)
+   * @param {boolean} [compact] - Compact CSAR card (default: the flight's
+   *   useCompactCSAR)
+   * @returns {object} Card model
    */
-  generateSingleDesignerCard(aircraftType, aircraftData, flightSize, nationCode, tasking, faction, applyPageBreak = false, rolledOrdnance = '') {
-    // Use default data if aircraft not found
-    if (!aircraftData) {
-      aircraftData = {
-        model: aircraftType,
-        crew: '?',
-        rwy: '?',
-        fuel: 18,
-        notes: '',
-        gun: '',
-        irm: '',
-        rhm: '',
-        speeds: {}
-      };
-    }
-    
-    // Determine if laden values should be shown
-    const airToGroundNoneTasks = ['CAP', 'Close Escort', 'Recon', 'Escort Jamming', 'Standoff Jamming', 'CSAR', 'Transport', 'Laser Designation', 'Chaff Laying', 'Fast FAC'];
-    const hasAirToGroundOrdnance = (aircraftData.ordnance && aircraftData.ordnance.length > 0) || 
-                                   (aircraftData.bomb && aircraftData.bomb !== '-');
-    const showLaden = aircraftData.speedsLaden && hasAirToGroundOrdnance && !airToGroundNoneTasks.includes(tasking);
-    
-    // Determine roundel image
-    const roundelMap = this.moduleConfig?.print?.roundels || {
-      'US': 'USAF.jpg',
-      'USAF': 'USAF.jpg',
-      'USN': 'USAF.jpg',
-      'USMC': 'USAF.jpg',
-      'UK': 'UK.jpg',
-      'UK(RAF)': 'UK.jpg',
-      'UK(RN)': 'UK.jpg',
-      'FRG': 'FRG.jpg',
-      'FRG/DK': 'FRG.jpg',  // Default for mixed raids
-      'DK': 'Denmark.jpg',
-      'SE': 'Sweden.jpg',
-      'BEL': 'Belgium.jpg',
-      'Belgium': 'Belgium.jpg',
-      'BE': 'Belgium.jpg',
-      'BE/NE': 'Netherlands.jpg',
-      'NE': 'Netherlands.jpg',
-      'CAN': 'Canada.jpg',
-      'Canada': 'Canada.jpg',
-      'POL': 'Poland.jpg',
-      'USSR': 'USSR.jpg',
-      'GDR': 'GDR.jpg'
+  buildCardModel(prepared, compact = !!prepared.useCompactCSAR) {
+    const { aircraftType, flightSize, nationCode, tasking } = prepared;
+    const aircraftData = prepared.aircraftData || (compact
+      ? { model: aircraftType, capabilities: 'CSAR' }
+      : { model: aircraftType, crew: '?', rwy: '?', fuel: 18, notes: '', gun: '', irm: '', rhm: '', speeds: {} });
+    const groundAttack = !this.hidesGroundAttack(tasking);
+    const csarCapable = !!(aircraftData.capabilities && aircraftData.capabilities.includes('CSAR'));
+    const fuel = aircraftData.fuel;
+
+    return {
+      compact,
+      number: null,
+      faction: prepared.faction || 'NATO',
+      aircraftType,
+      nationCode: nationCode || '',
+      tasking: tasking || '',
+      aircraft: aircraftData.model || aircraftType,
+      roundel: {
+        image: this.getRoundelImage(nationCode, aircraftData),
+        nation: nationCode || aircraftData.nation || 'Unknown'
+      },
+      flightSize: parseInt(flightSize, 10) || 0,
+      fuel: csarCapable ? null : {
+        value: fuel || 18,
+        circles: typeof fuel === 'number' ? [Math.ceil(fuel / 2), Math.floor(fuel / 2)] : null
+      },
+      notes: aircraftData.notes || null,
+      crew: aircraftData.crew || null,
+      rwy: aircraftData.rwy || null,
+      weapons: this.cardWeapons(aircraftData),
+      stores: {
+        aam: aircraftData.aam || null,
+        ordnance: (groundAttack && aircraftData.ordnance) || null,
+        bomb: (groundAttack && aircraftData.bomb) || null,
+        sight: groundAttack && aircraftData.sight && aircraftData.sight !== '-' ? aircraftData.sight : null
+      },
+      sensors: {
+        radar: aircraftData.radar ? `${aircraftData.radar} ${aircraftData.radarModifier || ''}`.trim() : null,
+        surfaceRadar: aircraftData.surfaceRadar || null,
+        rwr: aircraftData.rwr || null,
+        jam: aircraftData.jam || null,
+        standoffJamming: aircraftData.standoffJammingStrength || null
+      },
+      capabilities: aircraftData.capabilities || null,
+      specialRules: [...(aircraftData.specialRules || [])],
+      speeds: this.cardSpeeds(aircraftData, tasking),
+      damage: compact || csarCapable ? ['Damaged', 'Shot down'] : ['Damaged', 'Crippled', 'Destroyed'],
+      rolledOrdnance: (prepared.rolledOrdnance || '').split('+').map(item => item.trim()).filter(Boolean)
     };
-    
-    // For composite nationalities like "NE/CAN" or "BE/NE", the aircraft's own
-    // nation from the database is more accurate for roundel selection than the
-    // table's nationality group code. aircraftData.nation is set by
-    // convertAircraftData() which prioritizes the JSON nation over the table code.
-    const roundelImage = roundelMap[nationCode] || roundelMap[aircraftData.nation] || 'USAF.jpg';
+  }
 
-    // Use configurable base path for roundel images (allows shared designer to override)
-    const roundelBase = this.moduleConfig?.print?.roundelBasePath || '../../../shared/assets/roundels';
+  /**
+   * The card models of a processed flight, one per flight of its flight
+   * count; none if its aircraft is not in the database. CSAR cards are
+   * compact if the print layout has compact CSAR cards.
+   * @param {object} flight - Processed flight (see processFlights())
+   * @param {object} dataFiles - Data files from loadDataFiles()
+   * @returns {Array} Card models
+   */
+  flightCardModels(flight, dataFiles) {
+    const prepared = this.prepareDesignerFlight(
+      flight,
+      dataFiles.aircraftNATO,
+      dataFiles.aircraftWP,
+      dataFiles.noteRules,
+      dataFiles.weapons,
+      dataFiles.nameMapping
+    );
+    if (!prepared) {
+      return [];
+    }
+    const card = this.buildCardModel(prepared, prepared.useCompactCSAR && !!this.getLayout().csar);
+    return Array.from({ length: prepared.numFlights }, () => card);
+  }
 
-    console.log('[ROUNDEL] Nation code:', nationCode);
-    console.log('[ROUNDEL] Aircraft nation:', aircraftData.nation);
-    console.log('[ROUNDEL] Selected roundel:', roundelImage);
+  /**
+   * Whether a tasking carries no air-to-ground ordnance (the card shows no
+   * ordnance, bomb or sight, and clean speeds only)
+   * @param {string} tasking - Mission tasking
+   * @returns {boolean}
+   */
+  hidesGroundAttack(tasking) {
+    const airToGroundNoneTasks = ['CAP', 'Close Escort', 'Recon', 'Escort Jamming', 'Standoff Jamming', 'CSAR', 'Transport', 'Laser Designation', 'Chaff Laying', 'Fast FAC'];
+    return airToGroundNoneTasks.includes(tasking);
+  }
 
-    // Add page break style if this is the last NATO flight
-    const pageBreakStyle = applyPageBreak ? ' style="page-break-after: always !important;" class="page-break-after-nato"' : '';
-    console.log(`[PAGE BREAK] Regular card - applyPageBreak: ${applyPageBreak}, aircraft: ${aircraftType}`);
+  /**
+   * The gun, IRM and RHM of a card with their loads: ratings and depletion
+   * from the display text ("+2/+1 {4}"; several RHM are comma separated)
+   * @param {object} aircraftData - Designer-format aircraft data
+   * @returns {Array} [{ type, text, loads: [{ rating, depletion }] }]
+   */
+  cardWeapons(aircraftData) {
+    return [['Gun', aircraftData.gun], ['IRM', aircraftData.irm], ['RHM', aircraftData.rhm]]
+      .filter(([, text]) => text)
+      .map(([type, text]) => ({
+        type,
+        text,
+        loads: String(text).split(/(?<=\})\s*,\s*/).map(load => {
+          const match = load.match(/^(.*?)\s*\{([^}]*)\}$/);
+          if (!match) {
+            return { rating: load.trim(), depletion: null };
+          }
+          const depletion = /^\d+$/.test(match[2]) ? Number(match[2]) : match[2];
+          return { rating: match[1], depletion };
+        })
+      }));
+  }
 
-    let html = `
-  <div class="flight-card"${pageBreakStyle}>
-    <!-- Flight-level information -->
-    <div class="flight-info-section">
+  /**
+   * The speeds of a card by altitude band: clean and laden for
+   * ground-attack taskings of aircraft with laden speeds, else one set
+   * @param {object} aircraftData - Designer-format aircraft data
+   * @param {string} tasking - Mission tasking
+   * @returns {object|null} { laden, bands: [{ band, clean, laden }] }
+   *   (laden null without laden speeds), null if the aircraft has no speeds
+   */
+  cardSpeeds(aircraftData, tasking) {
+    const hasAirToGroundOrdnance = (aircraftData.ordnance && aircraftData.ordnance.length > 0) ||
+      (aircraftData.bomb && aircraftData.bomb !== '-');
+    const showLaden = !!aircraftData.speedsLaden && hasAirToGroundOrdnance && !this.hidesGroundAttack(tasking);
+    const values = (speeds = {}) => ({
+      combat: speeds.combat ?? '-',
+      dash: speeds.dash ?? '-',
+      maneuver: speeds.maneuver ?? '-'
+    });
+    const isInvalid = value => value === '-' || value === 'N/A';
+    const noSpeeds = speeds => !speeds || Object.values(speeds).every(isInvalid);
+
+    const clean = showLaden ? aircraftData.speedsClean : aircraftData.speeds;
+    if (!clean || Object.keys(clean).length === 0) {
+      return null;
+    }
+    // VH bands with no speeds are left out
+    const bands = Object.keys(clean)
+      .map(band => ({
+        band,
+        clean: values(clean[band]),
+        laden: showLaden ? values(aircraftData.speedsLaden[band]) : null
+      }))
+      .filter(row => row.band !== 'VH' || !(noSpeeds(row.clean) && noSpeeds(row.laden)));
+    return { laden: showLaden, bands };
+  }
+
+  /**
+   * The grey information lines of a card (stores, sensors, capabilities
+   * and notes), as labelled segments
+   * @param {object} card - buildCardModel() card
+   * @returns {Array<Array>} Lines of [{ label, text }] (label null for
+   *   unlabelled text), empty lines left out
+   */
+  cardInfoLines(card) {
+    const { stores, sensors } = card;
+    const lines = [
+      [
+        stores.aam && { label: 'AAM', text: stores.aam },
+        stores.ordnance && { label: 'Ordnance', text: stores.ordnance },
+        stores.bomb && { label: 'Bomb', text: stores.bomb },
+        stores.sight && { label: 'Sight', text: stores.sight }
+      ],
+      [
+        sensors.radar && { label: 'Radar', text: sensors.radar },
+        sensors.surfaceRadar && { label: null, text: sensors.surfaceRadar },
+        sensors.rwr && { label: 'RWR', text: sensors.rwr },
+        sensors.jam && { label: 'Jam', text: sensors.jam },
+        sensors.standoffJamming && { label: 'Standoff Jamming', text: sensors.standoffJamming }
+      ],
+      [
+        card.capabilities && { label: 'Capabilities', text: card.capabilities },
+        card.specialRules.length > 0 && { label: 'Notes', text: card.specialRules.join('; ') }
+      ]
+    ];
+
+    return lines.map(line => line.filter(Boolean)).filter(line => line.length > 0);
+  }
+
+  /**
+   * The speed table rows of a card: [band, C, D, M] or, with laden
+   * speeds, [band, C, D, M, C, D, M]
+   * @param {object} speeds - Card model speeds
+   * @returns {Array<Array>}
+   */
+  cardSpeedRows(speeds) {
+    const values = speed => [speed.combat, speed.dash, speed.maneuver];
+    return speeds.bands.map(({ band, clean, laden }) =>
+      [band, ...values(clean), ...(speeds.laden ? values(laden) : [])]);
+  }
+
+  /**
+   * A regular flight card as HTML, in the designer layout
+   * @param {object} card - buildCardModel() card
+   * @param {boolean} applyPageBreak - Whether to apply page-break-after to this card
+   * @returns {string} HTML for single flight card
+   */
+  renderDesignerCardHTML(card, applyPageBreak = false) {
+    const roundelBase = this.getRoundelBasePath();
+    const segmentsHTML = segments => segments
+      .map(segment => (segment.label ? `<strong>${segment.label}:</strong> ${segment.text}` : segment.text))
+      .join(' | ');
+
+    console.log('[ROUNDEL] Nation:', card.roundel.nation, 'Selected roundel:', card.roundel.image);
+
+    // Add page break style if this is the last NATO flight
+    const pageBreakStyle = applyPageBreak ? ' style="page-break-after: always !important;" class="page-break-after-nato"' : '';
+    console.log(`[PAGE BREAK] Regular card - applyPageBreak: ${applyPageBreak}, aircraft: ${card.aircraftType}`);
+
+    const speedTable = card.speeds ? `
+      <table class="speed-table">
+        ${card.speeds.laden ? `<tr>
+          <th rowspan="2">Alt</th>
+          <th colspan="3">Clean</th>
+          <th colspan="3">Laden</th>
+        </tr>
+        <tr>
+          <th>C</th>
+          <th>D</th>
+          <th>M</th>
+          <th>C</th>
+          <th>D</th>
+          <th>M</th>
+        </tr>` : `<tr>
+          <th>Alt</th>
+          <th>C</th>
+          <th>D</th>
+          <th>M</th>
+        </tr>`}
+        ${this.cardSpeedRows(card.speeds).map(([band, ...values]) => `
+          <tr>
+            <td><strong>${band}</strong></td>
+            ${values.map(value => `<td>${value}</td>`).join('\n            ')}
+          </tr>
+        `).join('')}
+      </table>
+      ` : '';
+
+    return `
+  <div class="flight-card"${pageBreakStyle}>
+    <!-- Flight-level information -->
+    <div class="flight-info-section">
       <div class="flight-header">
         <div class="roundel-box-header">
-          <img src="${roundelBase}/${roundelImage}" alt="${nationCode || aircraftData.nation || 'Unknown'} Roundel">
+          <img src="${roundelBase}/${card.roundel.image}" alt="${card.roundel.nation} Roundel">
         </div>
         <div class="field">
           <div class="field-label">Aircraft</div>
-          <div class="field-value">${aircraftData.model || aircraftType}</div>
+          <div class="field-value">${card.aircraft}</div>
         </div>
         <div class="field">
           <div class="field-label">Callsign</div>
@@ -857,14 +973,18 @@ class PrintGenerator {
           <div class="field-label">Aggr.</div>
           <div class="field-value"></div>
         </div>
+        <div class="field">
+          <div class="field-label">Card</div>
+          <div class="field-value card-number">${card.number ?? ''}</div>
+        </div>
       </div>
       
       <div class="tasking-fuel-row">
         <div class="field">
           <div class="field-label">Tasking</div>
-          <div class="field-value">${tasking}</div>
+          <div class="field-value">${card.tasking}</div>
         </div>
-        ${aircraftData.capabilities && aircraftData.capabilities.includes('CSAR') ? `
+        ${!card.fuel ? `
         <div class="field">
           <div class="field-label">Fuel</div>
           <div class="field-value"></div>
@@ -873,202 +993,75 @@ class PrintGenerator {
         <div class="fuel-box">
           <div class="fuel-label-value">
             <span class="field-label">Fuel</span>
-            <span class="fuel-value">${aircraftData.fuel || 18}</span>
+            <span class="fuel-value">${card.fuel.value}</span>
           </div>
           <div class="fuel-circles-container">
-            ${typeof aircraftData.fuel === 'number' ? `
-            <div class="fuel-circles-row">
-              ${Array(Math.ceil(aircraftData.fuel / 2)).fill(0).map(() => 
-                `<div class="fuel-circle"></div>`
-              ).join('')}
-            </div>
+            ${card.fuel.circles ? card.fuel.circles.map(count => `
             <div class="fuel-circles-row">
-              ${Array(Math.floor(aircraftData.fuel / 2)).fill(0).map(() => 
-                `<div class="fuel-circle"></div>`
-              ).join('')}
-            </div>
-            ` : ''}
+              ${Array(count).fill('<div class="fuel-circle"></div>').join('')}
+            </div>`).join('') : ''}
           </div>
         </div>
         `}
         <div class="field">
           <div class="field-label">Notes</div>
-          <div class="field-value">${aircraftData.notes || ''}</div>
+          <div class="field-value">${card.notes || ''}</div>
         </div>
       </div>
       
       <div class="flight-weapons-row">
         <div class="weapons-display">
-          ${aircraftData.gun ? `<div class="weapon-item">
-            <span class="weapon-label">Gun:</span>
-            <span>${aircraftData.gun}</span>
-          </div>` : ''}
-          ${aircraftData.irm ? `<div class="weapon-item">
-            <span class="weapon-label">IRM:</span>
-            <span>${aircraftData.irm}</span>
-          </div>` : ''}
-          ${aircraftData.rhm ? `<div class="weapon-item">
-            <span class="weapon-label">RHM:</span>
-            <span>${aircraftData.rhm}</span>
-          </div>` : ''}
+          ${card.weapons.map(weapon => `<div class="weapon-item">
+            <span class="weapon-label">${weapon.type}:</span>
+            <span>${weapon.text}</span>
+          </div>`).join('\n          ')}
         </div>
-        ${aircraftData.crew || aircraftData.rwy ? `<div style="display: flex; gap: 10px; font-size: 7pt;">
-          ${aircraftData.crew ? `<div><strong>Crew:</strong> ${aircraftData.crew}</div>` : ''}
-          ${aircraftData.rwy ? `<div><strong>Rwy:</strong> ${aircraftData.rwy}</div>` : ''}
+        ${card.crew || card.rwy ? `<div style="display: flex; gap: 10px; font-size: 7pt;">
+          ${card.crew ? `<div><strong>Crew:</strong> ${card.crew}</div>` : ''}
+          ${card.rwy ? `<div><strong>Rwy:</strong> ${card.rwy}</div>` : ''}
         </div>` : ''}
       </div>
-      
-      ${aircraftData.ordnance || aircraftData.aam || aircraftData.bomb || (aircraftData.sight && aircraftData.sight !== '-') ? `<div style="padding: 1px 3px; background: #f5f5f5; font-size: 7pt; margin-bottom: 1px; line-height: 1.05;">
-        ${aircraftData.aam ? `<strong>AAM:</strong> ${aircraftData.aam}` : ''}${(aircraftData.aam && aircraftData.ordnance && !airToGroundNoneTasks.includes(tasking)) ? ' | ' : ''}${aircraftData.ordnance && !airToGroundNoneTasks.includes(tasking) ? `<strong>Ordnance:</strong> ${aircraftData.ordnance}` : ''}${((aircraftData.aam || aircraftData.ordnance) && aircraftData.bomb && !airToGroundNoneTasks.includes(tasking)) ? ' | ' : ''}${aircraftData.bomb && !airToGroundNoneTasks.includes(tasking) ? `<strong>Bomb:</strong> ${aircraftData.bomb}` : ''}${((aircraftData.aam || aircraftData.ordnance || aircraftData.bomb) && aircraftData.sight && aircraftData.sight !== '-' && !airToGroundNoneTasks.includes(tasking)) ? ' | ' : ''}${aircraftData.sight && aircraftData.sight !== '-' && !airToGroundNoneTasks.includes(tasking) ? `<strong>Sight:</strong> ${aircraftData.sight}` : ''}
-      </div>` : ''}
-      
-      ${aircraftData.radar || aircraftData.surfaceRadar || aircraftData.rwr || aircraftData.jam || aircraftData.standoffJammingStrength ? `<div style="padding: 1px 3px; background: #f5f5f5; font-size: 7pt; margin-bottom: 1px; line-height: 1.05;">
-        ${aircraftData.radar ? `<strong>Radar:</strong> ${aircraftData.radar} ${aircraftData.radarModifier || ''}` : ''}
-        ${aircraftData.radar && aircraftData.surfaceRadar ? ' | ' : ''}
-        ${aircraftData.surfaceRadar ? `${aircraftData.surfaceRadar}` : ''}
-        ${(aircraftData.radar || aircraftData.surfaceRadar) && aircraftData.rwr ? ' | ' : ''}
-        ${aircraftData.rwr ? `<strong>RWR:</strong> ${aircraftData.rwr}` : ''}
-        ${(aircraftData.radar || aircraftData.surfaceRadar || aircraftData.rwr) && aircraftData.jam ? ' | ' : ''}
-        ${aircraftData.jam ? `<strong>Jam:</strong> ${aircraftData.jam}` : ''}
-        ${(aircraftData.radar || aircraftData.surfaceRadar || aircraftData.rwr || aircraftData.jam) && aircraftData.standoffJammingStrength ? ' | ' : ''}
-        ${aircraftData.standoffJammingStrength ? `<strong>Standoff Jamming:</strong> ${aircraftData.standoffJammingStrength}` : ''}
-      </div>` : ''}
-      
-      ${aircraftData.capabilities || (aircraftData.specialRules && aircraftData.specialRules.length > 0) ? `<div style="padding: 1px 3px; background: #f5f5f5; font-size: 7pt; margin-bottom: 1px; line-height: 1.05;">
-        ${aircraftData.capabilities ? `<strong>Capabilities:</strong> ${aircraftData.capabilities}` : ''}${aircraftData.capabilities && aircraftData.specialRules && aircraftData.specialRules.length > 0 ? ' | ' : ''}${aircraftData.specialRules && aircraftData.specialRules.length > 0 ? `<strong>Notes:</strong> ${aircraftData.specialRules.join('; ')}` : ''}
-      </div>` : ''}
-      
-      ${showLaden ? `
-      <table class="speed-table">
-        <tr>
-          <th rowspan="2">Alt</th>
-          <th colspan="3">Clean</th>
-          <th colspan="3">Laden</th>
-        </tr>
-        <tr>
-          <th>C</th>
-          <th>D</th>
-          <th>M</th>
-          <th>C</th>
-          <th>D</th>
-          <th>M</th>
-        </tr>
-        ${Object.keys(aircraftData.speedsClean).filter(alt => {
-          if (alt === 'VH') {
-            const cleanValues = aircraftData.speedsClean[alt];
-            const ladenValues = aircraftData.speedsLaden[alt];
-            const isInvalid = (val) => val === '-' || val === 'N/A';
-            return !(isInvalid(cleanValues.combat) && isInvalid(cleanValues.dash) && isInvalid(cleanValues.maneuver) &&
-                     isInvalid(ladenValues.combat) && isInvalid(ladenValues.dash) && isInvalid(ladenValues.maneuver));
-          }
-          return true;
-        }).map(alt => `
-          <tr>
-            <td><strong>${alt}</strong></td>
-            <td>${aircraftData.speedsClean[alt].combat}</td>
-            <td>${aircraftData.speedsClean[alt].dash}</td>
-            <td>${aircraftData.speedsClean[alt].maneuver}</td>
-            <td>${aircraftData.speedsLaden[alt].combat}</td>
-            <td>${aircraftData.speedsLaden[alt].dash}</td>
-            <td>${aircraftData.speedsLaden[alt].maneuver}</td>
-          </tr>
-        `).join('')}
-      </table>
-      ` : aircraftData.speeds && Object.keys(aircraftData.speeds).length > 0 ? `
-      <table class="speed-table">
-        <tr>
-          <th>Alt</th>
-          <th>C</th>
-          <th>D</th>
-          <th>M</th>
-        </tr>
-        ${Object.entries(aircraftData.speeds).filter(([alt, speeds]) => {
-          if (alt === 'VH') {
-            const isInvalid = (val) => val === '-' || val === 'N/A';
-            return !(isInvalid(speeds.combat) && isInvalid(speeds.dash) && isInvalid(speeds.maneuver));
-          }
-          return true;
-        }).map(([alt, speeds]) => `
-          <tr>
-            <td><strong>${alt}</strong></td>
-            <td>${speeds.combat}</td>
-            <td>${speeds.dash}</td>
-            <td>${speeds.maneuver}</td>
-          </tr>
-        `).join('')}
-      </table>
-      ` : ''}
+      ${this.cardInfoLines(card).map(segments => `
+      <div style="padding: 1px 3px; background: #f5f5f5; font-size: 7pt; margin-bottom: 1px; line-height: 1.05;">
+        ${segmentsHTML(segments)}
+      </div>`).join('')}
+      ${speedTable}
     </div>
     
     <!-- Individual aircraft boxes -->
     <div class="aircraft-grid">
-      ${Array(parseInt(flightSize)).fill(0).map((_, i) => `
+      ${Array.from({ length: card.flightSize }, (_, i) => `
         <div class="aircraft-box">
           <div class="aircraft-header">
             <div class="aircraft-number">${i + 1}</div>
             <div class="damage-boxes">
               <div class="damage-column">
-                ${aircraftData.capabilities && aircraftData.capabilities.includes('CSAR') ? `
+                ${card.damage.map(label => `
                 <div class="damage-row">
-                  <div class="damage-label">Damaged</div>
+                  <div class="damage-label">${label}</div>
                   <div class="damage-checkbox"></div>
-                </div>
-                <div class="damage-row">
-                  <div class="damage-label">Shot down</div>
-                  <div class="damage-checkbox"></div>
-                </div>
-                ` : `
-                <div class="damage-row">
-                  <div class="damage-label">Damaged</div>
-                  <div class="damage-checkbox"></div>
-                </div>
-                <div class="damage-row">
-                  <div class="damage-label">Crippled</div>
-                  <div class="damage-checkbox"></div>
-                </div>
-                <div class="damage-row">
-                  <div class="damage-label">Destroyed</div>
-                  <div class="damage-checkbox"></div>
-                </div>
-                `}
+                </div>`).join('')}
               </div>
             </div>
           </div>
           <div class="ordnance-area-small">
             <div class="ordnance-label-small">Ordnance</div>
-            ${rolledOrdnance ? (() => {
-              const items = rolledOrdnance.split('+').filter(item => item.trim().length > 0);
-              return items.map(item => `<div style="font-size: 6pt; padding: 1px 3px; text-align: left; line-height: 1.1;">+${item.trim()}</div>`).join('');
-            })() : ''}
+            ${card.rolledOrdnance.map(item => `<div style="font-size: 6pt; padding: 1px 3px; text-align: left; line-height: 1.1;">+${item}</div>`).join('')}
           </div>
         </div>
       `).join('')}
     </div>
   </div>
     `;
-    
-    return html;
   }
 
   /**
-   * Generate a compact half-width card for CSAR helicopters
-   * @param {string} aircraftType - Aircraft model name
-   * @param {object} aircraftData - Aircraft data from database
-   * @param {number} flightSize - Number of aircraft in flight
-   * @param {string} nationCode - Nation code for roundel
-   * @param {string} tasking - Mission tasking
-   * @param {string} faction - NATO or WP
-   * @param {boolean} applyPageBreak - Whether to apply page break
-   * @returns {string} HTML for compact CSAR card
+   * Roundel image file of a card (module print.roundels, else the defaults)
+   * @param {string} nationCode - Flight nationality
+   * @param {object} aircraftData - Designer-format aircraft data
+   * @returns {string} File name in the roundel folder
    */
-  generateCompactCSARCard(aircraftType, aircraftData, flightSize, nationCode, tasking, faction, applyPageBreak = false) {
-    if (!aircraftData) {
-      aircraftData = {
-        model: aircraftType,
-        capabilities: 'CSAR'
-      };
-    }
-    
+  getRoundelImage(nationCode, aircraftData) {
     const roundelMap = this.moduleConfig?.print?.roundels || {
       'US': 'USAF.jpg',
       'USAF': 'USAF.jpg',
@@ -1078,7 +1071,7 @@ class PrintGenerator {
       'UK(RAF)': 'UK.jpg',
       'UK(RN)': 'UK.jpg',
       'FRG': 'FRG.jpg',
-      'FRG/DK': 'FRG.jpg',
+      'FRG/DK': 'FRG.jpg',  // Default for mixed raids
       'DK': 'Denmark.jpg',
       'SE': 'Sweden.jpg',
       'BEL': 'Belgium.jpg',
@@ -1092,24 +1085,41 @@ class PrintGenerator {
       'USSR': 'USSR.jpg',
       'GDR': 'GDR.jpg'
     };
-    
-    const roundelImage = roundelMap[nationCode] || roundelMap[aircraftData.nation] || 'USAF.jpg';
 
-    // Use configurable base path for roundel images (allows shared designer to override)
-    const roundelBase = this.moduleConfig?.print?.roundelBasePath || '../../../shared/assets/roundels';
+    // For composite nationalities like "NE/CAN" or "BE/NE", the aircraft's own
+    // nation from the database is more accurate for roundel selection than the
+    // table's nationality group code. aircraftData.nation is set by
+    // convertAircraftData() which prioritizes the JSON nation over the table code.
+    return roundelMap[nationCode] || roundelMap[aircraftData.nation] || 'USAF.jpg';
+  }
 
-    // Don't apply page break to individual compact cards - the container handles it
-    const pageBreakStyle = '';
+  /**
+   * Folder of the roundel images (configurable so the shared designer can
+   * override it)
+   * @returns {string}
+   */
+  getRoundelBasePath() {
+    return this.moduleConfig?.print?.roundelBasePath || '../../../shared/assets/roundels';
+  }
+
+  /**
+   * A compact card for CSAR helicopters as HTML (four across the sheet)
+   * @param {object} card - buildCardModel() card
+   * @returns {string} HTML for compact CSAR card
+   */
+  renderCompactCSARCardHTML(card) {
+    const roundelBase = this.getRoundelBasePath();
 
-    let html = `
-  <div class="compact-csar-card"${pageBreakStyle}>
+    // No page break on individual compact cards - the container handles it
+    return `
+  <div class="compact-csar-card">
     <div class="compact-csar-header">
       <div class="roundel-box-compact">
-        <img src="${roundelBase}/${roundelImage}" alt="${nationCode || aircraftData.nation || 'Unknown'} Roundel">
+        <img src="${roundelBase}/${card.roundel.image}" alt="${card.roundel.nation} Roundel">
       </div>
       <div class="field">
         <div class="field-label">Aircraft</div>
-        <div class="field-value">${aircraftData.model || aircraftType}</div>
+        <div class="field-value">${card.aircraft}</div>
       </div>
       <div class="field">
         <div class="field-label">Callsign</div>
@@ -1120,39 +1130,207 @@ class PrintGenerator {
     <div class="compact-csar-info">
       <div class="field">
         <div class="field-label">Tasking</div>
-        <div class="field-value">${tasking}</div>
+        <div class="field-value">${card.tasking}</div>
+      </div>
+      <div class="field compact-card-number">
+        <div class="field-label">Card</div>
+        <div class="field-value card-number">${card.number ?? ''}</div>
       </div>
     </div>
     
     <div class="compact-aircraft-grid">
-      ${Array(flightSize).fill(0).map((_, i) => `
+      ${Array.from({ length: card.flightSize }, (_, i) => `
         <div class="compact-aircraft-box">
           <div class="aircraft-number-compact">${i + 1}</div>
           <div class="compact-damage-checks">
-            <div class="compact-damage-item">
-              <span class="compact-damage-label">Damaged</span>
+            ${card.damage.map(label => `<div class="compact-damage-item">
+              <span class="compact-damage-label">${label}</span>
               <div class="damage-checkbox-compact"></div>
-            </div>
-            <div class="compact-damage-item">
-              <span class="compact-damage-label">Shot down</span>
-              <div class="damage-checkbox-compact"></div>
-            </div>
+            </div>`).join('\n            ')}
           </div>
         </div>
       `).join('')}
     </div>
   </div>
     `;
-    
-    return html;
+  }
+
+  /**
+   * A card as plain text (one line per card row), for text exports and
+   * logs
+   * @param {object} card - buildCardModel() card
+   * @returns {string}
+   */
+  renderCardText(card) {
+    const text = value => this.toPdfText(value);
+    const segments = list => list
+      .map(segment => (segment.label ? `${segment.label}: ${text(segment.text)}` : text(segment.text)))
+      .join(' | ');
+    const lines = [
+      `${text(card.aircraft)} (${card.roundel.nation}), ${card.flightSize}-ship, ${text(card.tasking)}`
+    ];
+
+    if (!card.compact) {
+      lines.push(segments([
+        card.fuel && { label: 'Fuel', text: card.fuel.value },
+        card.crew && { label: 'Crew', text: card.crew },
+        card.rwy && { label: 'Rwy', text: card.rwy },
+        card.notes && { label: 'Notes', text: card.notes }
+      ].filter(Boolean)));
+      if (card.weapons.length > 0) {
+        lines.push(segments(card.weapons.map(weapon => ({ label: weapon.type, text: weapon.text }))));
+      }
+      lines.push(...this.cardInfoLines(card).map(segments));
+      if (card.speeds) {
+        const header = card.speeds.laden ? 'Speeds C/D/M clean, laden' : 'Speeds C/D/M';
+        lines.push(`${header}: ` + this.cardSpeedRows(card.speeds).map(([band, ...values]) =>
+          `${band} ${values.slice(0, 3).join('/')}${card.speeds.laden ? `, ${values.slice(3).join('/')}` : ''}`).join(' | '));
+      }
+    }
+    if (card.rolledOrdnance.length > 0) {
+      lines.push(`Ordnance: ${card.rolledOrdnance.map(item => `+${text(item)}`).join(' ')}`);
+    }
+
+    return lines.filter(Boolean).join('\n');
+  }
+
+  /**
+   * The flights of the sheet in print order (NATO, then WP; CSAR last in
+   * each) with their card models and the number of their first card,
+   * counting every card of the sheet. The cards carry their numbers, and
+   * the flights their firstCard for generateDesignerFlightCard(), so the
+   * printed cards match the raid summaries.
+   * @param {Array} results - Canonical results
+   * @param {object} dataFiles - Data files from loadDataFiles()
+   * @returns {Array} [{ flight, cards, firstCard }], each flight with the
+   *   resultIndex of its result and its firstCard
+   */
+  sheetFlights(results, dataFiles) {
+    const flights = results.flatMap((result, resultIndex) =>
+      this.processFlights([result]).map(flight => ({ ...flight, resultIndex })));
+    const { natoRegular, natoCSAR, wpRegular, wpCSAR } = this.sortFlights(flights);
+    let nextCard = 1;
+
+    return [...natoRegular, ...natoCSAR, ...wpRegular, ...wpCSAR].map(flight => {
+      const firstCard = nextCard;
+      const cards = this.flightCardModels(flight, dataFiles).map((card, i) => ({ ...card, number: firstCard + i }));
+      nextCard += cards.length;
+      return { flight: { ...flight, firstCard }, cards, firstCard };
+    });
+  }
+
+  /**
+   * The raids of the flight sheet, for their summary pages: each result of
+   * one of the module's raid tables (print.raidTables in ModuleConfig) with
+   * a row per flight entry and the numbers of its cards (see
+   * sheetFlights()). Raids and their rows follow the sheet (NATO, then WP;
+   * CSAR last in each). Flights whose aircraft is not in the database print
+   * no card (cards null).
+   * @param {Array} results - Canonical results
+   * @param {object} dataFiles - Data files from loadDataFiles()
+   * @returns {Array} [{ table, tableName, raidType, faction, nationality,
+   *   flights: [{ tasking, nationality, aircraft, flightSize, flightCount,
+   *   ordnance, cards: [first, last] | null }], aircraftCount, cardCount }]
+   */
+  raidSummaries(results, dataFiles) {
+    const raids = new Map();
+
+    for (const { flight, cards, firstCard } of this.sheetFlights(results, dataFiles)) {
+      if (!this.config.raidTables.includes(flight.table)) {
+        continue;
+      }
+
+      if (!raids.has(flight.resultIndex)) {
+        const result = results[flight.resultIndex];
+        raids.set(flight.resultIndex, {
+          table: result.table,
+          tableName: result.tableName || null,
+          raidType: result.raidType ?? null,
+          faction: result.faction,
+          nationality: result.nationality ?? null,
+          flights: [],
+          aircraftCount: 0,
+          cardCount: 0
+        });
+      }
+      const raid = raids.get(flight.resultIndex);
+      const [card] = cards;
+      const entry = {
+        tasking: flight.tasking || '',
+        nationality: card ? card.roundel.nation : (flight.actualNationality || flight.nationality || ''),
+        aircraft: card ? card.aircraft : (flight.aircraftType || 'Unknown'),
+        flightSize: card ? card.flightSize : (parseInt(flight.flightSize, 10) || 0),
+        flightCount: flight.flightCount || 1,
+        ordnance: card ? card.rolledOrdnance : [],
+        cards: card ? [firstCard, firstCard + cards.length - 1] : null
+      };
+      raid.flights.push(entry);
+      raid.aircraftCount += entry.flightSize * entry.flightCount;
+      raid.cardCount += cards.length;
+    }
+
+    return [...raids.values()];
+  }
+
+  /**
+   * A raid summary as a title, table rows and total (shared by the HTML
+   * and PDF summary pages)
+   * @param {object} raid - raidSummaries() raid
+   * @returns {object} { title, header, rows, total }
+   */
+  raidSummaryTable(raid) {
+    const cardNumbers = cards => {
+      if (!cards) return 'No card';
+      return cards[0] === cards[1] ? `${cards[0]}` : `${cards[0]}-${cards[1]}`;
+    };
+    const title = raid.tableName || `${raid.faction} Table ${raid.table}`;
+
+    return {
+      title: raid.raidType ? `${title}: ${raid.raidType}` : title,
+      header: ['Tasking', 'Nation', 'Aircraft', 'Size', 'Flights', 'Ordnance', 'Cards'],
+      rows: raid.flights.map(flight => [
+        flight.tasking,
+        flight.nationality,
+        flight.aircraft,
+        String(flight.flightSize),
+        String(flight.flightCount),
+        flight.ordnance.map(item => `+${item}`).join(' '),
+        cardNumbers(flight.cards)
+      ]),
+      total: `${raid.cardCount} ${raid.cardCount === 1 ? 'card' : 'cards'}, ` +
+        `${raid.aircraftCount} aircraft`
+    };
+  }
+
+  /**
+   * A raid's summary page for the printed sheet
+   * @param {object} raid - raidSummaries() raid
+   * @returns {string} HTML
+   */
+  renderRaidSummaryHTML(raid) {
+    const { title, header, rows, total } = this.raidSummaryTable(raid);
+    return `
+    <div class="raid-summary">
+      <div class="page-title">${title}</div>
+      <table class="raid-summary-table">
+        <tr>${header.map(label => `<th>${label}</th>`).join('')}</tr>
+        ${rows.map(row => `<tr>${row.map(value => `<td>${value}</td>`).join('')}</tr>`).join('\n        ')}
+      </table>
+      <div class="raid-summary-total">${total}</div>
+    </div>
+    `;
   }
 
   /**
    * Generate complete HTML document with designer styles for flight sheets
    * @param {string} flightCardsHTML - HTML for all flight cards
+   * @param {string} [raidSummariesHTML] - Raid summary pages
+   *   (renderRaidSummaryHTML()) printed before the cards
    * @returns {string} Complete HTML document
    */
-  generateDesignerSheetHTML(flightCardsHTML) {
+  generateDesignerSheetHTML(flightCardsHTML, raidSummariesHTML = '') {
+    const layout = this.getLayout();
+    const csar = layout.csar || { columns: 4, height: 125 };
     return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -1165,24 +1343,25 @@ class PrintGenerator {
     * { margin: 0; padding: 0; }
     html, body { margin: 0; padding: 0; background: #fff; color: #000; font-family: Arial, sans-serif; }
     body { padding: 5px; background: #f5f5f5; }
-    @page { size: letter; margin: 0.25in; }
+    @page { size: ${layout.paper}; margin: ${layout.margin}pt; }
     @media print { .flight-card { break-inside: avoid; page-break-inside: avoid; } }
     
     .page-title { text-align: center; font-size: 12pt; font-weight: bold; margin-bottom: 6px; border-bottom: 2px solid black; padding-bottom: 2px; color: black; }
-    .flight-grid { display: grid; grid-template-columns: repeat(2, 1fr); gap: 3px; margin-bottom: 3px; }
+    .flight-grid { display: grid; grid-template-columns: repeat(${layout.columns}, 1fr); gap: 3px; margin-bottom: 3px; }
     
     /* Flight Card Shell */
-    .flight-card { border: 2px solid black; padding: 4px; background: white; color: black; display: flex; flex-direction: column; margin-bottom: 3px; height: 240pt; gap: 3px; }
+    .flight-card { border: 2px solid black; padding: 4px; background: white; color: black; display: flex; flex-direction: column; margin-bottom: 3px; height: ${layout.cardHeight}pt; gap: 3px; }
     
     /* Compact CSAR Card Styles */
-    .csar-container { display: grid; grid-template-columns: repeat(4, 1fr); gap: 3px; margin-bottom: 3px; grid-column: 1 / -1; }
-    .compact-csar-card { border: 2px solid black; padding: 4px; page-break-inside: avoid; background: white; color: black; display: flex; flex-direction: column; width: 100%; height: 125pt; box-sizing: border-box; font-size: 7pt; line-height: normal; }
+    .csar-container { display: grid; grid-template-columns: repeat(${csar.columns}, 1fr); gap: 3px; margin-bottom: 3px; grid-column: 1 / -1; }
+    .compact-csar-card { border: 2px solid black; padding: 4px; page-break-inside: avoid; background: white; color: black; display: flex; flex-direction: column; width: 100%; height: ${csar.height}pt; box-sizing: border-box; font-size: 7pt; line-height: normal; }
     .compact-csar-header { display: grid; grid-template-columns: 24px 1fr 1fr; gap: 2px; margin-bottom: 1px; align-items: stretch; }
     .compact-csar-header .field { display: flex; flex-direction: column; justify-content: space-between; height: 100%; font-size: 5.5pt; }
     .roundel-box-compact { border: none; padding: 1px; display: flex; align-items: center; justify-content: center; background: white; width: 24px; height: 24px; overflow: hidden; }
     .roundel-box-compact img { max-width: 100%; max-height: 100%; object-fit: contain; }
     .compact-csar-info { display: flex; gap: 2px; margin-bottom: 1px; border-bottom: 1px solid #666; padding-bottom: 1px; }
     .compact-csar-info .field { flex: 1; font-size: 5.5pt; }
+    .compact-csar-info .compact-card-number { flex: 0 0 26px; }
     .compact-aircraft-grid { display: grid; grid-template-columns: repeat(2, 1fr); gap: 1px; padding: 0; flex: 1; }
     .compact-aircraft-box { border: 1px solid #666; padding: 1px; display: flex; flex-direction: column; align-items: center; gap: 1px; height: 100%; justify-content: flex-start; }
     .aircraft-number-compact { font-size: 5.5pt; font-weight: bold; text-align: center; padding: 1px; border: 1px solid #666; min-width: 12px; margin-bottom: 1px; }
@@ -1192,7 +1371,7 @@ class PrintGenerator {
     .damage-checkbox-compact { min-width: 12px; min-height: 12px; width: 12px; height: 12px; border: 1px solid #666; background: white; flex-shrink: 0; }
     
     .flight-info-section { border-bottom: 2px solid black; padding-bottom: 3px; margin-bottom: 3px; }
-    .flight-header { display: grid; grid-template-columns: 50px auto 1.2fr 50px 0.8fr; gap: 3px; margin-bottom: 3px; align-items: stretch; }
+    .flight-header { display: grid; grid-template-columns: 50px auto 1.2fr 50px 0.8fr 30px; gap: 3px; margin-bottom: 3px; align-items: stretch; }
     .roundel-box-header { border: none; padding: 2px; display: flex; align-items: center; justify-content: center; background: white; min-height: 18px; max-height: 28px; }
     .roundel-box-header img { max-width: 100%; height: 28px; width: auto; object-fit: contain; }
     .flight-weapons-row { display: flex; justify-content: space-between; align-items: center; margin-bottom: 2px; padding: 2px; background: #f5f5f5; }
@@ -1228,6 +1407,13 @@ class PrintGenerator {
     .speed-table th, .speed-table td { border: 1px solid #666; padding: 1px 2px; text-align: center; }
     .speed-table th { background: #e0e0e0; font-weight: bold; }
     
+    /* Raid Summary Pages */
+    .raid-summary { background: white; color: black; padding: 4px; margin-bottom: 6px; break-after: page; page-break-after: always; }
+    .raid-summary-table { border-collapse: collapse; width: 100%; font-size: 8pt; }
+    .raid-summary-table th, .raid-summary-table td { border: 1px solid #666; padding: 2px 4px; text-align: left; }
+    .raid-summary-table th { background: #e0e0e0; font-weight: bold; }
+    .raid-summary-total { font-size: 8pt; font-weight: bold; margin-top: 4px; }
+    
     @media print {
       body { background: white; padding: 0; }
       .flight-card { page-break-inside: avoid; margin-bottom: 5px; }
@@ -1243,6 +1429,7 @@ class PrintGenerator {
   </style>
 </head>
 <body>
+  ${raidSummariesHTML}
   <div class="flight-grid">
     ${flightCardsHTML}
   </div>
@@ -1255,6 +1442,601 @@ class PrintGenerator {
 </html>`;
   }
 
+  /**
+   * Build the flight sheet as a PDF file instead of printing it from a
+   * popup window: the same card models as the HTML cards (see
+   * buildCardModel()),
+   * laid out on fixed pages of the layout profile so the sheet is the same
+   * on every machine. Raid summary pages come first if chosen
+   * (PrintLayouts.raidSummaries()).
+   * @param {Array} results - Canonical results
+   * @returns {Promise<Uint8Array>} PDF file
+   */
+  async generatePdfSheet(results) {
+    const dataFiles = await this.loadDataFiles();
+    const cards = this.preparePdfCards(results, dataFiles);
+    const raids = PrintLayouts.raidSummaries() ? this.raidSummaries(results, dataFiles) : [];
+    const roundelImages = await this.loadRoundelImages([...new Set(cards.map(card => card.roundel.image))]);
+    return this.buildPdfSheet(cards, roundelImages, raids);
+  }
+
+  /**
+   * The cards of the flight sheet in print order (NATO, then WP; CSAR last
+   * in each), one per flight of each flight result, numbered as on the
+   * sheet. Flights whose aircraft is not in the database get no card, as on
+   * the printed sheet.
+   * @param {Array} results - Canonical results
+   * @param {object} dataFiles - Data files from loadDataFiles()
+   * @returns {Array} sheetFlights() cards with their flightIndex
+   */
+  preparePdfCards(results, dataFiles) {
+    return this.sheetFlights(results, dataFiles).flatMap(({ cards }, flightIndex) =>
+      cards.map(card => ({ ...card, flightIndex })));
+  }
+
+  /**
+   * Fetch roundel images for the PDF. A roundel that cannot be loaded is
+   * left out; its cards show the nation code.
+   * @param {Array<string>} files - File names in the roundel folder
+   * @returns {Promise<Object>} Image bytes (Uint8Array) by file name
+   */
+  async loadRoundelImages(files) {
+    const images = {};
+    for (const file of files) {
+      const path = `${this.getRoundelBasePath()}/${file}`;
+      try {
+        const response = await fetch(path);
+        if (!response.ok) {
+          console.warn(`Failed to load roundel from ${path}: ${response.status}`);
+          continue;
+        }
+        images[file] = new Uint8Array(await response.arrayBuffer());
+      } catch (error) {
+        console.warn(`Error loading roundel from ${path}:`, error);
+      }
+    }
+    return images;
+  }
+
+  /**
+   * Draw the cards into a PDF file
+   * @param {Array} cards - preparePdfCards() cards
+   * @param {Object} roundelImages - Image bytes by file name (JPEG only;
+   *   other roundels show the nation code)
+   * @param {Array} [raids] - raidSummaries() raids, a page each before the
+   *   cards
+   * @returns {Uint8Array} PDF file
+   */
+  buildPdfSheet(cards, roundelImages = {}, raids = []) {
+    if (cards.length === 0) {
+      throw new Error('No flight cards to print: none of the aircraft are in the database');
+    }
+
+    const layout = this.getLayout();
+    const pdf = PdfWriter.create(PrintLayouts.pageSize(layout));
+    const images = {};
+    for (const file of new Set(cards.map(card => card.roundel.image))) {
+      images[file] = roundelImages[file] ? pdf.addJpeg(roundelImages[file]) : null;
+      if (roundelImages[file] && !images[file]) {
+        console.warn(`[PDF] Roundel ${file} is not a JPEG; its cards show the nation code`);
+      }
+    }
+
+    for (const raid of raids) {
+      pdf.addPage();
+      this.drawPdfRaidSummary(pdf, raid, layout);
+    }
+
+    for (const page of this.layoutPdfSheet(cards, layout)) {
+      pdf.addPage();
+      for (const placed of page) {
+        const roundel = images[placed.card.roundel.image];
+        if (placed.card.compact) {
+          this.drawPdfCompactCSARCard(pdf, placed, roundel);
+        } else {
+          this.drawPdfDesignerCard(pdf, placed, roundel);
+        }
+      }
+    }
+
+    return pdf.toBytes();
+  }
+
+  /**
+   * Place the cards on pages, as the printed sheet does: regular cards
+   * across the page by the layout's columns, compact CSAR cards in rows of
+   * their own (a new row per flight), and WP from a new page
+   * @param {Array} cards - preparePdfCards() cards
+   * @param {object} [layout] - PrintLayouts profile (getLayout() by default)
+   * @returns {Array<Array>} Pages of { card, x, y, width, height } (points
+   *   from the top left)
+   */
+  layoutPdfSheet(cards, layout = this.getLayout()) {
+    const { margin, cardHeight, columns } = layout;
+    const { width: pageWidth, height: pageHeight } = PrintLayouts.pageSize(layout);
+    const csar = layout.csar || { columns, height: cardHeight };
+    const gap = PrintLayouts.CARD_GAP;
+    const contentWidth = pageWidth - margin * 2;
+    const pages = [];
+    let page = null;
+    let row = null;
+    let column = 0;
+    let y = margin;
+
+    const startPage = () => {
+      page = [];
+      pages.push(page);
+      row = null;
+      column = 0;
+      y = margin;
+    };
+
+    cards.forEach((card, i) => {
+      const perRow = card.compact ? csar.columns : columns;
+      const height = card.compact ? csar.height : cardHeight;
+
+      if (!page || cards[i - 1].faction !== card.faction) {
+        startPage();
+      }
+
+      const sameRow = row && row.compact === card.compact && column < perRow &&
+        (!card.compact || row.flightIndex === card.flightIndex);
+      if (!sameRow) {
+        if (row) {
+          y += row.height + gap;
+        }
+        column = 0;
+        if (page.length > 0 && y + height > pageHeight - margin) {
+          startPage();
+        }
+        row = { compact: card.compact, flightIndex: card.flightIndex, height };
+      }
+
+      const width = (contentWidth - gap * (perRow - 1)) / perRow;
+      page.push({ card, x: margin + column * (width + gap), y, width, height });
+      column++;
+    });
+
+    return pages;
+  }
+
+  /**
+   * Card text as plain text (markup removed)
+   * @param {*} value
+   * @returns {string}
+   */
+  toPdfText(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * A labelled field box (Aircraft, Callsign, Tasking...)
+   */
+  drawPdfField(pdf, x, y, width, height, label, value, size = 7) {
+    pdf.rect(x, y, width, height, { stroke: 0.4, lineWidth: 0.75 });
+    pdf.text(x + 3, y + size + 0.5, label, { font: 'italic', size: size - 0.5, gray: 0.6 });
+    const text = this.toPdfText(value);
+    if (text) {
+      pdf.text(x + 3, y + height - 3.5, pdf.fitText(text, 'bold', size, width - 6), { font: 'bold', size });
+    }
+  }
+
+  /**
+   * A roundel fitted into a box, or the nation code if there is no image
+   */
+  drawPdfRoundel(pdf, x, y, width, height, roundel, nationCode) {
+    if (roundel) {
+      const scale = Math.min(width / roundel.width, height / roundel.height);
+      const w = roundel.width * scale;
+      const h = roundel.height * scale;
+      pdf.image(roundel.name, x + (width - w) / 2, y + (height - h) / 2, w, h);
+      return;
+    }
+    const text = pdf.fitText(this.toPdfText(nationCode) || '?', 'bold', 6, width);
+    pdf.text(x + (width - pdf.textWidth(text, 'bold', 6)) / 2, y + height / 2 + 2, text, { font: 'bold', size: 6 });
+  }
+
+  /**
+   * Labelled segments ("Radar: ... | RWR: ...") wrapped to a width, on an
+   * optional grey band
+   * @param {object} options - { size, lineHeight, maxLines, separator, fill }
+   * @returns {number} Height used in points
+   */
+  drawPdfSegments(pdf, segments, x, y, width, options = {}) {
+    const { size = 7, lineHeight = 8, maxLines = 3, separator = '|', fill = null } = options;
+    const space = pdf.textWidth(' ', 'regular', size);
+
+    // Words with their fonts, then their positions
+    const words = [];
+    segments.forEach((segment, i) => {
+      if (i > 0 && separator) words.push({ text: separator, font: 'regular' });
+      if (segment.label) words.push({ text: `${segment.label}:`, font: 'bold' });
+      for (const word of this.toPdfText(segment.text).split(' ').filter(Boolean)) {
+        words.push({ text: word, font: 'regular' });
+      }
+    });
+
+    let line = 0;
+    let cursor = 0;
+    const placed = [];
+    for (const word of words) {
+      let wordWidth = pdf.textWidth(word.text, word.font, size);
+      if (cursor > 0 && cursor + space + wordWidth > width) {
+        line++;
+        cursor = 0;
+      }
+      if (line >= maxLines) break;
+      const offset = cursor > 0 ? cursor + space : 0;
+      const text = pdf.fitText(word.text, word.font, size, width - offset);
+      wordWidth = pdf.textWidth(text, word.font, size);
+      placed.push({ text, font: word.font, x: offset, line });
+      cursor = offset + wordWidth;
+    }
+
+    const lines = placed.length > 0 ? placed[placed.length - 1].line + 1 : 0;
+    const height = lines * lineHeight + 2;
+    if (fill !== null) {
+      pdf.rect(x, y, width + 6, height, { fill });
+    }
+    for (const word of placed) {
+      pdf.text(x + 3 + word.x, y + (word.line + 1) * lineHeight - 1, word.text, { font: word.font, size });
+    }
+    return height;
+  }
+
+  /**
+   * Draw a regular card (the PDF counterpart of renderDesignerCardHTML())
+   * @param {object} pdf - PdfWriter document (or SvgWriter image)
+   * @param {object} placed - layoutPdfSheet() entry
+   * @param {object|null} roundel - addJpeg() image, null for the nation code
+   */
+  drawPdfDesignerCard(pdf, placed, roundel) {
+    const { card, x, y, width, height } = placed;
+    const gap = 3;
+    const left = x + 5;
+    const inner = width - 10;
+    let top = y + 5;
+
+    pdf.rect(x + 1, y + 1, width - 2, height - 2, { stroke: 0, lineWidth: 2 });
+
+    // Header: roundel, Aircraft, Callsign, Counter, Aggr., card number
+    const headerHeight = 22;
+    const roundelWidth = 34;
+    const rest = inner - roundelWidth - gap * 5;
+    const headerFields = [['Aircraft', card.aircraft, 0.4], ['Callsign', '', 0.24], ['Counter', '', 0.13], ['Aggr.', '', 0.14], ['Card', card.number ?? '', 0.09]];
+    this.drawPdfRoundel(pdf, left, top, roundelWidth, headerHeight, roundel, card.roundel.nation);
+    let fieldX = left + roundelWidth + gap;
+    for (const [label, value, share] of headerFields) {
+      this.drawPdfField(pdf, fieldX, top, rest * share, headerHeight, label, value);
+      fieldX += rest * share + gap;
+    }
+    top += headerHeight + gap;
+
+    // Tasking, fuel (with a circle per fuel point) and notes
+    const rowHeight = 24;
+    const shares = [0.7, 0.9, 0.8].map(share => (inner - gap * 2) * share / 2.4);
+    this.drawPdfField(pdf, left, top, shares[0], rowHeight, 'Tasking', card.tasking);
+    const fuelX = left + shares[0] + gap;
+    if (!card.fuel) {
+      this.drawPdfField(pdf, fuelX, top, shares[1], rowHeight, 'Fuel', '');
+    } else {
+      pdf.rect(fuelX, top, shares[1], rowHeight, { stroke: 0.4, lineWidth: 0.75 });
+      pdf.text(fuelX + 3, top + 8, 'Fuel', { font: 'italic', size: 6.5, gray: 0.6 });
+      pdf.text(fuelX + 3, top + 18, pdf.fitText(this.toPdfText(card.fuel.value), 'bold', 7, 18), { font: 'bold', size: 7 });
+      if (card.fuel.circles) {
+        const counts = card.fuel.circles;
+        const spacing = Math.min(8, (shares[1] - 26) / Math.max(counts[0], 1));
+        const radius = Math.max(1, Math.min(3.5, spacing / 2 - 0.5));
+        counts.forEach((count, row) => {
+          for (let i = 0; i < count; i++) {
+            pdf.circle(fuelX + 24 + spacing * i + spacing / 2, top + 7 + row * 10, radius, { stroke: 0.4, lineWidth: 0.5 });
+          }
+        });
+      }
+    }
+    this.drawPdfField(pdf, fuelX + shares[1] + gap, top, shares[2], rowHeight, 'Notes', card.notes || '');
+    top += rowHeight + gap;
+
+    // Weapons, then crew and runway on the right
+    const crewSegments = [
+      card.crew && { label: 'Crew', text: card.crew },
+      card.rwy && { label: 'Rwy', text: card.rwy }
+    ].filter(Boolean);
+    const crewWidth = crewSegments.reduce((total, segment) =>
+      total + pdf.textWidth(`${segment.label}: ${this.toPdfText(segment.text)}   `, 'bold', 7), 0);
+    pdf.rect(left, top, inner, 11, { fill: 0.96 });
+    this.drawPdfSegments(pdf, card.weapons.map(weapon => ({ label: weapon.type, text: weapon.text })), left, top + 1, inner - crewWidth - 6, { maxLines: 1, separator: '' });
+    this.drawPdfSegments(pdf, crewSegments, left + inner - crewWidth - 6, top + 1, crewWidth, { maxLines: 1, separator: '' });
+    top += 12;
+
+    // Information lines and the speed table
+    for (const segments of this.cardInfoLines(card)) {
+      top += this.drawPdfSegments(pdf, segments, left, top, inner - 6, { fill: 0.96 }) + 1;
+    }
+    if (card.speeds) {
+      top += this.drawPdfSpeedTable(pdf, card.speeds, left, top + 1, inner) + 1;
+    }
+    pdf.line(left, top + 2, left + inner, top + 2, { stroke: 0, lineWidth: 2 });
+    top += 5;
+
+    // A box per aircraft, four across
+    const damageLabels = card.damage;
+    const ordnance = card.rolledOrdnance;
+    const count = card.flightSize;
+    const rows = Math.max(1, Math.ceil(count / 4));
+    const boxWidth = (inner - gap * 3) / 4;
+    const boxHeight = (y + height - 5 - top - gap * (rows - 1)) / rows;
+
+    for (let i = 0; i < count; i++) {
+      const boxX = left + (i % 4) * (boxWidth + gap);
+      const boxY = top + Math.floor(i / 4) * (boxHeight + gap);
+      pdf.rect(boxX, boxY, boxWidth, boxHeight, { stroke: 0.4, lineWidth: 0.75 });
+
+      pdf.rect(boxX + 2, boxY + 2, 12, 12, { stroke: 0.4, lineWidth: 0.75 });
+      const number = String(i + 1);
+      pdf.text(boxX + 8 - pdf.textWidth(number, 'bold', 7) / 2, boxY + 10.5, number, { font: 'bold', size: 7 });
+      damageLabels.forEach((label, row) => {
+        const rowY = boxY + 2 + row * 11;
+        pdf.rect(boxX + 16, rowY, 34, 10, { stroke: 0.4, lineWidth: 0.75 });
+        pdf.text(boxX + 18, rowY + 7, label, { size: 5.5 });
+        pdf.rect(boxX + 52, rowY, 10, 10, { stroke: 0.4, lineWidth: 0.75 });
+      });
+
+      const ordnanceY = boxY + 4 + damageLabels.length * 11;
+      pdf.line(boxX + 2, ordnanceY, boxX + boxWidth - 2, ordnanceY, { stroke: 0.4, lineWidth: 0.5 });
+      pdf.text(boxX + 3, ordnanceY + 8, 'Ordnance', { font: 'italic', size: 6.5, gray: 0.6 });
+      ordnance.forEach((item, row) => {
+        const itemY = ordnanceY + 15 + row * 7;
+        if (itemY <= boxY + boxHeight - 1) {
+          pdf.text(boxX + 3, itemY, pdf.fitText(`+${this.toPdfText(item)}`, 'regular', 6, boxWidth - 6), { size: 6 });
+        }
+      });
+    }
+  }
+
+  /**
+   * Draw the speed table of a card
+   * @param {object} speeds - Card model speeds
+   * @returns {number} Height used in points
+   */
+  drawPdfSpeedTable(pdf, speeds, x, y, width) {
+    const rowHeight = 7.5;
+    const columns = speeds.laden ? 7 : 4;
+    const cellWidth = width / (columns + 0.5);
+    const altWidth = cellWidth * 1.5;
+    const cell = (column, row, text, style = {}, span = 1) => {
+      const cellX = column === 0 ? x : x + altWidth + (column - 1) * cellWidth;
+      const cellW = column === 0 ? altWidth : cellWidth * span;
+      const cellY = y + row * rowHeight;
+      if (style.fill) pdf.rect(cellX, cellY, cellW, rowHeight, { fill: style.fill });
+      pdf.rect(cellX, cellY, cellW, rowHeight, { stroke: 0.4, lineWidth: 0.5 });
+      const value = pdf.fitText(this.toPdfText(text), style.font || 'regular', 6, cellW - 2);
+      pdf.text(cellX + (cellW - pdf.textWidth(value, style.font || 'regular', 6)) / 2, cellY + 5.75, value, { font: style.font, size: 6 });
+    };
+    const header = { font: 'bold', fill: 0.88 };
+
+    let row = 0;
+    if (speeds.laden) {
+      cell(0, 0, 'Alt', header);
+      cell(1, 0, 'Clean', header, 3);
+      cell(4, 0, 'Laden', header, 3);
+      row++;
+    }
+    cell(0, row, speeds.laden ? '' : 'Alt', header);
+    for (let column = 1; column < columns; column++) {
+      cell(column, row, ['C', 'D', 'M'][(column - 1) % 3], header);
+    }
+    row++;
+    for (const values of this.cardSpeedRows(speeds)) {
+      values.forEach((value, column) => cell(column, row, value, column === 0 ? { font: 'bold' } : {}));
+      row++;
+    }
+    return row * rowHeight;
+  }
+
+  /**
+   * Draw a compact CSAR card (the PDF counterpart of
+   * renderCompactCSARCardHTML())
+   * @param {object} pdf - PdfWriter document (or SvgWriter image)
+   * @param {object} placed - layoutPdfSheet() entry
+   * @param {object|null} roundel - addJpeg() image, null for the nation code
+   */
+  drawPdfCompactCSARCard(pdf, placed, roundel) {
+    const { card, x, y, width, height } = placed;
+    const gap = 2;
+    const left = x + 4;
+    const inner = width - 8;
+    let top = y + 4;
+
+    pdf.rect(x + 1, y + 1, width - 2, height - 2, { stroke: 0, lineWidth: 2 });
+
+    // Header: roundel, Aircraft, Callsign; then Tasking and card number
+    const fieldWidth = (inner - 18 - gap * 2) / 2;
+    const numberWidth = 22;
+    this.drawPdfRoundel(pdf, left, top + 1, 16, 16, roundel, card.roundel.nation);
+    this.drawPdfField(pdf, left + 18 + gap, top, fieldWidth, 18, 'Aircraft', card.aircraft, 6);
+    this.drawPdfField(pdf, left + 18 + gap * 2 + fieldWidth, top, fieldWidth, 18, 'Callsign', '', 6);
+    top += 18 + gap;
+    this.drawPdfField(pdf, left, top, inner - numberWidth - gap, 16, 'Tasking', card.tasking, 6);
+    this.drawPdfField(pdf, left + inner - numberWidth, top, numberWidth, 16, 'Card', card.number ?? '', 6);
+    top += 16 + gap;
+    pdf.line(left, top, left + inner, top, { stroke: 0.4, lineWidth: 0.75 });
+    top += gap;
+
+    // A box per aircraft, two across
+    const count = card.flightSize;
+    const rows = Math.max(1, Math.ceil(count / 2));
+    const boxWidth = (inner - 1) / 2;
+    const boxHeight = (y + height - 4 - top - (rows - 1)) / rows;
+    for (let i = 0; i < count; i++) {
+      const boxX = left + (i % 2) * (boxWidth + 1);
+      const boxY = top + Math.floor(i / 2) * (boxHeight + 1);
+      pdf.rect(boxX, boxY, boxWidth, boxHeight, { stroke: 0.4, lineWidth: 0.75 });
+
+      const number = String(i + 1);
+      pdf.rect(boxX + boxWidth / 2 - 6, boxY + 1, 12, 9, { stroke: 0.4, lineWidth: 0.75 });
+      pdf.text(boxX + boxWidth / 2 - pdf.textWidth(number, 'bold', 5.5) / 2, boxY + 7.5, number, { font: 'bold', size: 5.5 });
+      card.damage.forEach((label, row) => {
+        const rowY = boxY + 12 + row * 11;
+        pdf.text(boxX + 2, rowY + 7, label, { size: 6 });
+        pdf.rect(boxX + boxWidth - 12, rowY, 10, 10, { stroke: 0.4, lineWidth: 0.75 });
+      });
+    }
+  }
+
+  /**
+   * Draw a raid's summary page (the PDF counterpart of
+   * renderRaidSummaryHTML())
+   * @param {object} pdf - PdfWriter document
+   * @param {object} raid - raidSummaries() raid
+   * @param {object} layout - PrintLayouts profile
+   */
+  drawPdfRaidSummary(pdf, raid, layout) {
+    const { title, header, rows, total } = this.raidSummaryTable(raid);
+    const { margin } = layout;
+    const width = PrintLayouts.pageSize(layout).width - margin * 2;
+    const columnWidths = [0.2, 0.08, 0.26, 0.07, 0.08, 0.19, 0.12].map(share => share * width);
+    const rowHeight = 14;
+    let y = margin;
+
+    pdf.text(margin, y + 12, pdf.fitText(this.toPdfText(title), 'bold', 12, width), { font: 'bold', size: 12 });
+    y += 16;
+    pdf.line(margin, y, margin + width, y, { lineWidth: 2 });
+    y += 6;
+
+    const drawRow = (values, font, fill = null) => {
+      let x = margin;
+      if (fill !== null) {
+        pdf.rect(margin, y, width, rowHeight, { fill });
+      }
+      values.forEach((value, i) => {
+        pdf.rect(x, y, columnWidths[i], rowHeight, { stroke: 0.4, lineWidth: 0.75 });
+        pdf.text(x + 3, y + 10, pdf.fitText(this.toPdfText(value), font, 8, columnWidths[i] - 6), { font, size: 8 });
+        x += columnWidths[i];
+      });
+      y += rowHeight;
+    };
+
+    drawRow(header, 'bold', 0.88);
+    for (const row of rows) {
+      drawRow(row, 'regular');
+    }
+    pdf.text(margin, y + 12, total, { font: 'bold', size: 8 });
+  }
+
+  /**
+   * A card as an SVG image at the print layout's card size, drawn by the
+   * PDF card drawing (drawPdfDesignerCard(), drawPdfCompactCSARCard())
+   * @param {object} card - buildCardModel() card
+   * @param {Object} [roundelImages] - Image bytes by file name (JPEG only;
+   *   other roundels show the nation code)
+   * @returns {string} SVG markup
+   */
+  renderCardSVG(card, roundelImages = {}) {
+    const layout = this.getLayout();
+    const csar = layout.csar || { columns: layout.columns, height: layout.cardHeight };
+    const perRow = card.compact ? csar.columns : layout.columns;
+    const gap = PrintLayouts.CARD_GAP;
+    const width = (PrintLayouts.pageSize(layout).width - layout.margin * 2 - gap * (perRow - 1)) / perRow;
+    const height = card.compact ? csar.height : layout.cardHeight;
+
+    const svg = SvgWriter.create({ width, height });
+    const bytes = roundelImages[card.roundel.image];
+    const roundel = bytes ? svg.addJpeg(bytes) : null;
+    const placed = { card, x: 0, y: 0, width, height };
+    if (card.compact) {
+      this.drawPdfCompactCSARCard(svg, placed, roundel);
+    } else {
+      this.drawPdfDesignerCard(svg, placed, roundel);
+    }
+    return svg.toString();
+  }
+
+  /**
+   * Build the tabletop setup file of the results (see
+   * buildTabletopSetup()), with the roundels on the card images
+   * @param {Array} results - Canonical results
+   * @returns {Promise<object>} Setup file
+   */
+  async generateTabletopSetup(results) {
+    const dataFiles = await this.loadDataFiles();
+    const cards = this.preparePdfCards(results, dataFiles);
+    const roundelImages = await this.loadRoundelImages([...new Set(cards.map(card => card.roundel.image))]);
+    return this.buildTabletopSetup(results, dataFiles, roundelImages);
+  }
+
+  /**
+   * The results as a setup file for VASSAL and Tabletop Simulator modules,
+   * so a module author can place the counters of a raid without retyping
+   * it:
+   *
+   *   {
+   *     format:     "oob-generator-tabletop-setup",
+   *     version:    1,
+   *     exportedAt: string,            // ISO timestamp
+   *     module:     string,            // "red-storm", "baltic-approaches"
+   *     layout:     string,            // PrintLayouts profile of the card images
+   *     flights:    Flight[]           // In print order
+   *   }
+   *
+   *   Flight { resultId, table, faction, raidType, aircraftType, aircraftId,
+   *            aircraft, nationality, tasking, flightSize, flightCount,
+   *            ordnance, cards, card }
+   *
+   * aircraftType is the name the table rolled and aircraftId the database
+   * ID it resolved to (AircraftResolver); aircraft is the name on the card.
+   * cards is [first, last] of the flight's card numbers on the flight sheet
+   * and card { text, svg } its card as text (renderCardText()) and as an
+   * SVG image (renderCardSVG()). Flights whose aircraft is not in the
+   * database have no aircraftId, cards or card.
+   *
+   * @param {Array} results - Canonical results
+   * @param {object} dataFiles - Data files from loadDataFiles()
+   * @param {Object} [roundelImages] - Image bytes by file name
+   * @returns {object} Setup file
+   */
+  buildTabletopSetup(results, dataFiles, roundelImages = {}) {
+    const flights = this.sheetFlights(results, dataFiles).map(({ flight, cards, firstCard }) => {
+      const resolved = this.resolveAircraft(flight, dataFiles.aircraftNATO, dataFiles.aircraftWP, dataFiles.nameMapping);
+      const [card] = cards;
+      return {
+        resultId: flight.resultId,
+        table: flight.table,
+        faction: flight.faction,
+        raidType: flight.raidType ?? null,
+        aircraftType: flight.aircraftType,
+        aircraftId: resolved.data ? resolved.aircraftId : null,
+        aircraft: card ? card.aircraft : null,
+        nationality: card ? card.roundel.nation : (flight.actualNationality || flight.nationality || null),
+        tasking: flight.tasking,
+        flightSize: flight.flightSize,
+        flightCount: flight.flightCount || 1,
+        ordnance: card ? card.rolledOrdnance : [],
+        cards: card ? [firstCard, firstCard + cards.length - 1] : null,
+        card: card ? { text: this.renderCardText(card), svg: this.renderCardSVG(card, roundelImages) } : null
+      };
+    });
+
+    return {
+      format: 'oob-generator-tabletop-setup',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      module: this.moduleConfig?.id || null,
+      layout: this.getLayout().id,
+      flights
+    };
+  }
+
   /**
    * Load all required data files
    * @returns {Promise<Object>} Object containing loaded data
@@ -1281,23 +2063,6 @@ class PrintGenerator {
     return null;
   }
 
-  /**
-   * Build an ID index for aircraft lookup by aircraftId
-   * @param {object} aircraftDB - Aircraft database keyed by name
-   * @returns {object} Map of aircraftId to { key, data }
-   */
-  buildAircraftIdIndex(aircraftDB) {
-    const index = {};
-    if (!aircraftDB || typeof aircraftDB !== 'object') return index;
-    for (const [key, value] of Object.entries(aircraftDB)) {
-      if (key.startsWith('_')) continue;
-      if (value && value.id) {
-        index[value.id] = { key, data: value };
-      }
-    }
-    return index;
-  }
-
   async loadDataFiles() {
     console.log('Loading merged data files for print generation...');
     
@@ -1334,11 +2099,6 @@ class PrintGenerator {
       });
     }
 
-    this.aircraftIdIndex = {
-      NATO: this.buildAircraftIdIndex(loadedData.aircraftNATO),
-      WP: this.buildAircraftIdIndex(loadedData.aircraftWP)
-    };
-    
     console.log('Successfully loaded merged data files containing both RS and BA data');
     return loadedData;
   }
@@ -1346,82 +2106,102 @@ class PrintGenerator {
   /**
    * Process flight results for print generation.
    *
-   * Uses ResultSchema.normalize() to convert any processor result shape
-   * (single-flight, multi-tasking, flights-array, combat-rescue) into
-   * a canonical { flights: [...] } structure. Falls through to legacy
-   * processing if ResultSchema is not loaded or validation fails.
+   * Every result is a canonical ResultSchema result; each entry of its
+   * flights[] becomes one printed flight. Results are checked against the
+   * contract first — in strict mode a violation throws, naming the table
+   * and processor; otherwise it is logged and the flight is still printed.
+   * Error results have no flights and print nothing.
    *
-   * @param {Array} results - Raw flight results from processors
+   * @param {Array} results - Canonical results (table processor output)
    * @returns {Array} Flat array of individual processed flights
    */
   processFlights(results) {
     const processedFlights = [];
 
-    for (const flight of results) {
-      // ---- New path: use ResultSchema adapter if available ----
-      if (typeof ResultSchema !== 'undefined') {
-        const normalized = ResultSchema.normalize(flight, flight.faction, flight.table || flight.sourceTable);
-        const errors = ResultSchema.validate(normalized, normalized.table || 'unknown');
-
-        if (errors.length === 0) {
-          for (const f of normalized.flights) {
-            processedFlights.push({
-              ...f,
-              faction: normalized.faction,
-              table: normalized.table,
-              raidType: normalized.raidType,
-            });
-          }
-          continue;
-        }
-        // Fall through to legacy processing if validation failed
-      }
+    for (const result of results) {
+      ResultSchema.check(result, result.table, result.processor);
+      processedFlights.push(...this.flattenResult(result));
+    }
 
-      // ---- Legacy path (kept as fallback) ----
-      // Handles cases where ResultSchema is not loaded or produced
-      // validation errors. This block is the original processFlights logic.
-
-      const flightsArray = flight.flights
-        || (flight.result && typeof flight.result === 'object' && flight.result.flights);
-
-      const taskingsArray = flight.taskings
-        || (flight.result && typeof flight.result === 'object' && flight.result.taskings);
-
-      if (flightsArray && Array.isArray(flightsArray)) {
-        for (const individualFlight of flightsArray) {
-          processedFlights.push({
-            ...flight,
-            ...individualFlight,
-            flights: null,
-            taskings: null,
-            result: individualFlight.text || individualFlight.result || flight.text || flight.result,
-            faction: flight.faction || individualFlight.faction || 'NATO'
-          });
-        }
-      } else if (taskingsArray && Array.isArray(taskingsArray)) {
-        for (const tasking of taskingsArray) {
-          processedFlights.push({
-            ...flight,
-            ...tasking,
-            flights: null,
-            taskings: null,
-            result: tasking.text,
-            faction: flight.faction || tasking.faction || 'NATO'
-          });
-        }
-      } else {
-        processedFlights.push({
-          ...flight,
-          faction: flight.faction || 'NATO'
+    return processedFlights;
+  }
+
+  /**
+   * The printed flights of one result, each with the result's faction,
+   * table and raid type (and where it came from, for the print preview)
+   * @param {object} result - Canonical result
+   * @returns {Array} Processed flights
+   */
+  flattenResult(result) {
+    return (result.flights || []).map((flight, flightIndex) => ({
+      ...flight,
+      faction: result.faction,
+      table: result.table,
+      raidType: result.raidType,
+      resultId: result.id ?? null,
+      flightIndex,
+    }));
+  }
+
+  /**
+   * Check every flight before printing. Lists the flights in print order
+   * with the database key and aircraft ID each card will use, and what
+   * would lose a card or spoil it:
+   *
+   *   unresolved          - aircraft not in the database: no card prints
+   *   unknown-id          - aircraftId not in the database: the card shows
+   *                         the aircraft found by name
+   *   missing-nationality - flight has no nationality
+   *   missing-tasking     - flight has no tasking
+   *   invalid             - other result contract violations (flight size...)
+   *
+   * Unlike processFlights(), broken results are listed rather than thrown,
+   * even in strict mode.
+   *
+   * @param {Array} results - Canonical results
+   * @param {object} dataFiles - Data files from loadDataFiles()
+   * @returns {Array} [{ flight, key, aircraftId, tier, issues: [{ code, message }] }],
+   *   tier being the AircraftResolver tier that found the aircraft
+   */
+  previewFlights(results, dataFiles) {
+    const contractIssues = { 'missing nationality': 'missing-nationality', 'missing tasking': 'missing-tasking' };
+    const { natoRegular, natoCSAR, wpRegular, wpCSAR } = this.sortFlights(
+      results.flatMap(result => this.flattenResult(result))
+    );
+
+    return [...natoRegular, ...natoCSAR, ...wpRegular, ...wpCSAR].map(flight => {
+      const faction = flight.faction || 'NATO';
+      const resolved = this.resolveAircraft(flight, dataFiles.aircraftNATO, dataFiles.aircraftWP, dataFiles.nameMapping);
+      const issues = [];
+
+      if (!resolved.data) {
+        issues.push({
+          code: 'unresolved',
+          message: `"${resolved.aircraftType}" is not in the ${faction} aircraft database; no card will print`
+        });
+      } else if (flight.aircraftId && resolved.tier !== 'id') {
+        issues.push({
+          code: 'unknown-id',
+          message: `Aircraft ID "${flight.aircraftId}" is not in the ${faction} aircraft database; the card shows ${resolved.key}`
         });
       }
-    }
+      for (const message of ResultSchema.validateFlight(flight)) {
+        issues.push({ code: contractIssues[message] || 'invalid', message });
+      }
 
-    return processedFlights;
+      return {
+        flight,
+        key: resolved.key,
+        aircraftId: resolved.data ? resolved.aircraftId : null,
+        tier: resolved.data ? resolved.tier : null,
+        issues
+      };
+    });
   }
 
   /**
-   * Sort flights for print display (NATO first, then WP; CSAR at end of each faction)
+   * Sort flights for print display (NATO first, then WP; CSAR at end of each
+   * faction, in the regular lists if the layout has no compact CSAR cards)
    * @param {Array} flights - Processed flights
    * @returns {Object} Object with natoRegular, natoCSAR, wpRegular, wpCSAR arrays
    */
@@ -1451,6 +2231,17 @@ class PrintGenerator {
       }
     }
     
+    // Layouts without CSAR compaction print CSAR flights as regular cards,
+    // still last in each faction
+    if (!this.getLayout().csar) {
+      return {
+        natoRegular: [...natoRegular, ...natoCSAR],
+        natoCSAR: [],
+        wpRegular: [...wpRegular, ...wpCSAR],
+        wpCSAR: []
+      };
+    }
+
     return { natoRegular, natoCSAR, wpRegular, wpCSAR };
   }
 
@@ -1480,7 +2271,10 @@ class PrintGenerator {
   }
 }
 
-// Export for global use
+// Export for global use (and Node.js tests)
 window.PrintGenerator = PrintGenerator;
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PrintGenerator;
+}
 
 console.log('OOB Generator: Shared print-generator.js framework loaded');
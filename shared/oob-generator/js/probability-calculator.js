@@ -0,0 +1,392 @@
+/**
+ * ProbabilityCalculator — Exact Outcome Odds for OOB Tables
+ * ==========================================================
+ *
+ * Walks the table data for the selected table, date, ATAF zone, nationality
+ * or mission type and computes the exact probability of every nation/aircraft
+ * outcome. Every roll in the tables is a d10 against range keys ("1-4",
+ * "5-10"), so the probability of a branch is the product of the range widths
+ * over 10 along its path — no Monte Carlo sampling needed.
+ *
+ * Result shape:
+ *
+ *   {
+ *     tableId:     string,
+ *     params:      object,
+ *     nationality: [{ nationality, probability }] | null,  // rolled nationality
+ *     groups: [{
+ *       label:    string,     // Tasking / flight type / mission type
+ *       outcomes: [{ nation, aircraftType, aircraftId, probability }]
+ *     }]
+ *   }
+ *
+ * Outcomes mirror what the processors produce:
+ *   - Variant sub-rolls ("variants" range objects) are expanded
+ *   - Composite nations ("NE/CAN") are resolved per aircraft via
+ *     processor.resolveCompositeNation()
+ *   - Split entries such as "F-4G/F-4E" are reported as one outcome
+ *   - Nationality rolls (Tables I, I2, J3, D3) weight everything below them
+ *   - Fixed packages (Table D3) that lack a flight type add a "No flight"
+ *     outcome (nation null) to its group, so every group sums to 1
+ *
+ * SCRIPT LOAD ORDER
+ * -----------------
+ * Load after utils.js and before ui-controller.js (uses the processors
+ * and TableRegistry at call time only):
+ *   <script src="utils.js"></script>
+ *   <script src="probability-calculator.js"></script>   <!-- THIS FILE -->
+ */
+
+const ProbabilityCalculator = (function () {
+  'use strict';
+
+  const DIE_SIDES = 10;
+  const RANGE_KEY = /^\d+(-\d+)?$/;
+
+  /** Outcome for rolls that leave a fixed-package group without a flight */
+  const NO_FLIGHT = 'No flight';
+
+  // =========================================================================
+  //  HELPERS
+  // =========================================================================
+
+  /**
+   * True for objects keyed entirely by roll ranges ("1-4", "7", ...)
+   * @param {*} value
+   * @returns {boolean}
+   */
+  function isRangeObject(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+    const keys = Object.keys(value);
+    return keys.length > 0 && keys.every(key => RANGE_KEY.test(key));
+  }
+
+  /**
+   * Probability of a d10 landing in a range key
+   * @param {object} processor - Table processor (for parseRange)
+   * @param {string} range - Range key
+   * @returns {number}
+   */
+  function rangeProbability(processor, range) {
+    const [min, max] = processor.parseRange(range);
+    return (max - min + 1) / DIE_SIDES;
+  }
+
+  /**
+   * Pick the date-specific child of a node keyed by scenario date
+   * ("pre"/"post" or a Baltic Approaches date range)
+   * @returns {object|null}
+   */
+  function selectDate(node, scenarioDate) {
+    if (scenarioDate === undefined || scenarioDate === null) return null;
+    if (node.dateRanges && node.dateRanges[scenarioDate]) return node.dateRanges[scenarioDate];
+    if (node[scenarioDate] && typeof node[scenarioDate] === 'object') return node[scenarioDate];
+    return null;
+  }
+
+  /**
+   * Map ordinal scenario dates (the Baltic Approaches date buttons 1-3)
+   * through the date range map of the table's parameter, as process() does
+   * @param {string} tableId - Table ID
+   * @param {object} params - Parameters as the page passes them
+   * @returns {object} Parameters with date ranges
+   */
+  function resolveDates(tableId, params) {
+    const resolved = { ...params };
+    for (const param of TableRegistry.getParams(tableId)) {
+      if (param.dates && resolved[param.name] !== undefined) {
+        resolved[param.name] = TableRegistry.resolveDate(param.dates, resolved[param.name]);
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * Error for a missing or unknown scenario date
+   * @returns {Error}
+   */
+  function dateError(params) {
+    if (params.scenarioDate === undefined || params.scenarioDate === null) {
+      return new Error('Scenario date is required');
+    }
+    return new Error(`No data for date "${params.scenarioDate}"`);
+  }
+
+  // =========================================================================
+  //  WALKER
+  // =========================================================================
+
+  /**
+   * Accumulates outcome probabilities while the table data is walked
+   */
+  function createAccumulator() {
+    const groups = new Map();
+    const nationality = new Map();
+
+    return {
+      addOutcome(groupLabel, nation, aircraftType, aircraftId, probability) {
+        if (!groups.has(groupLabel)) groups.set(groupLabel, new Map());
+        const outcomes = groups.get(groupLabel);
+        const key = `${nation}|${aircraftType}`;
+        const existing = outcomes.get(key);
+        if (existing) {
+          existing.probability += probability;
+        } else {
+          outcomes.set(key, { nation, aircraftType, aircraftId, probability });
+        }
+      },
+
+      /**
+       * Total probability recorded so far for a group
+       * @param {string} groupLabel
+       * @returns {number}
+       */
+      groupProbability(groupLabel) {
+        const outcomes = groups.get(groupLabel);
+        if (!outcomes) return 0;
+        return Array.from(outcomes.values()).reduce((sum, outcome) => sum + outcome.probability, 0);
+      },
+
+      groupLabels() {
+        return Array.from(groups.keys());
+      },
+
+      addNationality(name, probability) {
+        nationality.set(name, (nationality.get(name) || 0) + probability);
+      },
+
+      build() {
+        const byProbability = (a, b) => b.probability - a.probability;
+        return {
+          groups: Array.from(groups.entries()).map(([label, outcomes]) => ({
+            label,
+            outcomes: Array.from(outcomes.values()).sort(byProbability)
+          })),
+          nationality: nationality.size === 0 ? null : Array.from(nationality.entries())
+            .map(([name, probability]) => ({ nationality: name, probability }))
+            .sort(byProbability)
+        };
+      }
+    };
+  }
+
+  /**
+   * Record a single aircraft entry (expanding a variants sub-roll if present)
+   */
+  function addAircraftEntry(processor, entry, ctx, acc) {
+    if (isRangeObject(entry.variants)) {
+      for (const [range, variant] of Object.entries(entry.variants)) {
+        addAircraftEntry(processor, variant, {
+          ...ctx,
+          probability: ctx.probability * rangeProbability(processor, range)
+        }, acc);
+      }
+      return;
+    }
+
+    const { name, aircraftId } = processor.normalizeAircraftEntry(entry);
+    const nation = processor.resolveCompositeNation(ctx.nation, name, aircraftId);
+    acc.addOutcome(ctx.group, nation, name, aircraftId, ctx.probability);
+  }
+
+  /**
+   * Walk an aircraft roll (range object) or a fixed aircraft entry
+   */
+  function walkAircraft(processor, aircraft, ctx, acc) {
+    if (isRangeObject(aircraft)) {
+      for (const [range, entry] of Object.entries(aircraft)) {
+        addAircraftEntry(processor, entry, {
+          ...ctx,
+          probability: ctx.probability * rangeProbability(processor, range)
+        }, acc);
+      }
+    } else if (aircraft && typeof aircraft === 'object') {
+      addAircraftEntry(processor, aircraft, ctx, acc);
+    } else {
+      throw new Error(`No aircraft data for ${ctx.group}`);
+    }
+  }
+
+  /**
+   * Walk a rolled nationality (range object of nationality names) into the
+   * matching nationality data
+   */
+  function walkNationalityRoll(processor, rolls, nationalities, ctx, acc, params) {
+    for (const [range, nationalityName] of Object.entries(rolls)) {
+      const probability = ctx.probability * rangeProbability(processor, range);
+      const nationalityData = nationalities[nationalityName];
+      if (!nationalityData) {
+        throw new Error(`Unknown nationality "${nationalityName}"`);
+      }
+      acc.addNationality(nationalityName, probability);
+      walkNode(processor, nationalityData, { ...ctx, probability, nation: nationalityName }, acc, params);
+    }
+  }
+
+  /**
+   * Walk any table data node, dispatching on its structure
+   */
+  function walkNode(processor, node, ctx, acc, params) {
+    if (!node || typeof node !== 'object') {
+      throw new Error('Missing table data for the selected options');
+    }
+
+    // Table A "variants" / Table B "zones": ATAF zone, then date
+    const zoneContainer = (!isRangeObject(node.variants) && node.variants) || node.zones;
+    if (zoneContainer) {
+      const zoneData = zoneContainer[params.atafZone];
+      if (!zoneData) {
+        throw new Error(`Unknown ATAF zone "${params.atafZone}"`);
+      }
+      return walkNode(processor, zoneData, ctx, acc, params);
+    }
+
+    // Table D3: nationality roll per date, then fixed flight packages
+    if (node.nationalityRolls) {
+      const rolls = node.nationalityRolls[params.scenarioDate];
+      if (!rolls) {
+        throw dateError(params);
+      }
+      for (const [range, entry] of Object.entries(rolls)) {
+        const probability = ctx.probability * rangeProbability(processor, range);
+        acc.addNationality(entry.nationality, probability);
+        walkNode(processor, { flights: entry.flights }, { ...ctx, probability, nation: entry.nationality }, acc, params);
+      }
+      // Not every package flies every tasking (only the USAF package has
+      // Escort Jamming): the rest of the group is "No flight"
+      for (const group of acc.groupLabels()) {
+        const missing = ctx.probability - acc.groupProbability(group);
+        if (missing > 1e-9) {
+          acc.addOutcome(group, null, NO_FLIGHT, null, missing);
+        }
+      }
+      return;
+    }
+
+    if (node.nationalities) {
+      if (processor.nationalityRolls) {
+        return walkNationalityRoll(processor, processor.nationalityRolls, node.nationalities, ctx, acc, params);
+      }
+      const key = processor.normalizeNationality(params.nationality, params.hexType);
+      const nationalityData = node.nationalities[key];
+      if (!nationalityData) {
+        throw new Error(`Unknown nationality "${key}"`);
+      }
+      return walkNode(processor, nationalityData, { ...ctx, nation: nationalityData.name || key }, acc, params);
+    }
+
+    if (node.dateRanges || node.pre || node.post) {
+      const dated = selectDate(node, params.scenarioDate);
+      if (!dated) {
+        throw dateError(params);
+      }
+      return walkNode(processor, dated, ctx, acc, params);
+    }
+
+    if (node.taskings) {
+      const taskingNames = Object.keys(node.taskings)
+        .filter(name => !params.tasking || name === params.tasking);
+      if (taskingNames.length === 0) {
+        throw new Error(`Unknown tasking "${params.tasking}"`);
+      }
+      for (const taskingName of taskingNames) {
+        walkNode(processor, node.taskings[taskingName], { ...ctx, group: taskingName }, acc, params);
+      }
+      return;
+    }
+
+    if (node.missionTypes) {
+      const [missionType, reconNation] = String(params.missionType || '').split('|');
+      const missionData = node.missionTypes[missionType];
+      if (!missionData) {
+        throw new Error(`Unknown mission type "${missionType}"`);
+      }
+      const nationData = missionData.nationData;
+      if (nationData && !missionData.nations) {
+        const nation = reconNation || params.tacticalReconNation;
+        if (!nationData[nation]) {
+          throw new Error(`Select a nation for ${missionType}. Available: ${Object.keys(nationData).join(', ')}`);
+        }
+        return walkAircraft(processor, nationData[nation].aircraft, { ...ctx, group: missionType, nation }, acc);
+      }
+      return walkNode(processor, missionData, { ...ctx, group: missionType }, acc, params);
+    }
+
+    if (node.nations) {
+      for (const [range, nationData] of Object.entries(node.nations)) {
+        walkNode(processor, { aircraft: nationData.aircraft }, {
+          ...ctx,
+          nation: nationData.name,
+          probability: ctx.probability * rangeProbability(processor, range)
+        }, acc, params);
+      }
+      return;
+    }
+
+    if (Array.isArray(node.flights)) {
+      for (const flight of node.flights) {
+        let aircraft = flight.aircraft;
+        // Table E2 FRG CSAR: aircraft depends on the hex type
+        if (aircraft && !isRangeObject(aircraft) && (aircraft.land || aircraft.sea)) {
+          aircraft = aircraft[params.hexType || 'land'];
+        }
+        walkAircraft(processor, aircraft, {
+          ...ctx,
+          group: flight.type || ctx.group,
+          nation: flight.nationality || ctx.nation
+        }, acc);
+      }
+      return;
+    }
+
+    if (node.aircraft) {
+      return walkAircraft(processor, node.aircraft, ctx, acc);
+    }
+
+    throw new Error('Unsupported table structure');
+  }
+
+  // =========================================================================
+  //  PUBLIC API
+  // =========================================================================
+
+  /**
+   * Compute exact outcome probabilities for a table
+   *
+   * @param {BaseTableProcessor} processor - Processor for the table (supplies
+   *   tableData and the same helpers used while rolling)
+   * @param {object} params - Same parameters passed to processor.process()
+   *   (ordinal scenario dates are mapped through the table's date range map)
+   * @param {string} [params.tasking] - Limit the result to one tasking
+   * @returns {object} Probability result, or { tableId, error } if the
+   *   parameters don't select any table data
+   */
+  function calculate(processor, params = {}) {
+    const tableId = processor.tableId;
+    const acc = createAccumulator();
+    const rootCtx = { probability: 1, nation: null, group: 'Aircraft' };
+
+    try {
+      walkNode(processor, processor.tableData, rootCtx, acc, resolveDates(tableId, params));
+    } catch (error) {
+      return { tableId, params, error: error.message };
+    }
+
+    return { tableId, params, ...acc.build() };
+  }
+
+  return {
+    calculate:     calculate,
+    isRangeObject: isRangeObject,
+    NO_FLIGHT:     NO_FLIGHT,
+  };
+
+})();
+
+// Export for both browser (window.ProbabilityCalculator) and Node.js (module.exports)
+if (typeof window !== 'undefined') {
+  window.ProbabilityCalculator = ProbabilityCalculator;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProbabilityCalculator;
+}
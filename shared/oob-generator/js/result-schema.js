@@ -3,15 +3,18 @@
  * ============================================================
  *
  * This module defines the ONE universal shape that every table processor
- * result should eventually conform to:
+ * result conforms to:
  *
  *   {
- *     table:      string,       // Table identifier (e.g., "A", "D3", "J3")
- *     faction:    string,       // "NATO" or "WP"
- *     raidType:   string|null,  // Raid/mission description (if applicable)
- *     flights:    Flight[],     // Array of canonical flight objects
- *     text:       string,       // Combined display text (HTML-formatted)
- *     debugRolls: string        // Combined debug/roll info
+ *     table:       string,       // Table identifier (e.g., "A", "D3", "J3")
+ *     faction:     string,       // "NATO" or "WP"
+ *     processor:   string|null,  // Name of the processor that built it
+ *     raidType:    string|null,  // Raid/mission description (if applicable)
+ *     nationality: string|null,  // Raid nationality (e.g., "USAF" for D3)
+ *     flights:     Flight[],     // Array of canonical flight objects
+ *     text:        string,       // Combined display text (HTML-formatted)
+ *     debugRolls:  string,       // Combined debug/roll info
+ *     notes:       object        // ordnanceNote, additionalNote, setupNote
  *   }
  *
  * Each Flight in the array has this shape:
@@ -26,28 +29,28 @@
  *     flightCount:       number,       // Number of flights
  *     ordnance:          string|null,  // Ordnance type (if applicable)
  *     sourceTable:       string|null,  // Originating table ID
- *     text:              string        // Flight-level display text
+ *     text:              string,       // Flight-level display text
+ *     overridden:        object|null   // Rolled values of fields edited
+ *                                      // by hand (e.g. { flightSize: 4 })
  *   }
  *
- * WHY THIS EXISTS
- * ---------------
- * The 27 table processors return five different result shapes (single-flight,
- * multi-tasking, flights-array, combat-rescue, base-format). The print
- * generator had a fragile ~70-line conditional block to detect and flatten
- * each shape. This module replaces that guesswork with:
+ * A result that could not be generated has `error` set to the message,
+ * `text` set to "Error: <message>" and an empty flights[] (built with
+ * createErrorResult()).
  *
- *   1. Builder functions (createFlight, createResult) for new code
- *   2. A normalize() adapter that converts ANY old-style result into the
- *      canonical shape — so processors can be migrated one at a time
- *   3. A validate() function that catches contract violations early
+ * Processors build their results with createResult()/createErrorResult()
+ * (through BaseTableProcessor), and the print generator reads flights[]
+ * directly — there is no adapter for other shapes.
  *
- * MIGRATION STRATEGY
- * ------------------
- * Phase 1 (this file): normalize() is called in processFlights() as an
- * adapter layer. No processors are changed yet.
- *
- * Future phases: Processors adopt createFlight/createResult directly,
- * and the normalize() fallback is eventually removed.
+ * STRICT MODE
+ * -----------
+ * check() validates a result against the contract. Normally violations are
+ * logged with console.warn; in strict mode check() throws a
+ * ResultContractError naming the table and the processor, so a flight
+ * missing its nationality fails loudly instead of losing its card. Strict
+ * mode is off by default; the browser adapter (engine-browser.js) turns it
+ * on when the page is served from localhost or opened with ?strict in the
+ * URL, and the test setup turns it on for every suite.
  *
  * SCRIPT LOAD ORDER
  * -----------------
@@ -62,7 +65,7 @@ const ResultSchema = (function () {
   'use strict';
 
   // =========================================================================
-  //  BUILDERS — Use these when writing NEW processor code
+  //  BUILDERS — Every processor result is built with these
   // =========================================================================
 
   /**
@@ -70,6 +73,8 @@ const ResultSchema = (function () {
    *
    * Every field that might be missing gets a safe default via `??`
    * (nullish coalescing), so callers only need to supply what they have.
+   * Fields outside the contract (roll values, per-flight debug text) are
+   * dropped.
    *
    * @param {object} fields - Flight properties (all optional, but
    *   aircraftType, nationality, tasking, flightSize are expected)
@@ -95,6 +100,7 @@ const ResultSchema = (function () {
       ordnance:          fields.ordnance           ?? null,
       sourceTable:       fields.sourceTable        ?? null,
       text:              fields.text               ?? '',
+      overridden:        fields.overridden         ?? null,
     };
   }
 
@@ -108,9 +114,12 @@ const ResultSchema = (function () {
    * @param {object} meta - Top-level metadata:
    *   @param {string} meta.table    - Table identifier (e.g., "A", "D3")
    *   @param {string} meta.faction  - "NATO" or "WP"
+   *   @param {string} [meta.processor] - Processor name (e.g., "DeclarativeTableProcessor")
    *   @param {string} [meta.raidType] - Raid/mission description
+   *   @param {string} [meta.nationality] - Raid nationality
    *   @param {string} [meta.text]   - Combined display text
    *   @param {string} [meta.debugRolls] - Combined debug info
+   *   @param {object} [meta.notes]  - Notes shown alongside the result
    * @param {object|object[]} flightOrArray - One flight or array of flights
    * @returns {object} Canonical result object
    *
@@ -126,12 +135,33 @@ const ResultSchema = (function () {
       : [createFlight(flightOrArray || {})];
 
     return {
-      table:      meta.table      ?? '',
-      faction:    meta.faction     ?? '',
-      raidType:   meta.raidType    ?? null,
-      flights:    flights,
-      text:       meta.text        ?? '',
-      debugRolls: meta.debugRolls  ?? '',
+      table:       meta.table        ?? '',
+      faction:     meta.faction      ?? '',
+      processor:   meta.processor    ?? null,
+      raidType:    meta.raidType     ?? null,
+      nationality: meta.nationality  ?? null,
+      flights:     flights,
+      text:        meta.text         ?? '',
+      debugRolls:  meta.debugRolls   ?? '',
+      notes:       meta.notes        ?? {},
+    };
+  }
+
+  /**
+   * Create a result for a roll that could not be generated: the same
+   * envelope with no flights and the message in `error`.
+   *
+   * @param {object} meta - Top-level metadata (as for createResult)
+   * @param {string} message - What went wrong
+   * @returns {object} Canonical error result
+   *
+   * @example
+   *   createErrorResult({ table: 'F', faction: 'NATO' }, 'Unknown mission type "X" for Table F');
+   */
+  function createErrorResult(meta, message) {
+    return {
+      ...createResult({ text: `Error: ${message}`, ...meta }, []),
+      error: message,
     };
   }
 
@@ -161,204 +191,142 @@ const ResultSchema = (function () {
     // Top-level checks
     if (!result || typeof result !== 'object') {
       errors.push(prefix + 'result is not an object');
-      return errors; // Can't check anything else
+      return warnAll(errors); // Can't check anything else
     }
 
     if (!result.table) {
       errors.push(prefix + 'missing "table"');
     }
 
+    // Error results carry a message instead of flights (the faction may
+    // be unknown when the table itself is missing)
+    if (result.error !== undefined) {
+      if (typeof result.error !== 'string' || !result.error) {
+        errors.push(prefix + 'error must be a non-empty message');
+      }
+      if (!Array.isArray(result.flights) || result.flights.length > 0) {
+        errors.push(prefix + 'error results must have an empty flights array');
+      }
+      return warnAll(errors);
+    }
+
     if (result.faction !== 'NATO' && result.faction !== 'WP') {
       errors.push(prefix + 'faction must be "NATO" or "WP", got "' + result.faction + '"');
     }
 
     if (!Array.isArray(result.flights) || result.flights.length === 0) {
       errors.push(prefix + 'flights must be a non-empty array');
-      return errors; // Can't check individual flights
+      return warnAll(errors); // Can't check individual flights
     }
 
     // Per-flight checks
     for (var i = 0; i < result.flights.length; i++) {
-      var f = result.flights[i];
       var fPrefix = prefix + 'flights[' + i + ']: ';
-
-      if (!f.aircraftType) {
-        errors.push(fPrefix + 'missing aircraftType');
-      }
-      if (!f.nationality) {
-        errors.push(fPrefix + 'missing nationality');
-      }
-      if (!f.tasking) {
-        errors.push(fPrefix + 'missing tasking');
-      }
-      if (typeof f.flightSize !== 'number' || f.flightSize <= 0) {
-        errors.push(fPrefix + 'flightSize must be a positive number, got ' + f.flightSize);
-      }
-      if (typeof f.flightCount !== 'number' || f.flightCount <= 0) {
-        errors.push(fPrefix + 'flightCount must be a positive number, got ' + f.flightCount);
+      var flightErrors = validateFlight(result.flights[i]);
+      for (var k = 0; k < flightErrors.length; k++) {
+        errors.push(fPrefix + flightErrors[k]);
       }
     }
 
-    // Log warnings for visibility
+    return warnAll(errors);
+  }
+
+  /**
+   * Validate one flight. Returns the violations without a prefix and
+   * without logging them (validate() logs them with the table and flight).
+   *
+   * @param {object} f - The flight to validate
+   * @returns {string[]} Violations, e.g. "missing nationality" (empty = valid)
+   */
+  function validateFlight(f) {
+    var errors = [];
+
+    if (!f || typeof f !== 'object') {
+      return ['flight is not an object'];
+    }
+    if (!f.aircraftType) {
+      errors.push('missing aircraftType');
+    }
+    if (!f.nationality) {
+      errors.push('missing nationality');
+    }
+    if (!f.tasking) {
+      errors.push('missing tasking');
+    }
+    if (typeof f.flightSize !== 'number' || f.flightSize <= 0) {
+      errors.push('flightSize must be a positive number, got ' + f.flightSize);
+    }
+    if (typeof f.flightCount !== 'number' || f.flightCount <= 0) {
+      errors.push('flightCount must be a positive number, got ' + f.flightCount);
+    }
+    if (f.overridden != null && (typeof f.overridden !== 'object' || Array.isArray(f.overridden))) {
+      errors.push('overridden must be an object of rolled values or null');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Log each validation error for visibility and return the list
+   */
+  function warnAll(errors) {
     for (var j = 0; j < errors.length; j++) {
       console.warn(errors[j]);
     }
-
     return errors;
   }
 
   // =========================================================================
-  //  NORMALIZER — Converts any old-style result into canonical shape
+  //  STRICT MODE — Contract violations throw instead of warning
   // =========================================================================
 
   /**
-   * Convert any processor result into the canonical shape.
-   *
-   * This is the migration bridge. It detects which of the five known result
-   * shapes is present and transforms it. Once all processors use
-   * createResult() directly, this function becomes unnecessary.
-   *
-   * Detection order (most specific → least specific):
-   *   1. Already canonical (has flights[] + table + faction)  → return as-is
-   *   2. Has taskings[]   → map each tasking into a flight    → wrap
-   *   3. Has flights[]    → normalize each entry              → wrap
-   *   4. Has flightResults[] → treat like flights[]           → wrap
-   *   5. Flat single-flight → wrap in one-element flights[]   → wrap
-   *
-   * Field aliases handled:
-   *   - aircraft       → aircraftType
-   *   - nationName     → nationality
-   *   - debugText      → debugRolls
-   *   - flightType     → tasking
-   *   - type           → tasking
-   *   - quantity        → flightCount
-   *   - sourceTable     → (used as table fallback)
-   *
-   * @param {object} rawResult      - The processor's raw result object
-   * @param {string} fallbackFaction - Faction to use if not in the result
-   * @param {string} [fallbackTable] - Table ID to use if not found in result
-   * @returns {object} Canonical result object
-   *
-   * @example
-   *   // In processFlights():
-   *   const normalized = ResultSchema.normalize(flight, flight.faction, flight.table);
+   * Thrown by check() in strict mode. The message lists every violation,
+   * each prefixed with the table and processor.
    */
-  function normalize(rawResult, fallbackFaction, fallbackTable) {
-    if (!rawResult || typeof rawResult !== 'object') {
-      return createResult(
-        { table: fallbackTable || '', faction: fallbackFaction || '', text: '', debugRolls: '' },
-        []
-      );
-    }
-
-    // Helper: resolve common field aliases for a single flight-like object
-    function resolveAliases(obj) {
-      return {
-        aircraftType:      obj.aircraftType || obj.aircraft || '',
-        aircraftId:        obj.aircraftId   ?? null,
-        nationality:       obj.nationality  || obj.nationName || '',
-        actualNationality: obj.actualNationality ?? null,
-        tasking:           obj.tasking || obj.flightType || obj.type || '',
-        flightSize:        obj.flightSize   ?? 0,
-        flightCount:       obj.flightCount  || obj.quantity || 1,
-        ordnance:          obj.ordnance     ?? null,
-        sourceTable:       obj.sourceTable  || obj.table || null,
-        text:              obj.text         ?? '',
-      };
-    }
-
-    /**
-     * Extract top-level metadata from the raw result.
-     * Looks at the top level first, then falls back to nested flights/taskings
-     * for the table ID (since some processors only set table inside entries).
-     */
-    function extractMeta(raw) {
-      // Try to find table: top-level → nested flights → nested taskings → fallback
-      var table = raw.table || raw.sourceTable || '';
-      if (!table && Array.isArray(raw.flights) && raw.flights.length > 0) {
-        table = raw.flights[0].table || raw.flights[0].sourceTable || '';
-      }
-      if (!table && Array.isArray(raw.taskings) && raw.taskings.length > 0) {
-        table = raw.taskings[0].sourceTable || raw.taskings[0].table || '';
-      }
-      if (!table) {
-        table = fallbackTable || '';
-      }
-
-      return {
-        table:      table,
-        faction:    raw.faction || fallbackFaction || '',
-        raidType:   raw.raidType || null,
-        text:       raw.text || '',
-        debugRolls: raw.debugRolls || raw.debugText || '',
-      };
+  class ResultContractError extends Error {
+    constructor(errors) {
+      super(errors.join('\n'));
+      this.name = 'ResultContractError';
+      this.errors = errors;
     }
+  }
 
-    var meta = extractMeta(rawResult);
+  let strict = false;
 
-    // ----- Case 1: Already canonical -----
-    // Has flights[] AND table AND faction — assume it's already normalized.
-    // Still normalize each flight entry in case of alias usage.
-    if (Array.isArray(rawResult.flights) && rawResult.flights.length > 0
-        && rawResult.table && rawResult.faction) {
-      return {
-        table:      meta.table,
-        faction:    meta.faction,
-        raidType:   meta.raidType,
-        flights:    rawResult.flights.map(function (f) {
-          return createFlight(resolveAliases(f));
-        }),
-        text:       meta.text,
-        debugRolls: meta.debugRolls,
-      };
-    }
+  /**
+   * Turn strict mode on or off
+   * @param {boolean} enabled
+   */
+  function setStrict(enabled) {
+    strict = Boolean(enabled);
+  }
 
-    // ----- Case 2: Has taskings[] (Tables C, D, I, J, etc.) -----
-    // Each tasking entry is a flight-like object with its own rolls.
-    var taskingsArray = rawResult.taskings;
-    if (Array.isArray(taskingsArray) && taskingsArray.length > 0) {
-      var taskingFlights = taskingsArray.map(function (t) {
-        return createFlight(resolveAliases(t));
-      });
-      return {
-        table:      meta.table,
-        faction:    meta.faction,
-        raidType:   meta.raidType,
-        flights:    taskingFlights,
-        text:       meta.text,
-        debugRolls: meta.debugRolls,
-      };
-    }
+  function isStrict() {
+    return strict;
+  }
 
-    // ----- Case 3: Has flights[] but missing table or faction -----
-    // (Tables like D3, J3 that set flights[] but may lack table/faction
-    //  at the top level — or flightResults[] from Table E)
-    var flightsArray = rawResult.flights || rawResult.flightResults;
-    if (Array.isArray(flightsArray) && flightsArray.length > 0) {
-      var normalizedFlights = flightsArray.map(function (f) {
-        return createFlight(resolveAliases(f));
-      });
-      return {
-        table:      meta.table,
-        faction:    meta.faction,
-        raidType:   meta.raidType,
-        flights:    normalizedFlights,
-        text:       meta.text,
-        debugRolls: meta.debugRolls,
-      };
+  /**
+   * Validate a result at a boundary (processor output, print input). In
+   * strict mode any violation throws a ResultContractError; otherwise the
+   * violations are logged and returned.
+   *
+   * @param {object} result - The result to check
+   * @param {string} tableId - Table the result is for
+   * @param {string} [processorName] - Processor that built the result
+   * @returns {string[]} Validation errors (empty = valid)
+   * @throws {ResultContractError} In strict mode, if the result is invalid
+   *
+   * @example
+   *   ResultSchema.check(result, 'C', 'DeclarativeTableProcessor');
+   */
+  function check(result, tableId, processorName) {
+    const context = `Table ${tableId || 'unknown'} (${processorName || 'unknown processor'})`;
+    const errors = validate(result, context);
+    if (errors.length > 0 && strict) {
+      throw new ResultContractError(errors);
     }
-
-    // ----- Case 4: Flat single-flight object (Tables A, B, G, H, etc.) -----
-    // The result IS the flight — wrap it in an envelope.
-    var singleFlight = createFlight(resolveAliases(rawResult));
-    return {
-      table:      meta.table,
-      faction:    meta.faction,
-      raidType:   meta.raidType,
-      flights:    [singleFlight],
-      text:       meta.text,
-      debugRolls: meta.debugRolls,
-    };
+    return errors;
   }
 
   // =========================================================================
@@ -366,18 +334,23 @@ const ResultSchema = (function () {
   // =========================================================================
 
   return {
-    createFlight: createFlight,
-    createResult: createResult,
-    validate:     validate,
-    normalize:    normalize,
+    createFlight:        createFlight,
+    createResult:        createResult,
+    createErrorResult:   createErrorResult,
+    validate:            validate,
+    validateFlight:      validateFlight,
+    check:               check,
+    setStrict:           setStrict,
+    isStrict:            isStrict,
+    ResultContractError: ResultContractError,
   };
 
 })();
 
-// Export for both browser (window.ResultSchema) and Node.js (module.exports)
-if (typeof window !== 'undefined') {
-  window.ResultSchema = ResultSchema;
-}
+// Export for CommonJS (Node.js, the Expo app) or as a global for <script>
+// tags and workers (importScripts)
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = ResultSchema;
+} else {
+  globalThis.ResultSchema = ResultSchema;
 }
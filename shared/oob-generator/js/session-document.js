@@ -0,0 +1,241 @@
+/**
+ * SessionDocument — Saved OOB Generator Results
+ * ==============================================
+ *
+ * A versioned JSON document holding everything needed to rebuild the
+ * results list exactly as it was generated. Export Results downloads it,
+ * and SessionStore keeps it in browser storage (autosave, named saves):
+ *
+ *   {
+ *     format:        "oob-generator-session",
+ *     version:       2,
+ *     exportedAt:    string,          // ISO timestamp
+ *     module:        string,          // "red-storm", "baltic-approaches"
+ *     scenarioDate:  string|number,   // Scenario date the results were rolled for
+ *     selectedTable: string|null,     // Table selected in the generator
+ *     results:       Entry[]
+ *   }
+ *
+ * Each Entry is a canonical ResultSchema result (table, faction,
+ * processor, raidType, nationality, flights, text, debugRolls, notes, and
+ * error for error results) plus how it was rolled:
+ *
+ *   {
+ *     tableName:    string,          // Table title at the time of the roll
+ *     params:       object,          // Processor parameters
+ *     scenarioDate: string|number,
+ *     timestamp:    number,
+ *     seed:         string|null,     // RNG seed (null for physical dice)
+ *     diceSource:   string,          // "random" or "manual"
+ *     rollJournal:  object[]         // Every die rolled, in order
+ *   }
+ *
+ * Result ids are not saved; the state manager numbers entries as it
+ * restores them.
+ *
+ * VERSIONING
+ * ----------
+ * parse() upgrades older documents one version at a time through
+ * MIGRATIONS before validating them, and rejects documents written by a
+ * newer version. Bump VERSION and add a migration whenever the document
+ * shape changes.
+ *
+ * SCRIPT LOAD ORDER
+ * -----------------
+ * Load after result-schema.js, before state-manager.js and ui-controller.js:
+ *   <script src="result-schema.js"></script>
+ *   <script src="session-document.js"></script>   <!-- THIS FILE -->
+ *   <script src="state-manager.js"></script>
+ */
+
+const SessionDocument = (function () {
+  'use strict';
+
+  const FORMAT = 'oob-generator-session';
+  const VERSION = 2;
+
+  /** Canonical result fields (ResultSchema) */
+  const RESULT_FIELDS = ['table', 'faction', 'processor', 'raidType', 'nationality', 'flights', 'text', 'debugRolls', 'notes', 'error'];
+
+  /** How the result was rolled */
+  const ROLL_FIELDS = ['tableName', 'params', 'scenarioDate', 'timestamp', 'seed', 'diceSource', 'rollJournal'];
+
+  /**
+   * Upgrades from each older version to the next (version → function)
+   */
+  const MIGRATIONS = {
+    // Version 2 saves the selected table
+    1: doc => ({ ...doc, selectedTable: null }),
+  };
+
+  /**
+   * Thrown by parse() for files that are not a session document, were
+   * written by a newer version, or hold invalid results
+   */
+  class SessionDocumentError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'SessionDocumentError';
+    }
+  }
+
+  // =========================================================================
+  //  EXPORT
+  // =========================================================================
+
+  /**
+   * Copy the saved fields of a results-list entry
+   * @param {object} result - Entry from the state manager
+   * @returns {object} Document entry
+   */
+  function toEntry(result) {
+    const entry = {};
+    for (const field of RESULT_FIELDS.concat(ROLL_FIELDS)) {
+      if (result[field] !== undefined) entry[field] = result[field];
+    }
+    return entry;
+  }
+
+  /**
+   * Build a session document
+   * @param {object} session - { module, scenarioDate, selectedTable, results }
+   * @returns {object} Session document
+   *
+   * @example
+   *   const state = getAppState();
+   *   SessionDocument.create({ module: 'red-storm', scenarioDate: state.scenarioDate, results: state.results });
+   */
+  function create(session) {
+    return {
+      format: FORMAT,
+      version: VERSION,
+      exportedAt: new Date().toISOString(),
+      module: session.module || null,
+      scenarioDate: session.scenarioDate ?? null,
+      selectedTable: session.selectedTable ?? null,
+      results: (session.results || []).map(toEntry),
+    };
+  }
+
+  /**
+   * Serialize a session document as JSON text
+   * @param {object} doc - Session document
+   * @returns {string} Indented JSON
+   */
+  function serialize(doc) {
+    return JSON.stringify(doc, null, 2);
+  }
+
+  /**
+   * Download file name, e.g. "oob-red-storm-post.json"
+   * @param {object} doc - Session document
+   * @returns {string} File name
+   */
+  function filename(doc) {
+    const parts = ['oob', doc.module, doc.scenarioDate].filter(part => part !== null && part !== undefined && part !== '');
+    return `${parts.join('-').replace(/[^A-Za-z0-9-]+/g, '-')}.json`;
+  }
+
+  // =========================================================================
+  //  IMPORT
+  // =========================================================================
+
+  /**
+   * Upgrade a document to the current version
+   */
+  function migrate(doc) {
+    let current = doc;
+    while (current.version < VERSION) {
+      const upgrade = MIGRATIONS[current.version];
+      if (!upgrade) {
+        throw new SessionDocumentError(`No upgrade from session version ${current.version}`);
+      }
+      current = { ...upgrade(current), version: current.version + 1 };
+    }
+    return current;
+  }
+
+  /**
+   * Check a current-version document, returning every problem found
+   * @param {object} doc - Session document
+   * @returns {string[]} Errors (empty when the document is valid)
+   */
+  function validate(doc) {
+    const errors = [];
+
+    if (!doc.module || typeof doc.module !== 'string') {
+      errors.push('missing "module"');
+    }
+    if (!Array.isArray(doc.results)) {
+      errors.push('"results" must be an array');
+      return errors;
+    }
+
+    doc.results.forEach((entry, index) => {
+      const context = `Result ${index + 1}${entry && entry.table ? ` (Table ${entry.table})` : ''}`;
+      errors.push(...ResultSchema.validate(entry, context));
+      if (entry && !Array.isArray(entry.rollJournal)) {
+        errors.push(`${context}: rollJournal must be an array`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Read a session document from JSON text, upgrading older versions
+   * @param {string} text - File contents
+   * @returns {object} Session document at the current version
+   * @throws {SessionDocumentError} If the text is not a valid session document
+   */
+  function parse(text) {
+    let doc;
+    try {
+      doc = JSON.parse(text);
+    } catch (error) {
+      throw new SessionDocumentError(`Not a JSON file: ${error.message}`);
+    }
+
+    if (!doc || typeof doc !== 'object' || doc.format !== FORMAT) {
+      throw new SessionDocumentError('Not an OOB generator results file');
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+      throw new SessionDocumentError(`Unknown session version "${doc.version}"`);
+    }
+    if (doc.version > VERSION) {
+      throw new SessionDocumentError(`This file was saved by a newer version of the OOB generator (version ${doc.version})`);
+    }
+
+    const current = migrate(doc);
+    const errors = validate(current);
+    if (errors.length > 0) {
+      throw new SessionDocumentError(`Invalid results file:\n${errors.join('\n')}`);
+    }
+    return current;
+  }
+
+  // =========================================================================
+  //  PUBLIC API
+  // =========================================================================
+
+  return {
+    FORMAT:               FORMAT,
+    VERSION:              VERSION,
+    MIGRATIONS:           MIGRATIONS,
+    create:               create,
+    serialize:            serialize,
+    filename:             filename,
+    parse:                parse,
+    validate:             validate,
+    SessionDocumentError: SessionDocumentError,
+  };
+
+})();
+
+// Export for both browser (window.SessionDocument) and Node.js (module.exports)
+if (typeof window !== 'undefined') {
+  window.SessionDocument = SessionDocument;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SessionDocument;
+}
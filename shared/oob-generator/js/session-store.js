@@ -0,0 +1,322 @@
+/**
+ * SessionStore — OOB Generator Sessions in Browser Storage
+ * =========================================================
+ *
+ * Keeps session documents (SessionDocument) in localStorage so rolled
+ * raids survive a reload or a browser crash:
+ *
+ *   - Autosave: the state manager saves the module, scenario date,
+ *     selected table and results after every change; the generator
+ *     restores it when the page loads.
+ *   - Named saves: slots the player creates ("Op Dnepr turn 3") and can
+ *     list, load, rename or delete.
+ *   - The active campaign (Campaign), saved after every change to it.
+ *
+ * Everything is kept per module, under these keys:
+ *
+ *   oob-generator-<module>-autosave     Session document
+ *   oob-generator-<module>-saves        [{ id, name, savedAt, scenarioDate, resultsCount }]
+ *   oob-generator-<module>-save-<id>    Session document for one named save
+ *   oob-generator-<module>-campaign     Campaign
+ *
+ * Reading a save goes through SessionDocument.parse() (Campaign.parse()
+ * for the campaign), so saves written by an older version are upgraded
+ * like imported files.
+ *
+ * SCRIPT LOAD ORDER
+ * -----------------
+ * Load after session-document.js and campaign.js, before state-manager.js:
+ *   <script src="session-document.js"></script>
+ *   <script src="campaign.js"></script>
+ *   <script src="session-store.js"></script>   <!-- THIS FILE -->
+ *   <script src="state-manager.js"></script>
+ */
+
+const SessionStore = (function () {
+  'use strict';
+
+  const PREFIX = 'oob-generator';
+
+  let storage = defaultStorage();
+
+  /**
+   * The page's localStorage, or null where it is unavailable (Node.js,
+   * browsers with storage disabled)
+   */
+  function defaultStorage() {
+    try {
+      return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Use a different Storage (tests, or sessionStorage)
+   * @param {Storage|null} store - Object with getItem/setItem/removeItem
+   */
+  function setStorage(store) {
+    storage = store;
+  }
+
+  function isAvailable() {
+    return Boolean(storage);
+  }
+
+  function key(module, name) {
+    return `${PREFIX}-${module}-${name}`;
+  }
+
+  // =========================================================================
+  //  AUTOSAVE
+  // =========================================================================
+
+  /**
+   * Save the current session, replacing the previous autosave. Storage
+   * errors (quota, private browsing) are logged, never thrown, so a failed
+   * autosave can't interrupt rolling.
+   * @param {object} session - { module, scenarioDate, selectedTable, results }
+   * @returns {boolean} True if the session was saved
+   */
+  function autosave(session) {
+    if (!storage || !session.module) return false;
+    try {
+      storage.setItem(key(session.module, 'autosave'), SessionDocument.serialize(SessionDocument.create(session)));
+      return true;
+    } catch (error) {
+      console.warn('OOB Generator: autosave failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * The autosaved session for a module
+   * @param {string} module - Module identifier
+   * @returns {object|null} Session document, or null if there is none or it can't be read
+   */
+  function loadAutosave(module) {
+    if (!storage) return null;
+    const text = storage.getItem(key(module, 'autosave'));
+    if (!text) return null;
+    try {
+      return SessionDocument.parse(text);
+    } catch (error) {
+      console.warn('OOB Generator: ignoring unreadable autosave:', error);
+      return null;
+    }
+  }
+
+  // =========================================================================
+  //  NAMED SAVES
+  // =========================================================================
+
+  function requireStorage() {
+    if (!storage) {
+      throw new Error('Browser storage is not available');
+    }
+  }
+
+  function readIndex(module) {
+    const text = storage.getItem(key(module, 'saves'));
+    if (!text) return [];
+    try {
+      const index = JSON.parse(text);
+      return Array.isArray(index) ? index : [];
+    } catch (error) {
+      console.warn('OOB Generator: ignoring unreadable save list:', error);
+      return [];
+    }
+  }
+
+  function writeIndex(module, index) {
+    storage.setItem(key(module, 'saves'), JSON.stringify(index));
+  }
+
+  function checkName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      throw new Error('Save name is required');
+    }
+    return trimmed;
+  }
+
+  function findSave(index, id) {
+    const slot = index.find(entry => entry.id === id);
+    if (!slot) {
+      throw new Error(`No saved session "${id}"`);
+    }
+    return slot;
+  }
+
+  /**
+   * Named saves for a module, newest first
+   * @param {string} module - Module identifier
+   * @returns {object[]} [{ id, name, savedAt, scenarioDate, resultsCount }]
+   */
+  function listSaves(module) {
+    if (!storage) return [];
+    return readIndex(module).slice().sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  }
+
+  /**
+   * Save the session under a name. Saving under an existing name
+   * replaces that save.
+   * @param {string} name - Save name (e.g. "Op Dnepr turn 3")
+   * @param {object} session - { module, scenarioDate, selectedTable, results }
+   * @returns {object} The save's index entry
+   * @throws {Error} If the name is blank or storage is unavailable or full
+   */
+  function save(name, session) {
+    requireStorage();
+    const trimmed = checkName(name);
+    const doc = SessionDocument.create(session);
+    const index = readIndex(session.module);
+
+    const existing = index.find(entry => entry.name === trimmed);
+    const slot = {
+      id: existing ? existing.id : newId(index),
+      name: trimmed,
+      savedAt: doc.exportedAt,
+      scenarioDate: doc.scenarioDate,
+      resultsCount: doc.results.length,
+    };
+
+    storage.setItem(key(session.module, `save-${slot.id}`), SessionDocument.serialize(doc));
+    writeIndex(session.module, existing
+      ? index.map(entry => (entry.id === slot.id ? slot : entry))
+      : index.concat(slot));
+    return slot;
+  }
+
+  /**
+   * Slot id from the save time, unique within the module
+   */
+  function newId(index) {
+    let id = Date.now().toString(36);
+    while (index.some(entry => entry.id === id)) {
+      id += '0';
+    }
+    return id;
+  }
+
+  /**
+   * Read a named save
+   * @param {string} module - Module identifier
+   * @param {string} id - Save id (from listSaves)
+   * @returns {object} Session document
+   * @throws {Error|SessionDocumentError} If the save is missing or unreadable
+   */
+  function load(module, id) {
+    requireStorage();
+    findSave(readIndex(module), id);
+    const text = storage.getItem(key(module, `save-${id}`));
+    if (!text) {
+      throw new Error(`Saved session "${id}" has no data`);
+    }
+    return SessionDocument.parse(text);
+  }
+
+  /**
+   * Rename a named save
+   * @param {string} module - Module identifier
+   * @param {string} id - Save id
+   * @param {string} name - New name
+   * @returns {object} The renamed index entry
+   */
+  function rename(module, id, name) {
+    requireStorage();
+    const trimmed = checkName(name);
+    const index = readIndex(module);
+    const slot = findSave(index, id);
+    if (index.some(entry => entry.id !== id && entry.name === trimmed)) {
+      throw new Error(`A save named "${trimmed}" already exists`);
+    }
+
+    const renamed = { ...slot, name: trimmed };
+    writeIndex(module, index.map(entry => (entry.id === id ? renamed : entry)));
+    return renamed;
+  }
+
+  /**
+   * Delete a named save
+   * @param {string} module - Module identifier
+   * @param {string} id - Save id
+   */
+  function remove(module, id) {
+    requireStorage();
+    const index = readIndex(module);
+    findSave(index, id);
+    storage.removeItem(key(module, `save-${id}`));
+    writeIndex(module, index.filter(entry => entry.id !== id));
+  }
+
+  // =========================================================================
+  //  CAMPAIGN
+  // =========================================================================
+
+  /**
+   * Save the module's active campaign, or forget it when campaign is null.
+   * Like autosave(), storage errors are logged, never thrown.
+   * @param {string} module - Module identifier
+   * @param {object|null} campaign - Campaign
+   * @returns {boolean} True if the campaign was saved or removed
+   */
+  function saveCampaign(module, campaign) {
+    if (!storage || !module) return false;
+    try {
+      if (campaign) {
+        storage.setItem(key(module, 'campaign'), Campaign.serialize(campaign));
+      } else {
+        storage.removeItem(key(module, 'campaign'));
+      }
+      return true;
+    } catch (error) {
+      console.warn('OOB Generator: saving the campaign failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * The module's active campaign
+   * @param {string} module - Module identifier
+   * @returns {object|null} Campaign, or null if there is none or it can't be read
+   */
+  function loadCampaign(module) {
+    if (!storage) return null;
+    const text = storage.getItem(key(module, 'campaign'));
+    if (!text) return null;
+    try {
+      return Campaign.parse(text);
+    } catch (error) {
+      console.warn('OOB Generator: ignoring unreadable campaign:', error);
+      return null;
+    }
+  }
+
+  // =========================================================================
+  //  PUBLIC API
+  // =========================================================================
+
+  return {
+    setStorage:    setStorage,
+    isAvailable:   isAvailable,
+    autosave:      autosave,
+    loadAutosave:  loadAutosave,
+    listSaves:     listSaves,
+    save:          save,
+    load:          load,
+    rename:        rename,
+    remove:        remove,
+    saveCampaign:  saveCampaign,
+    loadCampaign:  loadCampaign,
+  };
+
+})();
+
+// Export for both browser (window.SessionStore) and Node.js (module.exports)
+if (typeof window !== 'undefined') {
+  window.SessionStore = SessionStore;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SessionStore;
+}
@@ -0,0 +1,53 @@
+/**
+ * Simulation Worker — Batch Simulations off the Main Thread
+ * ==========================================================
+ *
+ * Runs a BatchSimulator simulation in a Web Worker so the generator page
+ * stays responsive while thousands of raids are rolled. The OOB engine needs
+ * no page globals, so the worker loads it with importScripts(), then the
+ * module's table pack named in the run message.
+ *
+ * Messages in:
+ *   { type: 'run', tablePack, tables, tableId, params, runs, seed }
+ *     tablePack: URL of the module's table-pack.js
+ *     tables:    Table data keyed by table ID (getTableDataSource())
+ *
+ * Messages out:
+ *   { type: 'progress', done, runs }
+ *   { type: 'done', summary }          // BatchSimulator.summarize()
+ *   { type: 'error', message }
+ *
+ * One worker runs one simulation; the page stops it with terminate().
+ */
+
+importScripts(
+  'result-schema.js',
+  'dice-roller.js',
+  'table-processors/TableRegistry.js',
+  'table-processors/BaseTableProcessor.js',
+  'table-processors/DeclarativeTableProcessor.js',
+  'table-processors/TableProcessorFactory.js',
+  'batch-simulator.js'
+);
+
+/** Runs rolled between progress messages */
+const PROGRESS_BATCH = 250;
+
+self.onmessage = event => {
+  const { type, tablePack, tables, tableId, params, runs, seed } = event.data;
+  if (type !== 'run') return;
+
+  try {
+    importScripts(tablePack);
+    const factory = new TableProcessorFactory(tables);
+    const tally = BatchSimulator.createTally(tableId, params, seed);
+
+    while (tally.runs < runs) {
+      BatchSimulator.runBatch(factory, tally, Math.min(PROGRESS_BATCH, runs - tally.runs));
+      self.postMessage({ type: 'progress', done: tally.runs, runs });
+    }
+    self.postMessage({ type: 'done', summary: BatchSimulator.summarize(tally) });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
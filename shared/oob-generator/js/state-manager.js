@@ -10,8 +10,8 @@
  * Future Responsibilities:
  * - Centralized state storage
  * - State validation and mutation
- * - State history/undo if needed
- * - State persistence (localStorage)
+ * - State history/undo — see recordChange() / undo() / redo()
+ * - State persistence (localStorage) — see persistSession() / SessionStore
  * 
  * State Properties (from current implementation):
  * - selectedTable: Currently selected OOB table
@@ -30,7 +30,8 @@
  * - Handle state persistence and validation
  * - Coordinate state changes across components
  * 
- * Dependencies: dice-roller.js (for debug mode)
+ * Dependencies: dice-roller.js (for debug mode), session-store.js (autosave),
+ * campaign.js (active campaign)
  */
 
 // Application state
@@ -40,6 +41,7 @@ let scenarioDate = null;
 let hasGeneratedResults = false;
 let results = [];
 let currentResultId = 1;
+let activeCampaign = null;
 
 /**
  * Set the scenario date and update UI accordingly
@@ -82,25 +84,33 @@ function setScenarioDate(dateValue) {
   // Update status message
   const scenarioStatus = document.getElementById('scenarioStatus');
   if (scenarioStatus) {
-    let dateText = dateValue;
-    
-    // For Baltic Approaches ordinal dates (1, 2, 3), use BA_DATE_RANGES mapping
-    if (typeof dateValue === 'number' && window.BA_DATE_RANGES) {
-      dateText = window.BA_DATE_RANGES[dateValue] || dateValue;
-    }
-    // For string dates, try module configuration
-    else if (window.ModuleConfig) {
-      const currentModule = window.ModuleConfig.getCurrentModule();
-      const moduleConfig = window.ModuleConfig.getModuleConfig(currentModule);
-      if (moduleConfig && moduleConfig.scenarioDates && moduleConfig.scenarioDates[dateValue]) {
-        dateText = moduleConfig.scenarioDates[dateValue].label;
-      }
-    }
-    
+    const dateText = formatScenarioDate(dateValue);
     scenarioStatus.textContent = `Scenario Date: ${dateText} - Select table to generate order of battle`;
     scenarioStatus.style.color = '#4caf50'; // Green to indicate ready
   }
   
+  persistSession();
+}
+
+/**
+ * Display text for a scenario date
+ * @param {string|number} dateValue - Scenario date ID
+ * @returns {string|number} Label (e.g. '15-20 May' for Baltic Approaches date 1)
+ */
+function formatScenarioDate(dateValue) {
+  // For Baltic Approaches ordinal dates (1, 2, 3), use the BA_DATE_RANGES map
+  if (typeof dateValue === 'number' && window.TableRegistry) {
+    return TableRegistry.resolveDate('BA_DATE_RANGES', dateValue);
+  }
+  // For string dates, try module configuration
+  if (window.ModuleConfig) {
+    const currentModule = window.ModuleConfig.getCurrentModule();
+    const moduleConfig = window.ModuleConfig.getModuleConfig(currentModule);
+    if (moduleConfig && moduleConfig.scenarioDates && moduleConfig.scenarioDates[dateValue]) {
+      return moduleConfig.scenarioDates[dateValue].label;
+    }
+  }
+  return dateValue;
 }
 
 /**
@@ -111,21 +121,7 @@ function updateDateButtonStates() {
   const dateButtons = document.querySelectorAll('.scenario-date-button');
   
   dateButtons.forEach(button => {
-    // Extract date value from onclick attribute
-    const onclickAttr = button.getAttribute('onclick');
-    let buttonDate = null;
-    
-    if (onclickAttr) {
-      // Support both string and numeric date values
-      const stringMatch = onclickAttr.match(/setScenarioDate\('([^']+)'\)/);
-      const numericMatch = onclickAttr.match(/setScenarioDate\((\d+)\)/);
-      
-      if (stringMatch) {
-        buttonDate = stringMatch[1];
-      } else if (numericMatch) {
-        buttonDate = parseInt(numericMatch[1]);
-      }
-    }
+    const buttonDate = getDateButtonValue(button);
     
     // Disable buttons if results exist
     if (hasGeneratedResults) {
@@ -148,6 +144,37 @@ function updateDateButtonStates() {
   });
 }
 
+/**
+ * Scenario date a date button sets, from its onclick attribute
+ * @param {HTMLElement} button - Scenario date button
+ * @returns {string|number|null} Date value (numeric for ordinal dates)
+ */
+function getDateButtonValue(button) {
+  const onclickAttr = button.getAttribute('onclick');
+  if (!onclickAttr) return null;
+  
+  // Support both string and numeric date values
+  const stringMatch = onclickAttr.match(/setScenarioDate\('([^']+)'\)/);
+  const numericMatch = onclickAttr.match(/setScenarioDate\((\d+)\)/);
+  
+  if (stringMatch) {
+    return stringMatch[1];
+  } else if (numericMatch) {
+    return parseInt(numericMatch[1]);
+  }
+  return null;
+}
+
+/**
+ * The page's scenario dates in button order (earliest first)
+ * @returns {Array<string|number>} Date values
+ */
+function getScenarioDates() {
+  return Array.from(document.querySelectorAll('.scenario-date-button'))
+    .map(getDateButtonValue)
+    .filter(dateValue => dateValue !== null);
+}
+
 /**
  * Initialize parameter selections based on current state
  */
@@ -202,7 +229,7 @@ function selectTable(tableId, faction) {
   });
   
   // Find the clicked table button
-  const targetButton = document.querySelector(`.table-button[onclick*="selectTable('${tableId}'"]`);
+  const targetButton = document.querySelector(`.table-button[data-table-id="${tableId}"]`);
   
   if (targetButton) {
     targetButton.classList.add('selected');
@@ -217,141 +244,32 @@ function selectTable(tableId, faction) {
   if (table) {
     console.log(`Selected table ${tableId}: ${table.name}`);
     
-    // Handle different table types and their UI requirements
-    const hasATAF = table.hasATAF;
-    const hasTasking = table.hasTasking;
-    const hasNationality = table.hasNationality;
-    const hasMissionType = table.hasMissionType;
-    
     // Hide all sections first
     const rollInputSection = document.getElementById('rollInputSection');
     const variableSelectionSection = document.getElementById('variableSelectionSection');
-    const atafSelection = document.getElementById('atafSelection');
-    const nationalitySelection = document.getElementById('nationalitySelection');
-    const missionTypeSelection = document.getElementById('missionTypeSelection');
-    const tacticalReconNationSelection = document.getElementById('tacticalReconNationSelection');
     
     if (rollInputSection) rollInputSection.classList.remove('active');
     if (variableSelectionSection) variableSelectionSection.classList.remove('active');
     
-    // Determine which section to show based on table requirements
-    if (hasATAF || hasNationality || hasMissionType) {
-      // Tables with variables use variableSelectionSection
+    // The table registry says which parameter inputs the table needs
+    const hasInputs = renderTableParameters(tableId, table);
+    const tableTitle = `${faction} Table ${tableId} - ${table.name.split(' - ')[1] || table.name}`;
+    
+    if (hasInputs) {
+      // Tables with parameters use variableSelectionSection
       if (variableSelectionSection) variableSelectionSection.classList.add('active');
       
-      // Update the display name
       const variableTableDisplay = document.getElementById('variableTableDisplay');
       if (variableTableDisplay) {
-        variableTableDisplay.textContent = `${faction} Table ${tableId} - ${table.name.split(' - ')[1] || table.name}`;
-      }
-      
-      // Show/hide specific parameter selections
-      if (atafSelection) atafSelection.style.display = hasATAF ? 'flex' : 'none';
-      if (nationalitySelection) {
-        nationalitySelection.style.display = hasNationality ? 'flex' : 'none';
-        
-        // Update label for K2 (GDR land/sea selection)
-        const nationalityLabel = nationalitySelection.querySelector('label');
-        if (nationalityLabel && tableId === 'K2') {
-          nationalityLabel.textContent = 'Land or sea hex?';
-        } else if (nationalityLabel) {
-          nationalityLabel.textContent = 'Nationality of downed crew:';
-        }
-        
-        // Populate nationality dropdown based on faction and module
-        if (hasNationality) {
-          const crewNationalitySelect = document.getElementById('crewNationality');
-          if (crewNationalitySelect) {
-            crewNationalitySelect.innerHTML = '';
-            
-            // Determine module from table ID (if it ends with '2', it's Baltic Approaches)
-            const isBalticApproaches = tableId.endsWith('2');
-            
-            if (faction === 'NATO') {
-              if (isBalticApproaches) {
-                // Baltic Approaches Table E2 - NATO Combat Rescue
-                crewNationalitySelect.innerHTML = `
-                  <option value="FRG">FRG</option>
-                  <option value="DK">DK</option>
-                  <option value="SE">SE</option>
-                `;
-              } else {
-                // Red Storm Table E - NATO Combat Rescue
-                crewNationalitySelect.innerHTML = `
-                  <option value="US">US</option>
-                  <option value="UK">UK/BE/NE</option>
-                  <option value="FRG">FRG</option>
-                  <option value="CAN">CAN (uses US rescue)</option>
-                `;
-              }
-            } else if (faction === 'WP') {
-              if (isBalticApproaches) {
-                // Different options for different WP tables
-                if (tableId === 'J3') {
-                  // Naval Strike Raid (J3) - all WP nations
-                  crewNationalitySelect.innerHTML = `
-                    <option value="USSR">USSR</option>
-                    <option value="GDR">GDR</option>
-                    <option value="POL">POL</option>
-                  `;
-                } else {
-                  // K2 - Combat Rescue (GDR only)
-                  crewNationalitySelect.innerHTML = `
-                    <option value="GDR">Land Hex</option>
-                    <option value="GDR Naval">Sea Hex</option>
-                  `;
-                }
-              } else {
-                // Red Storm Table K - WP Combat Rescue
-                crewNationalitySelect.innerHTML = `
-                  <option value="USSR">USSR</option>
-                  <option value="GDR">GDR</option>
-                `;
-              }
-            }
-            
-            // Trigger nationality change handler to show/hide hex type selection for E2
-            if (typeof window.handleNationalityChange === 'function') {
-              window.handleNationalityChange();
-            }
-          }
-        }
+        variableTableDisplay.textContent = tableTitle;
       }
-      if (missionTypeSelection) {
-        missionTypeSelection.style.display = hasMissionType ? 'flex' : 'none';
-        
-        // Populate mission type dropdown based on table's available mission types
-        if (hasMissionType && table.missionTypes) {
-          const missionTypeSelect = document.getElementById('missionType');
-          if (missionTypeSelect) {
-            missionTypeSelect.innerHTML = '';
-            
-            // Add options for each available mission type
-            Object.keys(table.missionTypes).forEach(missionKey => {
-              const mission = table.missionTypes[missionKey];
-              const option = document.createElement('option');
-              option.value = missionKey;
-              option.textContent = mission.name || missionKey;
-              missionTypeSelect.appendChild(option);
-            });
-          }
-        }
-      }
-      if (tacticalReconNationSelection) tacticalReconNationSelection.style.display = 'none'; // Initially hidden
-      
-      // For E2 table, trigger nationality change handler to show hex type if FRG is selected
-      if (tableId === 'E2' && typeof window.handleNationalityChange === 'function') {
-        window.handleNationalityChange();
-      }
-      
     } else {
       // Simple tables use rollInputSection
       if (rollInputSection) rollInputSection.classList.add('active');
       
-      // Update the display name
       const selectedTableDisplay = document.getElementById('selectedTableDisplay');
       if (selectedTableDisplay) {
-        selectedTableDisplay.textContent = `${faction} Table ${tableId} - ${table.name.split(' - ')[1] || table.name}`;
+        selectedTableDisplay.textContent = tableTitle;
       }
     }
     
@@ -365,6 +283,8 @@ function selectTable(tableId, faction) {
     console.error(`Table ${tableId} not found in data source`);
     alert(`Error: Table ${tableId} data not available. Please try again.`);
   }
+  
+  persistSession();
 }
 
 /**
@@ -379,6 +299,8 @@ function cancelSelection() {
   
   if (rollInputSection) rollInputSection.classList.remove('active');
   if (variableSelectionSection) variableSelectionSection.classList.remove('active');
+  
+  persistSession();
 }
 
 /**
@@ -393,17 +315,23 @@ function cancelVariableSelection() {
   
   if (rollInputSection) rollInputSection.classList.remove('active');
   if (variableSelectionSection) variableSelectionSection.classList.remove('active');
+  
+  persistSession();
 }
 
 /**
- * Add a result to the results array
+ * Add a result to the results array (one undo step unless it is part of
+ * a recordChange() batch)
  * @param {object} result - Result object to add
  */
 function addResult(result) {
-  result.id = currentResultId++;
-  results.push(result);
-  hasGeneratedResults = true;
-  updateDateButtonStates();
+  recordChange(`Roll Table ${result.table}`, () => {
+    result.id = currentResultId++;
+    results.push(result);
+    hasGeneratedResults = true;
+    updateDateButtonStates();
+    persistSession();
+  });
 }
 
 /**
@@ -411,13 +339,20 @@ function addResult(result) {
  * @param {number} resultId - ID of result to remove
  */
 function removeResult(resultId) {
-  results = results.filter(result => result.id !== resultId);
+  const removed = results.find(result => result.id === resultId);
+  if (!removed) return;
   
-  // Check if all results are gone
-  if (results.length === 0) {
-    hasGeneratedResults = false;
-    updateDateButtonStates(); // Unlock date selection
-  }
+  recordChange(`Remove Table ${removed.table} result`, () => {
+    results = results.filter(result => result.id !== resultId);
+    
+    // Check if all results are gone
+    if (results.length === 0) {
+      hasGeneratedResults = false;
+      updateDateButtonStates(); // Unlock date selection
+    }
+    
+    persistSession();
+  });
   
   if (typeof updateResultsDisplay === 'function') {
     updateResultsDisplay();
@@ -425,18 +360,234 @@ function removeResult(resultId) {
 }
 
 /**
- * Clear all results
+ * Replace a result with a changed copy (e.g. a reroll) as one undo step
+ * @param {number} resultId - ID of the result to replace
+ * @param {object} updated - New result entry (keeps the old ID)
+ * @param {string} label - What changed (shown on the Undo button)
+ */
+function replaceResult(resultId, updated, label) {
+  if (!results.some(result => result.id === resultId)) return;
+  
+  recordChange(label, () => {
+    results = results.map(result => (result.id === resultId ? { ...updated, id: resultId } : result));
+    persistSession();
+  });
+}
+
+/**
+ * Clear all results (undo brings them back)
  */
 function clearAllResults() {
   if (results.length === 0) return;
   
-  if (confirm('Are you sure you want to clear all results?')) {
+  recordChange('Clear all results', () => {
     results = [];
     hasGeneratedResults = false;
     updateDateButtonStates();
-    if (typeof updateResultsDisplay === 'function') {
-      updateResultsDisplay();
-    }
+    persistSession();
+  });
+  
+  if (typeof updateResultsDisplay === 'function') {
+    updateResultsDisplay();
+  }
+}
+
+// =========================================================================
+//  UNDO / REDO
+// =========================================================================
+//
+// Each history step holds snapshots of the results list and scenario date
+// before and after a change. Undo and redo put both back, so the date lock
+// always matches the restored results (undoing a Clear All re-locks the
+// date, and brings back the date the results were rolled for if it was
+// changed since).
+
+const HISTORY_LIMIT = 50;
+let undoStack = [];
+let redoStack = [];
+let changeDepth = 0;
+
+function snapshotState() {
+  return { scenarioDate, results: [...results] };
+}
+
+/**
+ * Run a change to the results as one undo step. Changes nested inside
+ * (e.g. each addResult() of a makeRolls() batch) join the outer step.
+ * @param {string} label - What the step did (shown on the Undo button)
+ * @param {function} change - Mutates the results
+ */
+function recordChange(label, change) {
+  if (changeDepth > 0) {
+    change();
+    return;
+  }
+  
+  const before = snapshotState();
+  changeDepth++;
+  try {
+    change();
+  } finally {
+    changeDepth--;
+  }
+  
+  const changed = before.results.length !== results.length ||
+    before.results.some((result, index) => result !== results[index]);
+  if (changed) {
+    undoStack.push({ label, before, after: snapshotState() });
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack = [];
+  }
+  notifyHistoryChange();
+}
+
+/**
+ * Put back a snapshot's scenario date and results
+ */
+function applySnapshot(snapshot) {
+  results = [];
+  hasGeneratedResults = false;
+  
+  if (snapshot.scenarioDate !== scenarioDate && snapshot.scenarioDate !== null) {
+    setScenarioDate(snapshot.scenarioDate);
+  }
+  
+  results = [...snapshot.results];
+  hasGeneratedResults = results.length > 0;
+  updateDateButtonStates();
+  persistSession();
+  
+  if (typeof updateResultsDisplay === 'function') {
+    updateResultsDisplay();
+  }
+}
+
+/**
+ * Undo the last change to the results
+ */
+function undo() {
+  const step = undoStack.pop();
+  if (!step) return;
+  
+  applySnapshot(step.before);
+  redoStack.push(step);
+  notifyHistoryChange();
+}
+
+/**
+ * Redo the last undone change
+ */
+function redo() {
+  const step = redoStack.pop();
+  if (!step) return;
+  
+  applySnapshot(step.after);
+  undoStack.push(step);
+  notifyHistoryChange();
+}
+
+/**
+ * Forget the history (a different session was loaded)
+ */
+function clearHistory() {
+  undoStack = [];
+  redoStack = [];
+  notifyHistoryChange();
+}
+
+/**
+ * What undo and redo would do
+ * @returns {object} { undoLabel, redoLabel } (null when there is nothing to undo/redo)
+ */
+function getHistoryState() {
+  return {
+    undoLabel: undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null,
+    redoLabel: redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null
+  };
+}
+
+function notifyHistoryChange() {
+  if (typeof updateHistoryButtons === 'function') {
+    updateHistoryButtons();
+  }
+}
+
+/**
+ * Replace the scenario date, selected table and results with a saved
+ * session (SessionDocument), numbering the restored results
+ * @param {object} session - { scenarioDate, selectedTable, results }
+ */
+function restoreSession(session) {
+  results = [];
+  hasGeneratedResults = false;
+
+  // Select the saved date and table the same way the buttons do
+  if (session.scenarioDate !== null && session.scenarioDate !== undefined) {
+    setScenarioDate(session.scenarioDate);
+  }
+  const tableEntry = session.selectedTable ? TableRegistry.get(session.selectedTable) : null;
+  if (tableEntry && getTableDataSource()[tableEntry.id]) {
+    selectTable(tableEntry.id, tableEntry.faction);
+  } else {
+    cancelSelection();
+  }
+
+  results = session.results.map(result => ({ ...result, id: currentResultId++ }));
+  hasGeneratedResults = results.length > 0;
+  updateDateButtonStates();
+  persistSession();
+  clearHistory();
+
+  if (typeof updateResultsDisplay === 'function') {
+    updateResultsDisplay();
+  }
+}
+
+/**
+ * The current session: module, scenario date, selected table and results
+ * @returns {object} { module, scenarioDate, selectedTable, results }
+ */
+function getSession() {
+  return {
+    module: window.CURRENT_MODULE || null,
+    scenarioDate,
+    selectedTable,
+    results: [...results]
+  };
+}
+
+/**
+ * Autosave the current session to browser storage (SessionStore), so a
+ * reload or crash doesn't lose rolled raids. Does nothing until the page
+ * has set its module.
+ */
+function persistSession() {
+  if (window.SessionStore && window.CURRENT_MODULE) {
+    SessionStore.autosave(getSession());
+  }
+}
+
+/**
+ * The campaign raids are recorded in
+ * @returns {object|null} Campaign (see campaign.js), or null outside campaign mode
+ */
+function getCampaign() {
+  return activeCampaign;
+}
+
+/**
+ * Replace the active campaign (null ends campaign mode), save it to
+ * browser storage and redraw the campaign panel
+ * @param {object|null} campaign - Campaign
+ */
+function setCampaign(campaign) {
+  activeCampaign = campaign;
+  
+  if (window.SessionStore && window.CURRENT_MODULE) {
+    SessionStore.saveCampaign(window.CURRENT_MODULE, campaign);
+  }
+  if (typeof renderCampaign === 'function') {
+    renderCampaign();
   }
 }
 
@@ -491,12 +642,14 @@ function setModule(moduleName) {
     selectedTable = null;
     selectedFaction = null;
     hasGeneratedResults = false;
+    clearHistory();
     
     console.log('OOB Generator: Module set and state reset for:', moduleName);
 }
 
 // Make functions globally available for onclick handlers
 window.setScenarioDate = setScenarioDate;
+window.formatScenarioDate = formatScenarioDate;
 window.selectTable = selectTable;
 window.cancelSelection = cancelSelection;
 window.cancelVariableSelection = cancelVariableSelection;
@@ -506,6 +659,17 @@ window.getSelectedTable = getSelectedTable;
 window.getScenarioDate = getScenarioDate;
 window.getSelectedFaction = getSelectedFaction;
 window.addResult = addResult;
+window.removeResult = removeResult;
+window.replaceResult = replaceResult;
+window.recordChange = recordChange;
+window.undo = undo;
+window.redo = redo;
+window.getHistoryState = getHistoryState;
+window.restoreSession = restoreSession;
+window.getSession = getSession;
+window.getScenarioDates = getScenarioDates;
+window.getCampaign = getCampaign;
+window.setCampaign = setCampaign;
 window.setModule = setModule;
 window.clearAllResults = clearAllResults;
 
@@ -11,313 +11,631 @@
  * - Rolling for aircraft type
  * - Handling sub-rolls and special cases
  * - Generating ordnance assignments
- * - Formatting result output
+ * - Building the canonical result (ResultSchema) for the output
  */
 
-class BaseTableProcessor {
-  /**
-   * @param {string} tableId - The table identifier (A-L)
-   * @param {object} tableData - The table data from JSON
-   */
-  constructor(tableId, tableData) {
-    this.tableId = tableId;
-    this.tableData = tableData;
-  }
+const BaseTableProcessor = (function ({ DiceRoller, ResultSchema }) {
 
-  /**
-   * Main processing method - must be implemented by subclasses
-   * 
-   * @param {object} params - Processing parameters
-   * @param {string} params.atafZone - ATAF zone or mission type (if applicable)
-   * @param {string} params.scenarioDate - 'pre' or 'post' (if applicable)
-   * @param {string} params.nationality - Specific nationality for some tables
-   * @returns {object} Result object with text, rolls, and debug info
-   */
-  process(params) {
-    throw new Error('process() must be implemented by subclass');
-  }
+  class BaseTableProcessor {
+    /**
+     * @param {string} tableId - The table identifier (A-L)
+     * @param {object} tableData - The table data from JSON
+     */
+    constructor(tableId, tableData) {
+      this.tableId = tableId;
+      this.tableData = tableData;
+    }
 
-  /**
-   * Roll a die with specified number of sides
-   * @param {number} sides - Number of sides on the die
-   * @returns {number} Random number between 1 and sides
-   */
-  rollDie(sides) {
-    return Math.floor(Math.random() * sides) + 1;
-  }
+    /**
+     * Main processing method - must be implemented by subclasses
+     * 
+     * @param {object} params - Processing parameters
+     * @param {string} params.atafZone - ATAF zone or mission type (if applicable)
+     * @param {string} params.scenarioDate - 'pre' or 'post' (if applicable)
+     * @param {string} params.nationality - Specific nationality for some tables
+     * @returns {object} Canonical result (see createResult / createErrorResult)
+     */
+    process(params) {
+      throw new Error('process() must be implemented by subclass');
+    }
 
-  /**
-   * Parse a range string into min/max values
-   * @param {string} range - Range string (e.g., "1-4" or "5")
-   * @returns {number[]} Array with [min, max] values
-   */
-  parseRange(range) {
-    if (!range || typeof range !== 'string') return [0, 0];
-    
-    if (range.includes('-')) {
-      const [min, max] = range.split('-').map(n => parseInt(n.trim()));
-      return [min, max];
-    } else {
-      const num = parseInt(range.trim());
-      return [num, num];
+    /**
+     * Roll a die with specified number of sides
+     * Routes through makeDebugRoll() so the seeded RNG and manual dice mode
+     * apply to every processor roll.
+     * @param {number} sides - Number of sides on the die
+     * @param {string} label - Roll description (shown when prompting for physical dice)
+     * @returns {number} Random number between 1 and sides
+     */
+    rollDie(sides, label = `${this.tableId} d${sides}`) {
+      return DiceRoller.makeDebugRoll(sides, label).roll;
     }
-  }
 
-  /**
-   * Check if a value falls within a range string
-   * @param {number} value - Value to check
-   * @param {string} range - Range string (e.g., "1-4" or "5")
-   * @returns {boolean} True if value is in range
-   */
-  isInRange(value, range) {
-    const [min, max] = this.parseRange(range);
-    return value >= min && value <= max;
-  }
+    /**
+     * Parse a range string into min/max values
+     * @param {string} range - Range string (e.g., "1-4" or "5")
+     * @returns {number[]} Array with [min, max] values
+     */
+    parseRange(range) {
+      if (!range || typeof range !== 'string') return [0, 0];
 
-  /**
-   * Roll for nation based on table structure
-   * 
-   * @param {object} nationsData - Nations data from table
-   * @param {string} rollLabel - Label for debug output
-   * @returns {object} { nationRoll, nationName, nationData }
-   */
-  rollForNation(nationsData, rollLabel = 'Nation') {
-    const nationRollResult = makeDebugRoll(10, rollLabel);
-    const nationRoll = nationRollResult.roll;
-    
-    // Find matching nation based on roll ranges
-    for (const [range, nationData] of Object.entries(nationsData)) {
-      const [min, max] = parseRange(range);
-      if (nationRoll >= min && nationRoll <= max) {
-        this.lastNationResult = { nationName: nationData.name, nationData };
-        return {
-          nationRoll,
-          nationRollDebug: nationRollResult.debugEntry,
-          nationName: nationData.name,
-          nationData
-        };
+      if (range.includes('-')) {
+        const [min, max] = range.split('-').map(n => parseInt(n.trim()));
+        return [min, max];
+      } else {
+        const num = parseInt(range.trim());
+        return [num, num];
       }
     }
-    
-    return {
-      nationRoll,
-      nationRollDebug: nationRollResult.debugEntry,
-      nationName: null,
-      nationData: null,
-      error: `No nation found for roll ${nationRoll}`
-    };
-  }
 
-  /**
-   * Roll for aircraft type based on nation data
-   * 
-   * @param {object} aircraftData - Aircraft data from nation
-   * @param {string} rollLabel - Label for debug output
-   * @returns {object} { aircraftRoll, aircraftType }
-   */
-  rollForAircraft(aircraftData, rollLabel = 'Aircraft') {
-    // Validate aircraftData exists
-    if (!aircraftData || typeof aircraftData !== 'object') {
+    /**
+     * Check if a value falls within a range string
+     * @param {number} value - Value to check
+     * @param {string} range - Range string (e.g., "1-4" or "5")
+     * @returns {boolean} True if value is in range
+     */
+    isInRange(value, range) {
+      const [min, max] = this.parseRange(range);
+      return value >= min && value <= max;
+    }
+
+    /**
+     * Map a requested nationality to the key used in this table's data.
+     * Tables with nationality aliases (e.g. Table E, K2) override this.
+     * 
+     * @param {string} nationality - Requested nationality
+     * @param {string} [hexType] - 'land' or 'sea', for tables that distinguish them
+     * @returns {string} Nationality key in the table data
+     */
+    normalizeNationality(nationality, hexType) {
+      return nationality;
+    }
+
+    /**
+     * Find the entry of a range-keyed object that contains a roll
+     * 
+     * @param {object} rangeObject - Object keyed by range strings (e.g., { "1-4": ..., "5-10": ... })
+     * @param {number} roll - Roll value
+     * @returns {object|null} { range, value } or null if no range matches
+     */
+    lookupRange(rangeObject, roll) {
+      for (const [range, value] of Object.entries(rangeObject || {})) {
+        if (this.isInRange(roll, range)) {
+          return { range, value };
+        }
+      }
+      return null;
+    }
+
+    /**
+     * Roll for nation based on table structure
+     * 
+     * @param {object} nationsData - Nations data from table
+     * @param {string} rollLabel - Label for debug output
+     * @returns {object} { nationRoll, nationName, nationData }
+     */
+    rollForNation(nationsData, rollLabel = 'Nation') {
+      const nationRollResult = DiceRoller.makeDebugRoll(10, rollLabel);
+      const nationRoll = nationRollResult.roll;
+
+      // Find matching nation based on roll ranges
+      for (const [range, nationData] of Object.entries(nationsData)) {
+        const [min, max] = this.parseRange(range);
+        if (nationRoll >= min && nationRoll <= max) {
+          this.annotateRoll(nationRollResult.journalEntry, { matched: range, result: nationData.name });
+          return {
+            nationRoll,
+            nationRollDebug: nationRollResult.debugEntry,
+            nationName: nationData.name,
+            nationData
+          };
+        }
+      }
+
       return {
-        error: `Invalid aircraft data: ${aircraftData === null ? 'null' : typeof aircraftData}`
+        nationRoll,
+        nationRollDebug: nationRollResult.debugEntry,
+        nationName: null,
+        nationData: null,
+        error: `No nation found for roll ${nationRoll}`
       };
     }
-    
-    const aircraftRollResult = makeDebugRoll(10, rollLabel);
-    const aircraftRoll = aircraftRollResult.roll;
-    
-    // Find matching aircraft based on roll ranges
-    for (const [range, aircraft] of Object.entries(aircraftData)) {
-      const [min, max] = parseRange(range);
-      if (aircraftRoll >= min && aircraftRoll <= max) {
-        const resolvedAircraft = this.normalizeAircraftEntry(aircraft);
-        this.lastAircraftResult = {
-          aircraftType: resolvedAircraft.name,
-          aircraftId: resolvedAircraft.aircraftId
-        };
+
+    /**
+     * Roll for aircraft type based on nation data
+     * 
+     * @param {object} aircraftData - Aircraft data from nation
+     * @param {string} rollLabel - Label for debug output
+     * @returns {object} { aircraftRoll, aircraftType }
+     */
+    rollForAircraft(aircraftData, rollLabel = 'Aircraft') {
+      // Validate aircraftData exists
+      if (!aircraftData || typeof aircraftData !== 'object') {
         return {
-          aircraftRoll,
-          aircraftRollDebug: aircraftRollResult.debugEntry,
-          aircraftType: resolvedAircraft.name,
-          aircraftId: resolvedAircraft.aircraftId,
-          variants: aircraft.variants || null
+          error: `Invalid aircraft data: ${aircraftData === null ? 'null' : typeof aircraftData}`
         };
       }
+
+      const aircraftRollResult = DiceRoller.makeDebugRoll(10, rollLabel);
+      const aircraftRoll = aircraftRollResult.roll;
+
+      // Find matching aircraft based on roll ranges
+      for (const [range, aircraft] of Object.entries(aircraftData)) {
+        const [min, max] = this.parseRange(range);
+        if (aircraftRoll >= min && aircraftRoll <= max) {
+          const resolvedAircraft = this.normalizeAircraftEntry(aircraft);
+          this.annotateRoll(aircraftRollResult.journalEntry, { matched: range, result: resolvedAircraft.name });
+          return {
+            aircraftRoll,
+            aircraftRollDebug: aircraftRollResult.debugEntry,
+            aircraftType: resolvedAircraft.name,
+            aircraftId: resolvedAircraft.aircraftId,
+            variants: aircraft.variants || null
+          };
+        }
+      }
+
+      return {
+        aircraftRoll,
+        aircraftRollDebug: aircraftRollResult.debugEntry,
+        aircraftType: null,
+        error: `No aircraft found for roll ${aircraftRoll}`
+      };
+    }
+
+    /**
+     * Resolve a sub-roll for aircraft entries that have a "variants" field.
+     * The variants field is a range-keyed object (like aircraft ranges) that
+     * maps d10 results to specific aircraft names and IDs.
+     *
+     * This is the data-driven replacement for hardcoded sub-roll logic.
+     * Any aircraft entry in the JSON can define variants to trigger a sub-roll:
+     *   "variants": { "1-5": { "name": "MiG-23MF", "aircraftId": "..." }, "6-10": { ... } }
+     *
+     * @param {object} variants - Range-keyed variant data from the aircraft entry
+     * @param {string} rollLabel - Label for debug output
+     * @returns {object} { finalAircraftType, finalAircraftId, subRollDebug }
+     */
+    resolveVariants(variants, rollLabel = 'Sub-roll') {
+      if (!variants || typeof variants !== 'object') {
+        return { finalAircraftType: null, finalAircraftId: null, subRollDebug: null };
+      }
+
+      const subRollResult = DiceRoller.makeDebugRoll(10, rollLabel);
+      for (const [range, variant] of Object.entries(variants)) {
+        const [min, max] = this.parseRange(range);
+        if (subRollResult.roll >= min && subRollResult.roll <= max) {
+          this.annotateRoll(subRollResult.journalEntry, { matched: range, result: variant.name });
+          return {
+            finalAircraftType: variant.name,
+            finalAircraftId: variant.aircraftId || null,
+            subRollDebug: subRollResult.debugEntry
+          };
+        }
+      }
+
+      // Fallback if no range matched (shouldn't happen with valid data)
+      return { finalAircraftType: null, finalAircraftId: null, subRollDebug: subRollResult.debugEntry };
     }
-    
-    return {
-      aircraftRoll,
-      aircraftRollDebug: aircraftRollResult.debugEntry,
-      aircraftType: null,
-      error: `No aircraft found for roll ${aircraftRoll}`
-    };
-  }
 
-  /**
-   * Resolve a sub-roll for aircraft entries that have a "variants" field.
-   * The variants field is a range-keyed object (like aircraft ranges) that
-   * maps d10 results to specific aircraft names and IDs.
-   *
-   * This is the data-driven replacement for hardcoded sub-roll logic.
-   * Any aircraft entry in the JSON can define variants to trigger a sub-roll:
-   *   "variants": { "1-5": { "name": "MiG-23MF", "aircraftId": "..." }, "6-10": { ... } }
-   *
-   * @param {object} variants - Range-keyed variant data from the aircraft entry
-   * @param {string} rollLabel - Label for debug output
-   * @returns {object} { finalAircraftType, finalAircraftId, subRollDebug }
-   */
-  resolveVariants(variants, rollLabel = 'Sub-roll') {
-    if (!variants || typeof variants !== 'object') {
-      return { finalAircraftType: null, finalAircraftId: null, subRollDebug: null };
+    /**
+     * Resolve a composite nationality like "NE/CAN" or "BE/NE" to the specific
+     * nation that matches the rolled aircraft.
+     *
+     * OOB tables sometimes group multiple nations into a single roll range
+     * (e.g., "NE/CAN" covers Netherlands and Canada). The aircraft roll then
+     * determines which nation's aircraft is used. This method infers the actual
+     * nation from the aircraft name or ID so the display and flight cards show
+     * the correct individual nationality instead of the composite group.
+     *
+     * Resolution order:
+     *   1. Parenthetical suffix in aircraft name: "F-16A(NE)" → "NE"
+     *   2. Aircraft ID prefix: "CAN-CF-18A-1" → "CAN"
+     *   3. Fall through to original composite name if no match
+     *
+     * @param {string} nationName - The nation name (may be composite like "NE/CAN")
+     * @param {string} aircraftType - The rolled aircraft type name
+     * @param {string|null} aircraftId - The aircraft database ID
+     * @returns {string} Resolved single-nation name, or the original if unresolvable
+     */
+    resolveCompositeNation(nationName, aircraftType, aircraftId) {
+      if (!nationName || !nationName.includes('/')) {
+        return nationName;
+      }
+
+      const parts = nationName.split('/');
+
+      // Strategy 1: Check for parenthetical suffix like "(NE)" or "(BE)"
+      if (aircraftType) {
+        const parenMatch = aircraftType.match(/\(([^)]+)\)$/);
+        if (parenMatch) {
+          const suffix = parenMatch[1].toUpperCase();
+          const match = parts.find(p => p.toUpperCase() === suffix);
+          if (match) return match;
+        }
+      }
+
+      // Strategy 2: Check if aircraft ID prefix matches a nation part
+      if (aircraftId) {
+        const idPrefix = aircraftId.split('-')[0].toUpperCase();
+        const match = parts.find(p => p.toUpperCase() === idPrefix);
+        if (match) return match;
+      }
+
+      // No match found — return the original composite name
+      return nationName;
     }
 
-    const subRollResult = makeDebugRoll(10, rollLabel);
-    for (const [range, variant] of Object.entries(variants)) {
-      const [min, max] = parseRange(range);
-      if (subRollResult.roll >= min && subRollResult.roll <= max) {
+    /**
+     * Check whether an ordnance rule applies to a flight.
+     * Rules match on aircraftIds; aircraftTypes covers table entries that have
+     * no database ID (e.g. split SEAD components). An optional taskings list
+     * limits the rule to those taskings.
+     *
+     * @param {object} rule - Ordnance rule from the table data
+     * @param {object} flight - { tasking, aircraftId, aircraftType }
+     * @returns {boolean} True if the rule applies
+     */
+    ordnanceRuleApplies(rule, flight) {
+      if (rule.taskings && !rule.taskings.includes(flight.tasking)) {
+        return false;
+      }
+      if (!rule.aircraftIds && !rule.aircraftTypes) {
+        return true;
+      }
+      return Boolean(
+        (flight.aircraftId && rule.aircraftIds?.includes(flight.aircraftId)) ||
+        (flight.aircraftType && rule.aircraftTypes?.includes(flight.aircraftType))
+      );
+    }
+
+    /**
+     * Resolve an ordnance roll using the data-driven ordnance tables.
+     *
+     * Ordnance data sits on the table (or nationality) entry in the JSON:
+     *   ordnanceRolls: { "<tasking>": { "1-4": "Bombs/CBU/Rockets", ... } }
+     *   ordnanceRules: {
+     *     modifiers:    [{ aircraftIds, aircraftTypes?, modifier, note }],
+     *     additions:    [{ taskings, append, note }],
+     *     restrictions: [{ aircraftIds, aircraftTypes?, taskings, label, result, note, rollsDie? }]
+     *   }
+     *
+     * A matching restriction replaces the roll outright (e.g. GDR Note E).
+     * Otherwise all matching modifiers are added to the roll (capped to 1-10),
+     * the modified roll is looked up in the tasking's bands, and matching
+     * additions are appended (e.g. SEAD always "+ ARM").
+     *
+     * @param {number} roll - Base ordnance roll (1-10)
+     * @param {object} ordnanceData - Entry holding ordnanceRolls/ordnanceRules
+     * @param {object} flight - { tasking, aircraftId, aircraftType }
+     * @param {object|null} journalEntry - Roll journal entry to annotate (optional)
+     * @returns {string|null} Ordnance description, or null if no band matches
+     */
+    resolveOrdnance(roll, ordnanceData, flight, journalEntry = null) {
+      const rules = ordnanceData?.ordnanceRules || {};
+
+      const restriction = (rules.restrictions || []).find(rule => this.ordnanceRuleApplies(rule, flight));
+      if (restriction) {
+        this.annotateRoll(journalEntry, {
+          matched: restriction.label || null,
+          result: restriction.result,
+          detail: [restriction.note, 'roll ignored'].filter(Boolean).join('; ')
+        });
+        return restriction.result;
+      }
+
+      const notes = [];
+      let modifier = 0;
+      for (const rule of rules.modifiers || []) {
+        if (this.ordnanceRuleApplies(rule, flight)) {
+          modifier += rule.modifier;
+          if (rule.note) notes.push(rule.note);
+        }
+      }
+      const modifiedRoll = Math.max(1, Math.min(roll + modifier, 10));
+
+      const band = this.lookupRange(ordnanceData?.ordnanceRolls?.[flight.tasking], modifiedRoll);
+      if (!band) {
+        return null;
+      }
+
+      let ordnance = band.value;
+      for (const rule of rules.additions || []) {
+        if (this.ordnanceRuleApplies(rule, flight)) {
+          ordnance += ` + ${rule.append}`;
+          if (rule.note) notes.push(rule.note);
+        }
+      }
+
+      this.annotateRoll(journalEntry, {
+        modifier,
+        modified: modifiedRoll,
+        matched: band.range,
+        result: ordnance,
+        detail: notes.join('; ') || null
+      });
+
+      return ordnance;
+    }
+
+    /**
+     * Roll ordnance for one flight and resolve it with resolveOrdnance().
+     * Restricted aircraft still roll the die and ignore it, as Table I
+     * always has; restrictions with `rollsDie: false` (Table I2) don't roll.
+     *
+     * @param {object} ordnanceData - Entry holding ordnanceRolls/ordnanceRules
+     * @param {object} flight - { tasking, aircraftId, aircraftType }
+     * @param {string} rollLabel - Label for debug output
+     * @returns {object} { ordnanceType, ordnanceRoll, ordnanceRollDebug } or { error, ... }
+     */
+    rollForOrdnance(ordnanceData, flight, rollLabel = 'Ordnance') {
+      const restrictions = ordnanceData?.ordnanceRules?.restrictions || [];
+      const restriction = restrictions.find(rule => this.ordnanceRuleApplies(rule, flight));
+      if (restriction && restriction.rollsDie === false) {
+        return {
+          ordnanceType: restriction.result,
+          ordnanceRoll: null,
+          ordnanceRollDebug: null
+        };
+      }
+
+      const rollResult = DiceRoller.makeDebugRoll(10, rollLabel);
+      const ordnanceType = this.resolveOrdnance(rollResult.roll, ordnanceData, flight, rollResult.journalEntry);
+      if (!ordnanceType) {
         return {
-          finalAircraftType: variant.name,
-          finalAircraftId: variant.aircraftId || null,
-          subRollDebug: subRollResult.debugEntry
+          error: `No ordnance found for roll ${rollResult.roll}`,
+          ordnanceRoll: rollResult.roll,
+          ordnanceRollDebug: rollResult.debugEntry
         };
       }
+
+      return {
+        ordnanceType,
+        ordnanceRoll: rollResult.roll,
+        ordnanceRollDebug: rollResult.debugEntry
+      };
+    }
+
+    /**
+     * Record how a roll was interpreted on its roll journal entry
+     * (modifier, modified value, matched range key or branch, result).
+     * Safe to call with a null entry.
+     *
+     * @param {object|null} journalEntry - Entry returned by makeDebugRoll()
+     * @param {object} details - Fields to record on the entry
+     */
+    annotateRoll(journalEntry, details) {
+      if (journalEntry) {
+        Object.assign(journalEntry, details);
+      }
     }
 
-    // Fallback if no range matched (shouldn't happen with valid data)
-    return { finalAircraftType: null, finalAircraftId: null, subRollDebug: subRollResult.debugEntry };
-  }
+    /**
+     * Build debug text from processing steps
+     * 
+     * @param {object} steps - Object containing debug entries from each step
+     * @returns {string} Formatted debug text
+     */
+    buildDebugText(steps) {
+      if (!DiceRoller.getDebugMode()) return '';
 
-  /**
-   * Resolve a composite nationality like "NE/CAN" or "BE/NE" to the specific
-   * nation that matches the rolled aircraft.
-   *
-   * OOB tables sometimes group multiple nations into a single roll range
-   * (e.g., "NE/CAN" covers Netherlands and Canada). The aircraft roll then
-   * determines which nation's aircraft is used. This method infers the actual
-   * nation from the aircraft name or ID so the display and flight cards show
-   * the correct individual nationality instead of the composite group.
-   *
-   * Resolution order:
-   *   1. Parenthetical suffix in aircraft name: "F-16A(NE)" → "NE"
-   *   2. Aircraft ID prefix: "CAN-CF-18A-1" → "CAN"
-   *   3. Fall through to original composite name if no match
-   *
-   * @param {string} nationName - The nation name (may be composite like "NE/CAN")
-   * @param {string} aircraftType - The rolled aircraft type name
-   * @param {string|null} aircraftId - The aircraft database ID
-   * @returns {string} Resolved single-nation name, or the original if unresolvable
-   */
-  resolveCompositeNation(nationName, aircraftType, aircraftId) {
-    if (!nationName || !nationName.includes('/')) {
-      return nationName;
+      const entries = [];
+
+      if (steps.nationRollDebug) entries.push(steps.nationRollDebug);
+      if (steps.aircraftRollDebug) entries.push(steps.aircraftRollDebug);
+      if (steps.subRollDebug) entries.push(steps.subRollDebug);
+      if (steps.additionalDebug) entries.push(...steps.additionalDebug);
+
+      return entries.filter(Boolean).join(' | ');
+    }
+
+    /**
+     * Safely strip brackets from debug string
+     * Handles null/undefined values gracefully
+     * 
+     * @param {string} debugStr - Debug string that may contain brackets
+     * @returns {string} String with brackets removed, or empty string if null
+     */
+    stripBrackets(debugStr) {
+      return debugStr ? debugStr.replace(/[\[\]]/g, '') : '';
     }
 
-    const parts = nationName.split('/');
+    /**
+     * Roll one tasking of a result again, keeping every other flight.
+     * The new flights take the place of the tasking's old ones.
+     *
+     * @param {object} result - Canonical result to change (not modified)
+     * @param {string} tasking - Tasking as shown on the flights (e.g. "SEAD")
+     * @param {object} [params] - Parameters the result was rolled with
+     * @returns {object} New canonical result, or an error result
+     */
+    rerollTasking(result, tasking, params = {}) {
+      const first = result.flights.findIndex(flight => flight.tasking === tasking);
+      if (first < 0) {
+        return this.createErrorResult(`Table ${this.tableId} raid has no ${tasking} flights`);
+      }
 
-    // Strategy 1: Check for parenthetical suffix like "(NE)" or "(BE)"
-    if (aircraftType) {
-      const parenMatch = aircraftType.match(/\(([^)]+)\)$/);
-      if (parenMatch) {
-        const suffix = parenMatch[1].toUpperCase();
-        const match = parts.find(p => p.toUpperCase() === suffix);
-        if (match) return match;
+      const rolled = this.rollTasking(tasking, params, result);
+      if (rolled.error) {
+        return this.createErrorResult(rolled.error, { debugRolls: rolled.debugRolls || '' });
       }
+
+      const kept = result.flights.filter(flight => flight.tasking !== tasking);
+      const flights = [...kept.slice(0, first), ...rolled.flights, ...kept.slice(first)];
+      return this.withFlights(result, flights, rolled.debugRolls);
     }
 
-    // Strategy 2: Check if aircraft ID prefix matches a nation part
-    if (aircraftId) {
-      const idPrefix = aircraftId.split('-')[0].toUpperCase();
-      const match = parts.find(p => p.toUpperCase() === idPrefix);
-      if (match) return match;
+    /**
+     * Roll the ordnance of one flight again, keeping the rest of the raid
+     *
+     * @param {object} result - Canonical result to change (not modified)
+     * @param {number} flightIndex - Index of the flight in result.flights
+     * @param {object} [params] - Parameters the result was rolled with
+     * @returns {object} New canonical result, or an error result
+     */
+    rerollOrdnance(result, flightIndex, params = {}) {
+      const flight = result.flights[flightIndex];
+      if (!flight || !flight.ordnance) {
+        return this.createErrorResult(`Flight ${flightIndex + 1} of Table ${this.tableId} has no ordnance to reroll`);
+      }
+
+      const ordnanceResult = this.rollForOrdnance(
+        this.ordnanceDataFor(flight, params, result),
+        { tasking: this.taskingKey(flight.tasking), aircraftId: flight.aircraftId, aircraftType: flight.aircraftType },
+        `${flight.tasking} Flight ${flightIndex + 1} Ordnance`
+      );
+      if (ordnanceResult.error) {
+        return this.createErrorResult(ordnanceResult.error, { debugRolls: ordnanceResult.ordnanceRollDebug || '' });
+      }
+
+      const suffix = ` (${flight.ordnance})`;
+      const text = flight.text.endsWith(suffix) ? flight.text.slice(0, -suffix.length) : flight.text;
+      const flights = result.flights.map((entry, index) => (index === flightIndex
+        ? { ...entry, ordnance: ordnanceResult.ordnanceType, text: `${text} (${ordnanceResult.ordnanceType})` }
+        : entry));
+      return this.withFlights(result, flights, ordnanceResult.ordnanceRollDebug);
     }
 
-    // No match found — return the original composite name
-    return nationName;
-  }
+    /**
+     * Roll the flights of one tasking for rerollTasking(). The declarative
+     * processor overrides this for tables with taskings or flight packages.
+     *
+     * @param {string} tasking - Tasking as shown on the flights
+     * @param {object} params - Parameters the result was rolled with
+     * @param {object} result - Result being changed
+     * @returns {object} { flights, debugRolls } or { error, debugRolls }
+     */
+    rollTasking(tasking, params, result) {
+      return { error: `Table ${this.tableId} has no taskings to reroll` };
+    }
 
-  /**
-   * Build debug text from processing steps
-   * 
-   * @param {object} steps - Object containing debug entries from each step
-   * @returns {string} Formatted debug text
-   */
-  buildDebugText(steps) {
-    if (!getDebugMode()) return '';
-    
-    const entries = [];
-    
-    if (steps.nationRollDebug) entries.push(steps.nationRollDebug);
-    if (steps.aircraftRollDebug) entries.push(steps.aircraftRollDebug);
-    if (steps.subRollDebug) entries.push(steps.subRollDebug);
-    if (steps.additionalDebug) entries.push(...steps.additionalDebug);
-    
-    return entries.filter(Boolean).join(' | ');
-  }
+    /**
+     * Entry holding the ordnanceRolls/ordnanceRules a flight was rolled on
+     *
+     * @param {object} flight - Canonical flight
+     * @param {object} params - Parameters the result was rolled with
+     * @param {object} result - Result being changed
+     * @returns {object} Ordnance data
+     */
+    ordnanceDataFor(flight, params, result) {
+      return this.tableData;
+    }
 
-  /**
-   * Safely strip brackets from debug string
-   * Handles null/undefined values gracefully
-   * 
-   * @param {string} debugStr - Debug string that may contain brackets
-   * @returns {string} String with brackets removed, or empty string if null
-   */
-  stripBrackets(debugStr) {
-    return debugStr ? debugStr.replace(/[\[\]]/g, '') : '';
-  }
+    /**
+     * Name of a tasking in the table data (taskings may be shown under
+     * another name)
+     *
+     * @param {string} tasking - Tasking as shown on the flights
+     * @returns {string} Tasking key
+     */
+    taskingKey(tasking) {
+      return tasking;
+    }
 
+    /**
+     * Copy a result with new flights, rebuilding the text lines and adding
+     * the reroll's debug text
+     *
+     * @param {object} result - Result being changed
+     * @param {object[]} flights - Flights of the new result
+     * @param {string|null} debugRolls - Debug text of the reroll
+     * @returns {object} Canonical result
+     */
+    withFlights(result, flights, debugRolls) {
+      // Header lines (e.g. "USSR Naval Strike Raid") come before the flight lines
+      const lines = result.text.split('<br>');
+      const header = lines.slice(0, Math.max(0, lines.length - result.flights.length));
 
-  /**
-   * Format basic result output
-   * 
-   * @param {object} data - Result data
-   * @returns {object} Formatted result with text, rolls, and debug
-   */
-  formatResult(data) {
-    return {
-      nationRoll: data.nationRoll || null,
-      aircraftRoll: data.aircraftRoll || null,
-      nationName: data.nationName || null,
-      nationality: data.nationality || data.nationCode || data.nationName || this.lastNationResult?.nationName || null,
-      aircraftType: data.aircraftType || this.lastAircraftResult?.aircraftType || null,
-      aircraftId: data.aircraftId || this.lastAircraftResult?.aircraftId || null,
-      flightSize: data.flightSize || this.tableData.flightSize || null,
-      flightCount: data.flightCount || this.tableData.flightCount || data.quantity || null,
-      tasking: data.tasking || null,
-      sourceTable: data.sourceTable || this.tableId,
-      text: data.text,
-      debugText: data.debugText || ''
-    };
-  }
+      return this.createResult({
+        raidType: result.raidType,
+        nationality: result.nationality,
+        text: [...header, ...flights.map(flight => flight.text)].join('<br>'),
+        debugRolls: [result.debugRolls, debugRolls].filter(Boolean).join(' '),
+        notes: result.notes
+      }, flights);
+    }
 
-  /**
-   * Normalize aircraft entry from table data.
-   * Strips HTML tags (e.g., superscript footnote markers like <sup>2</sup>)
-   * from aircraft names so they match database keys during print lookup.
-   *
-   * @param {object|string} aircraftEntry - Aircraft entry from table data
-   * @returns {object} { name, aircraftId }
-   */
-  normalizeAircraftEntry(aircraftEntry) {
-    if (!aircraftEntry || typeof aircraftEntry !== 'object' || Array.isArray(aircraftEntry)) {
-      return { name: aircraftEntry, aircraftId: null };
+
+    /**
+     * Build the canonical result (ResultSchema.createResult) for this table
+     * and check it against the result contract
+     *
+     * @param {object} meta - raidType, nationality, text, debugRolls, notes
+     * @param {object|object[]} flights - Flight entry or entries
+     * @returns {object} Canonical result
+     * @throws {Error} In ResultSchema strict mode, if the result breaks the contract
+     */
+    createResult(meta, flights) {
+      const result = ResultSchema.createResult({
+        table: this.tableId,
+        faction: this.tableData.faction,
+        processor: this.constructor.name,
+        ...meta
+      }, flights);
+      ResultSchema.check(result, this.tableId, this.constructor.name);
+      return result;
+    }
+
+    /**
+     * Build the canonical error result (ResultSchema.createErrorResult)
+     * for this table
+     *
+     * @param {string} message - Error message
+     * @param {object} [meta] - debugRolls, notes
+     * @returns {object} Canonical error result
+     */
+    createErrorResult(message, meta = {}) {
+      const result = ResultSchema.createErrorResult({
+        table: this.tableId,
+        faction: this.tableData.faction,
+        processor: this.constructor.name,
+        ...meta
+      }, message);
+      ResultSchema.check(result, this.tableId, this.constructor.name);
+      return result;
     }
 
-    let name = aircraftEntry.name || aircraftEntry.aircraft || aircraftEntry.display || aircraftEntry.model || '';
-    // Strip any HTML tags from the name (e.g., <sup>2</sup> footnote markers)
-    // so the aircraft type matches database keys during print generation
-    if (typeof name === 'string') {
-      name = name.replace(/<[^>]*>/g, '').trim();
+    /**
+     * Normalize aircraft entry from table data.
+     * Strips HTML tags (e.g., superscript footnote markers like <sup>2</sup>)
+     * from aircraft names so they match database keys during print lookup.
+     *
+     * @param {object|string} aircraftEntry - Aircraft entry from table data
+     * @returns {object} { name, aircraftId }
+     */
+    normalizeAircraftEntry(aircraftEntry) {
+      if (!aircraftEntry || typeof aircraftEntry !== 'object' || Array.isArray(aircraftEntry)) {
+        return { name: aircraftEntry, aircraftId: null };
+      }
+
+      let name = aircraftEntry.name || aircraftEntry.aircraft || aircraftEntry.display || aircraftEntry.model || '';
+      // Strip any HTML tags from the name (e.g., <sup>2</sup> footnote markers)
+      // so the aircraft type matches database keys during print generation
+      if (typeof name === 'string') {
+        name = name.replace(/<[^>]*>/g, '').trim();
+      }
+      return {
+        name,
+        aircraftId: aircraftEntry.aircraftId || null
+      };
     }
-    return {
-      name,
-      aircraftId: aircraftEntry.aircraftId || null
-    };
   }
-}
 
-// Export for use in other modules
+  return BaseTableProcessor;
+
+})(typeof module !== 'undefined' && module.exports
+  ? {
+      DiceRoller: require('../dice-roller.js'),
+      ResultSchema: require('../result-schema.js'),
+    }
+  : { DiceRoller, ResultSchema });
+
+// Export for CommonJS (Node.js, the Expo app) or as a global for <script>
+// tags and workers (importScripts)
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = BaseTableProcessor;
+} else {
+  globalThis.BaseTableProcessor = BaseTableProcessor;
 }
 
 console.log('BaseTableProcessor class loaded');
@@ -0,0 +1,683 @@
+/**
+ * DeclarativeTableProcessor - Generic processor driven by a table definition
+ *
+ * Tables whose JSON entry carries a "definition" block are processed here
+ * instead of by a dedicated class. The definition only says how to walk the
+ * table data; every roll still goes through the BaseTableProcessor helpers
+ * (rollForNation, rollForAircraft, resolveVariants, rollForOrdnance), so roll
+ * labels, the roll journal and the data-driven ordnance rules are unchanged.
+ *
+ * Definition fields:
+ * - select: Steps from the table root to the raid data. Each step optionally
+ *   descends into "key", then picks a child by parameter or by a d10 roll:
+ *     { "key": "dateRanges", "param": "scenarioDate", "dates": "BA_DATE_RANGES" }
+ *     { "key": "nationalities", "param": "nationality", "aliases": { "CAN": "US" },
+ *       "default": "GDR", "hexTypeAliases": { "sea": { "GDR": "GDR Naval" } } }
+ *     { "key": "nationalities", "roll": { "1-8": "USSR", "9-10": "GDR" }, "label": "Nationality" }
+ *     { "roll": true, "label": "D3 Nationality (${scenarioDate})" }  (roll on the node's own ranges)
+ *   A step with "nationality": true sets the raid nationality; one with
+ *   "optional": true is skipped where the node has no "key" (Table L
+ *   Tactical Recon picks its nation from "nationData", Standoff Jamming rolls):
+ *     { "key": "nationData", "param": "tacticalReconNation", "optional": true, "nationality": true }
+ * - taskings: Roll every tasking under the selected node
+ *     { "key": "taskings", "order": [...], "display": { "Deep Strike": "Bombing" }, "select": [...] }
+ * - flights: Key of a fixed flight package array under the selected node
+ * - Without taskings or flights the selected node is a single flight group
+ *
+ * Group options:
+ * - tasking: Tasking name for single-group tables (template, e.g. "${missionType}")
+ * - rollNation: false to use the single USSR-only nation entry without a roll
+ * - perFlight: List every flight on its own line (ordnance taskings always are)
+ * - ordnance: Taskings that roll ordnance per flight
+ * - split: Combined aircraft entries ("F-4G/F-4E") that become two half-size
+ *   entries; in an ordnance tasking each half rolls ordnance per flight
+ * - text / header: Line templates using ${nation}, ${aircraftType}, ${flightSize},
+ *   ${flightCount}, ${tasking}, ${nationality}, ${name} and any parameter
+ * - nationality, raidType, defaults: Fixed raid nationality, raid type template
+ *   and parameter defaults
+ *
+ * Flight size and count come from the group's data, falling back to the
+ * nodes selected on the way to it and then the table's own flightSize /
+ * flightCount. Results are canonical ResultSchema
+ * results: one flights[] entry per line of text, the raid nationality and
+ * the table's notes.
+ */
+
+const DeclarativeTableProcessor = (function ({ BaseTableProcessor, TableRegistry, DiceRoller }) {
+
+  class DeclarativeTableProcessor extends BaseTableProcessor {
+    /**
+     * @param {string} tableId - The table identifier
+     * @param {object} tableData - The table data from JSON, including its definition
+     */
+    constructor(tableId, tableData) {
+      super(tableId, tableData);
+      this.definition = tableData.definition || {};
+
+      // Rolled nationality ranges (also read by the probability calculator)
+      const rolledStep = (this.definition.select || []).find(step => step.roll && typeof step.roll === 'object');
+      if (rolledStep) {
+        this.nationalityRolls = rolledStep.roll;
+      }
+    }
+
+    /**
+     * Map a requested nationality to its key in the table data using the
+     * aliases of the definition's nationality step
+     *
+     * @param {string} nationality - Requested nationality
+     * @param {string} [hexType] - 'land' or 'sea'
+     * @returns {string} Nationality key in the table data
+     */
+    normalizeNationality(nationality, hexType) {
+      const step = (this.definition.select || []).find(s => s.param === 'nationality');
+      return step ? this.resolveStepValue(step, nationality, hexType) : nationality;
+    }
+
+    /**
+     * Process the table
+     *
+     * @param {object} params - Processing parameters named by the definition's steps
+     * @returns {object} Canonical result (ResultSchema) with one entry in flights per flight line
+     */
+    process(params = {}) {
+      return this.generate(params, null);
+    }
+
+    /**
+     * Roll a single tasking of a tasking-based table
+     *
+     * @param {string} tasking - Tasking name as it appears in the table data
+     * @param {object} [params] - Processing parameters
+     * @returns {object[]|object} Flight entries for the tasking, or an error result
+     */
+    processTasking(tasking, params = {}) {
+      const result = this.generate(params, tasking);
+      return result.error ? result : result.flights;
+    }
+
+    /**
+     * Roll one tasking again for rerollTasking(), keeping the raid's rolled
+     * nationality
+     *
+     * @param {string} tasking - Tasking as shown on the flights
+     * @param {object} params - Parameters the result was rolled with
+     * @param {object} result - Result being changed
+     * @returns {object} { flights, debugRolls } or { error, debugRolls }
+     */
+    rollTasking(tasking, params, result) {
+      // A single flight group (Tables A, L, ...) is the whole result, not a tasking of it
+      if (!this.definition.taskings && !this.definition.flights) {
+        return super.rollTasking(tasking, params, result);
+      }
+      const rolled = this.generate(params, this.taskingKey(tasking), result.nationality);
+      return rolled.error
+        ? { error: rolled.error, debugRolls: rolled.debugRolls }
+        : { flights: rolled.flights, debugRolls: rolled.debugRolls };
+    }
+
+    /**
+     * Ordnance data for a flight: the selected raid node when it has its own
+     * ordnance tables, otherwise the table's
+     *
+     * @param {object} flight - Canonical flight
+     * @param {object} params - Parameters the result was rolled with
+     * @param {object} result - Result being changed
+     * @returns {object} Ordnance data
+     */
+    ordnanceDataFor(flight, params, result) {
+      const state = this.createState(params, result.nationality);
+      const selected = this.selectNode(this.tableData, this.definition.select, state);
+      return !selected.error && selected.node.ordnanceRolls ? selected.node : this.tableData;
+    }
+
+    /**
+     * Name of a tasking in the table data (J2 shows "Deep Strike" as "Bombing")
+     *
+     * @param {string} tasking - Tasking as shown on the flights
+     * @returns {string} Tasking key
+     */
+    taskingKey(tasking) {
+      const display = (this.definition.taskings && this.definition.taskings.display) || {};
+      return Object.keys(display).find(key => display[key] === tasking) || tasking;
+    }
+
+    /**
+     * Fresh processing state
+     *
+     * @param {object} params - Processing parameters
+     * @param {string|null} [pinnedNationality] - Use this raid nationality instead of rolling it
+     * @returns {object} State (params, values, nationality, pinnedNationality, debugRolls)
+     */
+    createState(params, pinnedNationality = null) {
+      return {
+        params: this.applyDefaults(params),
+        values: {},
+        nationality: this.definition.nationality || null,
+        pinnedNationality,
+        debugRolls: []
+      };
+    }
+
+    /**
+     * Walk the definition and roll every flight group
+     *
+     * @param {object} params - Processing parameters
+     * @param {string|null} onlyTasking - Limit a tasking table to one tasking
+     * @param {string|null} [pinnedNationality] - Keep this rolled raid nationality (rerolls)
+     * @returns {object} Result object
+     */
+    generate(params, onlyTasking, pinnedNationality = null) {
+      const definition = this.definition;
+      const state = this.createState(params, pinnedNationality);
+
+      const selected = this.selectNode(this.tableData, definition.select, state);
+      if (selected.error) {
+        return this.errorResult(selected.error, state);
+      }
+      state.node = selected.node;
+      state.path = selected.path;
+
+      const groups = this.buildGroups(selected.node, state, onlyTasking);
+      if (groups.error) {
+        return this.errorResult(groups.error, state);
+      }
+
+      const entries = [];
+      for (const group of groups) {
+        const groupEntries = this.rollGroup(group, state);
+        if (groupEntries.error) {
+          return this.errorResult(groupEntries.error, state);
+        }
+        entries.push(...groupEntries);
+      }
+
+      const context = this.templateContext(state);
+      const lines = entries.map(entry => entry.text);
+      if (definition.header) {
+        lines.unshift(this.formatTemplate(definition.header, context));
+      }
+
+      return this.createResult({
+        raidType: definition.raidType ? this.formatTemplate(definition.raidType, context) : null,
+        nationality: state.nationality,
+        text: lines.join('<br>'),
+        debugRolls: this.formatDebugRolls(state.debugRolls),
+        notes: this.tableNotes(state)
+      }, entries);
+    }
+
+    /**
+     * Fill in parameter defaults from the definition
+     *
+     * @param {object} params - Processing parameters
+     * @returns {object} Parameters with defaults applied
+     */
+    applyDefaults(params) {
+      const resolved = { ...params };
+      for (const [name, value] of Object.entries(this.definition.defaults || {})) {
+        if (resolved[name] === undefined || resolved[name] === null || resolved[name] === '') {
+          resolved[name] = value;
+        }
+      }
+      return resolved;
+    }
+
+    /**
+     * Follow a list of select steps from a node
+     *
+     * @param {object} root - Node to start from
+     * @param {object[]} [steps] - Select steps
+     * @param {object} state - Processing state (params, values, nationality, debugRolls)
+     * @returns {object} { node, path } (the node selected by each step) or { error }
+     */
+    selectNode(root, steps = [], state) {
+      let node = root;
+      const path = [];
+
+      for (const step of steps) {
+        if (step.optional && step.key && !node[step.key]) {
+          continue;
+        }
+        if (step.key) {
+          node = node[step.key];
+          if (!node) {
+            return { error: `Table ${this.tableId} has no "${step.key}" data` };
+          }
+        }
+
+        if (step.roll && step.nationality && state.pinnedNationality) {
+          // Rerolls keep the raid's nationality: follow it without rolling
+          const value = state.pinnedNationality;
+          state.nationality = this.definition.nationality || value;
+          node = step.roll === true
+            ? Object.values(node).find(entry => entry && entry.nationality === value)
+            : node[value];
+          if (!node) {
+            return { error: `Unknown nationality "${value}" for Table ${this.tableId}` };
+          }
+        } else if (step.roll) {
+          const ranges = step.roll === true ? node : step.roll;
+          const label = this.formatTemplate(step.label || 'Nationality', this.templateContext(state));
+          const rollResult = DiceRoller.makeDebugRoll(10, label);
+          state.debugRolls.push(rollResult.debugEntry);
+
+          const match = this.lookupRange(ranges, rollResult.roll);
+          if (!match) {
+            return { error: `No entry found for roll ${rollResult.roll}` };
+          }
+
+          // Rolling on the node's own ranges picks the entry itself (D3);
+          // an inline range map names the child to descend into (I, J3)
+          const value = step.roll === true ? match.value.nationality : match.value;
+          this.annotateRoll(rollResult.journalEntry, { matched: match.range, result: value });
+          if (step.nationality) {
+            state.nationality = this.definition.nationality || value;
+          }
+
+          node = step.roll === true ? match.value : node[value];
+          if (!node) {
+            return { error: `Unknown nationality "${value}" for Table ${this.tableId}` };
+          }
+        } else if (step.param) {
+          const label = TableRegistry.paramNoun(step.param);
+          const value = this.resolveStepValue(step, state.params[step.param], state.params.hexType);
+          if (value === undefined || value === null || value === '') {
+            return { error: `${label} is required for Table ${this.tableId}` };
+          }
+
+          state.values[step.param] = value;
+          if (step.nationality) {
+            state.nationality = this.definition.nationality || value;
+          }
+
+          node = node[value];
+          if (!node) {
+            return { error: `Unknown ${label.toLowerCase()} "${value}" for Table ${this.tableId}` };
+          }
+        }
+        path.push(node);
+      }
+
+      return { node, path };
+    }
+
+    /**
+     * Resolve a parameter value for a select step (default, ordinal date
+     * mapping, aliases and hex type aliases)
+     *
+     * @param {object} step - Select step
+     * @param {*} value - Raw parameter value
+     * @param {string} [hexType] - 'land' or 'sea'
+     * @returns {*} Key to look up in the table data
+     */
+    resolveStepValue(step, value, hexType) {
+      let resolved = (value === undefined || value === null || value === '') ? step.default : value;
+
+      // Ordinal scenario dates (1, 2, 3) map through the module's date range map
+      if (step.dates) {
+        resolved = TableRegistry.resolveDate(step.dates, resolved);
+      }
+      if (step.aliases && step.aliases[resolved]) {
+        resolved = step.aliases[resolved];
+      }
+      const hexTypeAliases = step.hexTypeAliases && step.hexTypeAliases[hexType];
+      if (hexTypeAliases && hexTypeAliases[resolved]) {
+        resolved = hexTypeAliases[resolved];
+      }
+      return resolved;
+    }
+
+    /**
+     * List the flight groups to roll for the selected node
+     *
+     * @param {object} node - Selected raid node
+     * @param {object} state - Processing state
+     * @param {string|null} onlyTasking - Limit to one tasking
+     * @returns {object[]|object} Groups ({ key, tasking, node, source, path, prefix }) or { error }
+     */
+    buildGroups(node, state, onlyTasking) {
+      const definition = this.definition;
+
+      if (definition.taskings) {
+        const taskingDef = definition.taskings;
+        const container = node[taskingDef.key || 'taskings'];
+        if (!container) {
+          return { error: `Table ${this.tableId} has no taskings` };
+        }
+
+        const names = (taskingDef.order || Object.keys(container))
+          .filter(name => container[name] && (!onlyTasking || name === onlyTasking));
+        if (names.length === 0) {
+          return { error: `No tasking data for ${onlyTasking || this.tableId}` };
+        }
+
+        const groups = [];
+        for (const name of names) {
+          const selected = this.selectNode(container[name], taskingDef.select, state);
+          if (selected.error) {
+            return selected;
+          }
+          groups.push({
+            key: name,
+            tasking: (taskingDef.display && taskingDef.display[name]) || name,
+            node: selected.node,
+            source: container[name],
+            path: selected.path,
+            prefix: `${name} `
+          });
+        }
+        return groups;
+      }
+
+      if (definition.flights) {
+        const flights = node[definition.flights];
+        if (!Array.isArray(flights)) {
+          return { error: `Table ${this.tableId} has no flight package` };
+        }
+        const selectedFlights = flights.filter(flight => !onlyTasking || flight.type === onlyTasking);
+        if (selectedFlights.length === 0) {
+          return { error: `No tasking data for ${onlyTasking}` };
+        }
+        return selectedFlights.map(flight => ({
+          key: flight.type,
+          tasking: flight.type,
+          node: flight,
+          source: flight,
+          prefix: `${flight.type} `
+        }));
+      }
+
+      const tasking = this.formatTemplate(definition.tasking || '', this.templateContext(state));
+      return [{ key: tasking, tasking, node, source: node, path: state.path, prefix: '' }];
+    }
+
+    /**
+     * Roll nation, aircraft, sub-roll and ordnance for one flight group
+     *
+     * @param {object} group - Group from buildGroups()
+     * @param {object} state - Processing state
+     * @returns {object[]|object} Flight entries or { error }
+     */
+    rollGroup(group, state) {
+      const definition = this.definition;
+      const { node, prefix } = group;
+
+      let nationName = null;
+      let nationRoll = null;
+      let aircraftData = node.aircraft;
+
+      if (node.nations) {
+        if (definition.rollNation === false) {
+          const nationData = Object.values(node.nations)[0];
+          nationName = nationData.name;
+          aircraftData = nationData.aircraft;
+        } else {
+          const nationResult = this.rollForNation(node.nations, `${prefix}Nation`);
+          state.debugRolls.push(nationResult.nationRollDebug);
+          if (nationResult.error) {
+            return { error: nationResult.error };
+          }
+          nationName = nationResult.nationName;
+          nationRoll = nationResult.nationRoll;
+          aircraftData = nationResult.nationData.aircraft;
+        }
+      }
+
+      const aircraft = this.selectAircraft(aircraftData, group, state);
+      if (aircraft.error) {
+        return { error: aircraft.error };
+      }
+
+      // Resolve composite nationalities (e.g., "NE/CAN" → "CAN" for CF-18A)
+      const nation = nationName
+        ? this.resolveCompositeNation(nationName, aircraft.aircraftType, aircraft.aircraftId)
+        : (node.nationality || state.nationality);
+
+      const flightSize = this.groupValue(group, 'flightSize');
+      const flightCount = this.groupValue(group, 'flightCount') || 1;
+      const base = {
+        tasking: group.tasking,
+        nationality: nation,
+        aircraftType: aircraft.aircraftType,
+        aircraftId: aircraft.aircraftId,
+        flightSize,
+        flightCount,
+        ordnance: null,
+        nationRoll,
+        aircraftRoll: aircraft.aircraftRoll,
+        sourceTable: this.tableId
+      };
+
+      // Combined entries like "F-4G/F-4E" become two entries with half the flights each
+      const split = (definition.split || []).includes(aircraft.aircraftType);
+      const halves = split
+        ? aircraft.aircraftType.split('/').map(aircraftType => ({
+          ...base,
+          aircraftType,
+          aircraftId: null,
+          flightCount: flightCount / 2
+        }))
+        : [base];
+
+      const ordnanceData = state.node.ordnanceRolls ? state.node : this.tableData;
+      const rollsOrdnance = (definition.ordnance || []).includes(group.key)
+        && Boolean(ordnanceData.ordnanceRolls && ordnanceData.ordnanceRolls[group.key]);
+
+      if (!rollsOrdnance && !definition.perFlight) {
+        return halves.map(half => this.withText(half, state));
+      }
+
+      const entries = [];
+      for (const half of halves) {
+        // Split halves roll ordnance for their own aircraft type ("SEAD F-4G Flight 1 Ordnance")
+        const label = split ? `${prefix}${half.aircraftType} ` : prefix;
+        for (let i = 1; i <= half.flightCount; i++) {
+          const entry = { ...half, flightCount: 1 };
+          if (rollsOrdnance) {
+            const ordnanceResult = this.rollForOrdnance(
+              ordnanceData,
+              { tasking: group.key, aircraftId: half.aircraftId, aircraftType: half.aircraftType },
+              `${label}Flight ${i} Ordnance`
+            );
+            state.debugRolls.push(ordnanceResult.ordnanceRollDebug);
+            if (ordnanceResult.error) {
+              return { error: ordnanceResult.error };
+            }
+            entry.ordnance = ordnanceResult.ordnanceType;
+          }
+          entries.push(this.withText(entry, state));
+        }
+      }
+      return entries;
+    }
+
+    /**
+     * Pick the aircraft for a group: fixed entry, land/sea entry by hex type,
+     * or an aircraft roll with an optional variant sub-roll
+     *
+     * @param {object} aircraftData - Aircraft entry or range-keyed aircraft table
+     * @param {object} group - Group being rolled
+     * @param {object} state - Processing state
+     * @returns {object} { aircraftType, aircraftId, aircraftRoll } or { error }
+     */
+    selectAircraft(aircraftData, group, state) {
+      if (!aircraftData || typeof aircraftData !== 'object') {
+        return { error: `No aircraft data for ${group.tasking || `Table ${this.tableId}`}` };
+      }
+
+      // Table E2 FRG CSAR: aircraft depends on the hex type
+      if (aircraftData.land || aircraftData.sea) {
+        const hexType = state.params.hexType;
+        if (!hexType) {
+          return { error: `Hex type (land/sea) is required for ${state.nationality} ${group.tasking} flights` };
+        }
+        const entry = this.normalizeAircraftEntry(aircraftData[hexType]);
+        state.debugRolls.push(`${group.prefix}Aircraft: ${hexType} hex -> ${entry.name}`);
+        return { aircraftType: entry.name, aircraftId: entry.aircraftId, aircraftRoll: null };
+      }
+
+      // Fixed aircraft (D3 packages)
+      if (aircraftData.name) {
+        const entry = this.normalizeAircraftEntry(aircraftData);
+        return { aircraftType: entry.name, aircraftId: entry.aircraftId, aircraftRoll: null };
+      }
+
+      const aircraftResult = this.rollForAircraft(aircraftData, `${group.prefix}Aircraft`);
+      state.debugRolls.push(aircraftResult.aircraftRollDebug);
+      if (aircraftResult.error) {
+        return { error: aircraftResult.error };
+      }
+
+      let aircraftType = aircraftResult.aircraftType;
+      let aircraftId = aircraftResult.aircraftId;
+
+      // Handle sub-rolls for aircraft variants (data-driven via "variants" field)
+      if (aircraftResult.variants) {
+        const variantResult = this.resolveVariants(aircraftResult.variants, `${group.prefix}Sub-roll`);
+        state.debugRolls.push(variantResult.subRollDebug);
+        aircraftType = variantResult.finalAircraftType || aircraftType;
+        aircraftId = variantResult.finalAircraftId;
+      }
+
+      return { aircraftType, aircraftId, aircraftRoll: aircraftResult.aircraftRoll };
+    }
+
+    /**
+     * Read flightSize / flightCount for a group from its data, falling back
+     * to the nodes selected on the way to it (nearest first), then the
+     * table-level value
+     *
+     * @param {object} group - Group being rolled
+     * @param {string} field - 'flightSize' or 'flightCount'
+     * @returns {number|undefined} Value
+     */
+    groupValue(group, field) {
+      return this.inheritedValue([group.node, ...[...(group.path || [])].reverse(), group.source, this.tableData], field);
+    }
+
+    /**
+     * First value of a field found in a list of nodes
+     *
+     * @param {object[]} nodes - Nodes to look in, in order
+     * @param {string} field - Field name
+     * @returns {*} Value, or undefined if no node has one
+     */
+    inheritedValue(nodes, field) {
+      const match = nodes.find(node => node && node[field] !== undefined && node[field] !== null);
+      return match ? match[field] : undefined;
+    }
+
+    /**
+     * Add the formatted result line to a flight entry
+     *
+     * @param {object} entry - Flight entry
+     * @param {object} state - Processing state
+     * @returns {object} Entry with text
+     */
+    withText(entry, state) {
+      const context = {
+        ...this.templateContext(state),
+        nation: entry.nationality,
+        aircraftType: entry.aircraftType,
+        flightSize: entry.flightSize,
+        flightCount: entry.flightCount,
+        tasking: entry.tasking
+      };
+      const text = this.formatTemplate(this.definition.text || '', context)
+        + (entry.ordnance ? ` (${entry.ordnance})` : '');
+      return { ...entry, text };
+    }
+
+    /**
+     * Values available to templates before any flight is rolled
+     *
+     * @param {object} state - Processing state
+     * @returns {object} Template values
+     */
+    templateContext(state) {
+      return {
+        ...state.params,
+        ...state.values,
+        nationality: state.nationality,
+        name: state.node ? state.node.name : undefined
+      };
+    }
+
+    /**
+     * Replace ${token} placeholders in a template
+     *
+     * @param {string} template - Template string
+     * @param {object} values - Token values
+     * @returns {string} Formatted string
+     */
+    formatTemplate(template, values) {
+      return String(template).replace(/\$\{(\w+)\}/g, (match, token) => (
+        values[token] === undefined || values[token] === null ? '' : String(values[token])
+      ));
+    }
+
+    /**
+     * Combine the debug entries of every roll made
+     *
+     * @param {Array<string|null>} debugRolls - Debug entries (null when debug mode is off)
+     * @returns {string} Debug text
+     */
+    formatDebugRolls(debugRolls) {
+      const entries = debugRolls.filter(Boolean);
+      return entries.length > 0 ? `[${entries.join(' | ')}]` : '';
+    }
+
+    /**
+     * Notes shown alongside the result (ordnance, additional and setup notes)
+     *
+     * @param {object} state - Processing state
+     * @returns {object} Notes present for this table
+     */
+    tableNotes(state) {
+      const notes = {};
+      const ordnanceNote = this.inheritedValue([state.node, ...[...(state.path || [])].reverse(), this.tableData], 'ordnanceNote');
+      if (ordnanceNote) notes.ordnanceNote = ordnanceNote;
+      if (this.tableData.additionalNote) notes.additionalNote = this.tableData.additionalNote;
+      if (this.tableData.setupEntry?.text) notes.setupNote = this.tableData.setupEntry.text;
+      return notes;
+    }
+
+    /**
+     * Build an error result
+     *
+     * @param {string} message - Error message
+     * @param {object} state - Processing state
+     * @returns {object} Error result
+     */
+    errorResult(message, state) {
+      return this.createErrorResult(message, {
+        debugRolls: this.formatDebugRolls(state.debugRolls),
+        notes: this.tableNotes(state)
+      });
+    }
+  }
+
+  // Default processor for every table with a definition block
+  TableRegistry.registerDefault((tableData, tableId) =>
+    tableData.definition ? new DeclarativeTableProcessor(tableId, tableData) : null);
+
+  return DeclarativeTableProcessor;
+
+})(typeof module !== 'undefined' && module.exports
+  ? {
+      BaseTableProcessor: require('./BaseTableProcessor.js'),
+      TableRegistry: require('./TableRegistry.js'),
+      DiceRoller: require('../dice-roller.js'),
+    }
+  : { BaseTableProcessor, TableRegistry, DiceRoller });
+
+// Export for CommonJS (Node.js, the Expo app) or as a global for <script>
+// tags and workers (importScripts)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DeclarativeTableProcessor;
+} else {
+  globalThis.DeclarativeTableProcessor = DeclarativeTableProcessor;
+}
+
+console.log('DeclarativeTableProcessor processor loaded');
@@ -4,233 +4,243 @@
  * Purpose:
  * - Centralized processor instantiation
  * - Load and cache table data from JSON
- * - Route tableId to correct processor class
+ * - Route tableId to its processor through the TableRegistry
  * - Provide unified interface for processing any table
  * 
  * Usage:
- * const factory = new TableProcessorFactory();
+ * const factory = new TableProcessorFactory(tableData);
  * const result = factory.processTable('A', { atafZone: '2ATAF', scenarioDate: 'pre' });
+ *
+ * The factory gets its table data from the caller (the JSON tables keyed by
+ * table ID, or a function returning them); the page's factory reads the
+ * loaded tables through getTableProcessorFactory() in engine-browser.js.
+ * Requiring this module also loads the declarative processor, which
+ * registers itself as the default for every table with a definition block.
  */
 
-class TableProcessorFactory {
-  constructor() {
-    this.processors = {};
-    this.tableData = null;
-  }
-
-  /**
-   * Load table data from the data source
-   * Uses the existing getTableDataSource() function
-   */
-  loadTableData() {
-    if (!this.tableData) {
-      this.tableData = getTableDataSource();
+const TableProcessorFactory = (function ({ TableRegistry, ResultSchema, DiceRoller }) {
+
+  class TableProcessorFactory {
+    /**
+     * @param {object|function} [tableSource] - Table data keyed by table ID, or
+     *   a function returning it (called when the tables are first needed)
+     */
+    constructor(tableSource = null) {
+      this.processors = {};
+      this.tableSource = tableSource;
+      this.tableData = null;
     }
-    return this.tableData;
-  }
 
-  /**
-   * Get or create processor instance for a table
-   * 
-   * @param {string} tableId - Table identifier (A-L)
-   * @returns {BaseTableProcessor} Processor instance
-   */
-  getProcessor(tableId) {
-    // Return cached processor if exists
-    if (this.processors[tableId]) {
-      return this.processors[tableId];
+    /**
+     * Load table data from the table source
+     */
+    loadTableData() {
+      if (!this.tableData) {
+        const source = typeof this.tableSource === 'function' ? this.tableSource() : this.tableSource;
+        this.tableData = source || {};
+      }
+      return this.tableData;
     }
 
-    // Load table data
-    const allTables = this.loadTableData();
-    
-    // Map special table IDs to their base table for data lookup
-    let dataTableId = tableId;
-    // A2-SE has its own data entry, don't map to A2
-    if (tableId === 'A2-SE') {
-      dataTableId = 'A2-SE';
-    }
-    
-    const tableData = allTables[dataTableId];
+    /**
+     * Get or create processor instance for a table
+     * 
+     * @param {string} tableId - Table identifier (A-L)
+     * @returns {BaseTableProcessor} Processor instance
+     */
+    getProcessor(tableId) {
+      // Return cached processor if exists
+      if (this.processors[tableId]) {
+        return this.processors[tableId];
+      }
+
+      // Load table data
+      const allTables = this.loadTableData();
+
+      const tableData = allTables[tableId];
+
+      if (!tableData) {
+        console.error(`Table ${tableId} not found in data source`);
+        return null;
+      }
 
-    if (!tableData) {
-      console.error(`Table ${dataTableId} not found in data source`);
-      return null;
-    }
+      // The registry knows which processor handles each table: a class that
+      // registered itself for it, or the declarative processor's default
+      const processor = TableRegistry.createProcessor(tableId, tableData);
 
-    // Create processor based on tableId
-    let processor = null;
-
-    switch (tableId) {
-      // Red Storm NATO tables
-      case 'A':
-        processor = new NATOTableA(tableData);
-        break;
-      case 'B':
-        processor = new NATOTableB(tableData);
-        break;
-      case 'C':
-        processor = new NATOTableC(tableData);
-        break;
-      case 'D':
-        processor = new NATOTableD(tableData);
-        break;
-      case 'E':
-        processor = new NATOTableE(tableData);
-        break;
-      case 'F':
-        processor = new NATOTableF(tableData);
-        break;
-      
-      // Baltic Approaches NATO tables
-      case 'A2':
-      case 'A2-SE': // A2-SE routes to A2 processor with different params
-        processor = new NATOTableA2(tableData, tableId);
-        break;
-      case 'B2':
-        processor = new NATOTableB2(tableData);
-        break;
-      case 'C2':
-        processor = new NATOTableC2(tableData);
-        break;
-      case 'D2':
-        processor = new NATOTableD2(tableData);
-        break;
-      case 'D3':
-        processor = new NATOTableD3(tableData);
-        break;
-      case 'E2':
-        processor = new NATOTableE2(tableData);
-        break;
-      case 'F2':
-        processor = new NATOTableF2(tableData);
-        break;
-      
-      // Red Storm Warsaw Pact tables
-      case 'G':
-        processor = new WPTableG(tableData);
-        break;
-      case 'H':
-        processor = new WPTableH(tableData);
-        break;
-      case 'I':
-        processor = new WPTableI(tableData);
-        break;
-      case 'J':
-        processor = new WPTableJ(tableData);
-        break;
-      case 'K':
-        processor = new WPTableK(tableData);
-        break;
-      case 'L':
-        processor = new WPTableL(tableData);
-        break;
-      
-      // Baltic Approaches Warsaw Pact tables
-      case 'G2':
-        processor = new WPTableG2(tableData);
-        break;
-      case 'H2':
-        processor = new WPTableH2(tableData);
-        break;
-      case 'I2':
-        processor = new WPTableI2(tableData);
-        break;
-      case 'J2':
-        processor = new WPTableJ2(tableData);
-        break;
-      case 'J3':
-        processor = new WPTableJ3(tableData);
-        break;
-      case 'K2':
-        processor = new WPTableK2(tableData);
-        break;
-      case 'L2':
-        processor = new WPTableL2(tableData);
-        break;
-      default:
-        console.error(`Unknown table ID: ${tableId}`);
+      if (!processor) {
+        console.error(`No processor registered for table ${tableId}`);
         return null;
-    }
+      }
 
-    // Cache the processor
-    this.processors[tableId] = processor;
-    return processor;
-  }
+      // Cache the processor
+      this.processors[tableId] = processor;
+      return processor;
+    }
 
-  /**
-   * Process a table with the appropriate processor
-   * 
-   * @param {string} tableId - Table identifier (A-L)
-   * @param {object} params - Processing parameters (varies by table)
-   * @returns {object} Processing result
-   */
-  processTable(tableId, params = {}) {
-    const processor = this.getProcessor(tableId);
-
-    if (!processor) {
-      return {
-        error: `Processor not found for table ${tableId}`,
-        text: `Error: Unable to process table ${tableId}`,
-        debugText: '[ERROR: Processor not found]'
-      };
+    /**
+     * Process a table with the appropriate processor
+     * 
+     * @param {string} tableId - Table identifier (A-L)
+     * @param {object} params - Processing parameters (checked against the table's schema)
+     * @returns {object} Canonical result (ResultSchema), with the roll journal attached as rollJournal.
+     *   Invalid parameters return an error result with the structured errors as `errors`.
+     * @throws {Error} In ResultSchema strict mode, if the processor breaks the result contract
+     */
+    processTable(tableId, params = {}) {
+      const processor = this.getProcessor(tableId);
+      const tableData = this.loadTableData()[tableId];
+      const meta = { table: tableId, faction: tableData ? tableData.faction : null };
+
+      if (!processor) {
+        return ResultSchema.createErrorResult(
+          { ...meta, text: `Error: Unable to process table ${tableId}`, debugRolls: '[ERROR: Processor not found]' },
+          `Processor not found for table ${tableId}`
+        );
+      }
+      meta.processor = processor.constructor.name;
+
+      // Reject bad input before any dice are rolled
+      const errors = TableRegistry.validateParams(tableId, params, tableData);
+      if (errors.length > 0) {
+        const message = errors.map(error => error.message).join('; ');
+        return {
+          ...ResultSchema.createErrorResult({ ...meta, debugRolls: '[ERROR: Invalid parameters]' }, message),
+          errors,
+          rollJournal: []
+        };
+      }
+
+      // Capture every roll made while processing so the result carries its own journal
+      DiceRoller.startRollJournal();
+
+      let result;
+      try {
+        result = processor.process(params);
+      } catch (error) {
+        // Contract violations (strict mode) must reach the developer, not become an error result
+        if (error instanceof ResultSchema.ResultContractError) {
+          DiceRoller.stopRollJournal();
+          throw error;
+        }
+        console.error(`Error processing table ${tableId}:`, error);
+        result = ResultSchema.createErrorResult({ ...meta, debugRolls: `[ERROR: ${error.message}]` }, error.message);
+      }
+
+      const rollJournal = DiceRoller.stopRollJournal();
+      if (result && typeof result === 'object') {
+        result.rollJournal = rollJournal;
+      }
+      return result;
     }
 
-    try {
-      return processor.process(params);
-    } catch (error) {
-      console.error(`Error processing table ${tableId}:`, error);
-      return {
-        error: error.message,
-        text: `Error: ${error.message}`,
-        debugText: `[ERROR: ${error.message}]`
-      };
+    /**
+     * Roll one tasking of a result again, keeping the rest of the raid
+     * (BaseTableProcessor.rerollTasking())
+     * 
+     * @param {object} result - Result entry (with params and rollJournal); not modified
+     * @param {string} tasking - Tasking as shown on the flights (e.g. "SEAD")
+     * @returns {object} New canonical result whose roll journal is the old one plus
+     *   a "Reroll" note and the new rolls, or an error result
+     * @throws {Error} In ResultSchema strict mode, if the processor breaks the result contract
+     */
+    rerollTasking(result, tasking) {
+      return this.reroll(result, `${tasking} tasking`,
+        processor => processor.rerollTasking(result, tasking, result.params || {}));
     }
-  }
 
-  /**
-   * Clear cached processors (useful for testing or hot-reload)
-   */
-  clearCache() {
-    this.processors = {};
-    this.tableData = null;
-  }
+    /**
+     * Roll the ordnance of one flight of a result again
+     * (BaseTableProcessor.rerollOrdnance())
+     * 
+     * @param {object} result - Result entry (with params and rollJournal); not modified
+     * @param {number} flightIndex - Index of the flight in result.flights
+     * @returns {object} New canonical result with the reroll added to its journal, or an error result
+     * @throws {Error} In ResultSchema strict mode, if the processor breaks the result contract
+     */
+    rerollOrdnance(result, flightIndex) {
+      return this.reroll(result, `Flight ${flightIndex + 1} ordnance`,
+        processor => processor.rerollOrdnance(result, flightIndex, result.params || {}));
+    }
 
-  /**
-   * Get list of all available tables
-   * 
-   * @returns {string[]} Array of table IDs
-   */
-  getAvailableTables() {
-    const allTables = this.loadTableData();
-    return Object.keys(allTables);
-  }
-}
+    /**
+     * Run a reroll, capturing its rolls after a "Reroll" journal note
+     * 
+     * @param {object} result - Result entry being changed
+     * @param {string} description - What is rolled again (journal note detail)
+     * @param {function} reroll - Called with the table's processor; returns the new result
+     * @returns {object} New result or error result
+     */
+    reroll(result, description, reroll) {
+      const processor = this.getProcessor(result.table);
+      if (!processor) {
+        return ResultSchema.createErrorResult(
+          { table: result.table, faction: result.faction },
+          `Processor not found for table ${result.table}`
+        );
+      }
+
+      DiceRoller.startRollJournal();
+      DiceRoller.noteRollJournal('Reroll', description);
+
+      let rerolled;
+      try {
+        rerolled = reroll(processor);
+      } catch (error) {
+        DiceRoller.stopRollJournal();
+        if (error instanceof ResultSchema.ResultContractError) {
+          throw error;
+        }
+        console.error(`Error rerolling ${description} of table ${result.table}:`, error);
+        return processor.createErrorResult(error.message);
+      }
+
+      const journal = DiceRoller.stopRollJournal();
+      if (!rerolled.error) {
+        rerolled.rollJournal = [...(result.rollJournal || []), ...journal];
+      }
+      return rerolled;
+    }
 
-// Create global factory instance
-let tableProcessorFactory = null;
+    /**
+     * Clear cached processors (useful for testing or hot-reload)
+     */
+    clearCache() {
+      this.processors = {};
+      this.tableData = null;
+    }
 
-/**
- * Get the global table processor factory instance
- * 
- * @returns {TableProcessorFactory} Factory instance
- */
-function getTableProcessorFactory() {
-  if (!tableProcessorFactory) {
-    tableProcessorFactory = new TableProcessorFactory();
+    /**
+     * Get list of all available tables
+     * 
+     * @returns {string[]} Array of table IDs
+     */
+    getAvailableTables() {
+      const allTables = this.loadTableData();
+      return Object.keys(allTables);
+    }
   }
-  return tableProcessorFactory;
-}
 
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { TableProcessorFactory, getTableProcessorFactory };
-}
+  return TableProcessorFactory;
+
+})(typeof module !== 'undefined' && module.exports
+  ? {
+      TableRegistry: require('./TableRegistry.js'),
+      ResultSchema: require('../result-schema.js'),
+      DiceRoller: require('../dice-roller.js'),
+      // Loaded for their registrations (script tags do this in the browser)
+      processors: [
+        require('./DeclarativeTableProcessor.js'),
+      ],
+    }
+  : { TableRegistry, ResultSchema, DiceRoller });
 
-// Make factory available globally for browser usage
-if (typeof window !== 'undefined') {
-  window.TableProcessorFactory = TableProcessorFactory;
-  window.getTableProcessorFactory = getTableProcessorFactory;
+// Export for CommonJS (Node.js, the Expo app) or as a global for <script>
+// tags and workers (importScripts)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TableProcessorFactory };
+} else {
+  globalThis.TableProcessorFactory = TableProcessorFactory;
 }
 
 console.log('TableProcessorFactory loaded');
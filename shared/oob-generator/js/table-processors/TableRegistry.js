@@ -0,0 +1,403 @@
+/**
+ * TableRegistry — Table Processors and Their Parameters
+ * ======================================================
+ *
+ * Every OOB table is registered here, either by the processor class that
+ * handles it or by a module pack (modules/<module>/oob-generator/js/
+ * table-pack.js). An entry records:
+ *
+ *   {
+ *     id:      string,         // Table identifier (e.g., "A", "E2", "A2-SE")
+ *     module:  string|null,    // "red-storm", "baltic-approaches"
+ *     faction: string|null,    // "NATO" or "WP"
+ *     params:  Param[],        // Parameters the table needs, in display order
+ *     create:  function|null   // (tableData, tableId) => processor
+ *   }
+ *
+ * Each Param is one field of the table's parameter schema:
+ *
+ *   {
+ *     name:      string,               // Processor parameter (atafZone, scenarioDate, ...)
+ *     label:     string,               // UI label (defaults from PARAMETERS)
+ *     required:  boolean,              // Must be supplied when it applies (default true)
+ *     options:   {value, label}[],     // Allowed values, or
+ *     optionsFrom: string,             // table data path whose keys are the allowed values
+ *     dates:     string,               // Date range map (registerDates) for ordinal dates
+ *     showWhen:  object                // Applies only when, e.g. { nationality: 'FRG' }
+ *   }
+ *
+ * validateParams() checks processor input against the schema and returns
+ * structured errors; the factory rejects bad input with them before
+ * processing, and the UI checks the same schema before rolling.
+ *
+ * Registration merges, so a processor can register `create` for a table
+ * and the module pack its parameters, in either load order. Tables without
+ * their own `create` fall back to the registered default creators (the
+ * declarative processor for tables with a definition block).
+ *
+ * Modules whose scenario dates are ordinals (Baltic Approaches date
+ * buttons 1-3) register named date range maps with registerDates(); a
+ * param or definition step names its map in `dates`.
+ *
+ * SCRIPT LOAD ORDER
+ * -----------------
+ * Load before the processors, the factory and the module pack:
+ *   <script src="table-processors/TableRegistry.js"></script>   <!-- THIS FILE -->
+ *   <script src="table-processors/BaseTableProcessor.js"></script>
+ *   ...
+ *   <script src="js/table-pack.js"></script>
+ */
+
+const TableRegistry = (function () {
+  'use strict';
+
+  // =========================================================================
+  //  PARAMETERS
+  // =========================================================================
+
+  /**
+   * Known parameters: default UI label, the noun used in error messages,
+   * and the select element / container that hold the value. scenarioDate
+   * has no element — it comes from the global scenario date buttons.
+   */
+  const PARAMETERS = {
+    scenarioDate:        { label: 'Scenario Date',               noun: 'Scenario date',          element: null,                  section: null },
+    atafZone:            { label: 'ATAF Zone',                   noun: 'ATAF zone',              element: 'atafZone',            section: 'atafSelection' },
+    nationality:         { label: 'Nationality of downed crew',  noun: 'Nationality',            element: 'crewNationality',     section: 'nationalitySelection' },
+    hexType:             { label: 'Hex Type',                    noun: 'Hex type',               element: 'hexType',             section: 'hexTypeSelection' },
+    missionType:         { label: 'Mission Type',                noun: 'Mission type',           element: 'missionType',         section: 'missionTypeSelection' },
+    tacticalReconNation: { label: 'Nation',                      noun: 'Tactical recon nation',  element: 'tacticalReconNation', section: 'tacticalReconNationSelection' },
+  };
+
+  const tables = {};
+  const defaultCreators = [];
+  const dateRanges = {};
+  let packOrder = 0;
+
+  // =========================================================================
+  //  REGISTRATION
+  // =========================================================================
+
+  /**
+   * Register (or extend) a table
+   * @param {string} tableId - Table identifier
+   * @param {object} spec - Any of module, faction, params, create
+   * @returns {object} The merged entry
+   */
+  function register(tableId, spec) {
+    const entry = tables[tableId] || { id: tableId, module: null, faction: null, params: [], create: null };
+
+    if (spec.module) {
+      // Tables list in the order their module pack registers them,
+      // even if a processor class registered the table first
+      if (!entry.module) entry.order = packOrder++;
+      entry.module = spec.module;
+    }
+    if (spec.faction) entry.faction = spec.faction;
+    if (spec.params) {
+      entry.params = spec.params.map(param => {
+        if (!PARAMETERS[param.name]) {
+          throw new Error(`Unknown parameter "${param.name}" for table ${tableId}`);
+        }
+        return { label: PARAMETERS[param.name].label, required: true, ...param };
+      });
+    }
+    if (spec.create) entry.create = spec.create;
+
+    tables[tableId] = entry;
+    return entry;
+  }
+
+  /**
+   * Register every table of a module pack
+   * @param {string} module - Module identifier (e.g., 'red-storm')
+   * @param {object} pack - Map of tableId → { faction, params }
+   */
+  function registerPack(module, pack) {
+    for (const [tableId, spec] of Object.entries(pack)) {
+      register(tableId, { ...spec, module });
+    }
+  }
+
+  /**
+   * Register a processor class for one or more tables
+   * @param {string|string[]} tableIds - Table identifier(s)
+   * @param {function} create - (tableData, tableId) => processor
+   */
+  function registerProcessor(tableIds, create) {
+    for (const tableId of [].concat(tableIds)) {
+      register(tableId, { create });
+    }
+  }
+
+  /**
+   * Register a fallback creator for tables without their own processor.
+   * Creators are tried in registration order; return null to pass.
+   * @param {function} create - (tableData, tableId) => processor|null
+   */
+  function registerDefault(create) {
+    defaultCreators.push(create);
+  }
+
+  /**
+   * Register a date range map for ordinal scenario dates
+   * @param {string} name - Map name that params and steps refer to (e.g. 'BA_DATE_RANGES')
+   * @param {object} ranges - Ordinal → date range, e.g. { 1: '15-20 May', ... }
+   */
+  function registerDates(name, ranges) {
+    dateRanges[name] = { ...ranges };
+  }
+
+  /**
+   * A registered date range map
+   * @param {string} name - Map name
+   * @returns {object|null} Ordinal → date range
+   */
+  function getDates(name) {
+    return dateRanges[name] || null;
+  }
+
+  /**
+   * Map an ordinal scenario date (1, 2, 3) through a date range map.
+   * Other values, and ordinals the map doesn't list, are returned as given.
+   * @param {string} name - Map name
+   * @param {*} value - Scenario date
+   * @returns {*} Date range (e.g. '21-31 May') or the value
+   */
+  function resolveDate(name, value) {
+    const ranges = dateRanges[name];
+    if (typeof value === 'number' && ranges && ranges[value] !== undefined) {
+      return ranges[value];
+    }
+    return value;
+  }
+
+  // =========================================================================
+  //  LOOKUP
+  // =========================================================================
+
+  function get(tableId) {
+    return tables[tableId] || null;
+  }
+
+  function has(tableId) {
+    return Boolean(tables[tableId]);
+  }
+
+  /**
+   * List registered tables in module pack order
+   * @param {object} [filter] - { module, faction }
+   * @returns {object[]} Matching entries
+   */
+  function list(filter = {}) {
+    const position = entry => (entry.order === undefined ? Infinity : entry.order);
+    return Object.values(tables)
+      .filter(entry =>
+        (!filter.module || entry.module === filter.module) &&
+        (!filter.faction || entry.faction === filter.faction))
+      .sort((a, b) => position(a) - position(b));
+  }
+
+  /**
+   * Parameters a table needs (empty for tables that only roll)
+   */
+  function getParams(tableId) {
+    const entry = tables[tableId];
+    return entry ? entry.params : [];
+  }
+
+  /**
+   * Whether a parameter applies given the values chosen so far
+   * (showWhen conditions, e.g. hexType only for FRG)
+   * @param {object} param - Parameter spec
+   * @param {object} values - Parameter values keyed by name
+   */
+  function isParamActive(param, values) {
+    if (!param.showWhen) return true;
+    return Object.entries(param.showWhen).every(([name, expected]) =>
+      [].concat(expected).includes(values[name]));
+  }
+
+  /**
+   * Noun for a parameter in error messages (e.g. 'Scenario date')
+   */
+  function paramNoun(name) {
+    return PARAMETERS[name] ? PARAMETERS[name].noun : name;
+  }
+
+  /**
+   * Choices for a parameter, resolved against the table data
+   * @param {object} param - Parameter spec
+   * @param {object} [tableData] - Table JSON (for optionsFrom)
+   * @returns {{value: *, label: string}[]}
+   */
+  function getOptions(param, tableData) {
+    if (param.options) return param.options;
+    if (param.optionsFrom && tableData) {
+      const source = param.optionsFrom.split('.').reduce((node, key) => (node ? node[key] : undefined), tableData);
+      if (source) {
+        return Object.entries(source).map(([value, data]) => ({
+          value,
+          label: (data && data.name) || value,
+        }));
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Map an ordinal scenario date (1, 2, 3) through the param's date range map
+   */
+  function resolveValue(param, value) {
+    return param.dates ? resolveDate(param.dates, value) : value;
+  }
+
+  // =========================================================================
+  //  VALIDATION
+  // =========================================================================
+
+  function isBlank(value) {
+    return value === undefined || value === null || value === '';
+  }
+
+  /**
+   * Check processor parameters against a table's schema. Parameters the
+   * schema doesn't declare are ignored; tables without a registered schema
+   * accept anything.
+   *
+   * Each error is { param, code, message } with code one of:
+   *   'required'       — a required parameter is missing
+   *   'invalid'        — the value is not allowed (error also has `allowed`)
+   *   'not-applicable' — a dependent parameter was given when it doesn't apply
+   *
+   * @param {string} tableId - Table identifier
+   * @param {object} params - Processor parameters
+   * @param {object} [tableData] - Table JSON (for optionsFrom)
+   * @returns {object[]} Errors (empty when the parameters are valid)
+   */
+  function validateParams(tableId, params, tableData) {
+    const errors = [];
+    const values = params || {};
+
+    for (const param of getParams(tableId)) {
+      const value = values[param.name];
+      const noun = paramNoun(param.name);
+
+      if (!isParamActive(param, values)) {
+        if (!isBlank(value)) {
+          const condition = Object.entries(param.showWhen)
+            .map(([name, expected]) => `${paramNoun(name).toLowerCase()} is ${[].concat(expected).join(' or ')}`)
+            .join(' and ');
+          errors.push({
+            param: param.name,
+            code: 'not-applicable',
+            message: `${noun} only applies when ${condition} for Table ${tableId}`,
+          });
+        }
+        continue;
+      }
+
+      if (isBlank(value)) {
+        if (param.required) {
+          errors.push({ param: param.name, code: 'required', message: `${noun} is required for Table ${tableId}` });
+        }
+        continue;
+      }
+
+      const allowed = getOptions(param, tableData).map(option => option.value);
+      if (allowed.length > 0 && !allowed.includes(resolveValue(param, value))) {
+        errors.push({
+          param: param.name,
+          code: 'invalid',
+          message: `Unknown ${noun.toLowerCase()} "${value}" for Table ${tableId}`,
+          allowed,
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Display text for a parameter value: the option label, the module's
+   * date range for ordinal dates, or the value itself
+   */
+  function formatValue(param, value, tableData) {
+    const resolved = resolveValue(param, value);
+    const option = getOptions(param, tableData).find(o => o.value === resolved);
+    if (option) return option.label;
+    return String(resolved === undefined ? value : resolved);
+  }
+
+  /**
+   * Short description of a table's parameter values, e.g. "2ATAF, Pre-6/1/87"
+   * @param {string} tableId - Table identifier
+   * @param {object} values - Parameter values keyed by name
+   * @param {object} [tableData] - Table JSON (for optionsFrom)
+   * @returns {string} Comma-separated values ('' when none apply)
+   */
+  function describeParams(tableId, values, tableData) {
+    if (!values) return '';
+    return getParams(tableId)
+      .filter(param => values[param.name] !== undefined && values[param.name] !== null && values[param.name] !== '')
+      .map(param => formatValue(param, values[param.name], tableData))
+      .join(', ');
+  }
+
+  // =========================================================================
+  //  PROCESSORS
+  // =========================================================================
+
+  /**
+   * Create the processor for a table
+   * @param {string} tableId - Table identifier
+   * @param {object} tableData - Table JSON
+   * @returns {BaseTableProcessor|null} Processor, or null if none is registered
+   */
+  function createProcessor(tableId, tableData) {
+    const entry = tables[tableId];
+    if (entry && entry.create) {
+      return entry.create(tableData, tableId);
+    }
+    for (const create of defaultCreators) {
+      const processor = create(tableData, tableId);
+      if (processor) return processor;
+    }
+    return null;
+  }
+
+  // =========================================================================
+  //  PUBLIC API
+  // =========================================================================
+
+  return {
+    PARAMETERS:        PARAMETERS,
+    register:          register,
+    registerPack:      registerPack,
+    registerProcessor: registerProcessor,
+    registerDefault:   registerDefault,
+    registerDates:     registerDates,
+    getDates:          getDates,
+    resolveDate:       resolveDate,
+    get:               get,
+    has:               has,
+    list:              list,
+    getParams:         getParams,
+    isParamActive:     isParamActive,
+    paramNoun:         paramNoun,
+    getOptions:        getOptions,
+    validateParams:    validateParams,
+    formatValue:       formatValue,
+    describeParams:    describeParams,
+    createProcessor:   createProcessor,
+  };
+
+})();
+
+// Export for CommonJS (Node.js, the Expo app) or as a global for <script>
+// tags and workers (importScripts)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TableRegistry;
+} else {
+  globalThis.TableRegistry = TableRegistry;
+}
@@ -59,28 +59,12 @@ function updateResultsDisplay() {
   resultsSection.style.display = 'block';
   
   const resultsHTML = results.map(result => {
-    let rollText = '';
     let variableText = '';
     
-    // Only show roll text for NATO tables, not Warsaw Pact
-    if (result.faction === 'NATO') {
-      if (result.nationRoll && result.aircraftRoll && result.table !== 'A' && result.table !== 'B' && result.table !== 'F') {
-        rollText = `(aircraft: ${result.aircraftRoll})`;
-      } else if (result.roll) {
-        rollText = `(rolled ${result.roll})`;
-      }
-    }
-    
-    if (result.atafZone || result.scenarioDate) {
-      const parts = [];
-      if (result.atafZone) parts.push(result.atafZone);
-      // Only show date for date-dependent tables (A, B, C)
-      if (result.scenarioDate && (result.table === 'A' || result.table === 'B' || result.table === 'C')) {
-        parts.push(result.scenarioDate === 'pre' ? 'Pre-6/1/87' : '6/1/87+');
-      }
-      if (parts.length > 0) {
-        variableText = ` [${parts.join(', ')}]`;
-      }
+    // Parameter values as labelled by the table registry, e.g. [2ATAF, Pre-6/1/87]
+    const paramText = TableRegistry.describeParams(result.table, result.params, getTableDataSource()[result.table]);
+    if (paramText) {
+      variableText = ` [${paramText}]`;
     }
     
     // Determine faction styling
@@ -88,53 +72,1572 @@ function updateResultsDisplay() {
     
     // Build debug display
     let debugDisplay = '';
-    if (debugMode && result.debugText && result.debugText.trim()) {
-      debugDisplay = `<div style="font-size: 11px; color: #888; font-family: monospace; margin-top: 4px; padding: 2px 4px; background-color: rgba(255,255,255,0.05); border-radius: 2px;">${result.debugText}</div>`;
+    if (debugMode && result.debugRolls && result.debugRolls.trim()) {
+      debugDisplay = `<div style="font-size: 11px; color: #888; font-family: monospace; margin-top: 4px; padding: 2px 4px; background-color: rgba(255,255,255,0.05); border-radius: 2px;">${result.debugRolls}</div>`;
+    }
+    
+    // For D3 table, append nationality to table name if available
+    let displayTableName = result.tableName;
+    if (result.table === 'D3' && result.nationality) {
+      displayTableName = `${result.tableName} - ${result.nationality} Raid`;
+    }
+    
+    // Seed display so the result can be regenerated
+    let seedDisplay = '';
+    if (result.diceSource === 'manual') {
+      seedDisplay = `<div class="result-seed" style="font-size: 11px; color: #999; margin-top: 2px;">Rolled with physical dice</div>`;
+    } else if (result.seed) {
+      seedDisplay = `<div class="result-seed" style="font-size: 11px; color: #999; margin-top: 2px;">Seed: <span style="font-family: monospace; user-select: all;">${escapeHtml(result.seed)}</span></div>`;
+    }
+    
+    // Roll journal (always captured, collapsed by default)
+    const journalDisplay = renderRollJournal(result);
+    const rerollDisplay = renderRerollControls(result);
+    const overrideDisplay = renderOverrideNotes(result);
+    const editDisplay = renderFlightEditor(result);
+    
+    return `
+      <div class="result-item ${factionClass}">
+        <div class="result-info">
+          <div class="result-table">${displayTableName}${variableText}</div>
+          <div class="result-text">
+            ${result.text}
+          </div>
+          ${overrideDisplay}
+          ${seedDisplay}
+          ${debugDisplay}
+          ${editDisplay}
+          ${rerollDisplay}
+          ${journalDisplay}
+        </div>
+        ${result.error ? '' : `<button class="action-button edit-result" onclick="${result.id === editingResultId ? 'closeFlightEditor()' : `openFlightEditor(${result.id})`}">
+          ${result.id === editingResultId ? 'Done' : 'Edit'}
+        </button>`}
+        <button class="action-button remove-result" onclick="removeResult(${result.id})">
+          Remove
+        </button>
+      </div>
+    `;
+  }).join('');
+  
+  container.innerHTML = resultsHTML;
+}
+
+/**
+ * Format a roll journal entry as a single line,
+ * e.g. "d10 5 +2 = 7 → 5-7: Bombs/CBU/Rockets + EOGM (F-16/A-10 +2)"
+ * @param {object} entry - Roll journal entry
+ * @returns {string} Formatted entry (plain text)
+ */
+function formatJournalEntry(entry) {
+  // Notes (rerolls) are not die rolls
+  if (entry.die === null) {
+    return entry.detail || '';
+  }
+  
+  let text = `d${entry.die} ${entry.raw}`;
+  if (entry.modifier) {
+    text += ` ${entry.modifier > 0 ? '+' : ''}${entry.modifier} = ${entry.modified}`;
+  }
+  if (entry.matched || entry.result) {
+    text += ' →';
+    if (entry.matched) text += ` ${entry.matched}:`;
+    if (entry.result) text += ` ${entry.result}`;
+  }
+  if (entry.detail) {
+    text += ` (${entry.detail})`;
+  }
+  return text;
+}
+
+/**
+ * Render the collapsible roll journal for a result
+ * @param {object} result - Result entry
+ * @returns {string} HTML, or '' if the result has no journal
+ */
+function renderRollJournal(result) {
+  const journal = result.rollJournal;
+  if (!Array.isArray(journal) || journal.length === 0) {
+    return '';
+  }
+  const rollCount = journal.filter(entry => entry.die !== null).length;
+  
+  const rows = journal.map(entry => `
+          <tr>
+            <td style="padding: 1px 8px 1px 0; white-space: nowrap;">${escapeHtml(entry.label || '')}</td>
+            <td style="padding: 1px 0;">${escapeHtml(formatJournalEntry(entry))}</td>
+          </tr>`).join('');
+  
+  return `
+    <details class="result-journal" style="font-size: 11px; color: #aaa; margin-top: 4px;">
+      <summary style="cursor: pointer;">Roll journal (${rollCount} roll${rollCount === 1 ? '' : 's'})</summary>
+      <table style="font-family: monospace; border-collapse: collapse; margin-top: 2px;">${rows}
+      </table>
+      <a href="#" onclick="exportRollJournal(${result.id}); return false;" style="color: #b4c4b4;">Export this journal</a>
+    </details>
+  `;
+}
+
+/**
+ * Render the reroll buttons for a compound result: one per tasking (when
+ * the raid has more than one) and one per flight with ordnance
+ * @param {object} result - Result entry
+ * @returns {string} HTML, or '' if nothing can be rerolled
+ */
+function renderRerollControls(result) {
+  if (result.error || !Array.isArray(result.flights)) {
+    return '';
+  }
+  
+  // Each tasking's button rerolls from its first flight
+  const taskingFlights = result.flights
+    .map((flight, index) => ({ flight, index }))
+    .filter(({ flight }, position, all) => all.findIndex(other => other.flight.tasking === flight.tasking) === position);
+  const buttons = [];
+  if (taskingFlights.length > 1) {
+    for (const { flight, index } of taskingFlights) {
+      buttons.push(`<button class="action-button" style="padding: 2px 8px; font-size: 11px;" onclick="rerollResultTasking(${result.id}, ${index})">${escapeHtml(flight.tasking)}</button>`);
+    }
+  }
+  result.flights.forEach((flight, index) => {
+    if (flight.ordnance) {
+      buttons.push(`<button class="action-button" style="padding: 2px 8px; font-size: 11px; background-color: #5a6a5a;" onclick="rerollFlightOrdnance(${result.id}, ${index})">Flight ${index + 1} ordnance</button>`);
+    }
+  });
+  
+  if (buttons.length === 0) {
+    return '';
+  }
+  return `
+    <details class="result-rerolls" style="font-size: 11px; color: #aaa; margin-top: 4px;">
+      <summary style="cursor: pointer;">Reroll part of this raid</summary>
+      <div style="display: flex; flex-wrap: wrap; gap: 4px; margin-top: 4px;">${buttons.join('')}</div>
+    </details>
+  `;
+}
+
+/**
+ * Roll one tasking of a result again, keeping the rest of the raid
+ * @param {number} resultId - Result ID
+ * @param {number} flightIndex - Index of a flight of the tasking
+ */
+function rerollResultTasking(resultId, flightIndex) {
+  const result = getAppState().results.find(entry => entry.id === resultId);
+  if (!result || !result.flights[flightIndex]) return;
+  
+  const tasking = result.flights[flightIndex].tasking;
+  applyReroll(result, `Reroll ${tasking} (Table ${result.table})`,
+    factory => factory.rerollTasking(result, tasking));
+}
+
+/**
+ * Roll the ordnance of one flight of a result again
+ * @param {number} resultId - Result ID
+ * @param {number} flightIndex - Index of the flight
+ */
+function rerollFlightOrdnance(resultId, flightIndex) {
+  const result = getAppState().results.find(entry => entry.id === resultId);
+  if (!result) return;
+  
+  applyReroll(result, `Reroll flight ${flightIndex + 1} ordnance (Table ${result.table})`,
+    factory => factory.rerollOrdnance(result, flightIndex));
+}
+
+/**
+ * Run a reroll and put the changed result in place of the old one
+ * (one undo step)
+ * @param {object} result - Result entry being changed
+ * @param {string} label - Undo label
+ * @param {function} reroll - Called with the processor factory; returns the new result
+ */
+function applyReroll(result, label, reroll) {
+  resetManualRollCancelled();
+  const rerolled = reroll(getTableProcessorFactory());
+  
+  // Player cancelled a physical dice prompt - keep the result as it was
+  if (isManualRollCancelled()) return;
+  
+  if (rerolled.error) {
+    alert(`Cannot reroll: ${rerolled.error}`);
+    return;
+  }
+  
+  replaceResult(result.id, { ...result, ...rerolled }, label);
+  updateResultsDisplay();
+}
+
+// =========================================================================
+//  FLIGHT EDITS
+// =========================================================================
+//
+// A result opened with Edit shows a row per flight: aircraft (from the
+// faction's aircraft database), nationality, tasking, flight size and
+// ordnance. FlightEditor applies the edit and marks the flight as
+// overridden; replaceResult() makes each saved edit one undo step.
+
+/** ID of the result being edited, or null */
+let editingResultId = null;
+
+/** Aircraft databases by faction, loaded when editing is first opened */
+let aircraftDatabases = null;
+
+/**
+ * Load the NATO and WP aircraft databases the print generator uses (not
+ * named loadAircraftDatabases: the Baltic Approaches page declares its own)
+ * @returns {Promise<object>} { NATO, WP }
+ */
+async function loadEditorAircraftDatabases() {
+  if (!aircraftDatabases) {
+    const dataFiles = await getPrintGenerator().loadDataFiles();
+    aircraftDatabases = { NATO: dataFiles.aircraftNATO || {}, WP: dataFiles.aircraftWP || {} };
+  }
+  return aircraftDatabases;
+}
+
+/**
+ * Open a result's flights for editing
+ * @param {number} resultId - Result ID
+ */
+async function openFlightEditor(resultId) {
+  try {
+    await loadEditorAircraftDatabases();
+  } catch (error) {
+    alert(`Cannot load the aircraft database: ${error.message}`);
+    return;
+  }
+  editingResultId = resultId;
+  updateResultsDisplay();
+}
+
+/**
+ * Close the flight editor
+ */
+function closeFlightEditor() {
+  editingResultId = null;
+  updateResultsDisplay();
+}
+
+/**
+ * List the flights of a result that were edited by hand
+ * @param {object} result - Result entry
+ * @returns {string} HTML, or '' if no flight was edited
+ */
+function renderOverrideNotes(result) {
+  const notes = (result.flights || [])
+    .map((flight, index) => (flight.overridden ? `Flight ${index + 1}: ${FlightEditor.describeOverride(flight)}` : null))
+    .filter(Boolean);
+  if (notes.length === 0) {
+    return '';
+  }
+  return `<div class="result-overrides" style="font-size: 11px; color: #d4b06a; margin-top: 2px;">Edited by hand &mdash; ${escapeHtml(notes.join('; '))}</div>`;
+}
+
+/**
+ * Aircraft select options for a flight: the nation's aircraft first, then
+ * the rest of the faction's. Aircraft missing from the database stay
+ * selectable as rolled.
+ * @param {object} aircraftDB - Faction aircraft database
+ * @param {string} nationality - Nationality to group by
+ * @param {object} selected - { aircraftId, aircraftType } currently chosen
+ * @returns {string} HTML options
+ */
+function renderAircraftOptions(aircraftDB, nationality, selected) {
+  const { nation, other } = FlightEditor.aircraftOptions(aircraftDB, nationality);
+  const option = entry => `<option value="${escapeHtml(entry.id)}"${entry.id === selected.aircraftId ? ' selected' : ''}>${escapeHtml(entry.aircraftType)}</option>`;
+  const group = (label, entries) => (entries.length > 0 ? `<optgroup label="${escapeHtml(label)}">${entries.map(option).join('')}</optgroup>` : '');
+  
+  const listed = [...nation, ...other].some(entry => entry.id === selected.aircraftId);
+  const rolled = listed ? '' : `<option value="" selected>${escapeHtml(selected.aircraftType)} (as rolled)</option>`;
+  return rolled + group(`${nationality} aircraft`, nation) + group('Other aircraft', other);
+}
+
+/**
+ * Render the edit rows for the result being edited
+ * @param {object} result - Result entry
+ * @returns {string} HTML, or '' if the result is not being edited
+ */
+function renderFlightEditor(result) {
+  if (result.id !== editingResultId || !aircraftDatabases || result.error) {
+    return '';
+  }
+  const aircraftDB = aircraftDatabases[result.faction] || {};
+  const nations = FlightEditor.nationalities(aircraftDB);
+  const inputStyle = 'font-size: 11px; padding: 1px 2px;';
+  
+  const rows = result.flights.map((flight, index) => {
+    const prefix = `flight-edit-${result.id}-${index}`;
+    const nationOptions = (nations.includes(flight.nationality) ? nations : [flight.nationality, ...nations])
+      .map(code => `<option value="${escapeHtml(code)}"${code === flight.nationality ? ' selected' : ''}>${escapeHtml(code)}</option>`).join('');
+    
+    return `
+      <div class="flight-edit-row" style="display: flex; flex-wrap: wrap; gap: 4px; align-items: center; margin-top: 4px;">
+        <span style="min-width: 56px;">Flight ${index + 1}</span>
+        <select id="${prefix}-nationality" title="Nationality" style="${inputStyle}" onchange="refreshEditAircraft(${result.id}, ${index})">${nationOptions}</select>
+        <select id="${prefix}-aircraft" title="Aircraft" style="${inputStyle}">${renderAircraftOptions(aircraftDB, flight.nationality, flight)}</select>
+        <input id="${prefix}-tasking" type="text" title="Tasking" size="12" style="${inputStyle}" value="${escapeHtml(flight.tasking)}">
+        <input id="${prefix}-flightSize" type="number" title="Flight size" min="1" style="${inputStyle} width: 44px;" value="${flight.flightSize}">
+        <input id="${prefix}-ordnance" type="text" title="Ordnance" size="24" placeholder="No ordnance" style="${inputStyle}" value="${escapeHtml(flight.ordnance || '')}">
+        <button class="action-button" style="padding: 2px 8px; font-size: 11px;" onclick="saveFlightEdit(${result.id}, ${index})">Save</button>
+        ${flight.overridden ? `<button class="action-button" style="padding: 2px 8px; font-size: 11px; background-color: #5a6a5a;" onclick="revertFlightEdit(${result.id}, ${index})">Revert</button>` : ''}
+      </div>`;
+  }).join('');
+  
+  return `<div class="result-flight-editor" style="font-size: 11px; color: #aaa; margin-top: 4px;">${rows}
+    </div>`;
+}
+
+/**
+ * Regroup a flight's aircraft choices after its nationality is changed
+ * @param {number} resultId - Result ID
+ * @param {number} flightIndex - Index of the flight
+ */
+function refreshEditAircraft(resultId, flightIndex) {
+  const result = getAppState().results.find(entry => entry.id === resultId);
+  if (!result || !result.flights[flightIndex]) return;
+  
+  const prefix = `flight-edit-${resultId}-${flightIndex}`;
+  const aircraftSelect = document.getElementById(`${prefix}-aircraft`);
+  const nationality = document.getElementById(`${prefix}-nationality`).value;
+  aircraftSelect.innerHTML = renderAircraftOptions(aircraftDatabases[result.faction] || {}, nationality, {
+    aircraftId: aircraftSelect.value || result.flights[flightIndex].aircraftId,
+    aircraftType: result.flights[flightIndex].aircraftType,
+  });
+}
+
+/**
+ * Save the edit row of one flight
+ * @param {number} resultId - Result ID
+ * @param {number} flightIndex - Index of the flight
+ */
+function saveFlightEdit(resultId, flightIndex) {
+  const result = getAppState().results.find(entry => entry.id === resultId);
+  if (!result) return;
+  
+  const value = field => document.getElementById(`flight-edit-${resultId}-${flightIndex}-${field}`).value;
+  applyFlightEdit(result, `Edit Table ${result.table} flight ${flightIndex + 1}`, () => FlightEditor.editFlight(result, flightIndex, {
+    aircraftId: value('aircraft') || undefined,
+    nationality: value('nationality'),
+    tasking: value('tasking'),
+    flightSize: value('flightSize'),
+    ordnance: value('ordnance'),
+  }, aircraftDatabases[result.faction] || {}));
+}
+
+/**
+ * Put one flight back to its rolled values
+ * @param {number} resultId - Result ID
+ * @param {number} flightIndex - Index of the flight
+ */
+function revertFlightEdit(resultId, flightIndex) {
+  const result = getAppState().results.find(entry => entry.id === resultId);
+  if (!result) return;
+  
+  applyFlightEdit(result, `Revert Table ${result.table} flight ${flightIndex + 1}`,
+    () => FlightEditor.revertFlight(result, flightIndex));
+}
+
+/**
+ * Run an edit and put the changed result in place of the old one
+ * (one undo step)
+ * @param {object} result - Result entry being changed
+ * @param {string} label - Undo label
+ * @param {function} edit - Returns the edited result
+ */
+function applyFlightEdit(result, label, edit) {
+  let edited;
+  try {
+    edited = edit();
+  } catch (error) {
+    if (!(error instanceof FlightEditor.FlightEditError)) throw error;
+    alert(`Cannot edit flight: ${error.message}`);
+    return;
+  }
+  
+  if (edited !== result) {
+    replaceResult(result.id, edited, label);
+  }
+  updateResultsDisplay();
+}
+
+/**
+ * Export roll journals as a JSON file download
+ * @param {number} [resultId] - Export a single result; all results if omitted
+ */
+function exportRollJournal(resultId) {
+  const state = getAppState();
+  const selected = resultId === undefined
+    ? state.results
+    : state.results.filter(result => result.id === resultId);
+  
+  if (selected.length === 0) {
+    alert('No results to export');
+    return;
+  }
+  
+  const exportData = {
+    exportedAt: new Date().toISOString(),
+    module: window.CURRENT_MODULE || null,
+    results: selected.map(result => ({
+      id: result.id,
+      table: result.table,
+      tableName: result.tableName,
+      scenarioDate: result.scenarioDate || null,
+      params: result.params || {},
+      result: result.text,
+      seed: result.seed || null,
+      diceSource: result.diceSource || 'random',
+      rollJournal: result.rollJournal || []
+    }))
+  };
+  
+  downloadJson(
+    JSON.stringify(exportData, null, 2),
+    selected.length === 1 ? `roll-journal-${selected[0].table}.json` : 'roll-journal.json'
+  );
+}
+
+/**
+ * Offer JSON text as a file download
+ * @param {string} json - File contents
+ * @param {string} filename - Download file name
+ */
+function downloadJson(json, filename) {
+  downloadText(json, filename, 'application/json');
+}
+
+/**
+ * Offer text as a file download
+ * @param {string|Uint8Array} text - File contents
+ * @param {string} filename - Download file name
+ * @param {string} type - MIME type
+ */
+function downloadText(text, filename, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Export the module, scenario date and all results (with their seeds and
+ * roll journals) as a session document that importSession() reads back
+ */
+function exportSession() {
+  const session = getSession();
+  if (session.results.length === 0) {
+    alert('No results to export');
+    return;
+  }
+  
+  const doc = SessionDocument.create(session);
+  downloadJson(SessionDocument.serialize(doc), SessionDocument.filename(doc));
+}
+
+/**
+ * Open the file picker for importing a session document
+ */
+function openSessionImport() {
+  const input = document.getElementById('sessionImportFile');
+  if (input) {
+    input.value = '';
+    input.click();
+  }
+}
+
+/**
+ * Import a session document chosen in the file picker, replacing the
+ * current results
+ * @param {HTMLInputElement} input - File input
+ */
+async function importSession(input) {
+  const file = input.files && input.files[0];
+  if (!file) return;
+  
+  let doc;
+  try {
+    doc = SessionDocument.parse(await file.text());
+  } catch (error) {
+    console.error('Session import failed:', error);
+    alert(`Cannot import ${file.name}: ${error.message}`);
+    return;
+  }
+  
+  if (window.CURRENT_MODULE && doc.module !== window.CURRENT_MODULE) {
+    alert(`${file.name} holds ${doc.module} results; open it from the ${doc.module} OOB generator.`);
+    return;
+  }
+  
+  if (getAppState().results.length > 0 &&
+      !confirm('Importing replaces the current results. Continue?')) {
+    return;
+  }
+  
+  restoreSession(doc);
+}
+
+/**
+ * Restore the autosaved session for the current module (on page load)
+ */
+function restoreAutosave() {
+  if (!window.CURRENT_MODULE) return;
+  
+  const doc = SessionStore.loadAutosave(window.CURRENT_MODULE);
+  if (doc && (doc.results.length > 0 || doc.scenarioDate !== null)) {
+    console.log(`OOB Generator: restoring autosaved session (${doc.results.length} results)`);
+    restoreSession(doc);
+  }
+  renderSavedSessions();
+}
+
+/**
+ * Render the named saves list for the current module
+ */
+function renderSavedSessions() {
+  const container = document.getElementById('savedSessionsList');
+  if (!container) return;
+  
+  if (!SessionStore.isAvailable()) {
+    container.innerHTML = '<div class="empty-results">Browser storage is not available</div>';
+    return;
+  }
+  
+  const saves = SessionStore.listSaves(window.CURRENT_MODULE);
+  if (saves.length === 0) {
+    container.innerHTML = '<div class="empty-results">No saved games</div>';
+    return;
+  }
+  
+  container.innerHTML = saves.map(slot => {
+    const dateText = slot.scenarioDate !== null ? ` · ${escapeHtml(String(formatScenarioDate(slot.scenarioDate)))}` : '';
+    return `
+      <div class="result-item saved-session">
+        <div class="result-info">
+          <div class="result-table">${escapeHtml(slot.name)}</div>
+          <div style="font-size: 11px; color: #999;">
+            ${slot.resultsCount} result${slot.resultsCount === 1 ? '' : 's'}${dateText} · saved ${escapeHtml(new Date(slot.savedAt).toLocaleString())}
+          </div>
+        </div>
+        <div style="display: flex; gap: 6px;">
+          <button class="action-button" onclick="loadNamedSession('${slot.id}')">Load</button>
+          <button class="action-button" style="background-color: #6d5d47;" onclick="renameNamedSession('${slot.id}')">Rename</button>
+          <button class="action-button remove-result" onclick="deleteNamedSession('${slot.id}')">Delete</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Save the current session under the name in the save name input
+ */
+function saveNamedSession() {
+  const input = document.getElementById('saveSessionName');
+  const name = input ? input.value.trim() : '';
+  if (!name) {
+    alert('Enter a name for the save');
+    return;
+  }
+  
+  const module = window.CURRENT_MODULE;
+  if (SessionStore.listSaves(module).some(slot => slot.name === name) &&
+      !confirm(`Replace the save "${name}"?`)) {
+    return;
+  }
+  
+  try {
+    SessionStore.save(name, getSession());
+  } catch (error) {
+    console.error('Save failed:', error);
+    alert(`Cannot save: ${error.message}`);
+    return;
+  }
+  if (input) input.value = '';
+  renderSavedSessions();
+}
+
+/**
+ * Load a named save, replacing the current results
+ * @param {string} id - Save id
+ */
+function loadNamedSession(id) {
+  let doc;
+  try {
+    doc = SessionStore.load(window.CURRENT_MODULE, id);
+  } catch (error) {
+    console.error('Load failed:', error);
+    alert(`Cannot load save: ${error.message}`);
+    return;
+  }
+  
+  if (getAppState().results.length > 0 &&
+      !confirm('Loading replaces the current results. Continue?')) {
+    return;
+  }
+  restoreSession(doc);
+}
+
+/**
+ * Rename a named save
+ * @param {string} id - Save id
+ */
+function renameNamedSession(id) {
+  const slot = SessionStore.listSaves(window.CURRENT_MODULE).find(entry => entry.id === id);
+  if (!slot) return;
+  
+  const name = prompt('Rename save:', slot.name);
+  if (name === null || name.trim() === slot.name) return;
+  
+  try {
+    SessionStore.rename(window.CURRENT_MODULE, id, name);
+  } catch (error) {
+    alert(`Cannot rename: ${error.message}`);
+    return;
+  }
+  renderSavedSessions();
+}
+
+/**
+ * Delete a named save
+ * @param {string} id - Save id
+ */
+function deleteNamedSession(id) {
+  const slot = SessionStore.listSaves(window.CURRENT_MODULE).find(entry => entry.id === id);
+  if (!slot || !confirm(`Delete the save "${slot.name}"?`)) return;
+  
+  SessionStore.remove(window.CURRENT_MODULE, id);
+  renderSavedSessions();
+}
+
+// =========================================================================
+//  CAMPAIGN
+// =========================================================================
+
+/**
+ * Restore the module's active campaign from browser storage (on page load)
+ */
+function restoreCampaign() {
+  const campaign = window.CURRENT_MODULE ? SessionStore.loadCampaign(window.CURRENT_MODULE) : null;
+  if (campaign) {
+    console.log(`OOB Generator: restoring campaign "${campaign.name}" (day ${Campaign.currentDay(campaign).day})`);
+    setCampaign(campaign);
+  } else {
+    renderCampaign();
+  }
+}
+
+/**
+ * Start a campaign named in the campaign name input, on the selected
+ * scenario date (or the first date if none is selected)
+ */
+function startCampaign() {
+  const input = document.getElementById('campaignName');
+  const dates = getScenarioDates();
+  const currentDate = getScenarioDate();
+  
+  let campaign;
+  try {
+    campaign = Campaign.create({
+      module: window.CURRENT_MODULE,
+      name: input ? input.value : '',
+      dates: dates,
+      scenarioDate: currentDate ?? dates[0]
+    });
+  } catch (error) {
+    alert(`Cannot start campaign: ${error.message}`);
+    return;
+  }
+  
+  setCampaign(campaign);
+  if (currentDate === null) {
+    setScenarioDate(Campaign.currentDay(campaign).scenarioDate);
+  }
+}
+
+/**
+ * Record the current results as raids on the campaign's current day
+ */
+function recordCampaignRaids() {
+  const campaign = getCampaign();
+  if (!campaign) return;
+  
+  const day = Campaign.currentDay(campaign);
+  const appState = getAppState();
+  if (appState.results.length > 0 && appState.scenarioDate !== day.scenarioDate) {
+    alert(`These results were rolled for ${formatScenarioDate(appState.scenarioDate)}, but day ${day.day} is ${formatScenarioDate(day.scenarioDate)}.`);
+    return;
+  }
+  
+  const { campaign: updated, added } = Campaign.addRaids(campaign, appState.results);
+  if (added === 0) {
+    alert('No new results to record');
+    return;
+  }
+  setCampaign(updated);
+}
+
+/**
+ * Start the next campaign day. The scenario date carries forward unless
+ * "advance" is ticked; the results list is cleared for the new day.
+ */
+function nextCampaignDay() {
+  const campaign = getCampaign();
+  if (!campaign) return;
+  
+  const advance = document.getElementById('campaignAdvanceDate');
+  let updated;
+  try {
+    updated = Campaign.nextDay(campaign, { advanceDate: Boolean(advance && advance.checked) });
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+  
+  const appState = getAppState();
+  const unrecorded = Campaign.addRaids(campaign, appState.results).added;
+  if (unrecorded > 0 &&
+      !confirm(`${unrecorded} result${unrecorded === 1 ? ' is' : 's are'} not recorded in day ${Campaign.currentDay(campaign).day}. Start the next day anyway?`)) {
+    return;
+  }
+  
+  clearAllResults();
+  const day = Campaign.currentDay(updated);
+  if (day.scenarioDate !== getScenarioDate()) {
+    setScenarioDate(day.scenarioDate);
+  }
+  setCampaign(updated);
+}
+
+/**
+ * Set destroyed or damaged aircraft for a campaign flight (loss inputs)
+ * @param {string} raidId - Raid id
+ * @param {number} flightIndex - Index in the raid's flights
+ * @param {string} field - 'destroyed' or 'damaged'
+ * @param {HTMLInputElement} input - Number input
+ */
+function updateCampaignLosses(raidId, flightIndex, field, input) {
+  const value = input.value === '' ? 0 : Number(input.value);
+  try {
+    setCampaign(Campaign.setLosses(getCampaign(), raidId, flightIndex, { [field]: value }));
+  } catch (error) {
+    alert(error.message);
+    renderCampaign();
+  }
+}
+
+/**
+ * Remove a raid from the campaign
+ * @param {string} raidId - Raid id
+ */
+function removeCampaignRaid(raidId) {
+  if (!confirm('Remove this raid and its losses from the campaign?')) return;
+  setCampaign(Campaign.removeRaid(getCampaign(), raidId));
+}
+
+/**
+ * Download the campaign as a file that importCampaign() reads back
+ */
+function exportCampaign() {
+  const campaign = getCampaign();
+  if (!campaign) return;
+  downloadJson(Campaign.serialize(campaign), Campaign.filename(campaign));
+}
+
+/**
+ * Open the file picker for importing a campaign
+ */
+function openCampaignImport() {
+  const input = document.getElementById('campaignImportFile');
+  if (input) {
+    input.value = '';
+    input.click();
+  }
+}
+
+/**
+ * Import a campaign file chosen in the file picker, replacing the active
+ * campaign
+ * @param {HTMLInputElement} input - File input
+ */
+async function importCampaign(input) {
+  const file = input.files && input.files[0];
+  if (!file) return;
+  
+  let campaign;
+  try {
+    campaign = Campaign.parse(await file.text());
+  } catch (error) {
+    console.error('Campaign import failed:', error);
+    alert(`Cannot import ${file.name}: ${error.message}`);
+    return;
+  }
+  
+  if (window.CURRENT_MODULE && campaign.module !== window.CURRENT_MODULE) {
+    alert(`${file.name} is a ${campaign.module} campaign; open it from the ${campaign.module} OOB generator.`);
+    return;
+  }
+  
+  if (getCampaign() && !confirm(`Importing replaces the campaign "${getCampaign().name}". Continue?`)) {
+    return;
+  }
+  
+  setCampaign(campaign);
+  const day = Campaign.currentDay(campaign);
+  if (!getAppState().hasGeneratedResults && day.scenarioDate !== getScenarioDate()) {
+    setScenarioDate(day.scenarioDate);
+  }
+}
+
+/**
+ * End campaign mode (export the campaign first to keep it)
+ */
+function endCampaign() {
+  const campaign = getCampaign();
+  if (!campaign || !confirm(`End the campaign "${campaign.name}"? Export it first to keep it.`)) return;
+  setCampaign(null);
+}
+
+/**
+ * Render the campaign panel: start form, or the current day, the
+ * per-nation ledger and every day's raids with their loss inputs
+ */
+function renderCampaign() {
+  const container = document.getElementById('campaignPanel');
+  if (!container) return;
+  
+  const campaign = getCampaign();
+  if (!campaign) {
+    container.innerHTML = `
+      <div class="input-group">
+        <input type="text" id="campaignName" placeholder="Campaign name (e.g. Danish Straits)" />
+        <button class="action-button" onclick="startCampaign()" style="background-color: #5a6a5a;">Start Campaign</button>
+        <button class="action-button" onclick="openCampaignImport()" style="background-color: #5a6a5a;">Import Campaign</button>
+      </div>
+      <div class="empty-results">No campaign — start one to track raids and losses across game days</div>
+    `;
+    return;
+  }
+  
+  const today = Campaign.currentDay(campaign);
+  const nextDate = Campaign.nextDate(campaign);
+  const advanceOption = nextDate !== null
+    ? `<label style="font-size: 13px;"><input type="checkbox" id="campaignAdvanceDate" /> advance to ${escapeHtml(String(formatScenarioDate(nextDate)))}</label>`
+    : '';
+  
+  container.innerHTML = `
+    <div class="result-table">${escapeHtml(campaign.name)} · Day ${today.day} · ${escapeHtml(String(formatScenarioDate(today.scenarioDate)))}</div>
+    <div class="input-group" style="margin-top: 8px;">
+      <button class="action-button" onclick="recordCampaignRaids()">Record Results in Day ${today.day}</button>
+      <button class="action-button" onclick="nextCampaignDay()" style="background-color: #5a6a5a;">Next Day</button>
+      ${advanceOption}
+    </div>
+    <div class="input-group">
+      <button class="action-button" onclick="exportCampaign()" style="background-color: #5a6a5a;">Export Campaign</button>
+      <button class="action-button" onclick="openCampaignImport()" style="background-color: #5a6a5a;">Import Campaign</button>
+      <button class="action-button remove-result" onclick="endCampaign()">End Campaign</button>
+    </div>
+    ${renderCampaignLedger(Campaign.ledger(campaign))}
+    ${campaign.days.slice().reverse().map(renderCampaignDay).join('')}
+  `;
+}
+
+/**
+ * Per-nation sortie and loss table
+ * @param {object[]} rows - Campaign.ledger() rows
+ * @returns {string} HTML
+ */
+function renderCampaignLedger(rows) {
+  if (rows.length === 0) {
+    return '<div class="empty-results">No raids recorded yet</div>';
+  }
+  
+  const cell = 'padding: 2px 10px 2px 0;';
+  return `
+    <table style="font-size: 13px; border-collapse: collapse; margin: 10px 0;">
+      <tr style="text-align: left;">
+        <th style="${cell}">Side</th><th style="${cell}">Nation</th><th style="${cell}">Raids</th>
+        <th style="${cell}">Flights</th><th style="${cell}">Sorties</th><th style="${cell}">Destroyed</th><th style="${cell}">Damaged</th>
+      </tr>
+      ${rows.map(row => `
+        <tr>
+          <td style="${cell}">${escapeHtml(row.faction)}</td><td style="${cell}">${escapeHtml(row.nationality)}</td>
+          <td style="${cell}">${row.raids}</td><td style="${cell}">${row.flights}</td><td style="${cell}">${row.sorties}</td>
+          <td style="${cell}">${row.destroyed}</td><td style="${cell}">${row.damaged}</td>
+        </tr>
+      `).join('')}
+    </table>
+  `;
+}
+
+/**
+ * One campaign day's raids, with destroyed/damaged inputs per flight
+ * @param {object} day - Campaign day
+ * @returns {string} HTML
+ */
+function renderCampaignDay(day) {
+  const raids = day.raids.map(raid => `
+    <div class="result-item">
+      <div class="result-info">
+        <div class="result-table">Raid ${escapeHtml(raid.id)} · ${escapeHtml(raid.tableName || `Table ${raid.table}`)}</div>
+        ${raid.flights.map((flight, index) => `
+          <div style="display: flex; gap: 8px; align-items: center; font-size: 13px; margin-top: 2px;">
+            <span style="flex: 1;">${escapeHtml(`${flight.flightCount} x {${flight.flightSize}} ${flight.nationality} ${flight.aircraftType}, ${flight.tasking}`)}</span>
+            <label>Destroyed <input type="number" min="0" max="${flight.flightCount * flight.flightSize}" value="${flight.destroyed}" style="width: 50px;"
+              onchange="updateCampaignLosses('${raid.id}', ${index}, 'destroyed', this)" /></label>
+            <label>Damaged <input type="number" min="0" max="${flight.flightCount * flight.flightSize}" value="${flight.damaged}" style="width: 50px;"
+              onchange="updateCampaignLosses('${raid.id}', ${index}, 'damaged', this)" /></label>
+          </div>
+        `).join('')}
+      </div>
+      <button class="action-button remove-result" onclick="removeCampaignRaid('${raid.id}')">Remove</button>
+    </div>
+  `).join('');
+  
+  return `
+    <div class="section-title" style="font-size: 15px; margin-top: 12px;">
+      Day ${day.day} · ${escapeHtml(String(formatScenarioDate(day.scenarioDate)))} (${day.raids.length} raid${day.raids.length === 1 ? '' : 's'})
+    </div>
+    ${raids || '<div class="empty-results">No raids recorded</div>'}
+  `;
+}
+
+/**
+ * Format a probability as a percentage (e.g. 0.18 -> "18%", 0.045 -> "4.5%")
+ * @param {number} probability - Probability between 0 and 1
+ * @returns {string} Percentage text
+ */
+function formatProbability(probability) {
+  return `${Math.round(probability * 1000) / 10}%`;
+}
+
+/**
+ * Show the exact outcome probabilities for the selected table in the table view modal
+ * (uses the table's current parameter selections)
+ */
+function viewOutcomeProbabilities() {
+  const currentTable = getSelectedTable();
+  if (!currentTable) return;
+
+  const table = getTableDataSource()[currentTable];
+  if (!table) {
+    alert(`Table ${currentTable} data not available`);
+    return;
+  }
+
+  const params = collectTableParams(currentTable);
+  if (!checkTableParams(currentTable, params, table)) return;
+  
+  const processor = getTableProcessorFactory().getProcessor(currentTable);
+  if (!processor) {
+    alert(`No processor available for Table ${currentTable}`);
+    return;
+  }
+  const odds = ProbabilityCalculator.calculate(processor, params);
+
+  let html;
+  if (odds.error) {
+    html = `<p>Cannot calculate odds: ${escapeHtml(odds.error)}</p>`;
+  } else {
+    const renderRows = rows => rows.map(row => `
+        <tr>
+          <td style="padding: 2px 12px 2px 0;">${escapeHtml(row.label)}</td>
+          <td style="padding: 2px 0; text-align: right;">${formatProbability(row.probability)}</td>
+        </tr>`).join('');
+
+    html = '';
+    if (odds.nationality) {
+      html += `
+      <div class="section-title" style="font-size: 14px;">Nationality</div>
+      <table style="margin-bottom: 12px;">${renderRows(odds.nationality.map(n => ({ label: n.nationality, probability: n.probability })))}
+      </table>`;
     }
-    
-    // For D3 table, append nationality to table name if available
-    let displayTableName = result.tableName;
-    if (result.table === 'D3' && result.nationality) {
-      displayTableName = `${result.tableName} - ${result.nationality} Raid`;
+    for (const group of odds.groups) {
+      const rows = group.outcomes.map(outcome => ({
+        label: outcome.nation ? `${outcome.nation} ${outcome.aircraftType}` : outcome.aircraftType,
+        probability: outcome.probability
+      }));
+      html += `
+      <div class="section-title" style="font-size: 14px;">${escapeHtml(group.label)}</div>
+      <table style="margin-bottom: 12px;">${renderRows(rows)}
+      </table>`;
     }
-    
+  }
+
+  const dateText = params.scenarioDate ? ` (${params.scenarioDate})` : '';
+  document.getElementById('tableViewTitle').textContent = `Table ${currentTable}${dateText} - Outcome Probabilities`;
+  document.getElementById('tableViewContent').innerHTML = html;
+  document.getElementById('tableViewOverlay').style.display = 'flex';
+}
+
+// =========================================================================
+//  PRINT PREVIEW — Check every flight before the flight sheet prints
+// =========================================================================
+
+// Prints the flight sheet once the preview is accepted (set by showPrintPreview)
+let printFlightSheet = null;
+
+/**
+ * Show every flight that will print, with the database key and aircraft ID
+ * its card will use. Flights that would print no card or an incomplete one
+ * are flagged, and printing waits until they are fixed or acknowledged.
+ * @param {function} printSheet - Prints the flight sheet (the module page's generator)
+ */
+async function showPrintPreview(printSheet) {
+  const results = getAppState().results;
+  if (results.length === 0) {
+    alert('No flights generated yet. Generate some flights first!');
+    return;
+  }
+
+  let entries;
+  try {
+    const printGen = getPrintGenerator();
+    entries = printGen.previewFlights(results, await printGen.loadDataFiles());
+  } catch (error) {
+    alert(`Cannot check the flights: ${error.message}`);
+    return;
+  }
+
+  printFlightSheet = printSheet;
+  document.getElementById('tableViewTitle').textContent = 'Print Preview';
+  document.getElementById('tableViewContent').innerHTML = renderPrintPreview(entries);
+  document.getElementById('tableViewOverlay').style.display = 'flex';
+}
+
+/**
+ * The print preview: a row per flight, the layout and the Print buttons
+ * @param {Array} entries - PrintGenerator.previewFlights() entries
+ * @returns {string} HTML
+ */
+function renderPrintPreview(entries) {
+  const flagged = entries.filter(entry => entry.issues.length > 0);
+  const unprinted = flagged.filter(entry => entry.issues.some(issue => issue.code === 'unresolved'));
+
+  const rows = entries.map(entry => {
+    const { flight, issues } = entry;
+    const text = flight.text || `${flight.flightCount} x {${flight.flightSize}} ${flight.nationality} ${flight.aircraftType}, ${flight.tasking}`;
+    const status = issues.length === 0
+      ? '<span style="color: #8a9a6a;">OK</span>'
+      : issues.map(issue => `<div style="color: #d32f2f;">${escapeHtml(issue.message)}</div>`).join('');
+    // Aircraft found other than by its ID (name mapping, exact name, alias)
+    const tier = entry.tier && entry.tier !== 'id'
+      ? `<div style="color: #b4c4b4; font-size: 12px;">by ${escapeHtml(entry.tier)}</div>`
+      : '';
+    const edit = issues.length > 0 && flight.resultId !== null
+      ? `<button class="action-button" style="padding: 2px 8px; font-size: 12px; background-color: #6d5d47;" onclick="editPreviewFlight(${flight.resultId})">Edit</button>`
+      : '';
     return `
-      <div class="result-item ${factionClass}">
-        <div class="result-info">
-          <div class="result-table">${displayTableName}${variableText}</div>
-          <div class="result-text">
-            ${result.result}
-            <span class="result-roll">${rollText}</span>
-          </div>
-          ${debugDisplay}
-        </div>
-        <button class="action-button remove-result" onclick="removeResult(${result.id})">
-          Remove
-        </button>
-      </div>
-    `;
+        <tr style="vertical-align: top;">
+          <td style="padding: 4px 12px 4px 0;">${escapeHtml(flight.table || '')}</td>
+          <td style="padding: 4px 12px 4px 0;">${escapeHtml(text)}</td>
+          <td style="padding: 4px 12px 4px 0;">${escapeHtml(entry.key || '—')}${tier}</td>
+          <td style="padding: 4px 12px 4px 0;">${escapeHtml(entry.aircraftId || '—')}</td>
+          <td style="padding: 4px 12px 4px 0;">${status}</td>
+          <td style="padding: 4px 0;">${edit}</td>
+        </tr>`;
   }).join('');
+
+  let summary = `${entries.length} ${entries.length === 1 ? 'flight' : 'flights'}`;
+  let confirm = '';
+  if (flagged.length > 0) {
+    summary += `, <span style="color: #d32f2f;">${flagged.length} with problems` +
+      `${unprinted.length > 0 ? ` (${unprinted.length} will print no card)` : ''}</span>`;
+    confirm = `
+      <label style="display: block; margin-bottom: 10px;">
+        <input type="checkbox" id="printPreviewAcknowledge" onchange="document.getElementById('printPreviewButton').disabled = document.getElementById('printPreviewPdfButton').disabled = document.getElementById('printPreviewSetupButton').disabled = !this.checked">
+        Print anyway, with the problems listed above
+      </label>`;
+  }
+
+  const selectedLayout = PrintLayouts.getSelected();
+  const layoutOptions = PrintLayouts.list()
+    .map(profile => `<option value="${escapeHtml(profile.id)}"${profile.id === selectedLayout.id ? ' selected' : ''}>${escapeHtml(profile.name)}</option>`)
+    .join('');
+
+  return `
+      <div style="margin-bottom: 12px; color: #b4c4b4;">${summary}</div>
+      <table style="width: 100%; margin-bottom: 12px; border-collapse: collapse;">
+        <tr style="text-align: left;">
+          <th style="padding: 2px 12px 2px 0;">Table</th>
+          <th style="padding: 2px 12px 2px 0;">Flight</th>
+          <th style="padding: 2px 12px 2px 0;">Aircraft</th>
+          <th style="padding: 2px 12px 2px 0;">Aircraft ID</th>
+          <th style="padding: 2px 12px 2px 0;">Status</th>
+          <th></th>
+        </tr>${rows}
+      </table>${confirm}
+      <label style="display: block; margin-bottom: 10px;">
+        Layout <select id="printPreviewLayout" onchange="selectPrintLayout(this.value)">${layoutOptions}</select>
+      </label>
+      <label style="display: block; margin-bottom: 10px;">
+        <input type="checkbox" id="printPreviewRaidSummaries" onchange="selectRaidSummaries(this.checked)"${PrintLayouts.raidSummaries() ? ' checked' : ''}>
+        Summary page per raid (taskings, aircraft and card numbers)
+      </label>
+      <button class="action-button roll-button" id="printPreviewButton" onclick="confirmPrintPreview()"${flagged.length > 0 ? ' disabled' : ''}>📄 Print Flight Sheet</button>
+      <button class="action-button" id="printPreviewPdfButton" onclick="downloadFlightSheetPdf()"${flagged.length > 0 ? ' disabled' : ''}>⬇ Download PDF</button>
+      <button class="action-button" id="printPreviewSetupButton" onclick="downloadTabletopSetup()"${flagged.length > 0 ? ' disabled' : ''} title="Flights, resolved aircraft IDs and card images for VASSAL and Tabletop Simulator modules">⬇ Tabletop Setup</button>`;
+}
+
+/**
+ * Print the flight sheet from the preview
+ */
+function confirmPrintPreview() {
+  const printSheet = printFlightSheet;
+  printFlightSheet = null;
+  hideTableView();
+  if (printSheet) {
+    printSheet();
+  }
+}
+
+/**
+ * Use a paper size and card layout for the flight sheets (printed and PDF),
+ * remembered for the next session
+ * @param {string} profileId - PrintLayouts profile ID
+ */
+function selectPrintLayout(profileId) {
+  PrintLayouts.select(profileId);
+}
+
+/**
+ * Print a summary page per raid before the flight cards (printed and PDF),
+ * remembered for the next session
+ * @param {boolean} on
+ */
+function selectRaidSummaries(on) {
+  PrintLayouts.selectRaidSummaries(on);
+}
+
+/**
+ * Download the flight sheet as a PDF from the preview (no print window, so
+ * popup blockers do not get in the way)
+ */
+async function downloadFlightSheetPdf() {
+  const button = document.getElementById('printPreviewPdfButton');
+  button.disabled = true;
+  try {
+    const pdf = await getPrintGenerator().generatePdfSheet(getAppState().results);
+    downloadText(pdf, 'flight-sheets.pdf', 'application/pdf');
+  } catch (error) {
+    console.error('Error generating flight sheet PDF:', error);
+    alert(`Cannot create the PDF: ${error.message}`);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Download the flights as a setup file for VASSAL and Tabletop Simulator
+ * modules (aircraft IDs, taskings, ordnance and card images)
+ */
+async function downloadTabletopSetup() {
+  const button = document.getElementById('printPreviewSetupButton');
+  button.disabled = true;
+  try {
+    const setup = await getPrintGenerator().generateTabletopSetup(getAppState().results);
+    downloadJson(JSON.stringify(setup, null, 2), `tabletop-setup-${setup.module || 'oob'}.json`);
+  } catch (error) {
+    console.error('Error generating tabletop setup:', error);
+    alert(`Cannot create the tabletop setup: ${error.message}`);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Close the preview and open a flagged flight's result for editing
+ * @param {number} resultId - Result ID
+ */
+function editPreviewFlight(resultId) {
+  printFlightSheet = null;
+  hideTableView();
+  openFlightEditor(resultId);
+}
+
+// =========================================================================
+//  SIMULATION — Roll a table thousands of times for scenario balancing
+// =========================================================================
+
+/** Most runs one simulation may roll */
+const MAX_SIMULATION_RUNS = 100000;
+
+/** Runs rolled between progress updates when simulating on the page */
+const SIMULATION_PAGE_BATCH = 100;
+
+// URL of this script, for finding simulation-worker.js next to it
+const UI_CONTROLLER_URL = typeof document !== 'undefined' && document.currentScript
+  ? document.currentScript.src
+  : null;
+
+// Running simulation ({ stop }) and the last summary (for the CSV export)
+let runningSimulation = null;
+let simulationSummary = null;
+
+/**
+ * Run a simulation in a Web Worker
+ * @param {object} request - { tableId, params, seed, runs, tables }
+ * @param {object} handlers - { progress(done), done(summary), error(message) }
+ * @returns {object} { stop }
+ */
+function runSimulationInWorker(request, handlers) {
+  const worker = new Worker(new URL('simulation-worker.js', UI_CONTROLLER_URL));
+  let started = false;
+  let stopped = false;
+
+  worker.onmessage = event => {
+    const message = event.data;
+    started = true;
+    if (message.type === 'progress') {
+      handlers.progress(message.done);
+    } else {
+      worker.terminate();
+      if (message.type === 'done') handlers.done(message.summary);
+      else handlers.error(message.message);
+    }
+  };
+  // A worker that cannot load its scripts (pages opened from file://)
+  // hands the simulation to the page
+  worker.onerror = event => {
+    event.preventDefault();
+    worker.terminate();
+    if (started) {
+      handlers.error(event.message || 'Simulation worker failed');
+    } else if (!stopped) {
+      runningSimulation = runSimulationOnPage(request, handlers);
+    }
+  };
+
+  const tablePack = document.querySelector('script[src$="table-pack.js"]');
+  worker.postMessage({ type: 'run', tablePack: tablePack.src, ...request });
+
+  return {
+    stop: () => {
+      stopped = true;
+      worker.terminate();
+    }
+  };
+}
+
+/**
+ * Run a simulation on the page in small batches, for browsers that cannot
+ * start the worker
+ * @param {object} request - { tableId, params, seed, runs, tables }
+ * @param {object} handlers - { progress(done), done(summary), error(message) }
+ * @returns {object} { stop }
+ */
+function runSimulationOnPage(request, handlers) {
+  const factory = new TableProcessorFactory(request.tables);
+  const tally = BatchSimulator.createTally(request.tableId, request.params, request.seed);
+  let timer = null;
+
+  const step = () => {
+    try {
+      BatchSimulator.runBatch(factory, tally, Math.min(SIMULATION_PAGE_BATCH, request.runs - tally.runs));
+    } catch (error) {
+      handlers.error(error.message);
+      return;
+    }
+    if (tally.runs < request.runs) {
+      handlers.progress(tally.runs);
+      timer = setTimeout(step, 0);
+    } else {
+      handlers.done(BatchSimulator.summarize(tally));
+    }
+  };
+  timer = setTimeout(step, 0);
+
+  return { stop: () => clearTimeout(timer) };
+}
+
+/**
+ * Simulate the selected table with its current parameters, or stop the
+ * simulation that is running
+ */
+function runSimulation() {
+  if (runningSimulation) {
+    runningSimulation.stop();
+    finishSimulation('<div class="empty-results">Simulation stopped</div>');
+    return;
+  }
+
+  const currentTable = getSelectedTable();
+  if (!currentTable) {
+    alert('Select a table to simulate first.');
+    return;
+  }
+
+  const tables = getTableDataSource();
+  const table = tables[currentTable];
+  const params = collectTableParams(currentTable);
+  if (!checkTableParams(currentTable, params, table)) return;
+
+  const runs = parseInt(document.getElementById('simulationRuns').value);
+  if (!(runs >= 1 && runs <= MAX_SIMULATION_RUNS)) {
+    alert(`Please enter a number of rolls between 1 and ${MAX_SIMULATION_RUNS.toLocaleString()}`);
+    return;
+  }
+  const seedElement = document.getElementById('simulationSeed');
+  const seed = (seedElement && seedElement.value.trim()) || generateRngSeed();
+
+  const request = { tableId: currentTable, params, seed, runs, tables };
+  const handlers = {
+    progress: done => renderSimulationProgress(done, runs),
+    done: summary => {
+      simulationSummary = summary;
+      finishSimulation(renderSimulationSummary(summary, table));
+    },
+    error: message => finishSimulation(`<div class="empty-results">Simulation failed: ${escapeHtml(message)}</div>`)
+  };
+
+  simulationSummary = null;
+  document.getElementById('simulationRunButton').textContent = 'Stop';
+  document.getElementById('simulationExportButton').disabled = true;
+  renderSimulationProgress(0, runs);
+
+  try {
+    runningSimulation = typeof Worker === 'function' && UI_CONTROLLER_URL
+      ? runSimulationInWorker(request, handlers)
+      : runSimulationOnPage(request, handlers);
+  } catch (error) {
+    // file:// pages may not start workers at all
+    runningSimulation = runSimulationOnPage(request, handlers);
+  }
+}
+
+/**
+ * End the running simulation and show its outcome
+ * @param {string} html - Panel contents
+ */
+function finishSimulation(html) {
+  runningSimulation = null;
+  document.getElementById('simulationRunButton').textContent = 'Simulate';
+  document.getElementById('simulationExportButton').disabled = !simulationSummary;
+  document.getElementById('simulationPanel').innerHTML = html;
+}
+
+/**
+ * Show how far the simulation has got
+ */
+function renderSimulationProgress(done, runs) {
+  document.getElementById('simulationPanel').innerHTML = `
+    <div class="empty-results">Simulating... ${done.toLocaleString()} of ${runs.toLocaleString()} rolls</div>
+    ${renderSimulationBar(done / runs)}`;
+}
+
+/**
+ * A horizontal bar for a share (0-1)
+ */
+function renderSimulationBar(share) {
+  return `<div style="background-color: #2a3a2a; border-radius: 3px; height: 12px; min-width: 120px;">
+      <div style="background-color: #8a9a6a; border-radius: 3px; height: 12px; width: ${Math.round(share * 1000) / 10}%;"></div>
+    </div>`;
+}
+
+/**
+ * A bar chart: one row per item with its label, bar and figures
+ * @param {Array<{label: string, share: number, detail: string}>} rows
+ */
+function renderSimulationChart(rows) {
+  const largest = Math.max(...rows.map(row => row.share), 0);
+  return `
+      <table style="width: 100%; margin-bottom: 12px; border-collapse: collapse;">${rows.map(row => `
+        <tr>
+          <td style="padding: 2px 12px 2px 0; white-space: nowrap;">${escapeHtml(row.label)}</td>
+          <td style="padding: 2px 12px 2px 0; width: 100%;">${renderSimulationBar(largest > 0 ? row.share / largest : 0)}</td>
+          <td style="padding: 2px 0; text-align: right; white-space: nowrap;">${formatProbability(row.share)} <span style="color: #888;">(${row.detail})</span></td>
+        </tr>`).join('')}
+      </table>`;
+}
+
+/**
+ * Charts and figures of a simulation summary
+ * @param {object} summary - BatchSimulator.summarize() result
+ * @param {object} table - Table data
+ * @returns {string} Panel HTML
+ */
+function renderSimulationSummary(summary, table) {
+  const paramText = TableRegistry.describeParams(summary.tableId, summary.params, table);
+  const raids = summary.runs - summary.errors.reduce((total, error) => total + error.count, 0);
+  const { guidedBombs, splitSead } = summary;
+
+  let html = `
+      <div style="margin-bottom: 12px; color: #b4c4b4;">
+        Table ${escapeHtml(summary.tableId)}${paramText ? ` (${escapeHtml(paramText)})` : ''}:
+        ${summary.runs.toLocaleString()} rolls from seed ${escapeHtml(summary.seed)} —
+        ${summary.averageFlights.toFixed(1)} flights and ${summary.averageAircraft.toFixed(1)} aircraft per raid
+      </div>`;
+
+  if (summary.errors.length > 0) {
+    html += `
+      <div class="section-title" style="font-size: 14px;">Errors</div>
+      ${renderSimulationChart(summary.errors.map(error => ({
+        label: error.message,
+        share: error.count / summary.runs,
+        detail: `${error.count.toLocaleString()} rolls`
+      })))}`;
+  }
+
+  if (raids > 0) {
+    html += `
+      <div class="section-title" style="font-size: 14px;">Aircraft Types (share of flights)</div>
+      ${renderSimulationChart(summary.aircraftTypes.map(type => ({
+        label: `${type.nationality} ${type.aircraftType}`.trim(),
+        share: type.share,
+        detail: `${type.flights.toLocaleString()} flights, ${type.aircraft.toLocaleString()} aircraft`
+      })))}
+      <div class="section-title" style="font-size: 14px;">Package Size (aircraft per raid)</div>
+      ${renderSimulationChart(summary.packageSizes.map(size => ({
+        label: `${size.aircraft} aircraft`,
+        share: size.share,
+        detail: `${size.raids.toLocaleString()} raids`
+      })))}
+      <div class="section-title" style="font-size: 14px;">Ordnance and SEAD</div>
+      ${renderSimulationChart([
+        {
+          label: 'LGB/EOGB (flights with ordnance)',
+          share: guidedBombs.share,
+          detail: `${guidedBombs.flights.toLocaleString()} of ${guidedBombs.ordnanceFlights.toLocaleString()}`
+        },
+        {
+          label: 'Split F-4G SEAD pair (raids)',
+          share: splitSead.share,
+          detail: `${splitSead.raids.toLocaleString()} of ${raids.toLocaleString()}; ${splitSead.seadRaids.toLocaleString()} with SEAD`
+        }
+      ])}`;
+  }
+
+  return html;
+}
+
+/**
+ * Export the last simulation summary as a CSV file
+ */
+function exportSimulation() {
+  if (!simulationSummary) {
+    alert('Run a simulation first');
+    return;
+  }
+  downloadText(
+    BatchSimulator.toCsv(simulationSummary),
+    `simulation-${simulationSummary.tableId}-${simulationSummary.seed}.csv`,
+    'text/csv'
+  );
+}
+
+/**
+ * Render the table buttons for a module from the table registry
+ * @param {string} module - Module identifier (e.g., 'red-storm')
+ */
+function renderTableButtons(module) {
+  const grids = [
+    { faction: 'NATO', gridId: 'natoTableGrid', buttonClass: 'nato-table' },
+    { faction: 'WP', gridId: 'wpTableGrid', buttonClass: 'warsaw-table' }
+  ];
   
-  container.innerHTML = resultsHTML;
+  grids.forEach(({ faction, gridId, buttonClass }) => {
+    const grid = document.getElementById(gridId);
+    if (!grid) return;
+    
+    grid.innerHTML = '';
+    TableRegistry.list({ module, faction }).forEach(entry => {
+      const button = document.createElement('button');
+      button.className = `table-button ${buttonClass}`;
+      button.dataset.tableId = entry.id;
+      button.textContent = entry.id;
+      button.addEventListener('click', () => selectTable(entry.id, entry.faction));
+      grid.appendChild(button);
+    });
+  });
 }
 
 /**
- * Handle mission type change for Table F and L
+ * Show the parameter inputs a table needs (from the table registry),
+ * filling each select with the table's options and label
+ * @param {string} tableId - Table identifier
+ * @param {object} table - Table data
+ * @returns {boolean} True if the table has any parameter inputs
  */
-function handleMissionTypeChange() {
-  const missionType = document.getElementById('missionType').value;
-  const tacticalReconNationSelection = document.getElementById('tacticalReconNationSelection');
+function renderTableParameters(tableId, table) {
+  // Hide every parameter input first
+  Object.values(TableRegistry.PARAMETERS).forEach(({ section }) => {
+    const sectionElement = section ? document.getElementById(section) : null;
+    if (sectionElement) sectionElement.style.display = 'none';
+  });
   
-  // Get current state
-  const state = getAppState();
-  const selectedTable = state.selectedTable;
+  const inputs = TableRegistry.getParams(tableId).filter(param => TableRegistry.PARAMETERS[param.name].element);
   
-  // Show nation selection only for WP Table L Tactical Recon
-  if (selectedTable === 'L' && missionType === 'Tactical Recon') {
-    tacticalReconNationSelection.style.display = 'flex';
-  } else {
-    tacticalReconNationSelection.style.display = 'none';
-  }
+  inputs.forEach(param => {
+    const { element, section } = TableRegistry.PARAMETERS[param.name];
+    const select = document.getElementById(element);
+    const sectionElement = document.getElementById(section);
+    if (!select || !sectionElement) return;
+    
+    select.innerHTML = '';
+    TableRegistry.getOptions(param, table).forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.onchange = updateParameterVisibility;
+    
+    const label = sectionElement.querySelector('label');
+    if (label) label.textContent = `${param.label}:`;
+  });
+  
+  updateParameterVisibility();
+  return inputs.length > 0;
+}
+
+/**
+ * Show or hide conditional parameter inputs (e.g. Table L Tactical Recon
+ * nation, Table E2 FRG hex type) for the current selections
+ */
+function updateParameterVisibility() {
+  const tableId = getSelectedTable();
+  if (!tableId) return;
+  
+  const values = collectTableParams(tableId);
+  TableRegistry.getParams(tableId).forEach(param => {
+    const { section } = TableRegistry.PARAMETERS[param.name];
+    const sectionElement = section ? document.getElementById(section) : null;
+    if (sectionElement) {
+      sectionElement.style.display = TableRegistry.isParamActive(param, values) ? 'flex' : 'none';
+    }
+  });
+}
+
+/**
+ * Read the processor parameters for a table from the UI: the global
+ * scenario date and the registry's parameter inputs. Conditional
+ * parameters are only included when their condition holds.
+ * @param {string} tableId - Table identifier
+ * @returns {object} Processor parameters, e.g. { atafZone: '2ATAF', scenarioDate: 'pre' }
+ */
+function collectTableParams(tableId) {
+  const params = {};
+  
+  TableRegistry.getParams(tableId).forEach(param => {
+    if (!TableRegistry.isParamActive(param, params)) return;
+    
+    let value = null;
+    if (param.name === 'scenarioDate') {
+      value = getScenarioDate();
+    } else {
+      const element = document.getElementById(TableRegistry.PARAMETERS[param.name].element);
+      value = element ? element.value : null;
+    }
+    
+    if (value !== null && value !== undefined && value !== '') {
+      params[param.name] = value;
+    }
+  });
+  
+  return params;
 }
 
 /**
@@ -155,7 +1658,119 @@ function closeModalOnOverlayClick(event) {
 }
 
 /**
- * Make rolls with variables (ATAF zone, nationality, or mission type)
+ * Read the seed input for a roll section, generating a seed if it is empty.
+ * Each roll in a batch gets its own derived seed ("abc", "abc-2", "abc-3"...)
+ * so any single result can be regenerated from its displayed seed alone.
+ * In manual dice mode there is nothing to seed, so every entry is null.
+ * @param {string} inputId - ID of the seed input element
+ * @param {number} rollCount - Number of rolls in the batch
+ * @returns {Array<string|null>} One seed per roll
+ */
+function getRollSeeds(inputId, rollCount) {
+  if (getDiceSource() === 'manual') {
+    return new Array(rollCount).fill(null);
+  }
+  
+  const seedElement = document.getElementById(inputId);
+  const entered = seedElement && seedElement.value ? seedElement.value.trim() : '';
+  return deriveRollSeeds(entered || generateRngSeed(), rollCount);
+}
+
+/**
+ * Check parameters against the table's schema before rolling, telling the
+ * player what is missing or wrong (e.g. no scenario date selected)
+ * @param {string} tableId - Table identifier
+ * @param {object} params - Parameters from collectTableParams()
+ * @param {object} table - Table data
+ * @returns {boolean} True if the parameters are valid
+ */
+function checkTableParams(tableId, params, table) {
+  const errors = TableRegistry.validateParams(tableId, params, table);
+  if (errors.length === 0) return true;
+  
+  if (errors.some(error => error.param === 'scenarioDate' && error.code === 'required')) {
+    alert('Please select a scenario date first.');
+  } else {
+    alert(errors.map(error => error.message).join('\n'));
+  }
+  return false;
+}
+
+/**
+ * Build the result entry stored in the app state: the canonical table
+ * result (ResultSchema) plus how it was rolled
+ * @param {string} tableId - Table identifier
+ * @param {object} table - Table data
+ * @param {object} params - Parameters the table was rolled with
+ * @param {object} result - Canonical result from the table processor factory
+ * @param {string|null} seed - RNG seed the roll used
+ * @param {number} index - Position in the batch (keeps ids and timestamps unique)
+ * @returns {object} Result entry
+ */
+function createResultEntry(tableId, table, params, result, seed, index) {
+  return {
+    ...result,
+    id: Date.now() + index,
+    table: tableId,
+    tableName: table.name,
+    params: params,
+    scenarioDate: params.scenarioDate,
+    timestamp: new Date().getTime() + index,
+    seed: seed,
+    diceSource: getDiceSource(),
+    rollJournal: result.rollJournal || []
+  };
+}
+
+/**
+ * Undo step label for a batch of rolls, e.g. "3 rolls on Table C"
+ */
+function rollBatchLabel(tableId, rollCount) {
+  return `${rollCount} ${rollCount === 1 ? 'roll' : 'rolls'} on Table ${tableId}`;
+}
+
+/**
+ * Enable the Undo/Redo buttons and show what they would do
+ */
+function updateHistoryButtons() {
+  const history = getHistoryState();
+  const buttons = [
+    ['undoButton', history.undoLabel, 'Undo'],
+    ['redoButton', history.redoLabel, 'Redo'],
+  ];
+  
+  for (const [id, label, action] of buttons) {
+    const button = document.getElementById(id);
+    if (!button) continue;
+    button.disabled = !label;
+    button.title = label ? `${action}: ${label}` : `Nothing to ${action.toLowerCase()}`;
+  }
+}
+
+/**
+ * Ctrl+Z undoes, Ctrl+Shift+Z / Ctrl+Y redoes (except while typing in a field)
+ */
+function handleHistoryShortcut(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+  const target = event.target;
+  if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+  
+  const key = event.key.toLowerCase();
+  if (key === 'z' && !event.shiftKey) {
+    event.preventDefault();
+    undo();
+  } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+    event.preventDefault();
+    redo();
+  }
+}
+
+if (typeof document !== 'undefined' && document.addEventListener) {
+  document.addEventListener('keydown', handleHistoryShortcut);
+}
+
+/**
+ * Make rolls for a table with parameter inputs (ATAF zone, nationality, mission type...)
  */
 function makeRollsWithVariables() {
   const currentTable = getSelectedTable();
@@ -182,88 +1797,29 @@ function makeRollsWithVariables() {
     return;
   }
   
-  // Get variable selections with null checks
-  let atafZone = null;
-  let crewNationality = null;
-  let selectedMissionType = null;
-  let tacticalReconNation = null;
-  
-  if (table.hasATAF) {
-    const atafElement = document.getElementById('atafZone');
-    atafZone = atafElement ? atafElement.value : null;
-  } else if (table.hasNationality) {
-    const nationalityElement = document.getElementById('crewNationality');
-    crewNationality = nationalityElement ? nationalityElement.value : null;
-    
-    // For Baltic Approaches E2 with FRG nationality, include hex type
-    if (currentTable === 'E2' && crewNationality === 'FRG') {
-      const hexTypeElement = document.getElementById('hexType');
-      const hexType = hexTypeElement ? hexTypeElement.value : 'land';
-      atafZone = `${crewNationality}:${hexType}`;
-    } else {
-      // Use nationality as atafZone parameter for simplicity
-      atafZone = crewNationality;
-    }
-  } else if (table.hasMissionType) {
-    const missionElement = document.getElementById('missionType');
-    selectedMissionType = missionElement ? missionElement.value : null;
-    
-    // For Table L Tactical Recon, get the selected nation
-    if (currentTable === 'L' && selectedMissionType === 'Tactical Recon') {
-      const tacticalElement = document.getElementById('tacticalReconNation');
-      tacticalReconNation = tacticalElement ? tacticalElement.value : null;
-      // Pass mission type and nation as a combined parameter
-      atafZone = `${selectedMissionType}|${tacticalReconNation}`;
-    } else {
-      // Use mission type as atafZone parameter for simplicity
-      atafZone = selectedMissionType;
-    }
-  }
+  const params = collectTableParams(currentTable);
+  if (!checkTableParams(currentTable, params, table)) return;
   
-  // Use global scenario date instead of dropdown
-  const currentScenarioDate = getScenarioDate();
+  const seeds = getRollSeeds('rngSeedVariable', rollCount);
+  resetManualRollCancelled();
   
-  for (let i = 0; i < rollCount; i++) {
-    const result = getTableResultWithVariables(currentTable, atafZone, currentScenarioDate);
-    
-    const resultEntry = {
-      id: Date.now() + i, // Use timestamp + index for unique ID
-      table: currentTable,
-      faction: getSelectedFaction(),
-      tableName: table.name,
-      atafZone: atafZone,
-      scenarioDate: scenarioDate,
-      nationRoll: result.nationRoll,
-      aircraftRoll: result.aircraftRoll,
-      nationName: result.nationName,
-      result: result.text,
-      aircraftType: result.aircraftType,
-      aircraftId: result.aircraftId,
-      flightSize: result.flightSize,
-      flightCount: result.flightCount,
-      tasking: result.tasking,
-      ordnance: result.ordnance,
-      nationCode: result.nationCode,
-      sourceTable: result.sourceTable,
-      debugText: result.debugText || result.debugInfo?.join(' | ') || '', // Handle both debugText and legacy debugInfo
-      timestamp: new Date().getTime() + i, // Ensure unique timestamps
-      // Preserve structured data from table processors (WPTableI2, D3, J3, etc.)
-      taskings: result.taskings,
-      flights: result.flights,
-      nationality: result.nationality
-    };
-    
-    console.log('[UI CONTROLLER] Storing result entry:', resultEntry);
-    console.log('[UI CONTROLLER] Result has flights array:', !!result.flights, 'Count:', result.flights?.length);
-    if (result.flights) {
-      result.flights.forEach((f, idx) => {
-        console.log(`[UI CONTROLLER] Flight ${idx}: nationality=${f.nationality}, aircraft=${f.aircraftType}`);
-      });
+  // The whole batch is one undo step
+  recordChange(rollBatchLabel(currentTable, rollCount), () => {
+    for (let i = 0; i < rollCount; i++) {
+      setRngSeed(seeds[i]);
+      const result = getTableResultWithVariables(currentTable, params);
+      
+      // Player cancelled a physical dice prompt - stop the batch without a partial result
+      if (isManualRollCancelled()) break;
+      
+      const resultEntry = createResultEntry(currentTable, table, params, result, seeds[i], i);
+      console.log('[UI CONTROLLER] Storing result entry:', resultEntry);
+      
+      addResult(resultEntry);
     }
-    
-    addResult(resultEntry);
-  }
+  });
   
+  setRngSeed(null);
   updateResultsDisplay();
   updateDateButtonStates(); // Update button states
 }
@@ -281,62 +1837,35 @@ function makeRolls() {
     return;
   }
 
-  // Check if Table C or D and scenario date is required
-  const currentScenarioDate = getScenarioDate();
-  if ((currentTable === 'C' || currentTable === 'D') && currentTable !== 'D' && !currentScenarioDate) {
-    alert('Please select a scenario date first.');
-    return;
-  }
-
   const dataSource = getTableDataSource();
   const table = dataSource[currentTable];
+  const params = collectTableParams(currentTable);
+  if (!checkTableParams(currentTable, params, table)) return;
   
-  for (let i = 0; i < rollCount; i++) {
-    let result;
-    console.log(`Making roll ${i+1} for table ${currentTable}`);
-    
-    // All tables now use getTableResultWithVariables through processor architecture
-    if (currentTable === 'C') {
-      result = getTableResultWithVariables(currentTable, null, currentScenarioDate);
-    } else if (currentTable === 'D' || currentTable === 'G' || currentTable === 'H' || currentTable === 'I' || currentTable === 'J') {
-      console.log(`Routing ${currentTable} to getTableResultWithVariables`);
-      result = getTableResultWithVariables(currentTable, null, null);
-    } else {
-      result = getTableResultWithVariables(currentTable, null, null);
+  const seeds = getRollSeeds('rngSeedBasic', rollCount);
+  resetManualRollCancelled();
+  
+  // The whole batch is one undo step
+  recordChange(rollBatchLabel(currentTable, rollCount), () => {
+    for (let i = 0; i < rollCount; i++) {
+      setRngSeed(seeds[i]);
+      console.log(`Making roll ${i+1} for table ${currentTable}`);
+      
+      const result = getTableResultWithVariables(currentTable, params);
+      
+      // Player cancelled a physical dice prompt - stop the batch without a partial result
+      if (isManualRollCancelled()) break;
+      
+      console.log(`Result for ${currentTable}:`, result);
+      
+      const resultEntry = createResultEntry(currentTable, table, params, result, seeds[i], i);
+      console.log(`Result entry for display:`, resultEntry);
+      
+      addResult(resultEntry);
     }
-    
-    console.log(`Result for ${currentTable}:`, result);
-    
-    const resultEntry = {
-      id: Date.now() + Math.random(), // Use timestamp + random for unique ID
-      table: currentTable,
-      faction: getSelectedFaction(),
-      tableName: table.name,
-      nationRoll: result.nationRoll,
-      aircraftRoll: result.aircraftRoll,
-      result: result.text,
-      aircraftType: result.aircraftType,
-      aircraftId: result.aircraftId,
-      flightSize: result.flightSize,
-      flightCount: result.flightCount,
-      tasking: result.tasking,
-      ordnance: result.ordnance,
-      nationCode: result.nationCode,
-      sourceTable: result.sourceTable,
-      debugText: result.debugText || result.debugInfo?.join(' | ') || '', // Handle both debugText and legacy debugInfo
-      scenarioDate: currentTable === 'C' ? currentScenarioDate : undefined,
-      timestamp: new Date().getTime() + i, // Ensure unique timestamps
-      // Preserve structured data from table processors (WPTableI2, D3, J3, etc.)
-      taskings: result.taskings,
-      flights: result.flights,
-      nationality: result.nationality
-    };
-    
-    console.log(`Result entry for display:`, resultEntry);
-    
-    addResult(resultEntry);
-  }
+  });
   
+  setRngSeed(null);
   updateResultsDisplay();
   updateDateButtonStates(); // Update button states
   // Keep parameter box visible - don't call cancelSelection()
@@ -344,10 +1873,53 @@ function makeRolls() {
 
 // Make functions globally available for onclick handlers
 window.updateResultsDisplay = updateResultsDisplay;
-window.handleMissionTypeChange = handleMissionTypeChange;
+window.formatJournalEntry = formatJournalEntry;
+window.rerollResultTasking = rerollResultTasking;
+window.rerollFlightOrdnance = rerollFlightOrdnance;
+window.openFlightEditor = openFlightEditor;
+window.closeFlightEditor = closeFlightEditor;
+window.refreshEditAircraft = refreshEditAircraft;
+window.saveFlightEdit = saveFlightEdit;
+window.revertFlightEdit = revertFlightEdit;
+window.exportRollJournal = exportRollJournal;
+window.exportSession = exportSession;
+window.openSessionImport = openSessionImport;
+window.importSession = importSession;
+window.restoreAutosave = restoreAutosave;
+window.renderSavedSessions = renderSavedSessions;
+window.saveNamedSession = saveNamedSession;
+window.loadNamedSession = loadNamedSession;
+window.renameNamedSession = renameNamedSession;
+window.deleteNamedSession = deleteNamedSession;
+window.restoreCampaign = restoreCampaign;
+window.startCampaign = startCampaign;
+window.recordCampaignRaids = recordCampaignRaids;
+window.nextCampaignDay = nextCampaignDay;
+window.updateCampaignLosses = updateCampaignLosses;
+window.removeCampaignRaid = removeCampaignRaid;
+window.exportCampaign = exportCampaign;
+window.openCampaignImport = openCampaignImport;
+window.importCampaign = importCampaign;
+window.endCampaign = endCampaign;
+window.renderCampaign = renderCampaign;
+window.viewOutcomeProbabilities = viewOutcomeProbabilities;
+window.showPrintPreview = showPrintPreview;
+window.confirmPrintPreview = confirmPrintPreview;
+window.downloadFlightSheetPdf = downloadFlightSheetPdf;
+window.downloadTabletopSetup = downloadTabletopSetup;
+window.selectPrintLayout = selectPrintLayout;
+window.selectRaidSummaries = selectRaidSummaries;
+window.editPreviewFlight = editPreviewFlight;
+window.runSimulation = runSimulation;
+window.exportSimulation = exportSimulation;
+window.renderTableButtons = renderTableButtons;
+window.renderTableParameters = renderTableParameters;
+window.updateParameterVisibility = updateParameterVisibility;
+window.collectTableParams = collectTableParams;
 window.hideTableView = hideTableView;
 window.closeModalOnOverlayClick = closeModalOnOverlayClick;
 window.makeRolls = makeRolls;
+window.updateHistoryButtons = updateHistoryButtons;
 window.makeRollsWithVariables = makeRollsWithVariables;
 
 console.log('OOB Generator: ui-controller.js module loaded (Phase 4 - Component Extraction)');
@@ -0,0 +1,290 @@
+/**
+ * Outcome Probability Calculator Tests
+ * =====================================
+ *
+ * PRIORITY: MEDIUM — Validates the exact odds shown by the "Odds" button.
+ *
+ * ProbabilityCalculator walks the table data analytically instead of
+ * sampling. These tests check it against the processors themselves:
+ * every combination of the first three d10 rolls is fed through
+ * process() with mocked rolls, and the tallied outcomes must match the
+ * calculated probabilities exactly.
+ *
+ * Mock strategy:
+ *   Math.random() is mocked to return (roll - 1) / 10 for each roll in
+ *   the sequence; later rolls (ordnance etc.) fall back to 5. Enumerating
+ *   nation × aircraft × sub-roll gives every path equal weight (1/1000),
+ *   so tables without a sub-roll are still counted exactly.
+ *
+ * Baltic Approaches tables are also checked with the ordinal dates (1-3)
+ * of the page's date buttons.
+ *
+ * Test characteristics:
+ *   - Deterministic (no statistical tolerance)
+ *   - Fast (~1000 process() calls per table)
+ */
+
+require('../setup/load-processors');
+const { loadRSNatoTables, loadRSWPTables, loadBANatoTables, loadBAWPTables } = require('../helpers/table-data-loader');
+
+function mockRollSequence(rollValues) {
+    let callIndex = 0;
+    jest.spyOn(Math, 'random').mockImplementation(() => {
+        const roll = callIndex < rollValues.length ? rollValues[callIndex] : 5;
+        callIndex++;
+        return (roll - 1) / 10;
+    });
+}
+
+/**
+ * Run a processor over all 1000 combinations of the first three rolls and
+ * tally nation/aircraft outcomes.
+ *
+ * @param {function} runOnce - Returns the rolled flight ({ nationality, aircraftType, ... })
+ * @returns {Map<string, number>} "nation|aircraft" → probability
+ */
+function enumerateOutcomes(runOnce) {
+    const tally = new Map();
+    for (let r1 = 1; r1 <= 10; r1++) {
+        for (let r2 = 1; r2 <= 10; r2++) {
+            for (let r3 = 1; r3 <= 10; r3++) {
+                mockRollSequence([r1, r2, r3]);
+                const { nationality, aircraftType } = runOnce();
+                jest.restoreAllMocks();
+                const key = `${nationality}|${aircraftType}`;
+                tally.set(key, (tally.get(key) || 0) + 1 / 1000);
+            }
+        }
+    }
+    return tally;
+}
+
+function expectMatchesEnumeration(group, tally) {
+    const calculated = new Map(group.outcomes.map(o => [`${o.nation}|${o.aircraftType}`, o.probability]));
+    expect([...calculated.keys()].sort()).toEqual([...tally.keys()].sort());
+    for (const [key, probability] of tally) {
+        expect(calculated.get(key)).toBeCloseTo(probability, 10);
+    }
+}
+
+function totalProbability(group) {
+    return group.outcomes.reduce((sum, o) => sum + o.probability, 0);
+}
+
+describe('Outcome Probability Calculator', () => {
+    let rsNato, rsWP, baNato, baWP;
+
+    beforeAll(() => {
+        rsNato = loadRSNatoTables();
+        rsWP = loadRSWPTables();
+        baNato = loadBANatoTables();
+        baWP = loadBAWPTables();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('Matches exhaustive processor enumeration', () => {
+        test('Table G — nation × aircraft', () => {
+            const processor = new DeclarativeTableProcessor('G', rsWP['G']);
+            const odds = ProbabilityCalculator.calculate(processor, {});
+            const tally = enumerateOutcomes(() => processor.process({}).flights[0]);
+
+            expect(odds.groups).toHaveLength(1);
+            expectMatchesEnumeration(odds.groups[0], tally);
+        });
+
+        test('Table H — nation × aircraft × variant sub-roll', () => {
+            const processor = new DeclarativeTableProcessor('H', rsWP['H']);
+            const odds = ProbabilityCalculator.calculate(processor, {});
+            const tally = enumerateOutcomes(() => processor.process({}).flights[0]);
+
+            expectMatchesEnumeration(odds.groups[0], tally);
+        });
+
+        test('Table A — every ATAF zone and date', () => {
+            const processor = new DeclarativeTableProcessor('A', rsNato['A']);
+            for (const atafZone of ['2ATAF', '4ATAF']) {
+                for (const scenarioDate of ['pre', 'post']) {
+                    const params = { atafZone, scenarioDate };
+                    const odds = ProbabilityCalculator.calculate(processor, params);
+                    const tally = enumerateOutcomes(() => processor.process(params).flights[0]);
+
+                    expectMatchesEnumeration(odds.groups[0], tally);
+                }
+            }
+        });
+
+        test('Table C Bombing — composite nations and variant sub-rolls', () => {
+            const processor = new DeclarativeTableProcessor('C', rsNato['C']);
+            for (const scenarioDate of ['pre', 'post']) {
+                const odds = ProbabilityCalculator.calculate(processor, { scenarioDate, tasking: 'Bombing' });
+                const tally = enumerateOutcomes(() => {
+                    const result = processor.processTasking('Bombing', { scenarioDate: scenarioDate });
+                    return Array.isArray(result) ? result[0] : result;
+                });
+
+                expect(odds.groups.map(g => g.label)).toEqual(['Bombing']);
+                expectMatchesEnumeration(odds.groups[0], tally);
+            }
+        });
+    });
+
+    describe('Table coverage', () => {
+        const cases = [
+            ['RS NATO', 'A', () => rsNato, { atafZone: '4ATAF', scenarioDate: 'post' }],
+            ['RS NATO', 'B', () => rsNato, { atafZone: '2ATAF', scenarioDate: 'pre' }],
+            ['RS NATO', 'C', () => rsNato, { scenarioDate: 'post' }],
+            ['RS NATO', 'D', () => rsNato, {}],
+            ['RS NATO', 'E', () => rsNato, { nationality: 'CAN' }],
+            ['RS NATO', 'F', () => rsNato, { missionType: 'Fast FAC' }],
+            ['RS WP', 'I', () => rsWP, {}],
+            ['RS WP', 'J', () => rsWP, {}],
+            ['RS WP', 'K', () => rsWP, { nationality: 'GDR' }],
+            ['RS WP', 'L', () => rsWP, { missionType: 'Tactical Recon', tacticalReconNation: 'USSR' }],
+            ['BA NATO', 'A2', () => baNato, { scenarioDate: '15-20 May' }],
+            ['BA NATO', 'C2', () => baNato, { scenarioDate: '1-15 June' }],
+            ['BA NATO', 'D2', () => baNato, {}],
+            ['BA NATO', 'E2', () => baNato, { nationality: 'FRG', hexType: 'sea' }],
+            ['BA NATO', 'F2', () => baNato, {}],
+            ['BA WP', 'G2', () => baWP, { scenarioDate: '21-31 May' }],
+            ['BA WP', 'H2', () => baWP, { scenarioDate: '15-31 May' }],
+            ['BA WP', 'I2', () => baWP, {}],
+            ['BA WP', 'J2', () => baWP, {}],
+            ['BA WP', 'J3', () => baWP, {}],
+            ['BA WP', 'K2', () => baWP, { hexType: 'sea' }],
+            ['BA WP', 'L2', () => baWP, { missionType: 'Standoff Jamming' }],
+        ];
+
+        test.each(cases)('%s Table %s — every group sums to 100%%', (_, tableId, getTables, params) => {
+            const tableData = getTables()[tableId];
+            const processor = new DeclarativeTableProcessor(tableId, tableData);
+            const odds = ProbabilityCalculator.calculate(processor, params);
+
+            expect(odds.error).toBeUndefined();
+            expect(odds.groups.length).toBeGreaterThan(0);
+            for (const group of odds.groups) {
+                expect(totalProbability(group)).toBeCloseTo(1, 10);
+            }
+            if (odds.nationality) {
+                expect(odds.nationality.reduce((sum, n) => sum + n.probability, 0)).toBeCloseTo(1, 10);
+            }
+        });
+
+        test.each(['15-31 May', '1-15 June'])('D3 %s — every group sums to 100%%, missing flights as "No flight"', (scenarioDate) => {
+            const processor = new DeclarativeTableProcessor('D3', baNato['D3']);
+            const odds = ProbabilityCalculator.calculate(processor, { scenarioDate });
+
+            expect(odds.error).toBeUndefined();
+            expect(odds.nationality.reduce((sum, n) => sum + n.probability, 0)).toBeCloseTo(1, 10);
+            for (const group of odds.groups) {
+                expect(totalProbability(group)).toBeCloseTo(1, 10);
+            }
+        });
+
+        test('D3 — Escort Jamming flies with the USAF package only', () => {
+            const processor = new DeclarativeTableProcessor('D3', baNato['D3']);
+            const odds = ProbabilityCalculator.calculate(processor, { scenarioDate: '15-31 May' });
+            const jamming = odds.groups.find(group => group.label === 'Escort Jamming');
+
+            expect(jamming.outcomes).toEqual([
+                { nation: null, aircraftType: ProbabilityCalculator.NO_FLIGHT, aircraftId: null, probability: expect.closeTo(0.7, 10) },
+                { nation: 'US', aircraftType: 'EF-111A', aircraftId: 'US-EF-111A-1', probability: expect.closeTo(0.3, 10) },
+            ]);
+            expect(odds.groups.find(group => group.label === 'CAP').outcomes
+                .some(outcome => outcome.aircraftType === ProbabilityCalculator.NO_FLIGHT)).toBe(false);
+        });
+    });
+
+    describe('Baltic Approaches date buttons', () => {
+        // The page passes the ordinal dates (1-3) of its date buttons
+        const cases = [
+            ['A2', () => baNato, '15-20 May', '21-31 May', '1-15 June'],
+            ['B2', () => baNato, '15-20 May', '21-31 May', '1-15 June'],
+            ['C2', () => baNato, '15-20 May', '21-31 May', '1-15 June'],
+            ['D3', () => baNato, '15-31 May', '15-31 May', '1-15 June'],
+            ['G2', () => baWP, '15-20 May', '21-31 May', '1-15 June'],
+            ['H2', () => baWP, '15-31 May', '15-31 May', '1-15 June'],
+        ].flatMap(([tableId, getTables, ...dateRanges]) =>
+            dateRanges.map((dateRange, i) => [tableId, i + 1, dateRange, getTables]));
+
+        test.each(cases)('Table %s date %d has the odds of %s', (tableId, scenarioDate, dateRange, getTables) => {
+            const processor = new DeclarativeTableProcessor(tableId, getTables()[tableId]);
+            const odds = ProbabilityCalculator.calculate(processor, { scenarioDate });
+
+            expect(odds.error).toBeUndefined();
+            expect(odds.params).toEqual({ scenarioDate });
+            expect(odds.groups).toEqual(ProbabilityCalculator.calculate(processor, { scenarioDate: dateRange }).groups);
+        });
+
+        test('A date the table has no data for is still an error', () => {
+            const processor = new DeclarativeTableProcessor('A2', baNato['A2']);
+
+            expect(ProbabilityCalculator.calculate(processor, { scenarioDate: 4 }).error).toBe('No data for date "4"');
+        });
+    });
+
+    describe('Specific outcomes', () => {
+        test('Table C post SEAD reports the split F-4G/F-4E entry', () => {
+            const processor = new DeclarativeTableProcessor('C', rsNato['C']);
+            const odds = ProbabilityCalculator.calculate(processor, { scenarioDate: 'post', tasking: 'SEAD' });
+            const split = odds.groups[0].outcomes.find(o => o.aircraftType === 'F-4G/F-4E');
+
+            // US on 1-6, F-4G/F-4E on 4-8
+            expect(split.nation).toBe('US');
+            expect(split.probability).toBeCloseTo(0.6 * 0.5, 10);
+        });
+
+        test('Composite nations are resolved per aircraft', () => {
+            const processor = new DeclarativeTableProcessor('C', rsNato['C']);
+            const odds = ProbabilityCalculator.calculate(processor, { scenarioDate: 'post', tasking: 'SEAD' });
+            const nations = odds.groups[0].outcomes.map(o => o.nation);
+
+            expect(nations).toContain('NE');
+            expect(nations).toContain('CAN');
+            expect(nations).not.toContain('NE/CAN');
+        });
+
+        test('Rolled nationality matches the processor ranges', () => {
+            const processor = new DeclarativeTableProcessor('I', rsWP['I']);
+            const odds = ProbabilityCalculator.calculate(processor, {});
+
+            expect(odds.nationality).toEqual([
+                { nationality: 'USSR', probability: 0.8 },
+                { nationality: 'GDR', probability: 0.2 },
+            ]);
+        });
+
+        test('Outcomes are sorted by probability, highest first', () => {
+            const processor = new DeclarativeTableProcessor('H', rsWP['H']);
+            const odds = ProbabilityCalculator.calculate(processor, {});
+            const probabilities = odds.groups[0].outcomes.map(o => o.probability);
+
+            expect(probabilities).toEqual([...probabilities].sort((a, b) => b - a));
+        });
+    });
+
+    describe('Errors', () => {
+        test('Missing scenario date returns an error', () => {
+            const processor = new DeclarativeTableProcessor('C', rsNato['C']);
+            const odds = ProbabilityCalculator.calculate(processor, {});
+
+            expect(odds.error).toBe('Scenario date is required');
+        });
+
+        test('Unknown nationality returns an error', () => {
+            const processor = new DeclarativeTableProcessor('K', rsWP['K']);
+            const odds = ProbabilityCalculator.calculate(processor, { nationality: 'POL' });
+
+            expect(odds.error).toMatch(/Unknown nationality/);
+        });
+
+        test('Tactical Recon without a nation returns an error listing the nations', () => {
+            const processor = new DeclarativeTableProcessor('L', rsWP['L']);
+            const odds = ProbabilityCalculator.calculate(processor, { missionType: 'Tactical Recon' });
+
+            expect(odds.error).toMatch(/USSR/);
+        });
+    });
+});
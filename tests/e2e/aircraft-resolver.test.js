@@ -0,0 +1,245 @@
+/**
+ * Aircraft Resolver Tests — From Table Names to the Aircraft Database
+ * =====================================================================
+ *
+ * AircraftResolver.resolve() finds a flight's aircraft in the shared
+ * database by aircraftId, then the name mapping, the exact key and aliases,
+ * and splits types like "F-4G/F-4E" into their parts; it reports which tier
+ * matched. unresolvedNames() lists the table entry names that do not
+ * resolve. The print generator, the flight sheet designers and the aircraft
+ * reference all resolve aircraft through it.
+ *
+ * Tests:
+ *   1. Tiers: each tier on real table names, ID before name, WP nation
+ *      mappings
+ *   2. Split types
+ *   3. Rolled flights: every flight of every table resolves the same way
+ *      through the print generator, and by ID when it has one
+ *   4. Table report: the names the shared database is missing
+ *
+ * Mock strategy:
+ *   No mocks: the shared aircraft databases and name mapping, and the table
+ *   data of both modules. Small hand-made databases cover the edge cases.
+ */
+
+require('../setup/load-processors');
+const {
+    loadRSNatoTables,
+    loadRSWPTables,
+    loadBANatoTables,
+    loadBAWPTables,
+    loadPrintDataFiles,
+} = require('../helpers/table-data-loader');
+const { createPrintGenerator } = require('../helpers/print-fixtures');
+
+// ---------------------------------------------------------------------------
+//  Test utilities
+// ---------------------------------------------------------------------------
+
+const DATA_FILES = loadPrintDataFiles();
+
+const TABLES = {
+    'red-storm': { ...loadRSNatoTables(), ...loadRSWPTables() },
+    'baltic-approaches': { ...loadBANatoTables(), ...loadBAWPTables() },
+};
+
+function resolve(flight) {
+    return AircraftResolver.resolve(flight, DATA_FILES);
+}
+
+/**
+ * Every table with its registered parameter combinations (first option of
+ * each parameter, then each option of the first parameter)
+ */
+function tableRolls(module) {
+    return TableRegistry.list({ module }).filter(entry => TABLES[module][entry.id]).flatMap(entry => {
+        const tableData = TABLES[module][entry.id];
+        const options = entry.params.map(param => TableRegistry.getOptions(param, tableData).map(option => option.value));
+        if (options.length === 0 || options[0].length === 0) {
+            return [{ tableId: entry.id, params: {} }];
+        }
+        return options[0].map(first => {
+            const params = { [entry.params[0].name]: first };
+            entry.params.slice(1).forEach((param, i) => {
+                if (options[i + 1].length > 0) params[param.name] = options[i + 1][0];
+            });
+            return { tableId: entry.id, params };
+        });
+    });
+}
+
+describe('Aircraft resolver', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    // =====================================================================
+    //  1. Tiers
+    // =====================================================================
+
+    describe('Tiers', () => {
+        test('A known aircraft ID wins over the name', () => {
+            const resolved = resolve({ faction: 'NATO', aircraftType: 'F-15C', aircraftId: 'US-A-10A-1' });
+
+            expect(resolved).toMatchObject({ tier: 'id', key: 'A-10A', aircraftId: 'US-A-10A-1', parts: null });
+            expect(resolved.data).toBe(DATA_FILES.aircraftNATO['A-10A']);
+        });
+
+        test('Table shorthand resolves through the name mapping', () => {
+            const resolved = resolve({ faction: 'NATO', aircraftType: 'Torn GR1' });
+
+            expect(resolved.tier).toBe('name-mapping');
+            expect(DATA_FILES.aircraftNATO[resolved.key].id).toBe(resolved.aircraftId);
+        });
+
+        test('WP names are mapped per nation first', () => {
+            const ussr = resolve({ faction: 'WP', nationality: 'USSR', aircraftType: 'MiG-21bis' });
+            const gdr = resolve({ faction: 'WP', nationality: 'GDR', aircraftType: 'MiG-21bis' });
+
+            expect(ussr).toMatchObject({ tier: 'name-mapping', aircraftId: 'USSR-MIG-21BISN-1' });
+            expect(gdr).toMatchObject({ tier: 'name-mapping', aircraftId: 'GDR-MIG-21BISL-1' });
+        });
+
+        test('Exact keys and aliases', () => {
+            const aircraftNATO = {
+                _comment: 'test database',
+                'Jaguar GR.1A': { id: 'UK-JAGUAR-1', aliases: ['Jag'] },
+                Lightning: { id: 'UK-LIGHTNING-1' },
+            };
+            const data = { aircraftNATO, aircraftWP: {}, nameMapping: null };
+
+            expect(AircraftResolver.resolve({ aircraftType: ' Lightning ' }, data))
+                .toMatchObject({ tier: 'exact', key: 'Lightning', aircraftType: 'Lightning', aircraftId: 'UK-LIGHTNING-1' });
+            expect(AircraftResolver.resolve({ aircraftType: 'Jag' }, data))
+                .toMatchObject({ tier: 'alias', key: 'Jaguar GR.1A', aircraftType: 'Jag', aircraftId: 'UK-JAGUAR-1' });
+            expect(AircraftResolver.resolve({ aircraftType: '_comment' }, data).tier).toBeNull();
+        });
+
+        test('An unknown ID falls back to the name and keeps the entry\'s ID', () => {
+            const resolved = resolve({ faction: 'NATO', aircraftType: 'A-10A', aircraftId: 'US-A-10Z-9' });
+
+            expect(resolved).toMatchObject({ tier: 'name-mapping', key: 'A-10A', aircraftId: 'US-A-10A-1' });
+        });
+
+        test('Not found: no tier, the flight\'s name and ID', () => {
+            expect(resolve({ faction: 'WP', aircraftType: 'MiG-99', aircraftId: 'USSR-MIG-99-1' })).toEqual({
+                tier: null,
+                aircraftType: 'MiG-99',
+                aircraftId: 'USSR-MIG-99-1',
+                key: null,
+                data: null,
+                parts: null,
+            });
+        });
+    });
+
+    // =====================================================================
+    //  2. Split types
+    // =====================================================================
+
+    describe('Split types', () => {
+        test('A split SEAD type resolves to both aircraft', () => {
+            const resolved = resolve({ faction: 'NATO', nationality: 'US', aircraftType: 'F-4G/F-4E', aircraftId: null });
+
+            expect(resolved).toMatchObject({ tier: 'split', key: null, data: null });
+            expect(resolved.parts.map(part => part.key)).toEqual(['F-4G', 'F-4E']);
+            expect(resolved.parts.map(part => part.aircraftId)).toEqual(['US-F-4G-1', 'US-F-4E-1']);
+        });
+
+        test('Database keys with a slash are not split', () => {
+            expect(resolve({ faction: 'NATO', aircraftType: 'F-16A BE/CA/NE' })).toMatchObject({ tier: 'exact', parts: null });
+        });
+
+        test('A split type resolves only if every part does', () => {
+            expect(resolve({ faction: 'NATO', aircraftType: 'F-4G/F-99' }).tier).toBeNull();
+            expect(resolve({ faction: 'NATO', aircraftType: 'F-4G/' }).tier).toBeNull();
+        });
+    });
+
+    // =====================================================================
+    //  3. Rolled flights
+    // =====================================================================
+
+    test.each(Object.keys(TABLES))('Every rolled %s flight resolves through the print generator as here', module => {
+        const printGen = createPrintGenerator(module);
+        const factory = new TableProcessorFactory(TABLES[module]);
+        const reported = AircraftResolver.unresolvedNames(TABLES[module], DATA_FILES)
+            .filter(row => row.reason === 'unresolved')
+            .map(row => row.name);
+        let flights = 0;
+
+        for (const { tableId, params } of tableRolls(module)) {
+            setRngSeed(`resolver-${tableId}`);
+            const result = factory.processTable(tableId, params);
+            setRngSeed(null);
+
+            for (const flight of printGen.flattenResult(result)) {
+                const resolved = resolve(flight);
+                expect(printGen.resolveAircraft(flight, DATA_FILES.aircraftNATO, DATA_FILES.aircraftWP, DATA_FILES.nameMapping))
+                    .toEqual(resolved);
+                if (resolved.tier === null) {
+                    expect(reported).toContain(flight.aircraftType);
+                }
+                if (resolved.tier !== 'split' && flight.aircraftId && DATA_FILES[flight.faction === 'WP' ? 'aircraftWP' : 'aircraftNATO'][resolved.key].id === flight.aircraftId) {
+                    expect(resolved.tier).toBe('id');
+                }
+                flights++;
+            }
+        }
+        expect(flights).toBeGreaterThan(50);
+    });
+
+    // =====================================================================
+    //  4. Table report
+    // =====================================================================
+
+    describe('Table report', () => {
+        test('Red Storm tables', () => {
+            expect(AircraftResolver.unresolvedNames(TABLES['red-storm'], DATA_FILES)).toEqual([
+                { faction: 'NATO', nationality: 'US', name: 'F-4E or F-111D/E (player choice)', aircraftId: null, reason: 'unresolved', key: null, tables: ['D'] },
+                { faction: 'WP', nationality: 'GDR', name: 'MiG-21SPS', aircraftId: null, reason: 'unresolved', key: null, tables: ['G', 'H', 'I', 'K'] },
+            ]);
+        });
+
+        test('Baltic Approaches tables', () => {
+            expect(AircraftResolver.unresolvedNames(TABLES['baltic-approaches'], DATA_FILES)).toEqual([
+                { faction: 'NATO', nationality: 'FRG', name: 'Tornado IDS (Navy)', aircraftId: 'UK-TORNADO-IDS-NAVY-1', reason: 'unknown-id', key: 'Tornado IDS', tables: ['D3'] },
+                { faction: 'WP', nationality: 'GDR', name: 'MiG-21SPS', aircraftId: null, reason: 'unresolved', key: null, tables: ['I2', 'K2'] },
+                { faction: 'WP', nationality: 'POL', name: 'Su-22MK', aircraftId: null, reason: 'unresolved', key: null, tables: ['I2'] },
+                { faction: 'WP', nationality: 'GDR Naval', name: 'Mi-14', aircraftId: null, reason: 'unresolved', key: null, tables: ['K2'] },
+            ]);
+        });
+
+        test('Entries are read as the processors read them', () => {
+            const tables = {
+                _comment: 'test tables',
+                X: {
+                    faction: 'NATO',
+                    nations: {
+                        '1-5': {
+                            name: 'UK',
+                            aircraft: {
+                                '1-5': { name: '<b>Jaguar</b>', aircraftId: null },
+                                '6-10': { name: 'Choice', aircraftId: null, variants: { '1-10': { name: 'Buccaneer', aircraftId: 'UK-BUCC-1' } } },
+                            },
+                        },
+                    },
+                },
+                Y: {
+                    faction: 'NATO',
+                    nationalities: { US: { flights: [{ aircraft: { '1-10': { name: 'Jaguar', aircraftId: null } } }] } },
+                },
+            };
+            const data = { aircraftNATO: { Jaguar: { id: 'UK-JAGUAR-1' } }, aircraftWP: {}, nameMapping: null };
+
+            expect(AircraftResolver.unresolvedNames(tables, data)).toEqual([
+                { faction: 'NATO', nationality: 'UK', name: 'Buccaneer', aircraftId: 'UK-BUCC-1', reason: 'unresolved', key: null, tables: ['X'] },
+            ]);
+            data.aircraftNATO.Buccaneer = { id: 'UK-BUCC-1' };
+            expect(AircraftResolver.unresolvedNames(tables, data)).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,297 @@
+/**
+ * Batch Simulation Tests — Aggregate Results of Many Rolls
+ * =========================================================
+ *
+ * BatchSimulator rolls a table many times, one derived seed per run, and
+ * reports the aircraft type distribution, package sizes, the share of
+ * LGB/EOGB ordnance and how often SEAD is a split F-4G pair. The page runs
+ * simulations in simulation-worker.js.
+ *
+ * Tests:
+ *   1. Tallies match the seeded rolls they were made from
+ *   2. What is counted: guided bombs, split SEAD, errors
+ *   3. Batches: any batch sizes give the same tally, dice are left as found
+ *   4. CSV export
+ *   5. The worker: engine loaded with importScripts(), progress, summary
+ *
+ * Mock strategy:
+ *   Expected figures are computed from factory rolls with the seeds of
+ *   deriveRollSeeds(). The worker runs in a vm context with importScripts()
+ *   and postMessage() stand-ins, like a browser worker global.
+ */
+
+require('../setup/load-processors');
+const {
+    loadRSNatoTables,
+    loadRSWPTables,
+} = require('../helpers/table-data-loader');
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SHARED_JS = path.join(__dirname, '..', '..', 'shared', 'oob-generator', 'js');
+const RS_TABLE_PACK = path.join(__dirname, '..', '..', 'modules', 'red-storm', 'oob-generator', 'js', 'table-pack.js');
+
+const RS_TABLES = { ...loadRSNatoTables(), ...loadRSWPTables() };
+
+// ---------------------------------------------------------------------------
+//  Test utilities
+// ---------------------------------------------------------------------------
+
+/**
+ * The raids a simulation should roll: Make Rolls with the same seed
+ */
+function seededRolls(tableId, params, seed, runs) {
+    const factory = new TableProcessorFactory(RS_TABLES);
+    const results = deriveRollSeeds(seed, runs).map(rollSeed => {
+        setRngSeed(rollSeed);
+        return factory.processTable(tableId, params);
+    });
+    setRngSeed(null);
+    return results;
+}
+
+function simulate(tableId, params, seed, runs) {
+    const tally = BatchSimulator.createTally(tableId, params, seed);
+    BatchSimulator.runBatch(new TableProcessorFactory(RS_TABLES), tally, runs);
+    return BatchSimulator.summarize(tally);
+}
+
+function flight(fields) {
+    return ResultSchema.createFlight({ nationality: 'US', flightSize: 2, ...fields });
+}
+
+function raid(...flights) {
+    return ResultSchema.createResult({ table: 'C', faction: 'NATO' }, flights);
+}
+
+describe('Batch simulation', () => {
+    // =====================================================================
+    //  1. Tallies
+    // =====================================================================
+
+    describe('Tallies', () => {
+        const RUNS = 300;
+        const PARAMS = { scenarioDate: 'pre' };
+        let summary;
+        let results;
+
+        beforeAll(() => {
+            summary = simulate('C', PARAMS, 'balance', RUNS);
+            results = seededRolls('C', PARAMS, 'balance', RUNS);
+        });
+
+        test('Each run is the raid Make Rolls gives for its seed', () => {
+            const flights = results.flatMap(result => result.flights);
+            const count = (nationality, aircraftType) => flights
+                .filter(f => f.nationality === nationality && f.aircraftType === aircraftType)
+                .reduce((total, f) => total + f.flightCount, 0);
+
+            expect(summary).toMatchObject({ tableId: 'C', params: PARAMS, seed: 'balance', runs: RUNS, errors: [] });
+            for (const type of summary.aircraftTypes) {
+                expect(type.flights).toBe(count(type.nationality, type.aircraftType));
+            }
+            expect(summary.aircraftTypes.reduce((total, type) => total + type.share, 0)).toBeCloseTo(1);
+        });
+
+        test('Aircraft types are listed most common first', () => {
+            const flights = summary.aircraftTypes.map(type => type.flights);
+
+            expect(flights).toEqual([...flights].sort((a, b) => b - a));
+        });
+
+        test('Average and distribution of package size', () => {
+            const sizes = results.map(result => result.flights.reduce((total, f) => total + f.flightCount * f.flightSize, 0));
+            const average = sizes.reduce((total, size) => total + size, 0) / RUNS;
+
+            expect(summary.averageAircraft).toBeCloseTo(average);
+            expect(summary.packageSizes.reduce((total, size) => total + size.raids, 0)).toBe(RUNS);
+            for (const size of summary.packageSizes) {
+                expect(size.raids).toBe(sizes.filter(s => s === size.aircraft).length);
+                expect(size.share).toBeCloseTo(size.raids / RUNS);
+            }
+        });
+
+        test('Split SEAD pairs and guided bombs', () => {
+            const split = results.filter(result => result.flights.some(f =>
+                f.tasking === 'SEAD' && f.aircraftType === 'F-4G' && f.aircraftId === null));
+            const withOrdnance = results.flatMap(result => result.flights).filter(f => f.ordnance);
+
+            expect(summary.splitSead.raids).toBe(split.length);
+            expect(summary.splitSead.raids).toBeGreaterThan(0);
+            expect(summary.splitSead.share).toBeCloseTo(split.length / RUNS);
+            expect(summary.guidedBombs.ordnanceFlights).toBe(withOrdnance.length);
+            expect(summary.guidedBombs.flights).toBe(withOrdnance.filter(f => f.ordnance.includes('LGB/EOGB')).length);
+        });
+    });
+
+    // =====================================================================
+    //  2. What is counted
+    // =====================================================================
+
+    describe('What is counted', () => {
+        test('Guided bombs are LGB or EOGB among flights with ordnance', () => {
+            const tally = BatchSimulator.createTally('C', {}, 's');
+            BatchSimulator.addResult(tally, raid(
+                flight({ aircraftType: 'F-15C', tasking: 'CAP', flightCount: 2 }),
+                flight({ aircraftType: 'F-111F', tasking: 'Bombing', ordnance: 'Bombs/CBU/Rockets + EOGM + LGB/EOGB' }),
+                flight({ aircraftType: 'F-111F', tasking: 'Bombing', ordnance: 'Bombs/CBU/Rockets' }),
+                flight({ aircraftType: 'Tornado', tasking: 'Bombing', ordnance: 'EOGB' }),
+            ));
+
+            expect(BatchSimulator.summarize(tally).guidedBombs).toEqual({ flights: 2, ordnanceFlights: 3, share: 2 / 3 });
+        });
+
+        test('Only F-4G components without an aircraft ID are a split SEAD pair', () => {
+            const tally = BatchSimulator.createTally('C', {}, 's');
+            BatchSimulator.addResult(tally, raid(
+                flight({ aircraftType: 'F-4G', aircraftId: null, tasking: 'SEAD' }),
+                flight({ aircraftType: 'F-16C', aircraftId: null, tasking: 'SEAD' }),
+            ));
+            BatchSimulator.addResult(tally, raid(flight({ aircraftType: 'F-4G', aircraftId: 'US-F-4G-1', tasking: 'SEAD' })));
+            BatchSimulator.addResult(tally, raid(flight({ aircraftType: 'F-15C', tasking: 'CAP' })));
+
+            expect(BatchSimulator.summarize(tally).splitSead).toEqual({ raids: 1, seadRaids: 2, share: 1 / 3 });
+        });
+
+        test('Error results are counted but left out of the figures', () => {
+            const tally = BatchSimulator.createTally('C', {}, 's');
+            BatchSimulator.addResult(tally, raid(flight({ aircraftType: 'F-15C', tasking: 'CAP', flightSize: 4 })));
+            BatchSimulator.addResult(tally, ResultSchema.createErrorResult({ table: 'C' }, 'No date'));
+            BatchSimulator.addResult(tally, ResultSchema.createErrorResult({ table: 'C' }, 'No date'));
+
+            const summary = BatchSimulator.summarize(tally);
+            expect(summary.runs).toBe(3);
+            expect(summary.errors).toEqual([{ message: 'No date', count: 2 }]);
+            expect(summary.averageAircraft).toBe(4);
+            expect(summary.packageSizes).toEqual([{ aircraft: 4, raids: 1, share: 1 }]);
+        });
+    });
+
+    // =====================================================================
+    //  3. Batches
+    // =====================================================================
+
+    describe('Batches', () => {
+        test('Rolling in batches gives the same tally as one batch', () => {
+            const factory = new TableProcessorFactory(RS_TABLES);
+            const tally = BatchSimulator.createTally('H', {}, 'batches');
+            for (const count of [1, 49, 50]) {
+                BatchSimulator.runBatch(factory, tally, count);
+            }
+
+            expect(BatchSimulator.summarize(tally)).toEqual(simulate('H', {}, 'batches', 100));
+        });
+
+        test('Manual dice are not prompted and are left on; the RNG is unseeded', () => {
+            window.prompt = jest.fn(() => '5');
+            setDiceSource('manual');
+            setRngSeed('page-seed');
+
+            try {
+                const summary = simulate('G', {}, 'dice', 20);
+
+                expect(summary.runs).toBe(20);
+                expect(window.prompt).not.toHaveBeenCalled();
+                expect(getDiceSource()).toBe('manual');
+                expect(getRngSeed()).toBeNull();
+            } finally {
+                setDiceSource('random');
+                delete window.prompt;
+            }
+        });
+    });
+
+    // =====================================================================
+    //  4. CSV export
+    // =====================================================================
+
+    describe('CSV export', () => {
+        test('One row per figure, under section and item', () => {
+            const summary = simulate('C', { scenarioDate: 'post' }, 'csv', 50);
+            const rows = BatchSimulator.toCsv(summary).split('\r\n').filter(Boolean).map(row => row.split(','));
+            const section = name => rows.filter(row => row[0] === name);
+
+            expect(rows[0]).toEqual(BatchSimulator.CSV_COLUMNS);
+            expect(rows.slice(1, 5)).toEqual([
+                ['table', 'C', '', '', '', ''],
+                ['seed', 'csv', '', '', '', ''],
+                ['parameter', 'scenarioDate=post', '', '', '', ''],
+                ['runs', '', '50', '', '', ''],
+            ]);
+            expect(section('aircraft type')).toHaveLength(summary.aircraftTypes.length);
+            expect(section('aircraft type')[0]).toEqual([
+                'aircraft type',
+                `${summary.aircraftTypes[0].nationality} ${summary.aircraftTypes[0].aircraftType}`,
+                '',
+                String(summary.aircraftTypes[0].flights),
+                String(summary.aircraftTypes[0].aircraft),
+                String(Math.round(summary.aircraftTypes[0].share * 10000) / 10000),
+            ]);
+            expect(section('package size')).toHaveLength(summary.packageSizes.length);
+            expect(section('guided bombs')[0].slice(0, 4)).toEqual(['guided bombs', 'LGB/EOGB', '', String(summary.guidedBombs.flights)]);
+            expect(section('split SEAD')[0].slice(0, 3)).toEqual(['split SEAD', 'F-4G pair', String(summary.splitSead.raids)]);
+        });
+
+        test('Error messages with commas are quoted', () => {
+            const tally = BatchSimulator.createTally('C', {}, 's');
+            BatchSimulator.addResult(tally, ResultSchema.createErrorResult({ table: 'C' }, 'Bad "date", try again'));
+
+            expect(BatchSimulator.toCsv(BatchSimulator.summarize(tally))).toContain('error,"Bad ""date"", try again",1,,,1\r\n');
+        });
+    });
+
+    // =====================================================================
+    //  5. The worker
+    // =====================================================================
+
+    describe('Simulation worker', () => {
+        /**
+         * A worker global: importScripts() runs files relative to the worker
+         */
+        function createWorker() {
+            const messages = [];
+            const context = vm.createContext({
+                console: { log: () => {}, warn: () => {}, error: () => {} },
+                postMessage: message => messages.push(JSON.parse(JSON.stringify(message))),
+            });
+            context.self = context;
+            context.importScripts = (...urls) => {
+                for (const url of urls) {
+                    const file = path.resolve(SHARED_JS, url);
+                    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+                }
+            };
+            const file = path.join(SHARED_JS, 'simulation-worker.js');
+            vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+            return { context, messages };
+        }
+
+        test('Reports progress and the summary of the seeded runs', () => {
+            const { context, messages } = createWorker();
+            context.onmessage({
+                data: { type: 'run', tablePack: RS_TABLE_PACK, tables: RS_TABLES, tableId: 'C', params: { scenarioDate: 'post' }, runs: 600, seed: 'worker' },
+            });
+
+            expect(messages.slice(0, -1)).toEqual([
+                { type: 'progress', done: 250, runs: 600 },
+                { type: 'progress', done: 500, runs: 600 },
+                { type: 'progress', done: 600, runs: 600 },
+            ]);
+            expect(messages[messages.length - 1]).toEqual({
+                type: 'done',
+                summary: simulate('C', { scenarioDate: 'post' }, 'worker', 600),
+            });
+        });
+
+        test('Failures are posted as errors', () => {
+            const { context, messages } = createWorker();
+            context.onmessage({ data: { type: 'run', tablePack: path.join(SHARED_JS, 'no-such-pack.js'), tables: {}, runs: 1 } });
+
+            expect(messages).toHaveLength(1);
+            expect(messages[0].type).toBe('error');
+            expect(messages[0].message).toContain('no-such-pack.js');
+        });
+    });
+});
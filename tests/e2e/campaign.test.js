@@ -0,0 +1,253 @@
+/**
+ * Campaign Tests — Raids and Losses Across Game Days
+ * ===================================================
+ *
+ * A campaign records the raids generated on each game day and the
+ * aircraft each flight lost, carries the scenario date forward from day
+ * to day, and totals sorties and losses per nation. It is saved in
+ * browser storage and exported/imported as a file.
+ *
+ * Tests:
+ *   1. Days: starting a campaign, carrying the date forward and advancing
+ *      through the Baltic Approaches date periods
+ *   2. Raids and losses: recording results, skipping error and already
+ *      recorded results, loss limits, removing raids
+ *   3. Ledger: per-nation raids, flights, sorties and losses, overall and
+ *      per day
+ *   4. Files and storage: export/import round trip, rejected files, the
+ *      saved campaign in SessionStore
+ *
+ * Mock strategy:
+ *   Results are rolled with the seeded RNG (setRngSeed); ledger totals use
+ *   hand-built canonical results. An in-memory Storage replaces
+ *   localStorage.
+ */
+
+require('../setup/load-processors');
+const { createMemoryStorage } = require('../helpers/memory-storage');
+const { BA_FACTORY, rollEntry } = require('../helpers/roll-fixtures');
+
+// ---------------------------------------------------------------------------
+//  Test utilities
+// ---------------------------------------------------------------------------
+
+const BA_DATES = [1, 2, 3];
+
+let nextTimestamp = 1;
+
+/**
+ * Roll a Baltic Approaches table with a seed, as a results-list entry
+ */
+function roll(tableId, seed, params = { scenarioDate: 1 }) {
+    return rollEntry(BA_FACTORY, tableId, params, seed, { timestamp: nextTimestamp++ });
+}
+
+/**
+ * Hand-built results-list entry with the given flights
+ */
+function entry(table, faction, flights) {
+    return {
+        ...ResultSchema.createResult(
+            { table, faction, text: `Table ${table}` },
+            flights.map(([nationality, aircraftType, flightCount, flightSize]) =>
+                ({ nationality, aircraftType, tasking: 'CAP', flightCount, flightSize })),
+        ),
+        timestamp: nextTimestamp++,
+    };
+}
+
+function startCampaign(overrides = {}) {
+    return Campaign.create({ module: 'baltic-approaches', name: 'Danish Straits', dates: BA_DATES, ...overrides });
+}
+
+describe('Campaign', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    // =====================================================================
+    //  1. Days
+    // =====================================================================
+
+    describe('Days', () => {
+        test('A campaign starts on day 1 of the first date', () => {
+            const campaign = startCampaign({ name: '  Danish Straits ' });
+
+            expect(campaign).toMatchObject({ format: 'oob-generator-campaign', version: 1, module: 'baltic-approaches', name: 'Danish Straits' });
+            expect(campaign.days).toEqual([{ day: 1, scenarioDate: 1, raids: [] }]);
+            expect(startCampaign({ scenarioDate: 2 }).days[0].scenarioDate).toBe(2);
+        });
+
+        test('Names are required and dates must be the module\'s', () => {
+            expect(() => startCampaign({ name: ' ' })).toThrow('Campaign name is required');
+            expect(() => startCampaign({ scenarioDate: 'post' })).toThrow('Unknown scenario date "post"');
+        });
+
+        test('The next day carries the scenario date forward', () => {
+            const campaign = Campaign.nextDay(startCampaign({ scenarioDate: 2 }));
+
+            expect(Campaign.currentDay(campaign)).toEqual({ day: 2, scenarioDate: 2, raids: [] });
+        });
+
+        test('Advancing moves through the date periods and stops at the last', () => {
+            let campaign = startCampaign();
+            campaign = Campaign.nextDay(campaign, { advanceDate: true });
+            campaign = Campaign.nextDay(campaign, { advanceDate: true });
+
+            expect(campaign.days.map(day => day.scenarioDate)).toEqual([1, 2, 3]);
+            expect(Campaign.nextDate(campaign)).toBeNull();
+            expect(() => Campaign.nextDay(campaign, { advanceDate: true }))
+                .toThrow('The campaign is already on its last scenario date');
+        });
+
+        test('Changes return a new campaign', () => {
+            const campaign = startCampaign();
+
+            Campaign.nextDay(campaign);
+            Campaign.addRaids(campaign, [roll('H2', 'cap')]);
+
+            expect(campaign.days).toEqual([{ day: 1, scenarioDate: 1, raids: [] }]);
+        });
+    });
+
+    // =====================================================================
+    //  2. Raids and losses
+    // =====================================================================
+
+    describe('Raids and losses', () => {
+        test('Results are recorded as raids on the current day', () => {
+            const results = [roll('D3', 'strike'), roll('H2', 'cap')];
+            let campaign = Campaign.nextDay(startCampaign());
+
+            const { campaign: updated, added } = Campaign.addRaids(campaign, results);
+            campaign = updated;
+            const raids = Campaign.currentDay(campaign).raids;
+
+            expect(added).toBe(2);
+            expect(raids.map(raid => raid.id)).toEqual(['2-1', '2-2']);
+            expect(raids[0]).toMatchObject({ table: 'D3', faction: 'NATO', seed: 'strike', raidType: results[0].raidType });
+            expect(raids[0].flights).toHaveLength(results[0].flights.length);
+            expect(raids[0].flights[0]).toMatchObject({
+                aircraftType: results[0].flights[0].aircraftType,
+                flightCount: results[0].flights[0].flightCount,
+                destroyed: 0,
+                damaged: 0,
+            });
+        });
+
+        test('Error results and results already recorded are skipped', () => {
+            const results = [roll('H2', 'cap')];
+            const first = Campaign.addRaids(startCampaign(), results).campaign;
+
+            const again = Campaign.addRaids(Campaign.nextDay(first), [...results, roll('L2', 'no-mission', {})]);
+
+            expect(again.added).toBe(0);
+            expect(again.campaign.days[1].raids).toEqual([]);
+        });
+
+        test('Losses are limited to the flight\'s aircraft', () => {
+            let campaign = Campaign.addRaids(startCampaign(), [entry('H2', 'WP', [['USSR', 'MiG-23MLD', 3, 4]])]).campaign;
+
+            campaign = Campaign.setLosses(campaign, '1-1', 0, { destroyed: 2 });
+            campaign = Campaign.setLosses(campaign, '1-1', 0, { damaged: 10 });
+
+            expect(campaign.days[0].raids[0].flights[0]).toMatchObject({ destroyed: 2, damaged: 10 });
+            expect(() => Campaign.setLosses(campaign, '1-1', 0, { destroyed: 3 }))
+                .toThrow('MiG-23MLD (CAP) has only 12 aircraft');
+            expect(() => Campaign.setLosses(campaign, '1-1', 0, { damaged: -1 }))
+                .toThrow('Aircraft damaged must be a whole number of 0 or more');
+            expect(() => Campaign.setLosses(campaign, '1-1', 1, { destroyed: 1 })).toThrow('Raid 1-1 has no flight 2');
+            expect(() => Campaign.setLosses(campaign, '9-9', 0, { destroyed: 1 })).toThrow('No raid "9-9" in the campaign');
+        });
+
+        test('Removed raids leave the other raid ids alone', () => {
+            let campaign = Campaign.addRaids(startCampaign(), [roll('H2', 'a'), roll('H2', 'b')]).campaign;
+
+            campaign = Campaign.removeRaid(campaign, '1-1');
+            campaign = Campaign.addRaids(campaign, [roll('H2', 'c')]).campaign;
+
+            expect(campaign.days[0].raids.map(raid => raid.id)).toEqual(['1-2', '1-3']);
+        });
+    });
+
+    // =====================================================================
+    //  3. Ledger
+    // =====================================================================
+
+    describe('Ledger', () => {
+        function campaignWithLosses() {
+            let campaign = Campaign.addRaids(startCampaign(), [
+                entry('D3', 'NATO', [['US', 'F-15C', 4, 2], ['US', 'F-16C', 3, 2], ['FRG', 'F-4F', 1, 4]]),
+                entry('H2', 'WP', [['USSR', 'MiG-23MLD', 3, 4]]),
+            ]).campaign;
+            campaign = Campaign.setLosses(campaign, '1-1', 0, { destroyed: 1, damaged: 2 });
+            campaign = Campaign.setLosses(campaign, '1-2', 0, { destroyed: 4 });
+
+            campaign = Campaign.nextDay(campaign, { advanceDate: true });
+            campaign = Campaign.addRaids(campaign, [entry('G2', 'WP', [['USSR', 'MiG-29', 1, 2], ['POL', 'MiG-23MF', 2, 2]])]).campaign;
+            return Campaign.setLosses(campaign, '2-1', 1, { damaged: 1 });
+        }
+
+        test('Sorties and losses per nation over the whole campaign', () => {
+            expect(Campaign.ledger(campaignWithLosses())).toEqual([
+                { faction: 'NATO', nationality: 'FRG', raids: 1, flights: 1, sorties: 4, destroyed: 0, damaged: 0 },
+                { faction: 'NATO', nationality: 'US', raids: 1, flights: 7, sorties: 14, destroyed: 1, damaged: 2 },
+                { faction: 'WP', nationality: 'POL', raids: 1, flights: 2, sorties: 4, destroyed: 0, damaged: 1 },
+                { faction: 'WP', nationality: 'USSR', raids: 2, flights: 4, sorties: 14, destroyed: 4, damaged: 0 },
+            ]);
+        });
+
+        test('Ledger for one day', () => {
+            expect(Campaign.ledger(campaignWithLosses(), { day: 2 }).map(row => [row.nationality, row.sorties]))
+                .toEqual([['POL', 4], ['USSR', 2]]);
+        });
+    });
+
+    // =====================================================================
+    //  4. Files and storage
+    // =====================================================================
+
+    describe('Files and storage', () => {
+        function playedCampaign() {
+            let campaign = Campaign.addRaids(startCampaign(), [roll('D3', 'strike'), roll('H2', 'cap')]).campaign;
+            campaign = Campaign.setLosses(campaign, '1-2', 0, { destroyed: 1 });
+            return Campaign.nextDay(campaign, { advanceDate: true });
+        }
+
+        test('Exported campaigns import unchanged', () => {
+            const campaign = playedCampaign();
+
+            const imported = Campaign.parse(Campaign.serialize(campaign));
+
+            expect(imported).toEqual(campaign);
+            expect(Campaign.ledger(imported)).toEqual(Campaign.ledger(campaign));
+            expect(Campaign.filename(campaign)).toBe('campaign-baltic-approaches-danish-straits.json');
+        });
+
+        test('Other files, newer versions and invalid losses are rejected', () => {
+            const campaign = playedCampaign();
+
+            expect(() => Campaign.parse('not json')).toThrow('Not a JSON file');
+            expect(() => Campaign.parse(SessionDocument.serialize(SessionDocument.create({ module: 'baltic-approaches', results: [] }))))
+                .toThrow('Not an OOB generator campaign file');
+            expect(() => Campaign.parse(JSON.stringify({ ...campaign, version: 2 })))
+                .toThrow('This campaign was saved by a newer version of the OOB generator (version 2)');
+
+            campaign.days[0].raids[1].flights[0].destroyed = 99;
+            expect(() => Campaign.parse(Campaign.serialize(campaign)))
+                .toThrow('Invalid campaign file:\nDay 1, raid 1-2, flight 1: invalid losses');
+        });
+
+        test('The active campaign is kept per module in browser storage', () => {
+            const storage = createMemoryStorage();
+            SessionStore.setStorage(storage);
+            const campaign = playedCampaign();
+
+            expect(SessionStore.saveCampaign('baltic-approaches', campaign)).toBe(true);
+            expect(SessionStore.loadCampaign('baltic-approaches')).toEqual(campaign);
+            expect(SessionStore.loadCampaign('red-storm')).toBeNull();
+
+            SessionStore.saveCampaign('baltic-approaches', null);
+            expect(storage.items.has('oob-generator-baltic-approaches-campaign')).toBe(false);
+            SessionStore.setStorage(null);
+        });
+    });
+});
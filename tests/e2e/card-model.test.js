@@ -0,0 +1,225 @@
+/**
+ * Card Model Tests — Flight Card Content Without the Markup
+ * ===========================================================
+ *
+ * PrintGenerator.buildCardModel() turns a flight (prepareDesignerFlight())
+ * into a card model: the aircraft and roundel, weapons with their ratings
+ * and depletion, stores, sensors, note rules, speeds by altitude band,
+ * damage boxes and rolled ordnance. The HTML, PDF and text renderers draw
+ * the same model, so what a card shows is tested here as data.
+ *
+ * Tests:
+ *   1. Model: weapons and depletion, stores by tasking, sensors, speeds by
+ *      band (clean or clean and laden), rolled ordnance, note rules, CSAR
+ *      cards, one model per flight
+ *   2. Renderers: the HTML and text cards show the model's values
+ *
+ * Mock strategy:
+ *   No mocks: hand-made processed flights against the shared aircraft,
+ *   weapons and note rule data. The note rules are loaded as the pages load
+ *   them (window.applyDesignerNoteRules) where a test needs them.
+ */
+
+require('../setup/load-processors');
+const { loadPrintDataFiles } = require('../helpers/table-data-loader');
+const { createPrintGenerator } = require('../helpers/print-fixtures');
+
+// ---------------------------------------------------------------------------
+//  Test utilities
+// ---------------------------------------------------------------------------
+
+const DATA_FILES = loadPrintDataFiles();
+
+/**
+ * A processed US flight (see PrintGenerator.processFlights())
+ */
+function usFlight(aircraftType, tasking, overrides = {}) {
+    return { faction: 'NATO', nationality: 'US', aircraftType, tasking, flightSize: 2, flightCount: 1, ...overrides };
+}
+
+/**
+ * The card model of a flight's first card
+ */
+function cardOf(flight, printGen = createPrintGenerator()) {
+    const [card] = printGen.flightCardModels(flight, DATA_FILES);
+    return card;
+}
+
+describe('Card model', () => {
+    beforeEach(() => {
+        PrintLayouts.setStorage(null);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+    afterEach(() => {
+        delete window.applyDesignerNoteRules;
+        jest.restoreAllMocks();
+    });
+
+    // =====================================================================
+    //  1. Model
+    // =====================================================================
+
+    describe('Model', () => {
+        test('A fighter on CAP: header, weapons with depletion, sensors and clean speeds', () => {
+            const card = cardOf(usFlight('F-15C', 'CAP'));
+
+            expect(card).toMatchObject({
+                compact: false,
+                faction: 'NATO',
+                aircraft: 'F-15C Eagle',
+                roundel: { image: 'USAF.jpg', nation: 'US' },
+                tasking: 'CAP',
+                flightSize: 2,
+                fuel: { value: 12, circles: [6, 6] },
+                crew: 1,
+                rwy: 3,
+                damage: ['Damaged', 'Crippled', 'Destroyed'],
+                rolledOrdnance: [],
+            });
+            expect(card.weapons).toEqual([
+                { type: 'Gun', text: '+3 {2}', loads: [{ rating: '+3', depletion: 2 }] },
+                { type: 'IRM', text: '+3/+1 {3}', loads: [{ rating: '+3/+1', depletion: 3 }] },
+                { type: 'RHM', text: '+3/+2 {3}', loads: [{ rating: '+3/+2', depletion: 3 }] },
+            ]);
+            expect(card.sensors).toEqual({
+                radar: 'APG-63PSP LD, TS [30] 24+: -1',
+                surfaceRadar: null,
+                rwr: 'C',
+                jam: '3d',
+                standoffJamming: null,
+            });
+            expect(card.speeds).toEqual({
+                laden: false,
+                bands: [
+                    { band: 'H', clean: { combat: '5', dash: '8', maneuver: '9' }, laden: null },
+                    { band: 'M', clean: { combat: '4', dash: '6', maneuver: '9' }, laden: null },
+                    { band: 'L/D', clean: { combat: '4', dash: '5', maneuver: '8' }, laden: null },
+                ],
+            });
+        });
+
+        test('Several radar-homing missiles keep their own depletion', () => {
+            const card = cardOf(usFlight('F-14A', 'CAP'));
+
+            expect(card.weapons.find(weapon => weapon.type === 'RHM').loads).toEqual([
+                { rating: '+3/+2', depletion: 6 },
+                { rating: '+1/+0', depletion: 3 },
+            ]);
+        });
+
+        test('A bombing flight shows its stores, laden speeds and rolled ordnance', () => {
+            const card = cardOf(usFlight('F-111F', 'Bombing', { flightSize: 4, ordnance: 'Bombs/CBU/Rockets +LGB' }));
+
+            expect(card.stores).toEqual({ aam: 'AIM-9P(8)', ordnance: 'LGB(2), EOGB(4)', bomb: '6/4', sight: '+4' });
+            expect(card.speeds.laden).toBe(true);
+            expect(card.speeds.bands[0]).toEqual({
+                band: 'H',
+                clean: { combat: '5', dash: '8', maneuver: '5' },
+                laden: { combat: '3', dash: '5', maneuver: '3' },
+            });
+            expect(card.rolledOrdnance).toEqual(['LGB']);
+        });
+
+        test('Air-to-air taskings hide the ground-attack stores and laden speeds', () => {
+            const card = cardOf(usFlight('F-111F', 'Close Escort'));
+
+            expect(card.stores).toEqual({ aam: 'AIM-9P(8)', ordnance: null, bomb: null, sight: null });
+            expect(card.speeds.laden).toBe(false);
+            expect(card.speeds.bands.every(band => band.laden === null)).toBe(true);
+        });
+
+        test('Note rules become special rules', () => {
+            window.applyDesignerNoteRules = require('../../shared/oob-generator/js/aircraft-notes.js').applyDesignerNoteRules;
+
+            const card = cardOf(usFlight('F-14A', 'CAP'));
+
+            expect(card.specialRules).toContain('Flights may carry AIM-7 and AIM-54 RHM at the same time.');
+            expect(createPrintGenerator().cardInfoLines(card)[2]).toContainEqual({ label: 'Notes', text: card.specialRules.join('; ') });
+        });
+
+        test('CSAR helicopters get compact cards, unless the layout has none', () => {
+            const printGen = createPrintGenerator();
+            const card = cardOf(usFlight('H-53', 'CSAR'), printGen);
+
+            expect(card).toMatchObject({ compact: true, fuel: null, speeds: null, damage: ['Damaged', 'Shot down'] });
+
+            printGen.setLayout('letter-half');
+            expect(cardOf(usFlight('H-53', 'CSAR'), printGen)).toMatchObject({ compact: false, fuel: null, damage: ['Damaged', 'Shot down'] });
+        });
+
+        test('One card per flight; none for aircraft not in the database', () => {
+            const printGen = createPrintGenerator();
+
+            expect(printGen.flightCardModels(usFlight('F-15C', 'CAP', { flightCount: 3 }), DATA_FILES)).toHaveLength(3);
+            expect(printGen.flightCardModels(usFlight('F-99', 'CAP'), DATA_FILES)).toEqual([]);
+        });
+    });
+
+    // =====================================================================
+    //  2. Renderers
+    // =====================================================================
+
+    describe('Renderers', () => {
+        test('The HTML card shows every value of the model', () => {
+            const printGen = createPrintGenerator();
+            const card = cardOf(usFlight('F-111F', 'Bombing', { ordnance: 'Bombs/CBU/Rockets +LGB' }), printGen);
+            const html = printGen.renderDesignerCardHTML(card);
+
+            expect(html).toContain(`<div class="field-value">${card.aircraft}</div>`);
+            expect(html).toContain('USAF.jpg" alt="US Roundel"');
+            expect(html).toContain('<span class="fuel-value">15</span>');
+            expect(html.split('class="fuel-circle"')).toHaveLength(16);
+            for (const segments of printGen.cardInfoLines(card)) {
+                for (const segment of segments) {
+                    expect(html).toContain(`<strong>${segment.label}:</strong> ${segment.text}`);
+                }
+            }
+            expect(html).toContain('<th colspan="3">Laden</th>');
+            expect(html).toContain('<td>3</td>');
+            expect(html.split('class="aircraft-box"')).toHaveLength(card.flightSize + 1);
+            expect(html.split('>Destroyed<')).toHaveLength(card.flightSize + 1);
+            expect(html).toContain('>+LGB</div>');
+        });
+
+        test('The compact HTML card has the aircraft, tasking and a box per aircraft', () => {
+            const printGen = createPrintGenerator();
+            const card = cardOf(usFlight('H-53', 'CSAR'), printGen);
+            const html = printGen.renderCompactCSARCardHTML(card);
+
+            expect(html).toContain('class="compact-csar-card"');
+            expect(html).toContain('<div class="field-value">H-53</div>');
+            expect(html).toContain('<div class="field-value">CSAR</div>');
+            expect(html.split('class="compact-aircraft-box"')).toHaveLength(3);
+            expect(html.split('>Shot down<')).toHaveLength(3);
+        });
+
+        test('The text card', () => {
+            const printGen = createPrintGenerator();
+
+            expect(printGen.renderCardText(cardOf(usFlight('F-111F', 'Bombing', { flightSize: 4, ordnance: 'Bombs/CBU/Rockets +LGB' }), printGen))).toBe([
+                'F-111F Aardvark (US), 4-ship, Bombing',
+                'Fuel: 15 | Crew: 2 | Rwy: 4 | Notes: C, I',
+                'AAM: AIM-9P(8) | Ordnance: LGB(2), EOGB(4) | Bomb: 6/4 | Sight: +4',
+                'RWR: C | Jam: 3d',
+                'Capabilities: Radar, FLIR, TFR, Night',
+                'Speeds C/D/M clean, laden: H 5/8/5, 3/5/3 | M 4/6/5, 3/5/3 | L/D 4/5/4, 3/4/2',
+                'Ordnance: +LGB',
+            ].join('\n'));
+            expect(printGen.renderCardText(cardOf(usFlight('F-15C', 'CAP'), printGen))).toContain('Gun: +3 {2} | IRM: +3/+1 {3} | RHM: +3/+2 {3}');
+            expect(printGen.renderCardText(cardOf(usFlight('H-53', 'CSAR'), printGen))).toBe('H-53 (US), 2-ship, CSAR');
+        });
+
+        test('The flight sheet renders the same cards as the models', async () => {
+            const printGen = createPrintGenerator();
+            const flight = usFlight('F-15C', 'CAP', { flightCount: 2 });
+            const html = await printGen.generateDesignerFlightCard(
+                flight, DATA_FILES.aircraftNATO, DATA_FILES.aircraftWP,
+                DATA_FILES.noteRules, DATA_FILES.weapons, DATA_FILES.nameMapping
+            );
+
+            expect(html).toBe(printGen.flightCardModels(flight, DATA_FILES).map(card => printGen.renderDesignerCardHTML(card)).join(''));
+        });
+    });
+});
@@ -0,0 +1,258 @@
+/**
+ * CLI Tests — rstools Command Line OOB Generator
+ * ===============================================
+ *
+ * `rstools roll <table>` rolls a table headlessly through
+ * TableProcessorFactory.processTable() and prints text, ResultSchema JSON
+ * or CSV; `rstools tables` lists the tables and their parameters;
+ * `rstools aircraft` reports table aircraft names the aircraft database is
+ * missing.
+ *
+ * Tests:
+ *   1. Rolling: seeds match the browser generator's, parameter options,
+ *      Baltic Approaches dates
+ *   2. Output: text, JSON and CSV
+ *   3. Errors: usage errors (exit code 2) and error results (exit code 1)
+ *   4. Table listing, aircraft report and help
+ *   5. Running the script: clean JSON on stdout
+ *
+ * Mock strategy:
+ *   main() runs in-process with string buffers for stdout and stderr; the
+ *   expected results are rolled with the seeded RNG on a factory loaded
+ *   from the same table data. One test spawns the real script.
+ */
+
+require('../setup/load-processors');
+const { RS_FACTORY, BA_FACTORY, rollEntry } = require('../helpers/roll-fixtures');
+
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { main } = require('../../cli/rstools');
+const { plainLines, formatCsv, CSV_COLUMNS } = require('../../cli/formatters');
+
+const SCRIPT = path.join(__dirname, '..', '..', 'cli', 'rstools.js');
+
+// ---------------------------------------------------------------------------
+//  Test utilities
+// ---------------------------------------------------------------------------
+
+/**
+ * Run the CLI with captured output
+ */
+function run(...argv) {
+    const out = { stdout: '', stderr: '' };
+    const io = {
+        stdout: { write: text => { out.stdout += text; } },
+        stderr: { write: text => { out.stderr += text; } },
+    };
+    const code = main(argv, io);
+    return { code, ...out };
+}
+
+/**
+ * Roll a table with the seeded RNG, as the CLI should
+ */
+function expected(factory, tableId, params, seed, count = 1) {
+    return deriveRollSeeds(seed, count).map(rollSeed => rollEntry(factory, tableId, params, rollSeed));
+}
+
+describe('rstools CLI', () => {
+    // =====================================================================
+    //  1. Rolling
+    // =====================================================================
+
+    describe('Rolling', () => {
+        test('Each roll gets the next seed, as in the browser', () => {
+            const { code, stdout } = run('roll', 'C', '--date', 'post', '--count', '3', '--seed', 'abc', '--json');
+            const results = JSON.parse(stdout);
+
+            expect(code).toBe(0);
+            expect(results.map(result => result.seed)).toEqual(['abc', 'abc-2', 'abc-3']);
+            expect(results).toEqual(expected(RS_FACTORY, 'C', { scenarioDate: 'post' }, 'abc', 3));
+            expect(results[0]).toMatchObject({ tableName: 'NATO Table C - Bombing Raid', params: { scenarioDate: 'post' } });
+        });
+
+        test('Table parameters are passed as kebab-case options', () => {
+            const { code, stdout } = run('roll', 'L', '--mission-type', 'Tactical Recon', '--tactical-recon-nation=GDR', '--seed', 's', '--json');
+            const params = { missionType: 'Tactical Recon', tacticalReconNation: 'GDR' };
+
+            expect(code).toBe(0);
+            expect(JSON.parse(stdout)).toEqual(expected(RS_FACTORY, 'L', params, 's'));
+        });
+
+        test('Baltic Approaches dates by number or date id', () => {
+            const byNumber = JSON.parse(run('roll', 'D3', '--date', '2', '--seed', 'd', '--json').stdout);
+            const byId = JSON.parse(run('roll', 'D3', '--date', 'may-late', '--seed', 'd', '--json').stdout);
+
+            expect(byNumber[0].params).toEqual({ scenarioDate: 2 });
+            expect(byId).toEqual(byNumber);
+            expect(byNumber).toEqual(expected(BA_FACTORY, 'D3', { scenarioDate: 2 }, 'd'));
+        });
+
+        test('Without a seed each run is different', () => {
+            const first = JSON.parse(run('roll', 'C', '--date', 'post', '--json').stdout)[0];
+            const second = JSON.parse(run('roll', 'C', '--date', 'post', '--json').stdout)[0];
+
+            expect(first.seed).not.toBe(second.seed);
+        });
+    });
+
+    // =====================================================================
+    //  2. Output
+    // =====================================================================
+
+    describe('Output', () => {
+        test('Text: a heading per roll and one flight per line', () => {
+            const { stdout } = run('roll', 'C', '--date', 'post', '--count', '2', '--seed', 'abc');
+            const results = expected(RS_FACTORY, 'C', { scenarioDate: 'post' }, 'abc', 2);
+            const blocks = stdout.trimEnd().split('\n\n');
+
+            expect(blocks).toHaveLength(2);
+            expect(blocks[0].split('\n')[0]).toBe('Table C: NATO Table C - Bombing Raid [6/1/87+] (seed abc)');
+            expect(blocks[1].split('\n')[0]).toContain('(seed abc-2)');
+            expect(blocks[0].split('\n').slice(1)).toEqual(results[0].flights.map(flight => `  ${flight.text}`));
+        });
+
+        test('Text drops the result markup', () => {
+            expect(plainLines('<strong>USSR Naval Strike Raid</strong><br>4 x {2} MiG-23 &amp; more<br>'))
+                .toEqual(['USSR Naval Strike Raid', '4 x {2} MiG-23 & more']);
+        });
+
+        test('CSV: a header and one row per flight', () => {
+            const { stdout } = run('roll', 'C', '--date', 'post', '--count', '2', '--seed', 'abc', '--csv');
+            const results = expected(RS_FACTORY, 'C', { scenarioDate: 'post' }, 'abc', 2);
+            const rows = stdout.split('\r\n').filter(Boolean).map(row => row.split(','));
+
+            expect(rows[0]).toEqual(CSV_COLUMNS);
+            expect(rows).toHaveLength(1 + results[0].flights.length + results[1].flights.length);
+
+            const row = Object.fromEntries(CSV_COLUMNS.map((column, i) => [column, rows[1][i]]));
+            const flight = results[0].flights[0];
+            expect(row).toMatchObject({
+                roll: '1',
+                seed: 'abc',
+                table: 'C',
+                faction: 'NATO',
+                flight: '1',
+                nationality: flight.nationality,
+                aircraftType: flight.aircraftType,
+                tasking: flight.tasking,
+                flightCount: String(flight.flightCount),
+                flightSize: String(flight.flightSize),
+                error: '',
+            });
+            expect(rows[rows.length - 1].slice(0, 2)).toEqual(['2', 'abc-2']);
+        });
+
+        test('CSV lines end with CRLF and fields with commas or quotes are quoted', () => {
+            const { stdout } = run('roll', 'L', '--mission-type', 'Standoff Jamming', '--seed', 'q', '--csv');
+            const result = ResultSchema.createErrorResult({ table: 'C' }, 'Bad "date", try again');
+
+            expect(stdout.split('\r\n')[1]).toMatch(/^1,q,L,WP,/);
+            expect(stdout).not.toMatch(/[^\r]\n/);
+            expect(formatCsv([{ ...result, seed: 's' }]).split('\r\n')[1]).toBe('1,s,C,,,,,,,,,,,,"Bad ""date"", try again"');
+        });
+    });
+
+    // =====================================================================
+    //  3. Errors
+    // =====================================================================
+
+    describe('Errors', () => {
+        test.each([
+            [['roll'], 'Which table?'],
+            [['roll', 'Q'], 'Unknown table "Q"'],
+            [['roll', 'C'], 'Scenario date is required for Table C (--date pre|post)'],
+            [['roll', 'A', '--date', 'post', '--ataf-zone', '5ATAF'], '--ataf-zone 2ATAF|4ATAF'],
+            [['roll', 'C', '--date', 'post', '--count', '0'], '--count must be a whole number from 1 to 1000'],
+            [['roll', 'C', '--date', 'post', '--json', '--csv'], 'Choose one of --json and --csv'],
+            [['roll', 'C', '--date', 'post', '--bogus', '1'], 'Unknown option --bogus'],
+            [['roll', 'C', '--seed'], 'Option --seed needs a value'],
+            [['fly'], 'Unknown command "fly"'],
+            [['tables', '--module', 'red-dawn'], 'Unknown module "red-dawn"'],
+        ])('%j is a usage error', (argv, message) => {
+            const { code, stdout, stderr } = run(...argv);
+
+            expect(code).toBe(2);
+            expect(stdout).toBe('');
+            expect(stderr).toContain(message);
+            expect(stderr).toContain('rstools help');
+        });
+
+        test('Rolls that return an error result exit with 1', () => {
+            jest.spyOn(TableProcessorFactory.prototype, 'processTable')
+                .mockReturnValue(ResultSchema.createErrorResult({ table: 'C' }, 'Table data missing'));
+
+            const { code, stdout } = run('roll', 'C', '--date', 'post', '--seed', 'e');
+
+            expect(code).toBe(1);
+            expect(stdout).toContain('Error: Table data missing');
+            jest.restoreAllMocks();
+        });
+    });
+
+    // =====================================================================
+    //  4. Table listing, aircraft report and help
+    // =====================================================================
+
+    describe('Table listing, aircraft report and help', () => {
+        test('Tables are listed per module with their options', () => {
+            const { code, stdout } = run('tables');
+
+            expect(code).toBe(0);
+            expect(stdout).toMatch(/^Red Storm\n/);
+            expect(stdout).toContain('\nBaltic Approaches\n');
+            expect(stdout).toMatch(/ {2}A {5}NATO {2}NATO Table A - QRA Flight\n {10}--ataf-zone 2ATAF\|4ATAF\n {10}--date pre\|post/);
+            expect(stdout).toContain('--tactical-recon-nation USSR|GDR (when --mission-type Tactical Recon)');
+            expect(stdout).toContain('--date 1|2|3');
+        });
+
+        test('One module', () => {
+            const { stdout } = run('tables', '--module', 'baltic-approaches');
+
+            expect(stdout).not.toContain('Red Storm');
+            expect(stdout).toContain('NATO Table D3 - Naval Strike Raid');
+        });
+
+        test('The aircraft report lists names that do not resolve and exits with 1', () => {
+            const { code, stdout } = run('aircraft', '--module', 'red-storm');
+
+            expect(code).toBe(1);
+            expect(stdout).toMatch(/^Red Storm\n/);
+            expect(stdout).toContain('  WP    GDR         MiG-21SPS — not found (G, H, I, K)\n');
+            expect(stdout).not.toContain('Baltic Approaches');
+        });
+
+        test('The aircraft report as JSON', () => {
+            const { stdout } = run('aircraft', '--json');
+            const reports = JSON.parse(stdout);
+
+            expect(reports.map(report => report.module)).toEqual(['red-storm', 'baltic-approaches']);
+            expect(reports[1].unresolved).toContainEqual(expect.objectContaining({
+                name: 'Tornado IDS (Navy)', reason: 'unknown-id', key: 'Tornado IDS', tables: ['D3'],
+            }));
+        });
+
+        test('Help', () => {
+            expect(run('help').stdout).toContain('Usage: rstools <command> [options]');
+            expect(run().stdout).toContain('rstools roll C --date post --count 3 --seed abc --json');
+        });
+    });
+
+    // =====================================================================
+    //  5. Running the script
+    // =====================================================================
+
+    describe('Running the script', () => {
+        test('stdout holds only the JSON', () => {
+            const child = spawnSync(process.execPath, [SCRIPT, 'roll', 'C', '--date', 'post', '--seed', 'abc', '--json'], {
+                encoding: 'utf8',
+                timeout: 60000,
+            });
+
+            expect(child.status).toBe(0);
+            expect(child.stderr).toBe('');
+            expect(JSON.parse(child.stdout)).toEqual(expected(RS_FACTORY, 'C', { scenarioDate: 'post' }, 'abc'));
+        });
+    });
+});
@@ -0,0 +1,337 @@
+/**
+ * Declarative Table Processor Tests — Tables Driven by Their Definition
+ * ======================================================================
+ *
+ * Every table whose JSON entry has a "definition" block is processed by
+ * DeclarativeTableProcessor. The definition describes how to walk the data
+ * (parameter and roll selects, taskings, fixed flight packages, ordnance,
+ * text templates); no per-table class or factory switch case is needed.
+ *
+ * Tests:
+ *   1. The factory routes every defined table to the generic processor
+ *      and a new table defined only in JSON processes end to end
+ *   2. Select steps: parameters, aliases, ordinal dates, rolled
+ *      nationalities, optional steps and required-parameter errors
+ *   3. Group shapes: taskings (order, display names, flight sizes, splits
+ *      with ordnance), fixed raid packages with headers, per-flight
+ *      ordnance and land/sea aircraft
+ *
+ * Mock strategy:
+ *   Math.random() is mocked to force specific d10 rolls: (R - 1) / 10.
+ */
+
+require('../setup/load-processors');
+const {
+    loadRSNatoTables,
+    loadRSWPTables,
+    loadBANatoTables,
+    loadBAWPTables,
+} = require('../helpers/table-data-loader');
+
+// ---------------------------------------------------------------------------
+//  Test utilities
+// ---------------------------------------------------------------------------
+
+/**
+ * Mock Math.random() to produce the given d10 rolls in order (cycling).
+ * @param {number[]} rollValues - d10 results (1-10)
+ */
+function mockRollSequence(rollValues) {
+    let callIndex = 0;
+    jest.spyOn(Math, 'random').mockImplementation(() => {
+        const roll = rollValues[callIndex % rollValues.length];
+        callIndex++;
+        return (roll - 1) / 10;
+    });
+}
+
+const ALL_TABLES = {
+    ...loadRSNatoTables(),
+    ...loadRSWPTables(),
+    ...loadBANatoTables(),
+    ...loadBAWPTables(),
+};
+
+/**
+ * Factory wired to the given tables.
+ */
+function createFactory(tableData = ALL_TABLES) {
+    const factory = new TableProcessorFactory();
+    factory.tableData = tableData;
+    return factory;
+}
+
+/**
+ * Minimal table defined only in JSON: a d10 nation roll, then an aircraft roll.
+ */
+const CUSTOM_TABLE = {
+    name: 'WP Table Z - Test Patrol',
+    faction: 'WP',
+    flightSize: 2,
+    flightCount: 2,
+    nations: {
+        '1-6': { name: 'USSR', aircraft: { '1-10': { name: 'MiG-29A', aircraftId: 'USSR-MIG-29A-1' } } },
+        '7-10': { name: 'GDR', aircraft: { '1-10': { name: 'MiG-23MF', aircraftId: 'GDR-MIG-23MF-1' } } },
+    },
+    definition: {
+        tasking: 'CAP',
+        text: '${nation}: ${flightCount} x {${flightSize}} ${aircraftType}, ${tasking}',
+    },
+};
+
+describe('Declarative table processor', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    // =====================================================================
+    //  1. Factory routing
+    // =====================================================================
+
+    describe('Factory routing', () => {
+        test('Every table with a definition gets the declarative processor', () => {
+            const factory = createFactory();
+            const defined = Object.keys(ALL_TABLES).filter(id => ALL_TABLES[id].definition);
+
+            expect(defined.length).toBe(27);
+            for (const tableId of defined) {
+                expect(factory.getProcessor(tableId)).toBeInstanceOf(DeclarativeTableProcessor);
+            }
+        });
+
+        test('Every table has a definition; no table keeps its own class', () => {
+            const tableIds = Object.keys(ALL_TABLES).filter(id => !id.startsWith('_'));
+
+            expect(tableIds.filter(id => !ALL_TABLES[id].definition)).toEqual([]);
+        });
+
+        test('A table defined only in JSON processes without a class or switch case', () => {
+            const factory = createFactory({ Z: CUSTOM_TABLE });
+            mockRollSequence([8, 3]);
+
+            const result = factory.processTable('Z', {});
+
+            expect(result.text).toBe('GDR: 2 x {2} MiG-23MF, CAP');
+            expect(result.flights).toHaveLength(1);
+            expect(result).toMatchObject({ table: 'Z', faction: 'WP', processor: 'DeclarativeTableProcessor' });
+            expect(result.flights[0]).toMatchObject({ aircraftId: 'GDR-MIG-23MF-1', flightCount: 2, sourceTable: 'Z' });
+            expect(result.rollJournal.map(e => e.label)).toEqual(['Nation', 'Aircraft']);
+            expect(ResultSchema.validate(result, 'Z')).toEqual([]);
+        });
+
+        test('Unknown table without a definition is rejected', () => {
+            const factory = createFactory({ Z: { ...CUSTOM_TABLE, definition: undefined } });
+
+            expect(factory.getProcessor('Z')).toBeNull();
+        });
+    });
+
+    // =====================================================================
+    //  2. Select steps
+    // =====================================================================
+
+    describe('Select steps', () => {
+        test('Missing required parameter returns an error result', () => {
+            const processor = new DeclarativeTableProcessor('B2', ALL_TABLES['B2']);
+
+            const result = processor.process({});
+
+            expect(result.error).toBe('Scenario date is required for Table B2');
+            expect(result.text).toBe('Error: Scenario date is required for Table B2');
+            expect(result.flights).toEqual([]);
+            expect(result.notes.setupNote).toBeDefined();
+        });
+
+        test('Unknown parameter value returns an error result', () => {
+            const processor = new DeclarativeTableProcessor('F', ALL_TABLES['F']);
+
+            const result = processor.process({ missionType: 'Air Refuelling' });
+
+            expect(result.error).toBe('Unknown mission type "Air Refuelling" for Table F');
+        });
+
+        test('Ordinal scenario dates map through the module date ranges', () => {
+            const processor = new DeclarativeTableProcessor('G2', ALL_TABLES['G2']);
+            mockRollSequence([1]);
+            const byOrdinal = processor.process({ scenarioDate: 2 });
+            const byName = processor.process({ scenarioDate: '1-15 June' });
+
+            expect(byOrdinal.text).toBe(byName.text);
+        });
+
+        test('Nationality aliases (Table E: CAN → US)', () => {
+            const processor = new DeclarativeTableProcessor('E', ALL_TABLES['E']);
+            mockRollSequence([1]);
+
+            const result = processor.process({ nationality: 'CAN' });
+
+            expect(result.nationality).toBe('US');
+            expect(result.raidType).toBe(ALL_TABLES['E'].nationalities.US.name);
+            expect(processor.normalizeNationality('CAN')).toBe('US');
+        });
+
+        test('Hex type aliases (Table K2: sea hex → GDR Naval)', () => {
+            const processor = new DeclarativeTableProcessor('K2', ALL_TABLES['K2']);
+            mockRollSequence([1]);
+
+            const result = processor.process({ hexType: 'sea' });
+
+            expect(processor.normalizeNationality(undefined, 'sea')).toBe('GDR Naval');
+            expect(processor.normalizeNationality(undefined, 'land')).toBe('GDR');
+            expect(result.nationality).toBe('GDR');
+            expect(result.flights.map(f => f.tasking))
+                .toEqual(ALL_TABLES['K2'].nationalities['GDR Naval'].flights.map(f => f.type));
+        });
+
+        test('Rolled nationality is journaled with its range (Table I2)', () => {
+            const processor = new DeclarativeTableProcessor('I2', ALL_TABLES['I2']);
+            mockRollSequence([6]);
+            startRollJournal();
+
+            const result = processor.process({});
+            const journal = stopRollJournal();
+
+            expect(result.nationality).toBe('POL');
+            expect(journal[0]).toMatchObject({ label: 'Nationality', raw: 6, matched: '5-8', result: 'POL' });
+            expect(processor.nationalityRolls).toEqual({ '1-4': 'GDR', '5-8': 'POL', '9-10': 'USSR' });
+        });
+
+        test('Optional steps apply only where the data has them (Table L Tactical Recon nation)', () => {
+            const processor = new DeclarativeTableProcessor('L', ALL_TABLES['L']);
+            mockRollSequence([6]);
+            startRollJournal();
+
+            const recon = processor.process({ missionType: 'Tactical Recon', tacticalReconNation: 'GDR' });
+            const journal = stopRollJournal();
+            const jamming = processor.process({ missionType: 'Standoff Jamming', tacticalReconNation: 'GDR' });
+
+            expect(journal.map(entry => entry.label)).toEqual(['Aircraft']);
+            expect(recon.nationality).toBe('GDR');
+            expect(recon.flights[0]).toMatchObject({ nationality: 'GDR', aircraftType: 'Su-22M4', flightSize: 2, flightCount: 1 });
+            expect(recon.text).toBe('GDR: 1 x {2} Su-22M4, Tactical Recon');
+            expect(jamming.flights[0]).toMatchObject({ nationality: 'USSR', aircraftType: 'Tu-16P', flightSize: 1, flightCount: 1 });
+            expect(processor.process({ missionType: 'Tactical Recon' }).error)
+                .toBe('Tactical recon nation is required for Table L');
+        });
+    });
+
+    // =====================================================================
+    //  3. Group shapes
+    // =====================================================================
+
+    describe('Group shapes', () => {
+        test('Tasking display names keep the data name in roll labels (Table J2)', () => {
+            const processor = new DeclarativeTableProcessor('J2', ALL_TABLES['J2']);
+            mockRollSequence([1]);
+            startRollJournal();
+
+            const result = processor.process({});
+            const labels = stopRollJournal().map(e => e.label);
+
+            expect(result.flights.map(f => f.tasking)).toEqual(['Escort Jamming', 'Close Escort', 'Bombing', 'Recon']);
+            expect(labels).toContain('Deep Strike Aircraft');
+            expect(result.flights.every(f => f.nationality === 'USSR')).toBe(true);
+        });
+
+        test('processTasking() returns only that tasking\'s entries (Table D)', () => {
+            const processor = new DeclarativeTableProcessor('D', ALL_TABLES['D']);
+            mockRollSequence([1]);
+
+            const entries = processor.processTasking('CAP');
+
+            expect(Array.isArray(entries)).toBe(true);
+            expect(entries.every(e => e.tasking === 'CAP')).toBe(true);
+        });
+
+        test('Fixed raid package uses each flight\'s aircraft without rolling (Table D3)', () => {
+            const processor = new DeclarativeTableProcessor('D3', ALL_TABLES['D3']);
+            mockRollSequence([9]);
+            startRollJournal();
+
+            const result = processor.process({ scenarioDate: '15-31 May' });
+            const journal = stopRollJournal();
+
+            expect(journal).toHaveLength(1);
+            expect(journal[0]).toMatchObject({ label: 'D3 Nationality (15-31 May)', matched: '8-10', result: 'USAF' });
+            expect(result.raidType).toBe('Naval Strike');
+            expect(result.nationality).toBe('USAF');
+            expect(result.flights[0].text).toBe('4 x {2} US F-15C, CAP');
+        });
+
+        test('Raid header and per-flight ordnance (Table J3)', () => {
+            const processor = new DeclarativeTableProcessor('J3', ALL_TABLES['J3']);
+            mockRollSequence([1]);
+
+            const result = processor.process({});
+            const lines = result.text.split('<br>');
+
+            expect(lines[0]).toBe('USSR Naval Strike Raid');
+            expect(lines).toHaveLength(result.flights.length + 1);
+            for (const flight of result.flights) {
+                expect(flight.flightCount).toBe(1);
+                if (flight.tasking === 'SEAD' || flight.tasking === 'Naval Strike') {
+                    expect(flight.ordnance).toBeTruthy();
+                    expect(flight.text).toContain(`(${flight.ordnance})`);
+                }
+            }
+        });
+
+        test('Land/sea aircraft need a hex type (Table E2 FRG CSAR)', () => {
+            const processor = new DeclarativeTableProcessor('E2', ALL_TABLES['E2']);
+            mockRollSequence([1]);
+
+            expect(processor.process({ nationality: 'FRG' }).error)
+                .toBe('Hex type (land/sea) is required for FRG CSAR flights');
+
+            const csar = processor.process({ nationality: 'FRG', hexType: 'sea' }).flights
+                .find(f => f.tasking === 'CSAR');
+            expect(csar).toMatchObject({ aircraftType: 'Mk41 Sea King', aircraftId: 'FRG-MK-41-SEA-KING-1', flightCount: 2 });
+        });
+
+        test('Flight sizes and counts come from the tasking data (Table C)', () => {
+            const processor = new DeclarativeTableProcessor('C', ALL_TABLES['C']);
+            mockRollSequence([10, 1]);
+
+            const result = processor.process({ scenarioDate: 'pre' });
+            const flights = tasking => result.flights.filter(f => f.tasking === tasking);
+
+            expect(flights('CAP')).toEqual([expect.objectContaining({ flightSize: 2, flightCount: 4, ordnance: null })]);
+            expect(flights('SEAD').map(f => [f.flightSize, f.flightCount])).toEqual([[2, 1], [2, 1], [2, 1], [2, 1]]);
+            expect(flights('Bombing').map(f => [f.flightSize, f.flightCount])).toEqual([[4, 1], [4, 1], [4, 1], [4, 1]]);
+        });
+
+        test('Split entries roll ordnance per flight for each half (Table C SEAD F-4G/F-4E)', () => {
+            const processor = new DeclarativeTableProcessor('C', ALL_TABLES['C']);
+            mockRollSequence([1, 5, 3, 7, 2, 9]);
+            startRollJournal();
+
+            const entries = processor.processTasking('SEAD', { scenarioDate: 'pre' });
+            const journal = stopRollJournal();
+
+            expect(entries.map(f => [f.aircraftType, f.aircraftId, f.flightCount, f.ordnance])).toEqual([
+                ['F-4G', null, 1, 'Bombs/CBU/Rockets + ARM'],
+                ['F-4G', null, 1, 'Bombs/CBU/Rockets + EOGM + ARM'],
+                ['F-4E', null, 1, 'Bombs/CBU/Rockets + ARM'],
+                ['F-4E', null, 1, 'Bombs/CBU/Rockets + EOGM + LGB/EOGB + ARM'],
+            ]);
+            expect(entries[0].text).toBe('1 x {2} US F-4G, SEAD (Bombs/CBU/Rockets + ARM)');
+            expect(journal.map(entry => entry.label)).toEqual([
+                'SEAD Nation', 'SEAD Aircraft',
+                'SEAD F-4G Flight 1 Ordnance', 'SEAD F-4G Flight 2 Ordnance',
+                'SEAD F-4E Flight 1 Ordnance', 'SEAD F-4E Flight 2 Ordnance',
+            ]);
+        });
+
+        test('Composite nations resolve from the rolled aircraft (Table C2 Bombing)', () => {
+            const processor = new DeclarativeTableProcessor('C2', ALL_TABLES['C2']);
+            mockRollSequence([10]);
+
+            const result = processor.process({ scenarioDate: '1-15 June' });
+            const bombing = result.flights.filter(f => f.tasking === 'Bombing');
+
+            expect(bombing).toHaveLength(3);
+            for (const flight of bombing) {
+                expect(flight.nationality).not.toContain('/');
+                expect(flight.flightSize).toBe(4);
+            }
+        });
+    });
+});
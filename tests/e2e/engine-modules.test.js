@@ -0,0 +1,240 @@
+/**
+ * Engine Module Tests — The OOB Engine Without Browser Globals
+ * =============================================================
+ *
+ * The engine (dice-roller.js, result-schema.js, the table processors, the
+ * factory and the table packs) declares its dependencies: require() under
+ * CommonJS, the globals of earlier scripts in a page or worker. The page
+ * side — window.prompt for manual dice, the Debug Mode button, the page's
+ * factory — is in the browser adapter (engine-browser.js).
+ *
+ * Tests:
+ *   1. Node.js: a plain node process rolls seeded raids with require()
+ *      and leaves no globals behind
+ *   2. Scripts: loaded in browser order into a worker-like context with no
+ *      window or document, the engine rolls the same raids
+ *   3. Dice: the manual roll prompt and debug mode are set by the host
+ *   4. Date ranges are registered by the table pack
+ *   5. Factory table sources
+ *
+ * Mock strategy:
+ *   The expected raids are rolled with the seeded RNG on the test globals
+ *   (load-processors.js). The Node.js run is a child process; the script
+ *   run uses a vm context whose only global is console.
+ */
+
+require('../setup/load-processors');
+const {
+    loadRSNatoTables,
+    loadRSWPTables,
+    loadBANatoTables,
+    loadBAWPTables,
+} = require('../helpers/table-data-loader');
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { spawnSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SHARED_JS = path.join(ROOT, 'shared', 'oob-generator', 'js');
+
+/**
+ * Engine scripts in the order the generator page loads them
+ */
+const ENGINE_SCRIPTS = [
+    path.join(SHARED_JS, 'result-schema.js'),
+    path.join(SHARED_JS, 'dice-roller.js'),
+    path.join(SHARED_JS, 'table-processors', 'TableRegistry.js'),
+    path.join(SHARED_JS, 'table-processors', 'BaseTableProcessor.js'),
+    path.join(SHARED_JS, 'table-processors', 'DeclarativeTableProcessor.js'),
+    path.join(SHARED_JS, 'table-processors', 'TableProcessorFactory.js'),
+    path.join(ROOT, 'modules', 'red-storm', 'oob-generator', 'js', 'table-pack.js'),
+    path.join(ROOT, 'modules', 'baltic-approaches', 'oob-generator', 'js', 'table-pack.js'),
+];
+
+/** Raids compared between the test globals and the other hosts */
+const ROLLS = [
+    { module: 'red-storm', tableId: 'C', params: { scenarioDate: 'post' }, seed: 'engine' },
+    { module: 'red-storm', tableId: 'L', params: { missionType: 'Tactical Recon', tacticalReconNation: 'GDR' }, seed: 'engine' },
+    { module: 'baltic-approaches', tableId: 'D3', params: { scenarioDate: 2 }, seed: 'engine' },
+    { module: 'baltic-approaches', tableId: 'J3', params: {}, seed: 'engine' },
+];
+
+const TABLES = {
+    'red-storm': { ...loadRSNatoTables(), ...loadRSWPTables() },
+    'baltic-approaches': { ...loadBANatoTables(), ...loadBAWPTables() },
+};
+
+/**
+ * Roll each of ROLLS with the test globals
+ */
+function expectedRolls() {
+    return ROLLS.map(({ module, tableId, params, seed }) => {
+        setRngSeed(seed);
+        const result = new TableProcessorFactory(TABLES[module]).processTable(tableId, params);
+        setRngSeed(null);
+        return result;
+    });
+}
+
+describe('Engine modules', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    // =====================================================================
+    //  1. Node.js
+    // =====================================================================
+
+    test('A plain Node.js process rolls the same raids and sets no globals', () => {
+        const script = `
+            console.log = () => {};
+            const path = require('path');
+            const root = ${JSON.stringify(ROOT)};
+            const shared = path.join(root, 'shared', 'oob-generator', 'js');
+            const DiceRoller = require(path.join(shared, 'dice-roller.js'));
+            const { TableProcessorFactory } = require(path.join(shared, 'table-processors', 'TableProcessorFactory.js'));
+            for (const module of ['red-storm', 'baltic-approaches']) {
+                require(path.join(root, 'modules', module, 'oob-generator', 'js', 'table-pack.js'));
+            }
+            const before = new Set(Object.keys(globalThis));
+            const results = ${JSON.stringify(ROLLS)}.map(({ module, tableId, params, seed }) => {
+                const dataDir = path.join(root, 'modules', module, 'oob-generator', 'data');
+                const tables = { ...require(path.join(dataDir, 'nato-tables.json')), ...require(path.join(dataDir, 'wp-tables.json')) };
+                DiceRoller.setRngSeed(seed);
+                return new TableProcessorFactory(tables).processTable(tableId, params);
+            });
+            const leaked = ['window', 'document', 'makeDebugRoll', 'ResultSchema', 'TableRegistry', 'BA_DATE_RANGES']
+                .filter(name => name in globalThis);
+            process.stdout.write(JSON.stringify({ results, leaked, added: Object.keys(globalThis).filter(key => !before.has(key)) }));
+        `;
+        const child = spawnSync(process.execPath, ['-e', script], { encoding: 'utf8', timeout: 60000 });
+
+        expect(child.stderr).toBe('');
+        const { results, leaked, added } = JSON.parse(child.stdout);
+        expect(leaked).toEqual([]);
+        expect(added).toEqual([]);
+        expect(results).toEqual(expectedRolls());
+    });
+
+    // =====================================================================
+    //  2. Scripts
+    // =====================================================================
+
+    test('Loaded as scripts with no window or document, the engine rolls the same raids', () => {
+        const context = vm.createContext({ console: { log: () => {}, warn: () => {}, error: () => {} } });
+        for (const file of ENGINE_SCRIPTS) {
+            vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+        }
+        context.rolls = ROLLS;
+        context.tables = TABLES;
+
+        const results = vm.runInContext(`
+            rolls.map(({ module, tableId, params, seed }) => {
+                DiceRoller.setRngSeed(seed);
+                return new TableProcessorFactory(tables[module]).processTable(tableId, params);
+            })
+        `, context);
+
+        expect(vm.runInContext('typeof window + typeof document', context)).toBe('undefinedundefined');
+        expect(JSON.parse(JSON.stringify(results))).toEqual(expectedRolls());
+    });
+
+    // =====================================================================
+    //  3. Dice
+    // =====================================================================
+
+    describe('Dice', () => {
+        let dice;
+
+        beforeEach(() => {
+            jest.isolateModules(() => {
+                dice = require('../../shared/oob-generator/js/dice-roller.js');
+            });
+        });
+
+        test('Manual dice ask the prompt the host sets', () => {
+            const prompt = jest.fn(() => '7');
+            dice.setDiceSource('manual');
+
+            expect(() => dice.makeDebugRoll(10, 'Nationality')).toThrow('Manual dice need a roll prompt');
+
+            dice.setManualRollPrompt(prompt);
+            expect(dice.makeDebugRoll(10, 'Nationality').roll).toBe(7);
+            expect(prompt.mock.calls[0][0]).toContain('Roll 1d10 for: Nationality');
+        });
+
+        test('Debug mode is set by the host', () => {
+            dice.setRngSeed('debug');
+            expect(dice.makeDebugRoll(10, 'Aircraft').debugEntry).toBeNull();
+
+            expect(dice.setDebugMode(true)).toBe(true);
+            expect(dice.makeDebugRoll(10, 'Aircraft').debugEntry).toMatch(/^Aircraft: \d+$/);
+        });
+
+        test('The browser adapter gives the page its dice functions and prompt', () => {
+            window.prompt = jest.fn(() => '3');
+            setDiceSource('manual');
+
+            try {
+                expect(window.makeDebugRoll).toBe(DiceRoller.makeDebugRoll);
+                expect(makeDebugRoll(6, 'Test Roll').roll).toBe(3);
+                expect(window.prompt).toHaveBeenCalledTimes(1);
+            } finally {
+                setDiceSource('random');
+                delete window.prompt;
+            }
+        });
+    });
+
+    // =====================================================================
+    //  4. Date ranges
+    // =====================================================================
+
+    describe('Date ranges', () => {
+        test('The Baltic Approaches pack registers its date range maps', () => {
+            expect(TableRegistry.getDates('BA_DATE_RANGES')).toEqual({ 1: '15-20 May', 2: '21-31 May', 3: '1-15 June' });
+            expect(TableRegistry.resolveDate('BA_DATE_RANGES_COMBINED_MAY', 2)).toBe('15-31 May');
+            expect(TableRegistry.resolveDate('BA_DATE_RANGES', '21-31 May')).toBe('21-31 May');
+            expect(TableRegistry.resolveDate('BA_DATE_RANGES', 4)).toBe(4);
+            expect(TableRegistry.getDates('NO_SUCH_DATES')).toBeNull();
+        });
+
+        test('Ordinal dates roll the same raid as their date range', () => {
+            const [byOrdinal, byRange] = [2, '21-31 May'].map(scenarioDate => {
+                setRngSeed('dates');
+                const result = new TableProcessorFactory(TABLES['baltic-approaches']).processTable('A2', { scenarioDate });
+                setRngSeed(null);
+                return result;
+            });
+
+            expect(byOrdinal.flights).toEqual(byRange.flights);
+        });
+    });
+
+    // =====================================================================
+    //  5. Factory table sources
+    // =====================================================================
+
+    describe('Factory table sources', () => {
+        test('A table source function is read when the tables are first needed', () => {
+            const source = jest.fn(() => TABLES['red-storm']);
+            const factory = new TableProcessorFactory(source);
+
+            expect(source).not.toHaveBeenCalled();
+            factory.processTable('G', {});
+            factory.processTable('H', {});
+            expect(source).toHaveBeenCalledTimes(1);
+
+            factory.clearCache();
+            expect(factory.getAvailableTables()).toContain('L');
+            expect(source).toHaveBeenCalledTimes(2);
+        });
+
+        test('Without tables every table is unknown', () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            expect(new TableProcessorFactory().processTable('C', { scenarioDate: 'post' }).error)
+                .toBe('Processor not found for table C');
+        });
+    });
+});
@@ -0,0 +1,349 @@
+/**
+ * Flight Edit Tests — Hand Overrides of Generated Flights
+ * ========================================================
+ *
+ * FlightEditor changes one flight of a result: the aircraft (from the
+ * faction's aircraft database), nationality, tasking, flight size or
+ * ordnance. Edited flights keep their rolled values in `overridden`, still
+ * pass the ResultSchema contract (strict mode is on in the tests) and
+ * print with the edited values.
+ *
+ * Tests:
+ *   1. Aircraft choices: the nation's aircraft first, database nation codes
+ *   2. Edits: changed fields, overridden values, flight and result text,
+ *      header lines, unchanged edits, reverting
+ *   3. Invalid edits are rejected
+ *   4. Printing and saving: the flight card shows the edited aircraft,
+ *      edited results survive a session export/import
+ *   5. Module pages: with each page's scripts loaded in order, Edit (and
+ *      Edit in the print preview) opens the editor
+ *
+ * Mock strategy:
+ *   Raids are rolled with the seeded RNG (setRngSeed); flight cards are
+ *   rendered from the shared aircraft data as in session-document.test.js.
+ *   The module pages' scripts run in a vm context with a stub document and
+ *   a fetch() that reads the data files from disk.
+ */
+
+require('../setup/load-processors');
+const {
+    loadAircraftNATO,
+    loadAircraftWP,
+    loadPrintDataFiles,
+} = require('../helpers/table-data-loader');
+const { createPrintGenerator } = require('../helpers/print-fixtures');
+const { RS_FACTORY, BA_FACTORY, rollEntry } = require('../helpers/roll-fixtures');
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// ---------------------------------------------------------------------------
+//  Test utilities
+// ---------------------------------------------------------------------------
+
+const AIRCRAFT = { NATO: loadAircraftNATO(), WP: loadAircraftWP() };
+
+/**
+ * A Table C raid and the index of its first CAP flight
+ */
+function tableCRaid() {
+    const result = rollEntry(RS_FACTORY, 'C', { scenarioDate: 'post' }, 'raid', { id: 1 });
+    return { result, index: result.flights.findIndex(flight => flight.tasking === 'CAP') };
+}
+
+/**
+ * An aircraft the flight is not already flying
+ */
+function otherAircraftId(flight) {
+    return flight.aircraftId === 'US-F-15C-1' ? 'US-F-14A-1' : 'US-F-15C-1';
+}
+
+/**
+ * Run a module page's scripts (files and inline) in order, as the browser
+ * does, with a stub document and a fetch() that reads files from disk
+ * @param {string} module - Module directory name
+ * @returns {object} The page's global object
+ */
+function loadModulePage(module) {
+    const pageDir = path.join(__dirname, '..', '..', 'modules', module, 'oob-generator');
+    const html = fs.readFileSync(path.join(pageDir, 'index.html'), 'utf8');
+    // textContent reads back as HTML, as escapeHtml() in utils.js needs
+    const element = () => ({
+        textContent: '',
+        get innerHTML() {
+            return String(this.textContent).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        },
+        set innerHTML(html) {
+            this.textContent = html;
+        },
+        style: {},
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        addEventListener() {},
+        appendChild() {},
+        setAttribute() {},
+        querySelector: () => null,
+        querySelectorAll: () => [],
+    });
+    const context = vm.createContext({
+        console: { log() {}, warn() {}, error() {} },
+        setTimeout,
+        document: {
+            getElementById: element,
+            querySelector: () => null,
+            querySelectorAll: () => [],
+            createElement: element,
+            addEventListener() {},
+            body: element(),
+        },
+        fetch: async url => {
+            const file = path.resolve(pageDir, url);
+            return { ok: fs.existsSync(file), status: 404, json: async () => JSON.parse(fs.readFileSync(file, 'utf8')) };
+        },
+    });
+    context.window = context;
+    context.addEventListener = () => {};
+
+    for (const [, src, code] of html.matchAll(/<script(?: src="([^"]+)")?>([\s\S]*?)<\/script>/g)) {
+        const file = src ? path.resolve(pageDir, src) : path.join(pageDir, 'index.html');
+        vm.runInContext(src ? fs.readFileSync(file, 'utf8') : code, context, { filename: file });
+    }
+    // Only the editor is under test, not the results list
+    context.updateResultsDisplay = () => {};
+    return context;
+}
+
+describe('Flight edits', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    // =====================================================================
+    //  1. Aircraft choices
+    // =====================================================================
+
+    describe('Aircraft choices', () => {
+        test('The nation\'s own aircraft come first, the rest of the faction after', () => {
+            const { nation, other } = FlightEditor.aircraftOptions(AIRCRAFT.NATO, 'BE');
+
+            expect(nation.map(entry => entry.aircraftType)).toContain('F-16A BE/CA/NE');
+            expect(nation.every(entry => entry.nationality === 'BE')).toBe(true);
+            expect(other.map(entry => entry.id)).toContain('US-F-16A-1');
+            expect(nation.length + other.length).toBe(FlightEditor.aircraftEntries(AIRCRAFT.NATO).length);
+        });
+
+        test('Nationalities use the codes the tables use', () => {
+            expect(FlightEditor.nationalities(AIRCRAFT.NATO)).toEqual(['BE', 'CAN', 'DK', 'FRG', 'NE', 'SE', 'UK', 'US']);
+            expect(FlightEditor.nationalities(AIRCRAFT.WP)).toEqual(['GDR', 'POL', 'USSR']);
+        });
+    });
+
+    // =====================================================================
+    //  2. Edits
+    // =====================================================================
+
+    describe('Edits', () => {
+        test('Changing the aircraft sets its id and type and marks the flight', () => {
+            const { result, index } = tableCRaid();
+            const rolled = result.flights[index];
+            const aircraftId = otherAircraftId(rolled);
+
+            const edited = FlightEditor.editFlight(result, index, { aircraftId }, AIRCRAFT.NATO);
+            const flight = edited.flights[index];
+
+            expect(flight).toMatchObject({ aircraftId, aircraftType: aircraftId === 'US-F-15C-1' ? 'F-15C' : 'F-14A' });
+            expect(flight.overridden).toEqual({ aircraftType: rolled.aircraftType, aircraftId: rolled.aircraftId, text: rolled.text });
+            expect(flight.text).toBe(`${rolled.flightCount} x {${rolled.flightSize}} ${rolled.nationality} ${flight.aircraftType}, CAP`);
+            expect(edited.text.split('<br>')[index]).toBe(flight.text);
+            expect(edited.flights.filter((_, i) => i !== index)).toEqual(result.flights.filter((_, i) => i !== index));
+            expect(FlightEditor.describeOverride(flight)).toBe(`aircraft was ${rolled.aircraftType}`);
+        });
+
+        test('Nationality, tasking, flight size and ordnance', () => {
+            const { result } = tableCRaid();
+            const index = result.flights.findIndex(flight => flight.tasking === 'Bombing');
+            const rolled = result.flights[index];
+
+            const edited = FlightEditor.editFlight(result, index, {
+                nationality: 'UK',
+                tasking: ' Deep Strike ',
+                flightSize: '2',
+                ordnance: 'Bombs/CBU/Rockets + LGB/EOGB',
+            }, AIRCRAFT.NATO);
+            const flight = edited.flights[index];
+
+            expect(flight).toMatchObject({
+                nationality: 'UK',
+                actualNationality: null,
+                tasking: 'Deep Strike',
+                flightSize: 2,
+                ordnance: 'Bombs/CBU/Rockets + LGB/EOGB',
+                text: `${rolled.flightCount} x {2} UK ${rolled.aircraftType}, Deep Strike (Bombs/CBU/Rockets + LGB/EOGB)`,
+            });
+            expect(FlightEditor.describeOverride(flight))
+                .toBe(`nationality was ${rolled.nationality}, tasking was Bombing, flight size was ${rolled.flightSize}, ordnance was ${rolled.ordnance}`);
+        });
+
+        test('Blank ordnance removes it', () => {
+            const { result } = tableCRaid();
+            const index = result.flights.findIndex(flight => flight.tasking === 'SEAD');
+
+            const flight = FlightEditor.editFlight(result, index, { ordnance: '  ' }, AIRCRAFT.NATO).flights[index];
+
+            expect(flight.ordnance).toBeNull();
+            expect(flight.text).not.toContain('(');
+        });
+
+        test('Header lines are kept (Table J3)', () => {
+            const result = rollEntry(BA_FACTORY, 'J3', {}, 'raid', { id: 1 });
+
+            const edited = FlightEditor.editFlight(result, 0, { flightSize: 2 }, AIRCRAFT.WP);
+            const lines = edited.text.split('<br>');
+
+            expect(lines[0]).toBe(`${result.nationality} Naval Strike Raid`);
+            expect(lines.slice(1)).toEqual(edited.flights.map(flight => flight.text));
+        });
+
+        test('Setting a field back to its rolled value drops the override', () => {
+            const { result, index } = tableCRaid();
+            const rolled = result.flights[index];
+
+            let edited = FlightEditor.editFlight(result, index, { aircraftId: otherAircraftId(rolled), flightSize: 4 }, AIRCRAFT.NATO);
+            edited = FlightEditor.editFlight(edited, index, { flightSize: rolled.flightSize }, AIRCRAFT.NATO);
+            expect(Object.keys(edited.flights[index].overridden)).toEqual(['aircraftType', 'aircraftId', 'text']);
+
+            edited = FlightEditor.editFlight(edited, index, { aircraftId: rolled.aircraftId }, AIRCRAFT.NATO);
+            expect(edited.flights[index]).toEqual(rolled);
+            expect(edited.text).toBe(result.text);
+        });
+
+        test('Reverting puts back the rolled flight', () => {
+            const { result, index } = tableCRaid();
+            const edited = FlightEditor.editFlight(result, index, { tasking: 'Escort', flightSize: 1 }, AIRCRAFT.NATO);
+
+            const reverted = FlightEditor.revertFlight(edited, index);
+
+            expect(reverted.flights).toEqual(result.flights);
+            expect(reverted.text).toBe(result.text);
+        });
+
+        test('An edit that changes nothing returns the same result', () => {
+            const { result, index } = tableCRaid();
+            const flight = result.flights[index];
+
+            expect(FlightEditor.editFlight(result, index, {
+                aircraftId: flight.aircraftId,
+                nationality: flight.nationality,
+                tasking: flight.tasking,
+                flightSize: String(flight.flightSize),
+                ordnance: '',
+            }, AIRCRAFT.NATO)).toBe(result);
+        });
+
+        test('The result passed in is left alone', () => {
+            const { result, index } = tableCRaid();
+            const snapshot = JSON.parse(JSON.stringify(result));
+
+            FlightEditor.editFlight(result, index, { flightSize: 1 }, AIRCRAFT.NATO);
+
+            expect(result).toEqual(snapshot);
+        });
+    });
+
+    // =====================================================================
+    //  3. Invalid edits
+    // =====================================================================
+
+    describe('Invalid edits', () => {
+        test('Unknown aircraft and nationalities, blank taskings and bad flight sizes', () => {
+            const { result, index } = tableCRaid();
+            const edit = changes => () => FlightEditor.editFlight(result, index, changes, AIRCRAFT.NATO);
+
+            expect(edit({ aircraftId: 'USSR-MIG-29A-1' })).toThrow('Unknown NATO aircraft "USSR-MIG-29A-1"');
+            expect(edit({ nationality: 'USSR' })).toThrow('Unknown NATO nationality "USSR"');
+            expect(edit({ tasking: ' ' })).toThrow('Tasking is required');
+            expect(edit({ flightSize: '0' })).toThrow('Flight size must be a whole number of 1 or more');
+            expect(edit({ flightSize: '2.5' })).toThrow(FlightEditor.FlightEditError);
+            expect(() => FlightEditor.editFlight(result, 99, {}, AIRCRAFT.NATO)).toThrow('Table C has no flight 100');
+        });
+
+        test('The contract rejects overridden values that are not an object', () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const { result, index } = tableCRaid();
+            const flights = result.flights.map((flight, i) => (i === index ? { ...flight, overridden: 'F-15C' } : flight));
+
+            expect(ResultSchema.validate({ ...result, flights }, 'Table C'))
+                .toEqual([`[ResultSchema] Table C: flights[${index}]: overridden must be an object of rolled values or null`]);
+        });
+    });
+
+    // =====================================================================
+    //  4. Printing and saving
+    // =====================================================================
+
+    describe('Printing and saving', () => {
+        test('The flight card is printed for the edited aircraft and size', async () => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            const { result, index } = tableCRaid();
+            const aircraftId = otherAircraftId(result.flights[index]);
+            const edited = FlightEditor.editFlight(result, index, { aircraftId, flightSize: 4 }, AIRCRAFT.NATO);
+
+            const printGen = createPrintGenerator();
+            const data = loadPrintDataFiles();
+            const flight = printGen.processFlights([edited])[index];
+            const card = await printGen.generateDesignerFlightCard(
+                flight, data.aircraftNATO, data.aircraftWP, data.noteRules, data.weapons, data.nameMapping
+            );
+
+            expect(flight).toMatchObject({ aircraftId, flightSize: 4, faction: 'NATO' });
+            expect(card).toContain(edited.flights[index].aircraftType);
+        });
+
+        test('Edited results survive a session export and import', () => {
+            const { result, index } = tableCRaid();
+            const edited = FlightEditor.editFlight(result, index, { tasking: 'Sweep' }, AIRCRAFT.NATO);
+
+            const doc = SessionDocument.create({ module: 'red-storm', scenarioDate: 'post', results: [edited] });
+            const imported = SessionDocument.parse(SessionDocument.serialize(doc));
+
+            expect(imported.results[0].flights[index]).toEqual(edited.flights[index]);
+        });
+    });
+
+    // =====================================================================
+    //  5. Module pages
+    // =====================================================================
+
+    describe('Module pages', () => {
+        /**
+         * A NATO result made in the page's own ResultSchema
+         */
+        function pageResult(page) {
+            return {
+                ...page.ResultSchema.createResult({ table: 'D3', faction: 'NATO', nationality: 'US' }, [
+                    { aircraftType: 'F-15C', aircraftId: 'US-F-15C-1', nationality: 'US', tasking: 'CAP', flightSize: 2, flightCount: 4 },
+                ]),
+                id: 3,
+            };
+        }
+
+        test.each(['red-storm', 'baltic-approaches'])('%s: Edit opens the flight editor', async (module) => {
+            const page = loadModulePage(module);
+            const result = pageResult(page);
+
+            await page.openFlightEditor(result.id);
+            const editor = page.renderFlightEditor(result);
+
+            expect(editor).toContain('class="flight-edit-row"');
+            expect(editor).toContain('<option value="US-F-15C-1" selected>');
+        });
+
+        test.each(['red-storm', 'baltic-approaches'])('%s: Edit in the print preview opens the flight editor', async (module) => {
+            const page = loadModulePage(module);
+            const result = pageResult(page);
+
+            page.editPreviewFlight(result.id);
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(page.renderFlightEditor(result)).toContain('class="flight-edit-row"');
+        });
+    });
+});
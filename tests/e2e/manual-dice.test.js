@@ -0,0 +1,233 @@
+/**
+ * Manual Dice Mode Tests — Physical Dice Entry for Every Processor
+ * ==================================================================
+ *
+ * In manual dice mode, makeDebugRoll() prompts the player for each roll
+ * (window.prompt) instead of using the RNG. These tests verify that:
+ *
+ *   1. Every processor (A-F, A2-F2, D3, G-L, G2-L2) produces exactly the
+ *      same structured result from entered rolls as it does from the
+ *      same values rolled by the computer
+ *   2. Every prompt carries a non-empty roll label
+ *   3. Split-SEAD and F-4 variant sub-roll paths prompt for each roll
+ *   4. Invalid entries are re-prompted; cancelling stops the generation
+ *
+ * Mock strategy:
+ *   Computer rolls: Math.random() mocked to (R - 1) / 10 for roll R.
+ *   Physical dice:  window.prompt mocked to return R as a string.
+ *   Both are fed the same roll script, so the results must be identical.
+ */
+
+require('../setup/load-processors');
+const {
+    loadRSNatoTables,
+    loadRSWPTables,
+    loadBANatoTables,
+    loadBAWPTables,
+} = require('../helpers/table-data-loader');
+
+// ---------------------------------------------------------------------------
+//  Test utilities
+// ---------------------------------------------------------------------------
+
+// Varied roll script so lookups hit different ranges; repeats once exhausted
+const ROLL_SCRIPT = [5, 3, 8, 1, 10, 6, 2, 9, 4, 7];
+
+/**
+ * Build a roll provider that walks a script, cycling at the end.
+ * @param {number[]} script - d10 results to produce in order
+ * @returns {Function} Returns the next roll on each call
+ */
+function scriptedRolls(script) {
+    let index = 0;
+    return () => script[index++ % script.length];
+}
+
+/**
+ * Run a processor with computer rolls (mocked Math.random).
+ */
+function runWithComputerDice(processor, params, script) {
+    setDiceSource('random');
+    const next = scriptedRolls(script);
+    jest.spyOn(Math, 'random').mockImplementation(() => (next() - 1) / 10);
+    const result = processor.process(params);
+    jest.restoreAllMocks();
+    return result;
+}
+
+/**
+ * Run a processor with physical dice (mocked window.prompt).
+ * @returns {{result: object, labels: string[]}}
+ */
+function runWithPhysicalDice(processor, params, script) {
+    setDiceSource('manual');
+    const next = scriptedRolls(script);
+    const labels = [];
+    window.prompt = jest.fn((message) => {
+        labels.push(message.match(/for: (.*)\n/)[1]);
+        return String(next());
+    });
+    const result = processor.process(params);
+    setDiceSource('random');
+    return { result, labels };
+}
+
+// ---------------------------------------------------------------------------
+//  Processor cases (same params as the result-contract tests)
+// ---------------------------------------------------------------------------
+
+const rsNato = loadRSNatoTables();
+const rsWP = loadRSWPTables();
+const baNato = loadBANatoTables();
+const baWP = loadBAWPTables();
+
+const CASES = [
+    ['A', () => new DeclarativeTableProcessor('A', rsNato['A']), { atafZone: '2ATAF', scenarioDate: 'pre' }],
+    ['B', () => new DeclarativeTableProcessor('B', rsNato['B']), { atafZone: '2ATAF', scenarioDate: 'pre' }],
+    ['C', () => new DeclarativeTableProcessor('C', rsNato['C']), { scenarioDate: 'post' }],
+    ['D', () => new DeclarativeTableProcessor('D', rsNato['D']), { scenarioDate: 'pre' }],
+    ['E', () => new DeclarativeTableProcessor('E', rsNato['E']), { nationality: 'US', scenarioDate: 'pre' }],
+    ['F', () => new DeclarativeTableProcessor('F', rsNato['F']), { missionType: Object.keys(rsNato['F'].missionTypes || {})[0] || 'Fast FAC', scenarioDate: 'pre' }],
+    ['A2', () => new DeclarativeTableProcessor('A2', baNato['A2']), { scenarioDate: '15-20 May' }],
+    ['A2-SE', () => new DeclarativeTableProcessor('A2-SE', baNato['A2-SE']), {}],
+    ['B2', () => new DeclarativeTableProcessor('B2', baNato['B2']), { scenarioDate: '15-20 May' }],
+    ['C2', () => new DeclarativeTableProcessor('C2', baNato['C2']), { scenarioDate: '15-20 May' }],
+    ['D2', () => new DeclarativeTableProcessor('D2', baNato['D2']), { scenarioDate: '15-20 May' }],
+    ['D3', () => new DeclarativeTableProcessor('D3', baNato['D3']), { scenarioDate: '15-31 May' }],
+    ['E2', () => new DeclarativeTableProcessor('E2', baNato['E2']), { nationality: 'FRG', scenarioDate: '15-20 May', hexType: 'land' }],
+    ['F2', () => new DeclarativeTableProcessor('F2', baNato['F2']), {}],
+    ['G', () => new DeclarativeTableProcessor('G', rsWP['G']), {}],
+    ['H', () => new DeclarativeTableProcessor('H', rsWP['H']), {}],
+    ['I', () => new DeclarativeTableProcessor('I', rsWP['I']), {}],
+    ['J', () => new DeclarativeTableProcessor('J', rsWP['J']), {}],
+    ['K', () => new DeclarativeTableProcessor('K', rsWP['K']), { nationality: 'USSR', scenarioDate: 'pre' }],
+    ['L', () => new DeclarativeTableProcessor('L', rsWP['L']), { missionType: Object.keys(rsWP['L'].missionTypes || {})[0] || 'Standoff Jamming' }],
+    ['G2', () => new DeclarativeTableProcessor('G2', baWP['G2']), { scenarioDate: '15-20 May' }],
+    ['H2', () => new DeclarativeTableProcessor('H2', baWP['H2']), { scenarioDate: '15-31 May' }],
+    ['I2', () => new DeclarativeTableProcessor('I2', baWP['I2']), { scenarioDate: '15-20 May' }],
+    ['J2', () => new DeclarativeTableProcessor('J2', baWP['J2']), { scenarioDate: '15-20 May' }],
+    ['J3', () => new DeclarativeTableProcessor('J3', baWP['J3']), { nationality: 'USSR', scenarioDate: '15-20 May' }],
+    ['K2', () => new DeclarativeTableProcessor('K2', baWP['K2']), { nationality: 'GDR', scenarioDate: '15-20 May' }],
+    ['L2', () => new DeclarativeTableProcessor('L2', baWP['L2']), { missionType: Object.keys(baWP['L2'].missionTypes || {})[0] || 'Standoff Jamming', scenarioDate: '15-20 May' }],
+];
+
+// ===========================================================================
+//  SUITE 1: Parity with computer rolls
+// ===========================================================================
+
+describe('Manual dice mode — parity with computer rolls', () => {
+    afterEach(() => {
+        setDiceSource('random');
+        jest.restoreAllMocks();
+        delete window.prompt;
+    });
+
+    test.each(CASES)('Table %s: entered rolls give the same result as computer rolls', (tableId, makeProcessor, params) => {
+        const expected = runWithComputerDice(makeProcessor(), params, ROLL_SCRIPT);
+        const { result, labels } = runWithPhysicalDice(makeProcessor(), params, ROLL_SCRIPT);
+
+        expect(labels.length).toBeGreaterThan(0);
+        labels.forEach(label => expect(label.trim()).not.toBe(''));
+        expect(result).toEqual(expected);
+    });
+});
+
+// ===========================================================================
+//  SUITE 2: Split SEAD and variant sub-rolls
+// ===========================================================================
+
+describe('Manual dice mode — split SEAD and variant sub-rolls', () => {
+    const tableC = rsNato['C'];
+
+    afterEach(() => {
+        setDiceSource('random');
+        delete window.prompt;
+    });
+
+    test('Table C SEAD F-4G/F-16C split prompts for each split flight ordnance', () => {
+        // US nation roll 1, aircraft roll 9 → F-4G/F-16C split
+        setDiceSource('manual');
+        const labels = [];
+        const script = scriptedRolls([1, 9, 5, 5, 5, 5]);
+        window.prompt = jest.fn((message) => {
+            labels.push(message.match(/for: (.*)\n/)[1]);
+            return String(script());
+        });
+
+        const result = new DeclarativeTableProcessor('C', tableC).processTasking('SEAD', { scenarioDate: 'pre' });
+
+        expect(Array.isArray(result)).toBe(true);
+        expect(labels.filter(l => /^SEAD F-4G Flight \d+ Ordnance$/.test(l))).toHaveLength(2);
+        expect(labels.filter(l => /^SEAD F-16C Flight \d+ Ordnance$/.test(l))).toHaveLength(2);
+    });
+
+    test('Table C Bombing F-4 variant prompts for the sub-roll', () => {
+        setDiceSource('manual');
+        const labels = [];
+        const script = scriptedRolls([1, 8, 3, 5, 5, 5, 5]);
+        window.prompt = jest.fn((message) => {
+            labels.push(message.match(/for: (.*)\n/)[1]);
+            return String(script());
+        });
+
+        const result = new DeclarativeTableProcessor('C', tableC).processTasking('Bombing', { scenarioDate: 'pre' });
+        const flights = Array.isArray(result) ? result : [result];
+
+        expect(labels.some(l => /Sub-roll/i.test(l))).toBe(true);
+        expect(flights[0].aircraftType).toContain('F-4D');
+    });
+});
+
+// ===========================================================================
+//  SUITE 3: Input handling
+// ===========================================================================
+
+describe('Manual dice mode — input handling', () => {
+    afterEach(() => {
+        setDiceSource('random');
+        delete window.prompt;
+    });
+
+    test('invalid entries are re-prompted until a valid roll is given', () => {
+        setDiceSource('manual');
+        const answers = ['11', 'abc', '0', '2.5', ' 7 '];
+        window.prompt = jest.fn(() => answers.shift());
+
+        expect(makeDebugRoll(10, 'Test Roll').roll).toBe(7);
+        expect(window.prompt).toHaveBeenCalledTimes(5);
+        expect(window.prompt.mock.calls[0][0]).toContain('Test Roll');
+    });
+
+    test('cancelling a prompt throws and stops further prompts', () => {
+        setDiceSource('manual');
+        window.prompt = jest.fn(() => null);
+
+        expect(() => makeDebugRoll(10, 'Test Roll')).toThrow('Manual roll cancelled');
+        expect(isManualRollCancelled()).toBe(true);
+        expect(() => makeDebugRoll(10, 'Next Roll')).toThrow('Manual roll cancelled');
+        expect(window.prompt).toHaveBeenCalledTimes(1);
+
+        resetManualRollCancelled();
+        expect(isManualRollCancelled()).toBe(false);
+    });
+
+    test('a cancelled roll surfaces as an error result through the factory', () => {
+        setDiceSource('manual');
+        window.prompt = jest.fn(() => null);
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const factory = new TableProcessorFactory();
+        factory.tableData = { ...rsNato, ...rsWP };
+        const result = factory.processTable('G', {});
+
+        expect(result.error).toBe('Manual roll cancelled');
+        errorSpy.mockRestore();
+    });
+
+    test('random mode never prompts', () => {
+        setDiceSource('random');
+        window.prompt = jest.fn();
+        makeDebugRoll(10, 'Test Roll');
+        expect(window.prompt).not.toHaveBeenCalled();
+    });
+});
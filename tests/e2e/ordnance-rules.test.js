@@ -0,0 +1,237 @@
+/**
+ * Ordnance Rules Tests — Data-Driven Ordnance Tables
+ * ===================================================
+ *
+ * Ordnance bands (ordnanceRolls), per-aircraft modifiers, "SEAD always
+ * + ARM" additions and Note E restrictions live in the table JSON
+ * (ordnanceRules) and are evaluated by BaseTableProcessor.resolveOrdnance()
+ * / rollForOrdnance() for every processor that rolls ordnance.
+ *
+ * Tests:
+ *   1. Modifiers match by aircraftId and are read from the data (editing
+ *      the JSON changes the result without touching any processor)
+ *   2. Additions and restrictions apply to the right taskings/aircraft
+ *   3. Restricted aircraft roll and ignore the ordnance die (Table I),
+ *      or make no roll where the rule says rollsDie: false (Table I2)
+ *   4. Every aircraftId referenced by an ordnance rule exists in the
+ *      aircraft database
+ *
+ * Mock strategy:
+ *   Math.random() is mocked to force specific d10 rolls: (R - 1) / 10.
+ */
+
+require('../setup/load-processors');
+const {
+    loadRSNatoTables,
+    loadRSWPTables,
+    loadBANatoTables,
+    loadBAWPTables,
+    loadAircraftDb,
+} = require('../helpers/table-data-loader');
+
+function mockRollSequence(rollValues) {
+    let callIndex = 0;
+    const counter = { count: 0 };
+    jest.spyOn(Math, 'random').mockImplementation(() => {
+        const roll = rollValues[callIndex % rollValues.length];
+        callIndex++;
+        counter.count++;
+        return (roll - 1) / 10;
+    });
+    return counter;
+}
+
+/**
+ * Collect every ordnanceRules object in a set of tables
+ * @returns {Array<{path: string, rules: object}>}
+ */
+function findOrdnanceRules(tables) {
+    const found = [];
+    (function walk(node, path) {
+        if (!node || typeof node !== 'object') return;
+        if (node.ordnanceRules) found.push({ path, rules: node.ordnanceRules });
+        for (const [key, value] of Object.entries(node)) {
+            if (key !== 'ordnanceRules') walk(value, `${path}.${key}`);
+        }
+    })(tables, '');
+    return found;
+}
+
+const F16C = { tasking: 'Bombing', aircraftId: 'US-F-16C-1', aircraftType: 'F-16C' };
+const F4E = { tasking: 'Bombing', aircraftId: 'US-F-4E-1', aircraftType: 'F-4E' };
+
+describe('Ordnance rules — data-driven ordnance tables', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('Modifiers', () => {
+        test('Table C F-16C gets +2 by aircraftId', () => {
+            const tableC = loadRSNatoTables()['C'];
+            const processor = new DeclarativeTableProcessor('C', tableC);
+
+            expect(processor.resolveOrdnance(3, tableC, F4E)).toBe('Bombs/CBU/Rockets');
+            expect(processor.resolveOrdnance(3, tableC, F16C)).toBe('Bombs/CBU/Rockets + EOGM');
+        });
+
+        // Errata fix: the old name check ("Tornado GR1"/"Tornado IDS") never
+        // matched the table names "Torn GR1"/"Torn IDS", so they got no +1
+        test('Table C Tornado GR1 and IDS get +1 (table names "Torn GR1"/"Torn IDS")', () => {
+            const tableC = loadRSNatoTables()['C'];
+            const processor = new DeclarativeTableProcessor('C', tableC);
+            const gr1 = {};
+            const ids = {};
+
+            processor.resolveOrdnance(4, tableC, { tasking: 'Bombing', aircraftId: 'UK-TORNADO-GR-1-1', aircraftType: 'Torn GR1' }, gr1);
+            processor.resolveOrdnance(4, tableC, { tasking: 'Bombing', aircraftId: 'FRG-TORNADO-IDS-1', aircraftType: 'Torn IDS' }, ids);
+            expect(gr1).toMatchObject({ modifier: 1, modified: 5, matched: '5-7' });
+            expect(ids).toMatchObject({ modifier: 1, modified: 5, matched: '5-7' });
+        });
+
+        test('Split SEAD components without an aircraftId match by aircraftType', () => {
+            const tableC = loadRSNatoTables()['C'];
+            const processor = new DeclarativeTableProcessor('C', tableC);
+
+            const ordnance = processor.resolveOrdnance(3, tableC, { tasking: 'SEAD', aircraftId: null, aircraftType: 'F-16C' });
+            expect(ordnance).toBe('Bombs/CBU/Rockets + EOGM + ARM');
+        });
+
+        test('Modified roll is capped at 10', () => {
+            const tableC = loadRSNatoTables()['C'];
+            const processor = new DeclarativeTableProcessor('C', tableC);
+            const entry = {};
+
+            processor.resolveOrdnance(10, tableC, F16C, entry);
+            expect(entry.modified).toBe(10);
+        });
+
+        test('Modifiers come from the table data, not the processor', () => {
+            const tableC = JSON.parse(JSON.stringify(loadRSNatoTables()['C']));
+            tableC.ordnanceRules.modifiers = [
+                { aircraftIds: ['US-F-4E-1'], modifier: 4, note: 'Errata: F-4E +4' },
+            ];
+            const processor = new DeclarativeTableProcessor('C', tableC);
+            const entry = {};
+
+            expect(processor.resolveOrdnance(4, tableC, F4E, entry)).toBe('Bombs/CBU/Rockets + EOGM + LGB/EOGB');
+            expect(processor.resolveOrdnance(3, tableC, F16C)).toBe('Bombs/CBU/Rockets');
+            expect(entry.detail).toBe('Errata: F-4E +4');
+        });
+
+        test('Table I Su-24 gets +2 from the USSR ordnance rules', () => {
+            const tableI = loadRSWPTables()['I'];
+            const processor = new DeclarativeTableProcessor('I', tableI);
+            const flight = { tasking: 'Bombing', aircraftId: 'USSR-SU-24-1', aircraftType: 'Su-24' };
+
+            expect(processor.resolveOrdnance(5, tableI.nationalities.USSR, flight)).toBe('Bombs/CBU/Rockets + EOGM/ARM');
+        });
+    });
+
+    describe('Additions', () => {
+        test('SEAD always adds ARM, Bombing does not', () => {
+            const tableC2 = loadBANatoTables()['C2'];
+            const processor = new DeclarativeTableProcessor('C2', tableC2);
+            const flight = { aircraftId: 'FRG-F-4F-1', aircraftType: 'F-4F' };
+
+            expect(processor.resolveOrdnance(1, tableC2, { ...flight, tasking: 'SEAD' })).toBe('Bombs/CBU/Rockets + ARM');
+            expect(processor.resolveOrdnance(1, tableC2, { ...flight, tasking: 'Bombing' })).toBe('Bombs/CBU/Rockets');
+        });
+
+        test('Tables without ordnanceRules use their bands unmodified', () => {
+            const tableJ3 = loadBAWPTables()['J3'];
+            const processor = new DeclarativeTableProcessor('J3', tableJ3);
+            const flight = { tasking: 'SEAD', aircraftId: 'USSR-SU-24M-1', aircraftType: 'Su-24M' };
+
+            expect(processor.resolveOrdnance(6, tableJ3, flight)).toBe('Bombs/CBU/Rockets + EOGM/ARM');
+        });
+    });
+
+    describe('Restrictions', () => {
+        test('Table I GDR MiG-21 rolls the ordnance die and ignores it', () => {
+            const tableI = loadRSWPTables()['I'];
+            const processor = new DeclarativeTableProcessor('I', tableI);
+            const counter = mockRollSequence([10]);
+            const flight = { tasking: 'SEAD', aircraftId: 'POL-MIG-21MF-1', aircraftType: 'MiG-21MF' };
+
+            const result = processor.rollForOrdnance(tableI.nationalities.GDR, flight, 'SEAD Flight 1 Ordnance');
+
+            expect(counter.count).toBe(1);
+            expect(result.ordnanceRoll).toBe(10);
+            expect(result.ordnanceType).toMatch(/Note E/);
+        });
+
+        test('Table I2 GDR MiG-21 is restricted without rolling (rollsDie: false)', () => {
+            const tableI2 = loadBAWPTables()['I2'];
+            const processor = new DeclarativeTableProcessor('I2', tableI2);
+            const counter = mockRollSequence([10]);
+            const flight = { tasking: 'Bombing', aircraftId: 'POL-MIG-21MF-1', aircraftType: 'MiG-21MF' };
+
+            const result = processor.rollForOrdnance(tableI2.nationalities.GDR, flight, 'Bombing Flight 1 Ordnance');
+
+            expect(counter.count).toBe(0);
+            expect(result.ordnanceRoll).toBeNull();
+            expect(result.ordnanceType).toBe('Bombs/CBU/Rockets');
+        });
+
+        test('Restriction is limited to its nationality', () => {
+            const tableI = loadRSWPTables()['I'];
+            const processor = new DeclarativeTableProcessor('I', tableI);
+            const flight = { tasking: 'SEAD', aircraftId: 'POL-MIG-21MF-1', aircraftType: 'MiG-21MF' };
+
+            expect(processor.resolveOrdnance(10, tableI.nationalities.USSR, flight)).not.toMatch(/Note E/);
+        });
+
+        test('Table I2 GDR MiG-21SPS (no aircraftId) is restricted by aircraftType', () => {
+            const tableI2 = loadBAWPTables()['I2'];
+            const processor = new DeclarativeTableProcessor('I2', tableI2);
+            const flight = { tasking: 'SEAD', aircraftId: null, aircraftType: 'MiG-21SPS' };
+
+            expect(processor.resolveOrdnance(10, tableI2.nationalities.GDR, flight)).toBe('Bombs/CBU/Rockets');
+        });
+
+        test('Table I2 GDR raid with MiG-21 Bombing flights rolls no ordnance for them', () => {
+            const processor = new DeclarativeTableProcessor('I2', loadBAWPTables()['I2']);
+            // Nationality 1 (GDR), then every aircraft roll 1: MiG-21MF for SEAD and Bombing
+            mockRollSequence([1]);
+            const result = processor.process({});
+
+            const bombing = result.flights.filter(f => f.tasking === 'Bombing' || f.tasking === 'SEAD');
+            expect(bombing.length).toBeGreaterThan(0);
+            for (const flight of bombing) {
+                if (flight.aircraftType.includes('MiG-21')) {
+                    expect(flight.ordnance).toBe('Bombs/CBU/Rockets');
+                }
+            }
+        });
+    });
+
+    describe('Data integrity', () => {
+        test('Every aircraftId in an ordnance rule exists in the aircraft database', () => {
+            const { byId } = loadAircraftDb();
+            const tables = {
+                RS: { ...loadRSNatoTables(), ...loadRSWPTables() },
+                BA: { ...loadBANatoTables(), ...loadBAWPTables() },
+            };
+            const missing = [];
+
+            for (const { path, rules } of findOrdnanceRules(tables)) {
+                for (const rule of [...(rules.modifiers || []), ...(rules.restrictions || [])]) {
+                    for (const id of rule.aircraftIds || []) {
+                        if (!byId[id]) missing.push(`${path}: ${id}`);
+                    }
+                }
+            }
+
+            expect(missing).toEqual([]);
+        });
+
+        test('Every ordnance rolling table defines bands for its taskings', () => {
+            const rs = { ...loadRSNatoTables(), ...loadRSWPTables() };
+            const ba = { ...loadBANatoTables(), ...loadBAWPTables() };
+
+            expect(Object.keys(rs.C.ordnanceRolls)).toEqual(['SEAD', 'Bombing']);
+            expect(Object.keys(ba.C2.ordnanceRolls)).toEqual(['SEAD', 'Bombing']);
+            for (const nationality of Object.values(rs.I.nationalities)) {
+                expect(Object.keys(nationality.ordnanceRolls)).toEqual(['SEAD', 'Bombing']);
+            }
+        });
+    });
+});
@@ -0,0 +1,179 @@
+/**
+ * Parameter Schema Tests — Validating Processor Input Before Processing
+ * ======================================================================
+ *
+ * Each table's parameter schema (registered by its module pack) declares
+ * required fields, allowed values and dependent fields.
+ * TableProcessorFactory.processTable() checks input against it and
+ * returns structured errors before any dice are rolled; the UI checks the
+ * same schema before rolling.
+ *
+ * Tests:
+ *   1. Every combination of allowed values the schema lists processes
+ *      without error (the schema and the table data agree)
+ *   2. Missing, unknown and not-applicable values are rejected with
+ *      structured errors and no rolls
+ *   3. Optional parameters, undeclared parameters and tables without a
+ *      schema
+ *
+ * Mock strategy:
+ *   Math.random() is mocked to force specific d10 rolls: (R - 1) / 10.
+ */
+
+require('../setup/load-processors');
+const {
+    loadRSNatoTables,
+    loadRSWPTables,
+    loadBANatoTables,
+    loadBAWPTables,
+} = require('../helpers/table-data-loader');
+
+// ---------------------------------------------------------------------------
+//  Test utilities
+// ---------------------------------------------------------------------------
+
+function mockRollSequence(rollValues) {
+    let callIndex = 0;
+    const counter = { count: 0 };
+    jest.spyOn(Math, 'random').mockImplementation(() => {
+        const roll = rollValues[callIndex % rollValues.length];
+        callIndex++;
+        counter.count++;
+        return (roll - 1) / 10;
+    });
+    return counter;
+}
+
+const ALL_TABLES = {
+    ...loadRSNatoTables(),
+    ...loadRSWPTables(),
+    ...loadBANatoTables(),
+    ...loadBAWPTables(),
+};
+
+function createFactory() {
+    const factory = new TableProcessorFactory();
+    factory.tableData = ALL_TABLES;
+    return factory;
+}
+
+/**
+ * Every combination of allowed values for a table's schema, following
+ * dependent parameters (hexType only appears with FRG)
+ */
+function allowedCombinations(tableId) {
+    let combinations = [{}];
+    for (const param of TableRegistry.getParams(tableId)) {
+        const values = TableRegistry.getOptions(param, ALL_TABLES[tableId]).map(option => option.value);
+        combinations = combinations.flatMap(params => {
+            if (!TableRegistry.isParamActive(param, params)) return [params];
+            return values.map(value => ({ ...params, [param.name]: value }));
+        });
+    }
+    return combinations;
+}
+
+const REGISTERED = TableRegistry.list().map(entry => entry.id).filter(tableId => ALL_TABLES[tableId]);
+
+describe('Parameter schema', () => {
+    const factory = createFactory();
+
+    afterEach(() => jest.restoreAllMocks());
+
+    // =====================================================================
+    //  1. Allowed values
+    // =====================================================================
+
+    describe('Allowed values', () => {
+        test.each(REGISTERED)('Table %s: every allowed combination processes', (tableId) => {
+            for (const params of allowedCombinations(tableId)) {
+                mockRollSequence([5, 3, 8, 1]);
+                const result = factory.processTable(tableId, params);
+
+                expect({ params, error: result.error }).toEqual({ params, error: undefined });
+                jest.restoreAllMocks();
+            }
+        });
+
+        test('Ordinal dates map to each table\'s own date ranges', () => {
+            mockRollSequence([5]);
+
+            expect(TableRegistry.validateParams('H2', { scenarioDate: 1 }, ALL_TABLES.H2)).toEqual([]);
+            expect(TableRegistry.validateParams('H2', { scenarioDate: '21-31 May' }, ALL_TABLES.H2)).toEqual([
+                {
+                    param: 'scenarioDate',
+                    code: 'invalid',
+                    message: 'Unknown scenario date "21-31 May" for Table H2',
+                    allowed: ['15-31 May', '1-15 June'],
+                },
+            ]);
+            expect(factory.processTable('D3', { scenarioDate: 3 }).error).toBeUndefined();
+        });
+    });
+
+    // =====================================================================
+    //  2. Rejected input
+    // =====================================================================
+
+    describe('Rejected input', () => {
+        test('Missing required parameter is rejected before rolling (Table C)', () => {
+            const counter = mockRollSequence([5]);
+
+            const result = factory.processTable('C', {});
+
+            expect(counter.count).toBe(0);
+            expect(result.errors).toEqual([
+                { param: 'scenarioDate', code: 'required', message: 'Scenario date is required for Table C' },
+            ]);
+            expect(result.error).toBe('Scenario date is required for Table C');
+            expect(result.text).toBe('Error: Scenario date is required for Table C');
+            expect(result.rollJournal).toEqual([]);
+        });
+
+        test('Every error is reported, in schema order (Table A)', () => {
+            const result = factory.processTable('A', { atafZone: '3ATAF' });
+
+            expect(result.errors.map(e => [e.param, e.code])).toEqual([
+                ['atafZone', 'invalid'],
+                ['scenarioDate', 'required'],
+            ]);
+            expect(result.errors[0].allowed).toEqual(['2ATAF', '4ATAF']);
+        });
+
+        test('Dependent parameter is required only when it applies (Table E2 hexType)', () => {
+            expect(factory.processTable('E2', { nationality: 'FRG' }).errors).toEqual([
+                { param: 'hexType', code: 'required', message: 'Hex type is required for Table E2' },
+            ]);
+            expect(factory.processTable('E2', { nationality: 'DK', hexType: 'sea' }).errors).toEqual([
+                { param: 'hexType', code: 'not-applicable', message: 'Hex type only applies when nationality is FRG for Table E2' },
+            ]);
+        });
+
+        test('Mission types come from the table data (Table F)', () => {
+            const [error] = factory.processTable('F', { missionType: 'Air Refuelling' }).errors;
+
+            expect(error.code).toBe('invalid');
+            expect(error.allowed).toEqual(Object.keys(ALL_TABLES.F.missionTypes));
+        });
+    });
+
+    // =====================================================================
+    //  3. Optional and undeclared parameters
+    // =====================================================================
+
+    describe('Optional and undeclared parameters', () => {
+        test('Optional parameter may be omitted (Table K2 defaults to land)', () => {
+            mockRollSequence([5]);
+
+            expect(factory.processTable('K2', {}).error).toBeUndefined();
+        });
+
+        test('Parameters the schema doesn\'t declare are ignored', () => {
+            expect(TableRegistry.validateParams('D', { scenarioDate: 'pre', atafZone: 'nonsense' }, ALL_TABLES.D)).toEqual([]);
+        });
+
+        test('Tables without a registered schema accept any input', () => {
+            expect(TableRegistry.validateParams('Z-UNREGISTERED', { anything: 1 })).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,315 @@
+/**
+ * PDF Export Tests — Flight Sheets as a Downloadable PDF
+ * =======================================================
+ *
+ * PrintGenerator.generatePdfSheet() builds the flight sheet as a PDF file
+ * instead of writing HTML into a print popup. The cards come from the same
+ * card models (buildCardModel()) as the HTML cards, are laid out on fixed
+ * pages of the print layout (by default letter: two across, compact CSAR
+ * cards four across, WP from a new page) and drawn with PdfWriter, a small
+ * writer using the PDF viewer's built-in Helvetica, so the file needs no
+ * fonts or network and is the same on every machine.
+ *
+ * Tests:
+ *   1. PdfWriter: file structure, identical bytes for identical drawings,
+ *      text encoding and metrics, JPEG images
+ *   2. Layout: cards per row and page, CSAR rows, WP page break
+ *   3. Flight sheet: one PDF card per HTML card, the card text, roundels,
+ *      sheets with nothing to print
+ *
+ * Mock strategy:
+ *   Results are rolled with the seeded RNG; the data files are the shared
+ *   JSON files and the roundels the shared images, as generatePdfSheet()
+ *   would fetch them. The PDF is read back by parsing its (uncompressed)
+ *   page content streams.
+ */
+
+require('../setup/load-processors');
+const { loadPrintDataFiles } = require('../helpers/table-data-loader');
+const { roll, createPrintGenerator, pageTexts } = require('../helpers/print-fixtures');
+
+const fs = require('fs');
+const path = require('path');
+const ROUNDELS = path.join(__dirname, '..', '..', 'shared', 'assets', 'roundels');
+
+// ---------------------------------------------------------------------------
+//  Test utilities
+// ---------------------------------------------------------------------------
+
+const DATA_FILES = loadPrintDataFiles();
+
+function rollSession() {
+    return [
+        roll('G', {}, 'cap', 1),
+        roll('C', { scenarioDate: 'post' }, 'raid', 2),
+        roll('E', { nationality: 'US' }, 'csar', 3),
+        roll('A', { atafZone: '2ATAF', scenarioDate: 'post' }, 'qra', 4),
+    ];
+}
+
+function readRoundel(file) {
+    return new Uint8Array(fs.readFileSync(path.join(ROUNDELS, file)));
+}
+
+/**
+ * The shared roundel images of some cards, by file name
+ */
+function roundelImages(cards) {
+    const images = {};
+    for (const card of cards) {
+        images[card.roundel.image] = readRoundel(card.roundel.image);
+    }
+    return images;
+}
+
+function latin1(bytes) {
+    return Buffer.from(bytes).toString('latin1');
+}
+
+/**
+ * Check the cross-reference table: every entry points at its object
+ */
+function expectValidStructure(bytes) {
+    const file = latin1(bytes);
+    expect(file.startsWith('%PDF-1.4\n')).toBe(true);
+    expect(file.endsWith('%%EOF\n')).toBe(true);
+
+    const startxref = Number(file.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    expect(file.substr(startxref, 4)).toBe('xref');
+    const offsets = [...file.slice(startxref).matchAll(/(\d{10}) 00000 n /g)].map(match => Number(match[1]));
+    offsets.forEach((offset, i) => {
+        expect(file.substr(offset, `${i + 1} 0 obj`.length)).toBe(`${i + 1} 0 obj`);
+    });
+    expect(file).toContain(`/Size ${offsets.length + 1} /Root 1 0 R`);
+}
+
+describe('PDF export', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    // =====================================================================
+    //  1. PdfWriter
+    // =====================================================================
+
+    describe('PdfWriter', () => {
+        function drawSample() {
+            const pdf = PdfWriter.create();
+            pdf.addPage();
+            pdf.rect(18, 18, 200, 100, { stroke: 0, lineWidth: 2 });
+            pdf.text(24, 30, 'F-15C (Eagle)', { font: 'bold', size: 7 });
+            pdf.addPage();
+            pdf.circle(100, 100, 4);
+            pdf.line(18, 200, 300, 200, { stroke: 0.4 });
+            return pdf;
+        }
+
+        test('Pages, page tree and cross-reference table', () => {
+            const pdf = drawSample();
+            const bytes = pdf.toBytes();
+
+            expect(pdf.pageCount).toBe(2);
+            expectValidStructure(bytes);
+            expect(latin1(bytes)).toContain('/Type /Pages /Kids [6 0 R 8 0 R] /Count 2');
+            expect(latin1(bytes)).toContain('/MediaBox [0 0 612 792]');
+            expect(pageTexts(bytes)).toEqual([['F-15C (Eagle)'], []]);
+        });
+
+        test('The same drawing gives the same bytes', () => {
+            expect(Buffer.from(drawSample().toBytes()).equals(Buffer.from(drawSample().toBytes()))).toBe(true);
+        });
+
+        test('Text is written in the fonts\' Windows-1252 encoding', () => {
+            const pdf = PdfWriter.create({ size: 'a4' });
+            pdf.addPage();
+            pdf.text(0, 10, 'Tornado \\ (IDS) – Müller ✈');
+            const bytes = pdf.toBytes();
+
+            expect(latin1(bytes)).toContain('(Tornado \\\\ \\(IDS\\) \\226 M\\374ller ?) Tj');
+            expect(latin1(bytes)).toContain('/MediaBox [0 0 595.28 841.89]');
+            expect(latin1(bytes)).toContain('/BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding');
+        });
+
+        test('Text widths, fitting and wrapping use the Helvetica metrics', () => {
+            expect(PdfWriter.textWidth('F-15C', 'regular', 10)).toBeCloseTo(27.78);
+            expect(PdfWriter.textWidth('F-15C', 'bold', 10)).toBeCloseTo(27.78);
+            expect(PdfWriter.textWidth('Mil', 'bold', 10)).toBeLessThan(PdfWriter.textWidth('MiG', 'bold', 10));
+
+            expect(PdfWriter.fitText('Tornado GR1', 'regular', 7, 100)).toBe('Tornado GR1');
+            const fitted = PdfWriter.fitText('Tornado GR1 (Laser Designation)', 'regular', 7, 50);
+            expect(fitted).toMatch(/\.\.\.$/);
+            expect(PdfWriter.textWidth(fitted, 'regular', 7)).toBeLessThanOrEqual(50);
+
+            const lines = PdfWriter.wrapText('Large aircraft [19.22], [6.40]; poor SAM defense [15.32].', 'regular', 7, 80);
+            expect(lines.length).toBeGreaterThan(1);
+            expect(lines.join(' ')).toBe('Large aircraft [19.22], [6.40]; poor SAM defense [15.32].');
+            lines.forEach(line => expect(PdfWriter.textWidth(line, 'regular', 7)).toBeLessThanOrEqual(80));
+        });
+
+        test('JPEG images are embedded once and drawn by name; other formats are refused', () => {
+            const pdf = PdfWriter.create();
+            pdf.addPage();
+            const image = pdf.addJpeg(readRoundel('USSR.jpg'));
+            pdf.image(image.name, 18, 18, 28, 28);
+            const bytes = pdf.toBytes();
+
+            expect(image).toEqual({ name: 'Im1', width: 300, height: 297 });
+            expect(PdfWriter.readJpegInfo(readRoundel('FRG.jpg'))).toEqual({ width: 395, height: 393, components: 3 });
+            expect(pdf.addJpeg(readRoundel('Canada.jpg'))).toBeNull();   // a PNG
+            expect(latin1(bytes)).toContain('/Width 300 /Height 297 /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode');
+            expect(latin1(bytes)).toContain('/XObject << /Im1 6 0 R >>');
+            expect(latin1(bytes)).toContain('/Im1 Do');
+            expectValidStructure(bytes);
+        });
+
+        test('Drawing needs a page', () => {
+            expect(() => PdfWriter.create().text(0, 0, 'F-4E')).toThrow('addPage()');
+        });
+    });
+
+    // =====================================================================
+    //  2. Layout
+    // =====================================================================
+
+    describe('Layout', () => {
+        function card(faction, compact, flightIndex) {
+            return { faction, compact, flightIndex };
+        }
+
+        test('Regular cards two across, three rows to a page, inside the margins', () => {
+            const cards = Array.from({ length: 8 }, (_, i) => card('NATO', false, i));
+            const pages = createPrintGenerator().layoutPdfSheet(cards);
+
+            expect(pages.map(page => page.length)).toEqual([6, 2]);
+            expect(pages[0].map(({ x, y }) => [x, y])).toEqual([
+                [18, 18], [307.5, 18], [18, 261], [307.5, 261], [18, 504], [307.5, 504],
+            ]);
+            for (const placed of pages.flat()) {
+                expect(placed).toMatchObject({ width: 288 - 1.5, height: 240 });
+                expect(placed.x + placed.width).toBeLessThanOrEqual(612 - 18);
+                expect(placed.y + placed.height).toBeLessThanOrEqual(792 - 18);
+            }
+        });
+
+        test('CSAR cards four across in rows of their own, a new row per flight', () => {
+            const cards = [
+                card('NATO', false, 0),
+                ...Array.from({ length: 5 }, () => card('NATO', true, 1)),
+                card('NATO', true, 2),
+            ];
+            const [page] = createPrintGenerator().layoutPdfSheet(cards);
+
+            expect(page.map(({ x, y }) => [x, y])).toEqual([
+                [18, 18],
+                [18, 261], [162.75, 261], [307.5, 261], [452.25, 261],
+                [18, 389],
+                [18, 517],
+            ]);
+            expect(page[1]).toMatchObject({ width: 141.75, height: 125 });
+        });
+
+        test('WP cards start a new page', () => {
+            const cards = [card('NATO', false, 0), card('NATO', true, 1), card('WP', false, 2), card('WP', false, 2)];
+            const pages = createPrintGenerator().layoutPdfSheet(cards);
+
+            expect(pages.map(page => page.map(placed => placed.card.faction))).toEqual([['NATO', 'NATO'], ['WP', 'WP']]);
+            expect(pages[1][0]).toMatchObject({ x: 18, y: 18 });
+        });
+    });
+
+    // =====================================================================
+    //  3. Flight sheet
+    // =====================================================================
+
+    describe('Flight sheet', () => {
+        test('One PDF card for every HTML card, in print order', async () => {
+            const printGen = createPrintGenerator();
+            const results = rollSession();
+            const cards = printGen.preparePdfCards(results, DATA_FILES);
+            const { natoRegular, natoCSAR, wpRegular, wpCSAR } = printGen.sortFlights(printGen.processFlights(results));
+
+            let html = '';
+            for (const flight of [...natoRegular, ...natoCSAR, ...wpRegular, ...wpCSAR]) {
+                html += await printGen.generateDesignerFlightCard(
+                    flight, DATA_FILES.aircraftNATO, DATA_FILES.aircraftWP,
+                    DATA_FILES.noteRules, DATA_FILES.weapons, DATA_FILES.nameMapping
+                );
+            }
+
+            expect(cards.filter(c => !c.compact)).toHaveLength(html.split('class="flight-card"').length - 1);
+            expect(cards.filter(c => c.compact)).toHaveLength(html.split('class="compact-csar-card"').length - 1);
+            expect(cards.filter(c => c.compact).length).toBeGreaterThan(0);
+            expect(cards.map(c => c.faction)).toEqual([...cards.map(c => c.faction)].sort());
+        });
+
+        test('The cards show the aircraft, tasking and ratings of the HTML cards', () => {
+            const printGen = createPrintGenerator();
+            const cards = printGen.preparePdfCards(rollSession(), DATA_FILES);
+            const bytes = printGen.buildPdfSheet(cards, roundelImages(cards));
+            const pages = pageTexts(bytes);
+            const text = pages.flat();
+
+            expectValidStructure(bytes);
+            expect(pages).toHaveLength(printGen.layoutPdfSheet(cards).length);
+            for (const card of cards) {
+                const model = printGen.toPdfText(card.aircraft);
+                expect(text.some(line => model.startsWith(line.replace(/\.\.\.$/, '')))).toBe(true);
+                expect(text).toContain(card.tasking);
+            }
+            expect(text.filter(line => line === 'Callsign')).toHaveLength(cards.length);
+            expect(text.filter(line => line === 'Destroyed').length).toBeGreaterThan(0);
+            expect(text).toEqual(expect.arrayContaining(['Gun:', 'Fuel', 'Ordnance']));
+        });
+
+        test('The same results give the same file', () => {
+            const build = () => {
+                const printGen = createPrintGenerator();
+                const cards = printGen.preparePdfCards(rollSession(), DATA_FILES);
+                return Buffer.from(printGen.buildPdfSheet(cards, roundelImages(cards)));
+            };
+
+            expect(build().equals(build())).toBe(true);
+        });
+
+        test('Each roundel is embedded once; cards without one show the nation code', () => {
+            const printGen = createPrintGenerator();
+            const cards = printGen.preparePdfCards(rollSession(), DATA_FILES);
+            const files = [...new Set(cards.map(c => c.roundel.image))];
+            const bytes = printGen.buildPdfSheet(cards, roundelImages(cards));
+            const missing = printGen.buildPdfSheet(cards, {});
+
+            expect(latin1(bytes).match(/\/Subtype \/Image/g)).toHaveLength(files.length);
+            expect(latin1(missing)).not.toContain('/Subtype /Image');
+            expect(pageTexts(missing).flat()).toEqual(expect.arrayContaining([...new Set(cards.map(c => c.nationCode))]));
+        });
+
+        test('generatePdfSheet() fetches the data files and roundels', async () => {
+            const printGen = createPrintGenerator();
+            const results = rollSession();
+            jest.spyOn(printGen, 'loadDataFiles').mockResolvedValue(DATA_FILES);
+            const files = [];
+            jest.spyOn(printGen, 'loadRoundelImages').mockImplementation(async requested => {
+                files.push(...requested);
+                return {};
+            });
+
+            const bytes = await printGen.generatePdfSheet(results);
+
+            expect(files).toEqual([...new Set(printGen.preparePdfCards(results, DATA_FILES).map(c => c.roundel.image))]);
+            expect(bytes).toBeInstanceOf(Uint8Array);
+            expectValidStructure(bytes);
+        });
+
+        test('Flights with no aircraft in the database get no card; no cards is an error', () => {
+            const printGen = createPrintGenerator();
+            const rolled = roll('G', {}, 'cap', 1);
+            const unknown = { ...rolled, flights: rolled.flights.map(f => ({ ...f, aircraftType: 'MiG-99', aircraftId: null })) };
+
+            expect(printGen.preparePdfCards([unknown], DATA_FILES)).toEqual([]);
+            expect(() => printGen.buildPdfSheet([], {})).toThrow('No flight cards to print');
+        });
+    });
+});
@@ -0,0 +1,213 @@
+/**
+ * Print Layout Tests — Paper Size and Card Layout Profiles
+ * ==========================================================
+ *
+ * PrintLayouts names the paper sizes and card layouts the flight sheet can
+ * print on (letter or A4, six cards per page or one per half page for
+ * laminating). The profile chosen in the OOB generator or the flight sheet
+ * designer is remembered in localStorage, and PrintGenerator lays out both
+ * the printed HTML sheet and the PDF export by it.
+ *
+ * Tests:
+ *   1. Profiles: every profile's cards fit its page, lookups and defaults
+ *   2. Selection: remembered between sessions, unknown IDs, storage
+ *      failures, raid summary pages on or off
+ *   3. Flight sheet: the HTML sheet's page and card CSS, the PDF page size
+ *      and cards per page, CSAR flights without compaction
+ *
+ * Mock strategy:
+ *   An in-memory Storage replaces localStorage (setStorage). Results are
+ *   rolled with the seeded RNG; the data files are the shared JSON files.
+ */
+
+require('../setup/load-processors');
+const { loadPrintDataFiles } = require('../helpers/table-data-loader');
+const { roll, createPrintGenerator } = require('../helpers/print-fixtures');
+const { createMemoryStorage } = require('../helpers/memory-storage');
+
+// ---------------------------------------------------------------------------
+//  Test utilities
+// ---------------------------------------------------------------------------
+
+const DATA_FILES = loadPrintDataFiles();
+
+/**
+ * Regular NATO flights, a US CSAR flight and WP flights
+ */
+function rollSession() {
+    return [
+        roll('C', { scenarioDate: 'post' }, 'raid', 1),
+        roll('E', { nationality: 'US' }, 'csar', 2),
+        roll('G', {}, 'cap', 3),
+    ];
+}
+
+describe('Print layouts', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = createMemoryStorage();
+        PrintLayouts.setStorage(storage);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+    afterEach(() => {
+        PrintLayouts.setStorage(null);
+        jest.restoreAllMocks();
+    });
+
+    // =====================================================================
+    //  1. Profiles
+    // =====================================================================
+
+    describe('Profiles', () => {
+        test.each(PrintLayouts.list().map(profile => [profile.id, profile]))('%s: its rows of cards fit the page', (id, profile) => {
+            const { height } = PrintLayouts.pageSize(profile);
+            const rowHeight = profile.cardHeight + PrintLayouts.CARD_GAP;
+
+            expect(profile.margin * 2 + profile.rows * rowHeight - PrintLayouts.CARD_GAP).toBeLessThanOrEqual(height);
+            expect(profile.margin * 2 + (profile.rows + 1) * rowHeight - PrintLayouts.CARD_GAP).toBeGreaterThan(height);
+        });
+
+        test('Letter and A4, six cards a page or one per half page', () => {
+            expect(PrintLayouts.list().map(profile => [profile.id, profile.paper, PrintLayouts.cardsPerPage(profile)])).toEqual([
+                ['letter', 'letter', 6],
+                ['a4', 'a4', 6],
+                ['letter-half', 'letter', 2],
+                ['a4-half', 'a4', 2],
+            ]);
+            expect(PrintLayouts.pageSize(PrintLayouts.get('a4'))).toEqual({ width: 595.28, height: 841.89 });
+        });
+
+        test('Unknown IDs get the default profile', () => {
+            expect(PrintLayouts.get('tabloid').id).toBe('letter');
+            expect(PrintLayouts.get(null).id).toBe('letter');
+        });
+    });
+
+    // =====================================================================
+    //  2. Selection
+    // =====================================================================
+
+    describe('Selection', () => {
+        test('The chosen profile is remembered', () => {
+            expect(PrintLayouts.getSelected().id).toBe('letter');
+
+            expect(PrintLayouts.select('a4-half').id).toBe('a4-half');
+            expect(storage.items.get('print-layout')).toBe('a4-half');
+            expect(PrintLayouts.getSelected().id).toBe('a4-half');
+        });
+
+        test('Unknown profiles cannot be chosen; a stale saved ID falls back', () => {
+            expect(() => PrintLayouts.select('tabloid')).toThrow('Unknown print layout: tabloid');
+            storage.setItem('print-layout', 'tabloid');
+
+            expect(PrintLayouts.getSelected().id).toBe('letter');
+        });
+
+        test('Storage failures do not stop printing', () => {
+            PrintLayouts.setStorage({
+                getItem: () => { throw new Error('denied'); },
+                setItem: () => { throw new Error('quota'); },
+            });
+
+            expect(PrintLayouts.select('a4').id).toBe('a4');
+            expect(PrintLayouts.getSelected().id).toBe('letter');
+            expect(console.warn).toHaveBeenCalledTimes(2);
+        });
+
+        test('Raid summary pages are off until chosen, and remembered', () => {
+            expect(PrintLayouts.raidSummaries()).toBe(false);
+
+            expect(PrintLayouts.selectRaidSummaries(true)).toBe(true);
+            expect(storage.items.get('print-raid-summaries')).toBe('on');
+            expect(PrintLayouts.raidSummaries()).toBe(true);
+
+            PrintLayouts.selectRaidSummaries(false);
+            expect(PrintLayouts.raidSummaries()).toBe(false);
+        });
+
+        test('A print generator follows the selection unless given a layout', () => {
+            const printGen = createPrintGenerator();
+            PrintLayouts.select('a4');
+            expect(printGen.getLayout().id).toBe('a4');
+
+            printGen.setLayout('letter-half');
+            PrintLayouts.select('letter');
+            expect(printGen.getLayout().id).toBe('letter-half');
+
+            printGen.setLayout(null);
+            expect(printGen.getLayout().id).toBe('letter');
+        });
+    });
+
+    // =====================================================================
+    //  3. Flight sheet
+    // =====================================================================
+
+    describe('Flight sheet', () => {
+        test('The HTML sheet\'s page and card sizes come from the profile', () => {
+            const printGen = createPrintGenerator();
+
+            PrintLayouts.select('a4');
+            const a4 = printGen.generateDesignerSheetHTML('');
+            expect(a4).toContain('@page { size: a4; margin: 18pt; }');
+            expect(a4).toContain('.flight-grid { display: grid; grid-template-columns: repeat(2, 1fr);');
+            expect(a4).toContain('height: 262pt;');
+            expect(a4).toContain('.csar-container { display: grid; grid-template-columns: repeat(4, 1fr);');
+            expect(a4).toContain('height: 135pt;');
+
+            PrintLayouts.select('letter-half');
+            const half = printGen.generateDesignerSheetHTML('');
+            expect(half).toContain('@page { size: letter; margin: 36pt; }');
+            expect(half).toContain('.flight-grid { display: grid; grid-template-columns: repeat(1, 1fr);');
+            expect(half).toContain('height: 354pt;');
+        });
+
+        test('The PDF is on the profile\'s paper', () => {
+            const printGen = createPrintGenerator();
+            printGen.setLayout('a4');
+            const cards = printGen.preparePdfCards(rollSession(), DATA_FILES);
+            const file = Buffer.from(printGen.buildPdfSheet(cards)).toString('latin1');
+
+            expect(file).toContain('/MediaBox [0 0 595.28 841.89]');
+            expect(file).not.toContain('/MediaBox [0 0 612 792]');
+        });
+
+        test('Half-page layouts print two full-width cards a page', () => {
+            const printGen = createPrintGenerator();
+            printGen.setLayout('letter-half');
+            const cards = printGen.preparePdfCards(rollSession(), DATA_FILES);
+            const pages = printGen.layoutPdfSheet(cards);
+
+            expect(pages.every(page => page.length <= 2)).toBe(true);
+            expect(pages.flat()).toHaveLength(cards.length);
+            for (const placed of pages.flat()) {
+                expect(placed).toMatchObject({ x: 36, width: 612 - 72, height: 354 });
+                expect(placed.y + placed.height).toBeLessThanOrEqual(792 - 36);
+            }
+        });
+
+        test('Without CSAR compaction, CSAR flights print full cards, still last in their faction', async () => {
+            const printGen = createPrintGenerator();
+            const results = rollSession();
+            const compacted = printGen.sortFlights(printGen.processFlights(results));
+            expect(compacted.natoCSAR.length).toBeGreaterThan(0);
+
+            printGen.setLayout('a4-half');
+            const sorted = printGen.sortFlights(printGen.processFlights(results));
+            expect(sorted.natoCSAR).toEqual([]);
+            expect(sorted.wpCSAR).toEqual([]);
+            expect(sorted.natoRegular).toEqual([...compacted.natoRegular, ...compacted.natoCSAR]);
+            expect(sorted.wpRegular).toEqual([...compacted.wpRegular, ...compacted.wpCSAR]);
+
+            const csarCard = await printGen.generateDesignerFlightCard(
+                compacted.natoCSAR[0], DATA_FILES.aircraftNATO, DATA_FILES.aircraftWP,
+                DATA_FILES.noteRules, DATA_FILES.weapons, DATA_FILES.nameMapping
+            );
+            expect(csarCard).toContain('class="flight-card"');
+            expect(csarCard).not.toContain('compact-csar-card');
+            expect(printGen.preparePdfCards(results, DATA_FILES).some(card => card.compact)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,197 @@
+/**
+ * Print Preview Tests — Checking Flights Before the Flight Sheet Prints
+ * ======================================================================
+ *
+ * PrintGenerator.previewFlights() lists every flight that will print, in
+ * print order, with the aircraft database key and aircraft ID its card will
+ * use, and flags flights that would print no card (aircraft not in the
+ * database) or an incomplete one (unknown aircraft ID, missing nationality
+ * or tasking, other contract violations). The page only prints once the
+ * flagged flights are fixed or acknowledged.
+ *
+ * Tests:
+ *   1. Rolled results: every flight resolves, keys and IDs as in the database
+ *   2. Flags: unresolved aircraft, unknown IDs, missing nationality and
+ *      tasking, invalid flights
+ *   3. The preview agrees with the flight cards: a flight has a card exactly
+ *      when it resolves
+ *   4. Print order and result references
+ *
+ * Mock strategy:
+ *   Results are rolled with the seeded RNG; broken flights are made by
+ *   changing fields of rolled results. The data files are the shared JSON
+ *   files, as loadDataFiles() would fetch them.
+ */
+
+require('../setup/load-processors');
+const { loadPrintDataFiles } = require('../helpers/table-data-loader');
+const { roll, createPrintGenerator } = require('../helpers/print-fixtures');
+
+// ---------------------------------------------------------------------------
+//  Test utilities
+// ---------------------------------------------------------------------------
+
+const DATA_FILES = loadPrintDataFiles();
+
+function rollSession() {
+    return [
+        roll('G', {}, 'cap', 1),
+        roll('C', { scenarioDate: 'post' }, 'raid', 2),
+        roll('E', { nationality: 'US' }, 'csar', 3),
+        roll('A', { atafZone: '2ATAF', scenarioDate: 'post' }, 'qra', 4),
+    ];
+}
+
+/**
+ * A result with one flight's fields changed
+ */
+function withFlight(result, index, fields) {
+    return {
+        ...result,
+        flights: result.flights.map((flight, i) => (i === index ? { ...flight, ...fields } : flight)),
+    };
+}
+
+function preview(results) {
+    return createPrintGenerator().previewFlights(results, DATA_FILES);
+}
+
+function codes(entry) {
+    return entry.issues.map(issue => issue.code);
+}
+
+describe('Print preview', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    // =====================================================================
+    //  1. Rolled results
+    // =====================================================================
+
+    describe('Rolled results', () => {
+        test('Every rolled flight resolves to a database entry', () => {
+            const results = rollSession();
+            const entries = preview(results);
+
+            expect(entries).toHaveLength(results.reduce((total, result) => total + result.flights.length, 0));
+            for (const entry of entries) {
+                const database = entry.flight.faction === 'NATO' ? DATA_FILES.aircraftNATO : DATA_FILES.aircraftWP;
+
+                expect(entry.issues).toEqual([]);
+                expect(database[entry.key]).toBeDefined();
+                expect(entry.aircraftId).toBe(database[entry.key].id);
+            }
+        });
+
+        test('Flights with an aircraft ID resolve to that ID', () => {
+            const entries = preview(rollSession()).filter(entry => entry.flight.aircraftId);
+
+            expect(entries.length).toBeGreaterThan(0);
+            for (const entry of entries) {
+                expect(entry.aircraftId).toBe(entry.flight.aircraftId);
+            }
+        });
+    });
+
+    // =====================================================================
+    //  2. Flags
+    // =====================================================================
+
+    describe('Flags', () => {
+        test('An aircraft missing from the database will print no card', () => {
+            const result = withFlight(roll('G', {}, 'cap', 1), 0, { aircraftType: 'MiG-99', aircraftId: null });
+            const [entry] = preview([result]);
+
+            expect(entry).toMatchObject({ key: null, aircraftId: null });
+            expect(entry.issues).toEqual([{
+                code: 'unresolved',
+                message: '"MiG-99" is not in the WP aircraft database; no card will print',
+            }]);
+        });
+
+        test('An unknown aircraft ID is flagged with the aircraft the card shows instead', () => {
+            const rolled = roll('G', {}, 'cap', 1);
+            const result = withFlight(rolled, 0, { aircraftId: 'USSR-MIG-99-1' });
+            const [entry] = preview([result]);
+
+            expect(codes(entry)).toEqual(['unknown-id']);
+            expect(entry.key).toBe(preview([rolled])[0].key);
+            expect(entry.issues[0].message).toBe(
+                `Aircraft ID "USSR-MIG-99-1" is not in the WP aircraft database; the card shows ${entry.key}`);
+        });
+
+        test('Missing nationality or tasking, and other contract violations', () => {
+            const rolled = roll('C', { scenarioDate: 'post' }, 'raid', 2);
+            let result = withFlight(rolled, 0, { nationality: '' });
+            result = withFlight(result, 1, { tasking: '' });
+            result = withFlight(result, 2, { flightSize: 0 });
+            const entries = preview([result]);
+
+            expect(entries.map(codes).slice(0, 4)).toEqual([
+                ['missing-nationality'],
+                ['missing-tasking'],
+                ['invalid'],
+                [],
+            ]);
+            expect(entries[2].issues[0].message).toBe('flightSize must be a positive number, got 0');
+        });
+
+        test('Broken results are listed, not thrown, in strict mode', () => {
+            const result = withFlight(roll('G', {}, 'cap', 1), 0, { nationality: '' });
+
+            expect(ResultSchema.isStrict()).toBe(true);
+            expect(() => createPrintGenerator().processFlights([result])).toThrow(ResultSchema.ResultContractError);
+            expect(codes(preview([result])[0])).toEqual(['missing-nationality']);
+        });
+
+        test('Error results have no flights to list', () => {
+            expect(preview([ResultSchema.createErrorResult({ table: 'C' }, 'No date')])).toEqual([]);
+        });
+    });
+
+    // =====================================================================
+    //  3. The preview agrees with the flight cards
+    // =====================================================================
+
+    test('A flight gets a card exactly when the preview resolves it', async () => {
+        const printGen = createPrintGenerator();
+        const results = [
+            ...rollSession(),
+            withFlight(roll('H', {}, 'strike', 5), 0, { aircraftType: 'Su-99', aircraftId: null }),
+        ];
+
+        for (const entry of printGen.previewFlights(results, DATA_FILES)) {
+            const card = await printGen.generateDesignerFlightCard(
+                entry.flight, DATA_FILES.aircraftNATO, DATA_FILES.aircraftWP,
+                DATA_FILES.noteRules, DATA_FILES.weapons, DATA_FILES.nameMapping
+            );
+
+            expect(card !== '').toBe(entry.key !== null);
+        }
+    });
+
+    // =====================================================================
+    //  4. Print order and result references
+    // =====================================================================
+
+    test('Flights are listed in print order with their result and position', () => {
+        const results = rollSession();
+        const entries = preview(results);
+        const printGen = createPrintGenerator();
+        const sorted = printGen.sortFlights(printGen.processFlights(results));
+
+        expect(entries.map(entry => entry.flight)).toEqual([
+            ...sorted.natoRegular, ...sorted.natoCSAR, ...sorted.wpRegular, ...sorted.wpCSAR,
+        ]);
+        for (const { flight } of entries) {
+            const result = results.find(r => r.id === flight.resultId);
+            expect(flight).toMatchObject(result.flights[flight.flightIndex]);
+        }
+        expect(entries[0].flight.faction).toBe('NATO');
+        expect(entries[entries.length - 1].flight.faction).toBe('WP');
+    });
+});
@@ -0,0 +1,241 @@
+/**
+ * Raid Summary Tests — A Summary Page per Raid Before the Flight Cards
+ * =====================================================================
+ *
+ * When chosen in the print preview, the flight sheet (printed and PDF)
+ * starts with a page per raid — each result of a module's raid tables
+ * (Red Storm C, D, I and J) — listing its flights' taskings, nations,
+ * aircraft, flight sizes, counts, rolled ordnance and the numbers of their
+ * cards on the sheet. The umpire lays out counters from it and checks that
+ * every card is there.
+ *
+ * Tests:
+ *   1. Raids: raid tables only, NATO then WP, CSAR flights last, card
+ *      numbers as the cards print, flights that print no card
+ *   2. Summary page: the table, the HTML page before the cards, the PDF page
+ *   3. Card numbers: the HTML and PDF cards print the numbers the summary
+ *      lists
+ *
+ * Mock strategy:
+ *   No mocks. Results are rolled with the seeded RNG or made with
+ *   ResultSchema.createResult(); the data files are the shared JSON files.
+ *   PrintLayouts uses an in-memory Storage (setStorage).
+ */
+
+require('../setup/load-processors');
+const { loadPrintDataFiles } = require('../helpers/table-data-loader');
+const { roll, createPrintGenerator, handMadeRaid, UNKNOWN_AIRCRAFT_FLIGHT } = require('../helpers/print-fixtures');
+const { createMemoryStorage } = require('../helpers/memory-storage');
+
+// ---------------------------------------------------------------------------
+//  Test utilities
+// ---------------------------------------------------------------------------
+
+const DATA_FILES = loadPrintDataFiles();
+
+describe('Raid summaries', () => {
+    beforeEach(() => {
+        PrintLayouts.setStorage(createMemoryStorage());
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+    afterEach(() => {
+        PrintLayouts.setStorage(null);
+        jest.restoreAllMocks();
+    });
+
+    // =====================================================================
+    //  1. Raids
+    // =====================================================================
+
+    describe('Raids', () => {
+        test('Raid table results only, NATO raids before WP raids', () => {
+            const results = [
+                roll('I', { scenarioDate: 'post' }, 'wp-raid', 1),
+                roll('G', {}, 'cap', 2),
+                roll('C', { scenarioDate: 'post' }, 'raid', 3),
+                roll('E', { nationality: 'US' }, 'csar', 4),
+            ];
+            const raids = createPrintGenerator().raidSummaries(results, DATA_FILES);
+
+            expect(raids.map(raid => [raid.table, raid.faction])).toEqual([['C', 'NATO'], ['I', 'WP']]);
+            for (const [raid, result] of [[raids[0], results[2]], [raids[1], results[0]]]) {
+                expect(raid.flights).toHaveLength(result.flights.length);
+                expect(raid.aircraftCount).toBe(result.flights.reduce((sum, flight) => sum + flight.flightSize * flight.flightCount, 0));
+            }
+        });
+
+        test('Each flight entry: tasking, nation, aircraft, size, count, ordnance; CSAR last', () => {
+            const [raid] = createPrintGenerator().raidSummaries([handMadeRaid()], DATA_FILES);
+
+            expect(raid).toEqual({
+                table: 'C',
+                tableName: 'NATO Table C - Bombing Raid',
+                raidType: null,
+                faction: 'NATO',
+                nationality: 'US',
+                flights: [
+                    { tasking: 'Bombing', nationality: 'US', aircraft: 'F-111F Aardvark', flightSize: 4, flightCount: 2, ordnance: ['LGB'], cards: [1, 2] },
+                    { tasking: 'Close Escort', nationality: 'US', aircraft: 'F-15C Eagle', flightSize: 2, flightCount: 1, ordnance: [], cards: [3, 3] },
+                    { tasking: 'CSAR', nationality: 'US', aircraft: 'H-53', flightSize: 2, flightCount: 1, ordnance: [], cards: [4, 4] },
+                ],
+                aircraftCount: 12,
+                cardCount: 4,
+            });
+        });
+
+        test('Card numbers count every card of the sheet in print order', () => {
+            const printGen = createPrintGenerator();
+            const results = [
+                roll('G', {}, 'cap', 1),
+                roll('C', { scenarioDate: 'post' }, 'raid', 2),
+                roll('A', { atafZone: '2ATAF', scenarioDate: 'post' }, 'qra', 3),
+                roll('J', { scenarioDate: 'post' }, 'deep', 4),
+            ];
+            const cards = printGen.preparePdfCards(results, DATA_FILES);
+            const raids = printGen.raidSummaries(results, DATA_FILES);
+
+            expect(raids).toHaveLength(2);
+            for (const flight of raids.flatMap(raid => raid.flights)) {
+                const [first, last] = flight.cards;
+                expect(last - first + 1).toBe(flight.flightCount);
+                for (const card of cards.slice(first - 1, last)) {
+                    expect(card).toMatchObject({ aircraft: flight.aircraft, tasking: flight.tasking, flightSize: flight.flightSize });
+                }
+            }
+        });
+
+        test('A flight whose aircraft is not in the database has no card numbers', () => {
+            const [raid] = createPrintGenerator().raidSummaries([
+                handMadeRaid([UNKNOWN_AIRCRAFT_FLIGHT]),
+            ], DATA_FILES);
+
+            expect(raid.flights.map(flight => [flight.aircraft, flight.cards])).toEqual([
+                ['F-111F Aardvark', [1, 2]],
+                ['F-99', null],
+                ['F-15C Eagle', [3, 3]],
+                ['H-53', [4, 4]],
+            ]);
+            expect(raid).toMatchObject({ aircraftCount: 14, cardCount: 4 });
+        });
+    });
+
+    // =====================================================================
+    //  2. Summary page
+    // =====================================================================
+
+    describe('Summary page', () => {
+        test('The summary table', () => {
+            const printGen = createPrintGenerator();
+            const [raid] = printGen.raidSummaries([
+                handMadeRaid([UNKNOWN_AIRCRAFT_FLIGHT]),
+            ], DATA_FILES);
+
+            expect(printGen.raidSummaryTable(raid)).toEqual({
+                title: 'NATO Table C - Bombing Raid',
+                header: ['Tasking', 'Nation', 'Aircraft', 'Size', 'Flights', 'Ordnance', 'Cards'],
+                rows: [
+                    ['Bombing', 'US', 'F-111F Aardvark', '4', '2', '+LGB', '1-2'],
+                    ['SEAD', 'US', 'F-99', '2', '1', '', 'No card'],
+                    ['Close Escort', 'US', 'F-15C Eagle', '2', '1', '', '3'],
+                    ['CSAR', 'US', 'H-53', '2', '1', '', '4'],
+                ],
+                total: '4 cards, 14 aircraft',
+            });
+            expect(printGen.raidSummaryTable({ ...raid, tableName: null, raidType: 'US Raid' }).title).toBe('NATO Table C: US Raid');
+        });
+
+        test('The HTML summary pages come before the cards', () => {
+            const printGen = createPrintGenerator();
+            const [raid] = printGen.raidSummaries([handMadeRaid()], DATA_FILES);
+            const page = printGen.renderRaidSummaryHTML(raid);
+
+            expect(page).toContain('<div class="page-title">NATO Table C - Bombing Raid</div>');
+            expect(page).toContain('<tr><td>Bombing</td><td>US</td><td>F-111F Aardvark</td><td>4</td><td>2</td><td>+LGB</td><td>1-2</td></tr>');
+            expect(page).toContain('<div class="raid-summary-total">4 cards, 12 aircraft</div>');
+
+            const sheet = printGen.generateDesignerSheetHTML('<div class="flight-card"></div>', page);
+            expect(sheet.indexOf('class="raid-summary"')).toBeLessThan(sheet.indexOf('class="flight-grid"'));
+            expect(printGen.generateDesignerSheetHTML('')).not.toContain('class="raid-summary"');
+        });
+
+        test('The PDF has a summary page per raid before the cards, if chosen', async () => {
+            const printGen = createPrintGenerator();
+            printGen.loadDataFiles = async () => DATA_FILES;
+            printGen.loadRoundelImages = async () => ({});
+            const results = [handMadeRaid(), roll('I', { scenarioDate: 'post' }, 'wp-raid', 2)];
+            const latin1 = bytes => Buffer.from(bytes).toString('latin1');
+            const cardPages = printGen.layoutPdfSheet(printGen.preparePdfCards(results, DATA_FILES)).length;
+
+            const without = await printGen.generatePdfSheet(results);
+            expect(latin1(without)).toContain(`/Count ${cardPages}`);
+
+            PrintLayouts.selectRaidSummaries(true);
+            const file = latin1(await printGen.generatePdfSheet(results));
+            expect(file).toContain(`/Count ${cardPages + 2}`);
+            expect(file).toContain('(NATO Table C - Bombing Raid) Tj');
+            expect(file).toContain('(4 cards, 12 aircraft) Tj');
+            expect(file.indexOf('(NATO Table C - Bombing Raid) Tj')).toBeLessThan(file.indexOf('(F-111F Aardvark) Tj'));
+        });
+    });
+
+    // =====================================================================
+    //  3. Card numbers
+    // =====================================================================
+
+    describe('Card numbers', () => {
+        const results = () => [
+            handMadeRaid(),
+            roll('G', {}, 'cap', 2),
+            roll('I', { scenarioDate: 'post' }, 'wp-raid', 3),
+        ];
+
+        test('Each sheet card carries its number; flights their first card', () => {
+            const printGen = createPrintGenerator();
+            const sheet = printGen.sheetFlights(results(), DATA_FILES);
+            const cards = printGen.preparePdfCards(results(), DATA_FILES);
+
+            expect(cards.map(card => card.number)).toEqual(cards.map((_, i) => i + 1));
+            for (const { flight, cards: flightCards, firstCard } of sheet) {
+                expect(flight.firstCard).toBe(firstCard);
+                expect(flightCards.map(card => card.number)).toEqual(flightCards.map((_, i) => firstCard + i));
+            }
+            expect(printGen.flightCardModels(sheet[0].flight, DATA_FILES)[0].number).toBeNull();
+        });
+
+        test('The HTML cards print the numbers the summary lists', async () => {
+            const printGen = createPrintGenerator();
+            const [raid] = printGen.raidSummaries(results(), DATA_FILES);
+            let html = '';
+            for (const { flight } of printGen.sheetFlights(results(), DATA_FILES)) {
+                html += await printGen.generateDesignerFlightCard(
+                    flight, DATA_FILES.aircraftNATO, DATA_FILES.aircraftWP, DATA_FILES.noteRules, DATA_FILES.weapons, DATA_FILES.nameMapping
+                );
+            }
+            const printed = [...html.matchAll(/<div class="field-value card-number">(\d*)<\/div>/g)].map(match => Number(match[1]));
+
+            expect(printed).toEqual(printed.map((_, i) => i + 1));
+            expect(raid.flights.map(flight => flight.cards)).toEqual([[1, 2], [3, 3], [4, 4]]);
+            expect(html).toMatch(/compact-csar-card[\s\S]*<div class="field-value card-number">4<\/div>/);
+        });
+
+        test('Unnumbered cards leave the number blank', () => {
+            const printGen = createPrintGenerator();
+            const [card] = printGen.flightCardModels(printGen.processFlights([handMadeRaid()])[1], DATA_FILES);
+
+            expect(printGen.renderDesignerCardHTML(card)).toContain('<div class="field-value card-number"></div>');
+        });
+
+        test('The PDF cards print the numbers the summary lists', () => {
+            const printGen = createPrintGenerator();
+            const cards = printGen.preparePdfCards(results(), DATA_FILES);
+            const file = Buffer.from(printGen.buildPdfSheet(cards, {}, printGen.raidSummaries(results(), DATA_FILES))).toString('latin1');
+            const cardPages = file.split('stream\n').slice(3);
+            const numbers = cardPages.flatMap(page => [...page.matchAll(/\(Card\) Tj[\s\S]*?\((\d+)\) Tj/g)].map(match => Number(match[1])));
+
+            expect(file.match(/\(Card\) Tj/g)).toHaveLength(cards.length);
+            expect(numbers).toEqual(cards.map(card => card.number));
+        });
+    });
+});
@@ -0,0 +1,206 @@
+/**
+ * Reroll Tests — Rolling One Tasking or One Flight's Ordnance Again
+ * ==================================================================
+ *
+ * Compound raids (Table C, I2, J2, J3, D3...) can have a single tasking
+ * rerolled through the processor's rollTasking(), or a single flight's
+ * ordnance rerolled through rollForOrdnance(). Every other flight is kept,
+ * the raid nationality is kept, and the roll journal gains a "Reroll"
+ * note followed by the new rolls.
+ *
+ * Tests:
+ *   1. Tasking rerolls: Table C and the other declarative tables,
+ *      nationality kept, display names, fixed flight packages, headers
+ *   2. Ordnance rerolls: only the chosen flight changes
+ *   3. Errors: unknown taskings, flights without ordnance, tables without
+ *      taskings; the original result is never modified
+ *
+ * Mock strategy:
+ *   Raids are rolled with the seeded RNG (setRngSeed); ordnance rerolls
+ *   mock Math.random() to force d10 rolls: (R - 1) / 10.
+ */
+
+require('../setup/load-processors');
+const { RS_FACTORY, BA_FACTORY, rollEntry } = require('../helpers/roll-fixtures');
+
+// ---------------------------------------------------------------------------
+//  Test utilities
+// ---------------------------------------------------------------------------
+
+/**
+ * Mock Math.random() to produce the given d10 rolls in order (cycling).
+ * @param {number[]} rollValues - d10 results (1-10)
+ */
+function mockRollSequence(rollValues) {
+    let callIndex = 0;
+    jest.spyOn(Math, 'random').mockImplementation(() => {
+        const roll = rollValues[callIndex % rollValues.length];
+        callIndex++;
+        return (roll - 1) / 10;
+    });
+}
+
+function taskings(result) {
+    return result.flights.map(flight => flight.tasking);
+}
+
+/**
+ * Taskings in the order they appear, each listed once
+ */
+function taskingOrder(result) {
+    return [...new Set(taskings(result))];
+}
+
+describe('Rerolls', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    // =====================================================================
+    //  1. Tasking rerolls
+    // =====================================================================
+
+    describe('Tasking rerolls', () => {
+        test('Table C: rerolling SEAD keeps the CAP and Bombing flights', () => {
+            const result = rollEntry(RS_FACTORY, 'C', { scenarioDate: 'post' }, 'raid');
+            const seadCount = result.flights.filter(flight => flight.tasking === 'SEAD').length;
+
+            setRngSeed('sead');
+            const rerolled = RS_FACTORY.rerollTasking(result, 'SEAD');
+            setRngSeed(null);
+
+            expect(rerolled.error).toBeUndefined();
+            expect(rerolled.flights.filter(flight => flight.tasking === 'CAP')).toEqual(result.flights.filter(flight => flight.tasking === 'CAP'));
+            expect(rerolled.flights.filter(flight => flight.tasking === 'Bombing')).toEqual(result.flights.filter(flight => flight.tasking === 'Bombing'));
+            expect(taskingOrder(rerolled)).toEqual(taskingOrder(result));
+            expect(seadCount).toBeGreaterThan(0);
+            expect(rerolled.text).toBe(rerolled.flights.map(flight => flight.text).join('<br>'));
+            expect(rerolled).toMatchObject({ table: 'C', faction: 'NATO', processor: 'DeclarativeTableProcessor' });
+        });
+
+        test('The journal keeps the original rolls, then notes the reroll and its rolls', () => {
+            const result = rollEntry(RS_FACTORY, 'C', { scenarioDate: 'pre' }, 'raid');
+
+            const rerolled = RS_FACTORY.rerollTasking(result, 'CAP');
+            const added = rerolled.rollJournal.slice(result.rollJournal.length);
+
+            expect(rerolled.rollJournal.slice(0, result.rollJournal.length)).toEqual(result.rollJournal);
+            expect(added[0]).toMatchObject({ label: 'Reroll', die: null, detail: 'CAP tasking' });
+            expect(added.slice(1).map(entry => entry.label)).toEqual(['CAP Nation', 'CAP Aircraft']);
+        });
+
+        test('Rolled raid nationality is kept (Table I2)', () => {
+            const result = rollEntry(BA_FACTORY, 'I2', {}, 'raid');
+
+            const rerolled = BA_FACTORY.rerollTasking(result, 'Bombing');
+            const labels = rerolled.rollJournal.slice(result.rollJournal.length + 1).map(entry => entry.label);
+
+            expect(rerolled.nationality).toBe(result.nationality);
+            expect(labels).not.toContain('Nationality');
+            expect(labels.every(label => label.startsWith('Bombing'))).toBe(true);
+            expect(rerolled.flights.filter(f => f.tasking !== 'Bombing')).toEqual(result.flights.filter(f => f.tasking !== 'Bombing'));
+        });
+
+        test('Displayed tasking names map to the table data (Table J2 Bombing = Deep Strike)', () => {
+            const result = rollEntry(BA_FACTORY, 'J2', {}, 'raid');
+
+            const rerolled = BA_FACTORY.rerollTasking(result, 'Bombing');
+
+            expect(taskings(rerolled)).toEqual(taskings(result));
+            expect(rerolled.rollJournal.slice(result.rollJournal.length + 1).map(entry => entry.label))
+                .toContain('Deep Strike Aircraft');
+        });
+
+        test('Fixed flight packages reroll one flight type and keep the header (Table J3)', () => {
+            const result = rollEntry(BA_FACTORY, 'J3', {}, 'raid');
+
+            const rerolled = BA_FACTORY.rerollTasking(result, 'Naval Strike');
+            const lines = rerolled.text.split('<br>');
+
+            expect(rerolled.nationality).toBe(result.nationality);
+            expect(lines[0]).toBe(`${result.nationality} Naval Strike Raid`);
+            expect(lines.slice(1)).toEqual(rerolled.flights.map(flight => flight.text));
+            expect(taskings(rerolled)).toEqual(taskings(result));
+            expect(rerolled.flights.filter(f => f.tasking !== 'Naval Strike')).toEqual(result.flights.filter(f => f.tasking !== 'Naval Strike'));
+        });
+
+        test('Table D3 keeps the rolled raid nationality', () => {
+            const result = rollEntry(BA_FACTORY, 'D3', { scenarioDate: 3 }, 'raid');
+
+            const rerolled = BA_FACTORY.rerollTasking(result, 'CAP');
+
+            expect(rerolled.nationality).toBe(result.nationality);
+            expect(rerolled.flights).toEqual(result.flights);
+            expect(rerolled.rollJournal.slice(result.rollJournal.length)).toEqual([
+                expect.objectContaining({ label: 'Reroll', detail: 'CAP tasking' }),
+            ]);
+        });
+    });
+
+    // =====================================================================
+    //  2. Ordnance rerolls
+    // =====================================================================
+
+    describe('Ordnance rerolls', () => {
+        test('Only the chosen flight\'s ordnance changes (Table C Bombing)', () => {
+            const result = rollEntry(RS_FACTORY, 'C', { scenarioDate: 'pre' }, 'raid');
+            const index = result.flights.findIndex(flight => flight.tasking === 'Bombing');
+            const flight = result.flights[index];
+
+            mockRollSequence([flight.ordnance.includes('LGB') ? 1 : 10]);
+            const rerolled = RS_FACTORY.rerollOrdnance(result, index);
+
+            expect(rerolled.flights[index].ordnance).not.toBe(flight.ordnance);
+            expect(rerolled.flights[index].text).toBe(flight.text.replace(`(${flight.ordnance})`, `(${rerolled.flights[index].ordnance})`));
+            expect(rerolled.flights.filter((_, i) => i !== index)).toEqual(result.flights.filter((_, i) => i !== index));
+            expect(rerolled.text.split('<br>')[index]).toBe(rerolled.flights[index].text);
+            expect(rerolled.rollJournal.slice(result.rollJournal.length)).toEqual([
+                expect.objectContaining({ label: 'Reroll', detail: `Flight ${index + 1} ordnance` }),
+                expect.objectContaining({ label: `Bombing Flight ${index + 1} Ordnance` }),
+            ]);
+        });
+
+        test('Ordnance modifiers and ARM still apply (Table C SEAD)', () => {
+            const result = rollEntry(RS_FACTORY, 'C', { scenarioDate: 'post' }, 'raid');
+            const index = result.flights.findIndex(flight => flight.tasking === 'SEAD');
+
+            const rerolled = RS_FACTORY.rerollOrdnance(result, index);
+
+            expect(rerolled.flights[index].ordnance).toContain('ARM');
+        });
+
+        test('Declarative tables use the raid\'s ordnance data (Table J3)', () => {
+            const result = rollEntry(BA_FACTORY, 'J3', {}, 'raid');
+            const index = result.flights.findIndex(flight => flight.tasking === 'Naval Strike');
+
+            const rerolled = BA_FACTORY.rerollOrdnance(result, index);
+
+            expect(rerolled.error).toBeUndefined();
+            expect(rerolled.flights[index].ordnance).toBeTruthy();
+            expect(rerolled.text.split('<br>')[index + 1]).toBe(rerolled.flights[index].text);
+        });
+    });
+
+    // =====================================================================
+    //  3. Errors
+    // =====================================================================
+
+    describe('Errors', () => {
+        test('Unknown tasking, flight without ordnance and tables without taskings', () => {
+            const raid = rollEntry(RS_FACTORY, 'C', { scenarioDate: 'pre' }, 'raid');
+            const special = rollEntry(RS_FACTORY, 'L', { missionType: 'Standoff Jamming' }, 'special');
+
+            expect(RS_FACTORY.rerollTasking(raid, 'Recon').error).toBe('Table C raid has no Recon flights');
+            expect(RS_FACTORY.rerollOrdnance(raid, 0).error).toBe('Flight 1 of Table C has no ordnance to reroll');
+            expect(RS_FACTORY.rerollTasking(special, special.flights[0].tasking).error).toBe('Table L has no taskings to reroll');
+        });
+
+        test('The original result is not modified', () => {
+            const result = rollEntry(RS_FACTORY, 'C', { scenarioDate: 'pre' }, 'raid');
+            const snapshot = JSON.parse(JSON.stringify(result));
+
+            RS_FACTORY.rerollTasking(result, 'Bombing');
+            RS_FACTORY.rerollOrdnance(result, result.flights.length - 1);
+
+            expect(result).toEqual(snapshot);
+        });
+    });
+});
@@ -1,26 +1,26 @@
 /**
- * Result Contract Tests — Validate ResultSchema Normalize & Per-Processor Contract
- * ==================================================================================
+ * Result Contract Tests — Canonical Results and Strict Mode
+ * ==========================================================
  *
- * Two test suites:
+ * Every processor returns the canonical ResultSchema shape (table, faction,
+ * processor, flights[], text, debugRolls, notes); error results carry
+ * `error` and no flights. ResultSchema.check() enforces the contract at
+ * the processor and print boundaries, throwing in strict mode.
  *
- *   1. ResultSchema.normalize() unit tests
- *      Feed known shapes from each result category and verify the normalized
- *      output has the correct canonical structure and field values.
- *
- *   2. Per-processor contract validation
- *      For each of the 27 processors: instantiate with real table data,
- *      mock rolls to produce a representative result, run through normalize()
- *      then validate(), and assert zero validation errors.
- *
- * These tests ensure that the ResultSchema adapter layer can handle every
- * result shape the processors currently produce, BEFORE any processor code
- * is changed.
+ * Tests:
+ *   1. Strict mode: check() throws a ResultContractError naming the table
+ *      and processor, warns when not strict, and the factory rethrows
+ *      contract errors instead of turning them into error results
+ *   2. Per-processor contract validation: each of the 27 processors, with
+ *      real table data and a representative roll, returns a valid result
+ *   3. Builder functions: createFlight(), createResult(),
+ *      createErrorResult() and validate()
  *
  * Mock strategy:
  *   Same as other e2e tests — Math.random() is mocked to force specific
  *   d10 rolls. Each processor gets mid-range rolls (5) to exercise common
- *   code paths without triggering edge-case branches.
+ *   code paths without triggering edge-case branches. The test setup turns
+ *   strict mode on; suite 1 turns it off where it checks warn-only mode.
  */
 
 require('../setup/load-processors');
@@ -55,313 +55,92 @@ function mockRollSequence(rollValues) {
     });
 }
 
+/**
+ * A result whose only flight is missing its nationality
+ */
+function brokenResult() {
+    return ResultSchema.createResult(
+        { table: 'C', faction: 'NATO', processor: 'DeclarativeTableProcessor' },
+        { aircraftType: 'F-15C', tasking: 'CAP', flightSize: 4 }
+    );
+}
+
 // ===========================================================================
-//  SUITE 1: ResultSchema.normalize() Unit Tests
+//  SUITE 1: Strict Mode
 // ===========================================================================
 
-describe('ResultSchema.normalize() — Unit Tests', () => {
-
-    // --- Null / undefined / empty inputs ---
+describe('ResultSchema strict mode', () => {
 
-    test('null input returns empty canonical result', () => {
-        const result = ResultSchema.normalize(null, 'NATO');
-        expect(result).toHaveProperty('table');
-        expect(result).toHaveProperty('faction', 'NATO');
-        expect(result).toHaveProperty('flights');
-        expect(Array.isArray(result.flights)).toBe(true);
+    afterEach(() => {
+        ResultSchema.setStrict(true);
+        jest.restoreAllMocks();
     });
 
-    test('undefined input returns empty canonical result', () => {
-        const result = ResultSchema.normalize(undefined, 'WP');
-        expect(result.faction).toBe('WP');
-        expect(result.flights).toEqual([]);
+    test('test setup runs every suite in strict mode', () => {
+        expect(ResultSchema.isStrict()).toBe(true);
     });
 
-    // --- Shape 1: Single-flight (flat object from Tables A, B, G, H) ---
-
-    describe('Single-flight shape (Tables A, B, G, H style)', () => {
-        test('wraps flat result into flights[1]', () => {
-            const raw = {
-                nationRoll: 3,
-                aircraftRoll: 7,
-                nationName: 'US',
-                nationality: 'US',
-                aircraftType: 'F-15C',
-                aircraftId: 'nato-f15c',
-                flightSize: 4,
-                flightCount: 1,
-                tasking: 'CAP',
-                sourceTable: 'A',
-                text: '4× F-15C (US) — CAP',
-                debugText: '[Roll 3,7]',
-            };
-
-            const result = ResultSchema.normalize(raw, 'NATO');
-
-            expect(result.table).toBe('A');
-            expect(result.faction).toBe('NATO');
-            expect(result.flights).toHaveLength(1);
-            expect(result.debugRolls).toBe('[Roll 3,7]');
-
-            const flight = result.flights[0];
-            expect(flight.aircraftType).toBe('F-15C');
-            expect(flight.nationality).toBe('US');
-            expect(flight.tasking).toBe('CAP');
-            expect(flight.flightSize).toBe(4);
-            expect(flight.flightCount).toBe(1);
-            expect(flight.aircraftId).toBe('nato-f15c');
-        });
-
-        test('resolves alias: nationName → nationality when nationality is missing', () => {
-            const raw = {
-                nationName: 'FRG',
-                aircraftType: 'Tornado IDS',
-                flightSize: 4,
-                flightCount: 1,
-                tasking: 'Bombing',
-                sourceTable: 'B',
-                text: 'test',
-            };
-
-            const result = ResultSchema.normalize(raw, 'NATO');
-            expect(result.flights[0].nationality).toBe('FRG');
-        });
+    test('check() throws a ResultContractError naming table and processor', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        let thrown;
+        try {
+            ResultSchema.check(brokenResult(), 'C', 'DeclarativeTableProcessor');
+        } catch (err) {
+            thrown = err;
+        }
+
+        expect(thrown).toBeInstanceOf(ResultSchema.ResultContractError);
+        expect(thrown.message).toContain('Table C (DeclarativeTableProcessor)');
+        expect(thrown.errors).toEqual([
+            '[ResultSchema] Table C (DeclarativeTableProcessor): flights[0]: missing nationality',
+        ]);
     });
 
-    // --- Shape 2: Multi-tasking (Tables C, D, I, J) ---
-
-    describe('Multi-tasking shape (Tables C, D, I, J style)', () => {
-        test('maps taskings[] into flights[]', () => {
-            const raw = {
-                taskings: [
-                    {
-                        tasking: 'CAP',
-                        nationName: 'US',
-                        nationality: 'US',
-                        aircraftType: 'F-15C',
-                        aircraftId: 'nato-f15c',
-                        flightSize: 4,
-                        flightCount: 4,
-                        text: 'CAP flights',
-                        debugText: '[CAP roll]',
-                    },
-                    {
-                        tasking: 'SEAD',
-                        nationName: 'US',
-                        nationality: 'US',
-                        aircraftType: 'F-4G',
-                        aircraftId: 'nato-f4g',
-                        flightSize: 2,
-                        flightCount: 2,
-                        text: 'SEAD flights',
-                        debugText: '[SEAD roll]',
-                    },
-                ],
-                text: 'Combined text',
-                debugText: 'Combined debug',
-            };
-
-            const result = ResultSchema.normalize(raw, 'NATO');
-
-            expect(result.flights).toHaveLength(2);
-            expect(result.flights[0].tasking).toBe('CAP');
-            expect(result.flights[0].aircraftType).toBe('F-15C');
-            expect(result.flights[0].flightCount).toBe(4);
-            expect(result.flights[1].tasking).toBe('SEAD');
-            expect(result.flights[1].aircraftType).toBe('F-4G');
-            expect(result.text).toBe('Combined text');
-            expect(result.debugRolls).toBe('Combined debug');
-        });
+    test('check() only warns when strict mode is off', () => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        ResultSchema.setStrict(false);
+
+        const errors = ResultSchema.check(brokenResult(), 'C', 'DeclarativeTableProcessor');
+
+        expect(errors).toHaveLength(1);
+        expect(warnSpy).toHaveBeenCalledWith(errors[0]);
     });
 
-    // --- Shape 3: Flights-array with table + faction (Tables D3, J3) ---
-
-    describe('Flights-array shape (Tables D3, J3 style)', () => {
-        test('already-canonical flights[] passes through with normalization', () => {
-            const raw = {
-                table: 'D3',
-                faction: 'NATO',
-                raidType: 'Naval Strike',
-                nationality: 'UK',
-                flights: [
-                    {
-                        aircraftType: 'Tornado GR.1',
-                        aircraftId: 'nato-tornado-gr1',
-                        nationality: 'UK',
-                        actualNationality: 'UK',
-                        tasking: 'Naval Strike',
-                        flightSize: 4,
-                        flightCount: 2,
-                        text: 'Strike flights',
-                    },
-                    {
-                        aircraftType: 'F-16A',
-                        aircraftId: 'nato-f16a',
-                        nationality: 'DK',
-                        actualNationality: 'DK',
-                        tasking: 'Combat Air Patrol',
-                        flightSize: 4,
-                        flightCount: 1,
-                        text: 'CAP flights',
-                    },
-                ],
-                text: 'Naval Strike Raid',
-                debugRolls: ['[Roll 5]'],
-            };
-
-            const result = ResultSchema.normalize(raw, 'NATO');
-
-            expect(result.table).toBe('D3');
-            expect(result.faction).toBe('NATO');
-            expect(result.raidType).toBe('Naval Strike');
-            expect(result.flights).toHaveLength(2);
-            expect(result.flights[0].aircraftType).toBe('Tornado GR.1');
-            expect(result.flights[1].nationality).toBe('DK');
-        });
-
-        test('WP flights-array (J3 style) with aircraft alias', () => {
-            const raw = {
-                table: 'J3',
-                faction: 'WP',
-                nationality: 'USSR',
-                flights: [
-                    {
-                        aircraft: 'Su-24',        // alias → aircraftType
-                        aircraftType: 'Su-24',
-                        nationality: 'USSR',
-                        tasking: 'Naval Strike',
-                        flightSize: 4,
-                        flightCount: 2,
-                        ordnance: 'AS-7 Kerry',
-                    },
-                ],
-                text: 'Naval Strike',
-                debugRolls: ['[Roll 3]'],
-            };
-
-            const result = ResultSchema.normalize(raw, 'WP');
-
-            expect(result.flights[0].aircraftType).toBe('Su-24');
-            expect(result.flights[0].ordnance).toBe('AS-7 Kerry');
-        });
+    test('check() passes valid results and error results', () => {
+        const valid = ResultSchema.createResult(
+            { table: 'A', faction: 'NATO' },
+            { aircraftType: 'F-15C', nationality: 'US', tasking: 'CAP', flightSize: 4 }
+        );
+        const error = ResultSchema.createErrorResult({ table: 'A' }, 'Scenario date is required for Table A');
+
+        expect(ResultSchema.check(valid, 'A', 'DeclarativeTableProcessor')).toEqual([]);
+        expect(ResultSchema.check(error, 'A', 'DeclarativeTableProcessor')).toEqual([]);
     });
 
-    // --- Shape 4: Combat rescue with flightResults (Table E) ---
-
-    describe('Combat rescue shape (Table E style)', () => {
-        test('maps flightResults[] into flights[] when flights[] is absent', () => {
-            // Simulate a result that only has flightResults (no flights alias)
-            const raw = {
-                table: 'E',
-                faction: 'NATO',
-                nationality: 'US',
-                raidType: 'US rescue package',
-                flightResults: [
-                    {
-                        flightType: 'Rescue',       // alias → tasking
-                        nationality: 'US',
-                        aircraftType: 'HH-53',
-                        aircraftId: null,
-                        flightSize: 2,
-                        flightCount: 1,
-                        tasking: 'Rescue',
-                        text: 'Rescue helicopter',
-                    },
-                    {
-                        flightType: 'Escort',
-                        nationality: 'US',
-                        aircraftType: 'A-7D',
-                        aircraftId: 'nato-a7d',
-                        flightSize: 4,
-                        flightCount: 1,
-                        tasking: 'Escort',
-                        text: 'Escort flight',
-                    },
-                ],
-                text: 'US rescue package',
-                debugText: '[E rolls]',
-            };
-
-            const result = ResultSchema.normalize(raw, 'NATO');
-
-            expect(result.table).toBe('E');
-            expect(result.flights).toHaveLength(2);
-            expect(result.flights[0].tasking).toBe('Rescue');
-            expect(result.flights[0].aircraftType).toBe('HH-53');
-            expect(result.flights[1].tasking).toBe('Escort');
-            expect(result.debugRolls).toBe('[E rolls]');
-        });
-
-        test('combat rescue with both flights[] and flightResults[] uses flights[] (Case 1)', () => {
-            // Table E returns both flightResults AND flights pointing to same data.
-            // Since it also has table + faction, Case 1 catches it.
-            const raw = {
-                table: 'E',
-                faction: 'NATO',
-                nationality: 'US',
-                raidType: 'US rescue package',
-                flightResults: [
-                    { flightType: 'Rescue', nationality: 'US', aircraftType: 'HH-53', flightSize: 2, flightCount: 1, tasking: 'Rescue', text: 'helo' },
-                ],
-                flights: [
-                    { flightType: 'Rescue', nationality: 'US', aircraftType: 'HH-53', flightSize: 2, flightCount: 1, tasking: 'Rescue', text: 'helo' },
-                ],
-                text: 'US rescue package',
-                debugText: '[E rolls]',
-            };
-
-            const result = ResultSchema.normalize(raw, 'NATO');
-
-            // Case 1 should handle this since table + faction + flights[] are all present
-            expect(result.flights).toHaveLength(1);
-            expect(result.flights[0].tasking).toBe('Rescue');
+    test('processors check their own output (broken table data fails loudly)', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const tables = loadRSNatoTables();
+        const processor = new DeclarativeTableProcessor('B', tables['B']);
+        jest.spyOn(processor, 'generate').mockImplementation(function () {
+            return this.createResult({ text: 'broken' }, { aircraftType: 'F-111F', tasking: 'Bombing', flightSize: 4 });
         });
+
+        expect(() => processor.process({ scenarioDate: 'pre' }))
+            .toThrow('Table B (DeclarativeTableProcessor): flights[0]: missing nationality');
     });
 
-    // --- Alias resolution ---
-
-    describe('Field alias resolution', () => {
-        test('aircraft → aircraftType', () => {
-            const raw = {
-                aircraft: 'MiG-29',
-                nationality: 'USSR',
-                tasking: 'CAP',
-                flightSize: 4,
-                flightCount: 2,
-                sourceTable: 'G',
-                text: 'test',
-            };
-            const result = ResultSchema.normalize(raw, 'WP');
-            expect(result.flights[0].aircraftType).toBe('MiG-29');
-        });
-
-        test('quantity → flightCount', () => {
-            const raw = {
-                aircraftType: 'F-4E',
-                nationality: 'US',
-                tasking: 'Bombing',
-                flightSize: 4,
-                quantity: 3,
-                sourceTable: 'C',
-                text: 'test',
-            };
-            const result = ResultSchema.normalize(raw, 'NATO');
-            expect(result.flights[0].flightCount).toBe(3);
-        });
-
-        test('flightType → tasking (when no tasking field)', () => {
-            const raw = {
-                aircraftType: 'HH-53',
-                nationality: 'US',
-                flightType: 'Rescue',
-                flightSize: 2,
-                flightCount: 1,
-                sourceTable: 'E',
-                text: 'test',
-            };
-            const result = ResultSchema.normalize(raw, 'NATO');
-            expect(result.flights[0].tasking).toBe('Rescue');
+    test('the factory rethrows contract errors instead of returning an error result', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const factory = new TableProcessorFactory();
+        factory.tableData = loadRSNatoTables();
+        jest.spyOn(DeclarativeTableProcessor.prototype, 'process').mockImplementation(() => {
+            ResultSchema.check(brokenResult(), 'A', 'DeclarativeTableProcessor');
         });
+
+        expect(() => factory.processTable('A', { atafZone: '2ATAF', scenarioDate: 'pre' }))
+            .toThrow(ResultSchema.ResultContractError);
     });
 });
 
@@ -372,11 +151,8 @@ describe('ResultSchema.normalize() — Unit Tests', () => {
 //  For each of the 27 processors:
 //    1. Instantiate with real table data
 //    2. Mock rolls for a representative result
-//    3. Run the result through normalize() + validate()
-//    4. Assert zero validation errors
-//
-//  This proves that normalize() can handle every processor's actual output
-//  without any processor code changes.
+//    3. Validate the result as returned — no adapter in between
+//    4. Assert zero validation errors and the processor's own metadata
 // ===========================================================================
 
 describe('Per-Processor Contract Validation', () => {
@@ -393,12 +169,6 @@ describe('Per-Processor Contract Validation', () => {
         if (typeof window !== 'undefined') {
             window.oobTables = global.oobTables;
         }
-
-        // BA processors need date range constants
-        global.BA_DATE_RANGES = ['15-20 May', '21-31 May', '1-15 June'];
-        if (typeof window !== 'undefined') {
-            window.BA_DATE_RANGES = global.BA_DATE_RANGES;
-        }
     });
 
     afterEach(() => {
@@ -406,7 +176,7 @@ describe('Per-Processor Contract Validation', () => {
     });
 
     /**
-     * Helper: run a processor and validate the normalized result.
+     * Helper: run a processor and validate its result.
      * Returns the validation errors array (empty = pass).
      *
      * @param {object} processor - Table processor instance
@@ -414,10 +184,9 @@ describe('Per-Processor Contract Validation', () => {
      * @param {string} faction - 'NATO' or 'WP'
      * @param {string} tableLabel - Label for error messages
      * @param {number[]} mockRolls - d10 values to mock
-     * @param {string} [tableId] - Table ID fallback for normalize()
      * @returns {string[]} Validation errors
      */
-    function processAndValidate(processor, params, faction, tableLabel, mockRolls, tableId) {
+    function processAndValidate(processor, params, faction, tableLabel, mockRolls) {
         mockRollSequence(mockRolls);
         let result;
         try {
@@ -426,15 +195,23 @@ describe('Per-Processor Contract Validation', () => {
             return [`${tableLabel}: process() threw: ${err.message}`];
         }
 
-        if (!result || (result.text && result.text.startsWith('Error'))) {
+        if (!result || result.error) {
             return [`${tableLabel}: processor returned error: ${result?.text || 'null result'}`];
         }
 
         // Suppress console.warn during validation (we're testing, not debugging)
         const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
 
-        const normalized = ResultSchema.normalize(result, faction, tableId);
-        const errors = ResultSchema.validate(normalized, tableLabel);
+        const errors = ResultSchema.validate(result, tableLabel);
+        if (result.table !== processor.tableId) {
+            errors.push(`${tableLabel}: table is "${result.table}"`);
+        }
+        if (result.faction !== faction) {
+            errors.push(`${tableLabel}: faction is "${result.faction}"`);
+        }
+        if (result.processor !== processor.constructor.name) {
+            errors.push(`${tableLabel}: processor is "${result.processor}"`);
+        }
 
         warnSpy.mockRestore();
         jest.restoreAllMocks();
@@ -447,8 +224,8 @@ describe('Per-Processor Contract Validation', () => {
 
     describe('RS NATO — Tables A-F', () => {
 
-        test('Table A: NATOTableA normalizes cleanly', () => {
-            const processor = new NATOTableA(rsNato['A']);
+        test('Table A meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('A', rsNato['A']);
             const errors = processAndValidate(
                 processor,
                 { atafZone: '2ATAF', scenarioDate: 'pre' },
@@ -457,8 +234,8 @@ describe('Per-Processor Contract Validation', () => {
             expect(errors).toEqual([]);
         });
 
-        test('Table B: NATOTableB normalizes cleanly', () => {
-            const processor = new NATOTableB(rsNato['B']);
+        test('Table B meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('B', rsNato['B']);
             const errors = processAndValidate(
                 processor,
                 { atafZone: '2ATAF', scenarioDate: 'pre' },
@@ -467,28 +244,28 @@ describe('Per-Processor Contract Validation', () => {
             expect(errors).toEqual([]);
         });
 
-        test('Table C: NATOTableC (multi-tasking) normalizes cleanly', () => {
-            const processor = new NATOTableC(rsNato['C']);
+        test('Table C: multi-tasking meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('C', rsNato['C']);
             const errors = processAndValidate(
                 processor,
                 { tasking: 'CAP', scenarioDate: 'pre' },
-                'NATO', 'Table C', [5, 5, 5, 5, 5, 5], 'C'
+                'NATO', 'Table C', [5, 5, 5, 5, 5, 5]
             );
             expect(errors).toEqual([]);
         });
 
-        test('Table D: NATOTableD (multi-tasking) normalizes cleanly', () => {
-            const processor = new NATOTableD(rsNato['D']);
+        test('Table D (multi-tasking) meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('D', rsNato['D']);
             const errors = processAndValidate(
                 processor,
                 { tasking: 'Escort Jamming', scenarioDate: 'pre' },
-                'NATO', 'Table D', [5, 5, 5, 5, 5, 5], 'D'
+                'NATO', 'Table D', [5, 5, 5, 5, 5, 5]
             );
             expect(errors).toEqual([]);
         });
 
-        test('Table E: NATOTableE (combat rescue) normalizes cleanly', () => {
-            const processor = new NATOTableE(rsNato['E']);
+        test('Table E (combat rescue) meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('E', rsNato['E']);
             const errors = processAndValidate(
                 processor,
                 { nationality: 'US', scenarioDate: 'pre' },
@@ -497,8 +274,8 @@ describe('Per-Processor Contract Validation', () => {
             expect(errors).toEqual([]);
         });
 
-        test('Table F: NATOTableF (special missions) normalizes cleanly', () => {
-            const processor = new NATOTableF(rsNato['F']);
+        test('Table F (special missions) meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('F', rsNato['F']);
             // Use first available missionType
             const missionTypes = Object.keys(rsNato['F'].missionTypes || {});
             const missionType = missionTypes[0] || 'Fast FAC';
@@ -517,8 +294,8 @@ describe('Per-Processor Contract Validation', () => {
 
     describe('BA NATO — Tables A2-F2', () => {
 
-        test('Table A2: NATOTableA2 normalizes cleanly', () => {
-            const processor = new NATOTableA2(baNato['A2']);
+        test('Table A2 meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('A2', baNato['A2']);
             const errors = processAndValidate(
                 processor,
                 { scenarioDate: '15-20 May' },
@@ -527,8 +304,8 @@ describe('Per-Processor Contract Validation', () => {
             expect(errors).toEqual([]);
         });
 
-        test('Table A2-SE: NATOTableA2 (Swedish) normalizes cleanly', () => {
-            const processor = new NATOTableA2(baNato['A2-SE'], 'A2-SE');
+        test('Table A2-SE (Swedish) meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('A2-SE', baNato['A2-SE']);
             const errors = processAndValidate(
                 processor,
                 {},
@@ -537,8 +314,8 @@ describe('Per-Processor Contract Validation', () => {
             expect(errors).toEqual([]);
         });
 
-        test('Table B2: NATOTableB2 normalizes cleanly', () => {
-            const processor = new NATOTableB2(baNato['B2']);
+        test('Table B2 meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('B2', baNato['B2']);
             const errors = processAndValidate(
                 processor,
                 { scenarioDate: '15-20 May' },
@@ -547,8 +324,8 @@ describe('Per-Processor Contract Validation', () => {
             expect(errors).toEqual([]);
         });
 
-        test('Table C2: NATOTableC2 normalizes cleanly', () => {
-            const processor = new NATOTableC2(baNato['C2']);
+        test('Table C2 meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('C2', baNato['C2']);
             const errors = processAndValidate(
                 processor,
                 { tasking: 'SEAD', scenarioDate: '15-20 May' },
@@ -557,8 +334,8 @@ describe('Per-Processor Contract Validation', () => {
             expect(errors).toEqual([]);
         });
 
-        test('Table D2: NATOTableD2 normalizes cleanly', () => {
-            const processor = new NATOTableD2(baNato['D2']);
+        test('Table D2 meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('D2', baNato['D2']);
             const errors = processAndValidate(
                 processor,
                 { tasking: 'Escort Jamming', scenarioDate: '15-20 May' },
@@ -567,18 +344,18 @@ describe('Per-Processor Contract Validation', () => {
             expect(errors).toEqual([]);
         });
 
-        test('Table D3: NATOTableD3 (naval strike) normalizes cleanly', () => {
-            const processor = new NATOTableD3(baNato['D3']);
+        test('Table D3 (naval strike) meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('D3', baNato['D3']);
             const errors = processAndValidate(
                 processor,
                 { scenarioDate: '15-31 May' },
-                'NATO', 'Table D3', [5, 5, 5, 5, 5], 'D3'
+                'NATO', 'Table D3', [5, 5, 5, 5, 5]
             );
             expect(errors).toEqual([]);
         });
 
-        test('Table E2: NATOTableE2 (FRG combat rescue) normalizes cleanly', () => {
-            const processor = new NATOTableE2(baNato['E2']);
+        test('Table E2 (FRG combat rescue) meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('E2', baNato['E2']);
             const errors = processAndValidate(
                 processor,
                 { nationality: 'FRG', scenarioDate: '15-20 May', hexType: 'land' },
@@ -587,8 +364,8 @@ describe('Per-Processor Contract Validation', () => {
             expect(errors).toEqual([]);
         });
 
-        test('Table E2: NATOTableE2 (DK combat rescue) normalizes cleanly', () => {
-            const processor = new NATOTableE2(baNato['E2']);
+        test('Table E2 (DK combat rescue) meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('E2', baNato['E2']);
             const errors = processAndValidate(
                 processor,
                 { nationality: 'DK', scenarioDate: '15-20 May' },
@@ -597,8 +374,8 @@ describe('Per-Processor Contract Validation', () => {
             expect(errors).toEqual([]);
         });
 
-        test('Table F2: NATOTableF2 normalizes cleanly', () => {
-            const processor = new NATOTableF2(baNato['F2']);
+        test('Table F2 meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('F2', baNato['F2']);
             const errors = processAndValidate(
                 processor,
                 {},
@@ -614,8 +391,8 @@ describe('Per-Processor Contract Validation', () => {
 
     describe('RS WP — Tables G-L', () => {
 
-        test('Table G: WPTableG normalizes cleanly', () => {
-            const processor = new WPTableG(rsWP['G']);
+        test('Table G meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('G', rsWP['G']);
             const errors = processAndValidate(
                 processor,
                 {},
@@ -624,8 +401,8 @@ describe('Per-Processor Contract Validation', () => {
             expect(errors).toEqual([]);
         });
 
-        test('Table H: WPTableH normalizes cleanly', () => {
-            const processor = new WPTableH(rsWP['H']);
+        test('Table H meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('H', rsWP['H']);
             const errors = processAndValidate(
                 processor,
                 {},
@@ -634,28 +411,28 @@ describe('Per-Processor Contract Validation', () => {
             expect(errors).toEqual([]);
         });
 
-        test('Table I: WPTableI (multi-tasking) normalizes cleanly', () => {
-            const processor = new WPTableI(rsWP['I']);
+        test('Table I (multi-tasking) meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('I', rsWP['I']);
             const errors = processAndValidate(
                 processor,
                 { nationality: 'USSR', tasking: 'CAP', scenarioDate: 'pre' },
-                'WP', 'Table I', [5, 5, 5, 5], 'I'
+                'WP', 'Table I', [5, 5, 5, 5]
             );
             expect(errors).toEqual([]);
         });
 
-        test('Table J: WPTableJ (multi-tasking) normalizes cleanly', () => {
-            const processor = new WPTableJ(rsWP['J']);
+        test('Table J (multi-tasking) meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('J', rsWP['J']);
             const errors = processAndValidate(
                 processor,
                 { tasking: 'Escort Jamming', scenarioDate: 'pre' },
-                'WP', 'Table J', [5, 5, 5, 5], 'J'
+                'WP', 'Table J', [5, 5, 5, 5]
             );
             expect(errors).toEqual([]);
         });
 
-        test('Table K: WPTableK normalizes cleanly', () => {
-            const processor = new WPTableK(rsWP['K']);
+        test('Table K meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('K', rsWP['K']);
             const errors = processAndValidate(
                 processor,
                 { nationality: 'USSR', scenarioDate: 'pre' },
@@ -664,8 +441,8 @@ describe('Per-Processor Contract Validation', () => {
             expect(errors).toEqual([]);
         });
 
-        test('Table L: WPTableL (special missions) normalizes cleanly', () => {
-            const processor = new WPTableL(rsWP['L']);
+        test('Table L: special missions meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('L', rsWP['L']);
             const missionTypes = Object.keys(rsWP['L'].missionTypes || {});
             const missionType = missionTypes[0] || 'Standoff Jamming';
             const errors = processAndValidate(
@@ -683,8 +460,8 @@ describe('Per-Processor Contract Validation', () => {
 
     describe('BA WP — Tables G2-L2', () => {
 
-        test('Table G2: WPTableG2 normalizes cleanly', () => {
-            const processor = new WPTableG2(baWP['G2']);
+        test('Table G2 meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('G2', baWP['G2']);
             const errors = processAndValidate(
                 processor,
                 { scenarioDate: '15-20 May' },
@@ -693,8 +470,8 @@ describe('Per-Processor Contract Validation', () => {
             expect(errors).toEqual([]);
         });
 
-        test('Table H2: WPTableH2 normalizes cleanly', () => {
-            const processor = new WPTableH2(baWP['H2']);
+        test('Table H2 meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('H2', baWP['H2']);
             const errors = processAndValidate(
                 processor,
                 { scenarioDate: '15-31 May' },
@@ -703,8 +480,8 @@ describe('Per-Processor Contract Validation', () => {
             expect(errors).toEqual([]);
         });
 
-        test('Table I2: WPTableI2 (multi-tasking) normalizes cleanly', () => {
-            const processor = new WPTableI2(baWP['I2']);
+        test('Table I2 (multi-tasking) meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('I2', baWP['I2']);
             const errors = processAndValidate(
                 processor,
                 { nationality: 'GDR', tasking: 'CAP', scenarioDate: '15-20 May' },
@@ -713,8 +490,8 @@ describe('Per-Processor Contract Validation', () => {
             expect(errors).toEqual([]);
         });
 
-        test('Table J2: WPTableJ2 normalizes cleanly', () => {
-            const processor = new WPTableJ2(baWP['J2']);
+        test('Table J2 meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('J2', baWP['J2']);
             const errors = processAndValidate(
                 processor,
                 { tasking: 'Escort Jamming', scenarioDate: '15-20 May' },
@@ -723,8 +500,8 @@ describe('Per-Processor Contract Validation', () => {
             expect(errors).toEqual([]);
         });
 
-        test('Table J3: WPTableJ3 (naval strike) normalizes cleanly', () => {
-            const processor = new WPTableJ3(baWP['J3']);
+        test('Table J3 (naval strike) meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('J3', baWP['J3']);
             const errors = processAndValidate(
                 processor,
                 { nationality: 'USSR', scenarioDate: '15-20 May' },
@@ -733,8 +510,8 @@ describe('Per-Processor Contract Validation', () => {
             expect(errors).toEqual([]);
         });
 
-        test('Table K2: WPTableK2 normalizes cleanly', () => {
-            const processor = new WPTableK2(baWP['K2']);
+        test('Table K2 meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('K2', baWP['K2']);
             const errors = processAndValidate(
                 processor,
                 { nationality: 'GDR', scenarioDate: '15-20 May' },
@@ -743,8 +520,8 @@ describe('Per-Processor Contract Validation', () => {
             expect(errors).toEqual([]);
         });
 
-        test('Table L2: WPTableL2 (special missions) normalizes cleanly', () => {
-            const processor = new WPTableL2(baWP['L2']);
+        test('Table L2 (special missions) meets the contract', () => {
+            const processor = new DeclarativeTableProcessor('L2', baWP['L2']);
             const missionTypes = Object.keys(baWP['L2'].missionTypes || {});
             const missionType = missionTypes[0] || 'Standoff Jamming';
             const errors = processAndValidate(
@@ -847,6 +624,49 @@ describe('ResultSchema builder functions', () => {
         const errors = ResultSchema.validate(result, 'test');
         expect(errors.some(e => e.includes('non-empty'))).toBe(true);
 
+        warnSpy.mockRestore();
+    });
+    test('createResult() fills processor, nationality and notes defaults', () => {
+        const result = ResultSchema.createResult(
+            { table: 'A', faction: 'NATO' },
+            { aircraftType: 'F-15C', nationality: 'US', tasking: 'CAP', flightSize: 4 }
+        );
+
+        expect(result.processor).toBeNull();
+        expect(result.nationality).toBeNull();
+        expect(result.notes).toEqual({});
+    });
+
+    test('createErrorResult() has the message, error text and no flights', () => {
+        const result = ResultSchema.createErrorResult(
+            { table: 'F', faction: 'NATO', processor: 'DeclarativeTableProcessor' },
+            'Unknown mission type "X" for Table F'
+        );
+
+        expect(result).toMatchObject({
+            table: 'F',
+            faction: 'NATO',
+            processor: 'DeclarativeTableProcessor',
+            error: 'Unknown mission type "X" for Table F',
+            text: 'Error: Unknown mission type "X" for Table F',
+            flights: [],
+        });
+        expect(ResultSchema.validate(result, 'test')).toEqual([]);
+    });
+
+    test('validate() rejects error results that carry flights', () => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const result = {
+            ...ResultSchema.createResult(
+                { table: 'A', faction: 'NATO' },
+                { aircraftType: 'F-15C', nationality: 'US', tasking: 'CAP', flightSize: 4 }
+            ),
+            error: 'Scenario date is required for Table A',
+        };
+        const errors = ResultSchema.validate(result, 'test');
+        expect(errors.some(e => e.includes('empty flights array'))).toBe(true);
+
         warnSpy.mockRestore();
     });
 });
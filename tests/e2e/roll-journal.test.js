@@ -0,0 +1,235 @@
+/**
+ * Roll Journal Tests — Structured Per-Roll Records
+ * ==================================================
+ *
+ * Every makeDebugRoll() made while TableProcessorFactory.processTable()
+ * runs is captured in result.rollJournal, whatever the debug toggle says.
+ * Each entry records die, raw value, modifier, modified value, label and
+ * the range key / branch the processor matched.
+ *
+ * Tests:
+ *   1. Every processor attaches a journal with one entry per roll, and
+ *      every entry is annotated with the range key it matched
+ *   2. Table C / C2 / I ordnance entries record the modifier, capped
+ *      modified roll and resolveOrdnance() band or restriction
+ *   3. Journal capture is independent of debug mode and does not leak
+ *      between results
+ *
+ * Mock strategy:
+ *   Math.random() is mocked to force specific d10 rolls: (R - 1) / 10.
+ */
+
+require('../setup/load-processors');
+const {
+    loadRSNatoTables,
+    loadRSWPTables,
+    loadBANatoTables,
+    loadBAWPTables,
+} = require('../helpers/table-data-loader');
+
+// ---------------------------------------------------------------------------
+//  Test utilities
+// ---------------------------------------------------------------------------
+
+/**
+ * Mock Math.random() to produce the given d10 rolls in order (cycling),
+ * counting how many rolls were made.
+ * @param {number[]} rollValues - d10 results (1-10)
+ * @returns {{count: number}} Live roll counter
+ */
+function mockRollSequence(rollValues) {
+    const counter = { count: 0 };
+    jest.spyOn(Math, 'random').mockImplementation(() => {
+        const roll = rollValues[counter.count++ % rollValues.length];
+        return (roll - 1) / 10;
+    });
+    return counter;
+}
+
+/**
+ * Factory wired to every RS and BA table.
+ */
+function createFactory() {
+    const factory = new TableProcessorFactory();
+    factory.tableData = {
+        ...loadRSNatoTables(),
+        ...loadRSWPTables(),
+        ...loadBANatoTables(),
+        ...loadBAWPTables(),
+    };
+    return factory;
+}
+
+const CASES = [
+    ['A', { atafZone: '2ATAF', scenarioDate: 'pre' }],
+    ['B', { atafZone: '4ATAF', scenarioDate: 'post' }],
+    ['C', { scenarioDate: 'post' }],
+    ['D', { scenarioDate: 'pre' }],
+    ['E', { nationality: 'US', scenarioDate: 'pre' }],
+    ['F', { missionType: 'Fast FAC', scenarioDate: 'pre' }],
+    ['A2', { scenarioDate: '15-20 May' }],
+    ['A2-SE', {}],
+    ['B2', { scenarioDate: '21-31 May' }],
+    ['C2', { scenarioDate: '15-20 May' }],
+    ['D2', { scenarioDate: '1-15 June' }],
+    ['D3', { scenarioDate: '15-31 May' }],
+    ['E2', { nationality: 'DK', scenarioDate: '15-20 May' }],
+    ['F2', {}],
+    ['G', {}],
+    ['H', {}],
+    ['I', {}],
+    ['J', {}],
+    ['K', { nationality: 'GDR' }],
+    ['L', { missionType: 'Standoff Jamming' }],
+    ['G2', { scenarioDate: '15-20 May' }],
+    ['H2', { scenarioDate: '15-31 May' }],
+    ['I2', { scenarioDate: '15-20 May' }],
+    ['J2', { scenarioDate: '15-20 May' }],
+    ['J3', { scenarioDate: '15-20 May' }],
+    ['K2', { nationality: 'GDR', scenarioDate: '15-20 May' }],
+    ['L2', { missionType: 'Standoff Jamming', scenarioDate: '15-20 May' }],
+];
+
+// ===========================================================================
+//  SUITE 1: Every processor records a complete journal
+// ===========================================================================
+
+describe('Roll journal — every processor', () => {
+    const factory = createFactory();
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test.each(CASES)('Table %s: one annotated journal entry per roll', (tableId, params) => {
+        const counter = mockRollSequence([5, 3, 8, 1, 10, 6, 2, 9, 4, 7]);
+        const result = factory.processTable(tableId, params);
+
+        expect(result.error).toBeUndefined();
+        expect(Array.isArray(result.rollJournal)).toBe(true);
+        expect(result.rollJournal).toHaveLength(counter.count);
+
+        result.rollJournal.forEach(entry => {
+            expect(entry.label).toBeTruthy();
+            expect(entry.die).toBe(10);
+            expect(entry.raw).toBeGreaterThanOrEqual(1);
+            expect(entry.raw).toBeLessThanOrEqual(10);
+            expect(entry.modified).toBe(Math.min(entry.raw + entry.modifier, 10));
+            expect(entry.matched).toBeTruthy();
+            expect(entry.result).toBeTruthy();
+        });
+    });
+});
+
+// ===========================================================================
+//  SUITE 2: Ordnance branches
+// ===========================================================================
+
+describe('Roll journal — ordnance branches', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('Table C F-16 SEAD ordnance records +2 modifier, capped roll and branch', () => {
+        const tableC = loadRSNatoTables()['C'];
+        const processor = new DeclarativeTableProcessor('C', tableC);
+        mockRollSequence([9]);
+        const { journalEntry } = makeDebugRoll(10, 'SEAD Flight 1 Ordnance');
+
+        const flight = { tasking: 'SEAD', aircraftId: 'US-F-16C-1', aircraftType: 'F-16C' };
+        const ordnance = processor.resolveOrdnance(9, tableC, flight, journalEntry);
+
+        expect(journalEntry).toMatchObject({
+            label: 'SEAD Flight 1 Ordnance',
+            raw: 9,
+            modifier: 2,
+            modified: 10,
+            matched: '8-10',
+            result: ordnance,
+        });
+        expect(journalEntry.detail).toContain('F-16/A-10 +2');
+        expect(journalEntry.detail).toContain('SEAD adds ARM');
+    });
+
+    test('Table C unmodified aircraft records the 5-7 branch', () => {
+        const tableC = loadRSNatoTables()['C'];
+        const processor = new DeclarativeTableProcessor('C', tableC);
+        const entry = {};
+        processor.resolveOrdnance(6, tableC, { tasking: 'Bombing', aircraftId: 'US-F-4E-1', aircraftType: 'F-4E' }, entry);
+        expect(entry).toMatchObject({ modifier: 0, modified: 6, matched: '5-7', detail: null });
+    });
+
+    test('resolveOrdnance() still works without a journal entry', () => {
+        const tableC = loadRSNatoTables()['C'];
+        const processor = new DeclarativeTableProcessor('C', tableC);
+        const flight = { tasking: 'Bombing', aircraftId: 'US-F-4E-1', aircraftType: 'F-4E' };
+        expect(processor.resolveOrdnance(3, tableC, flight)).toBe('Bombs/CBU/Rockets');
+    });
+
+    test('Table C2 Tornado ordnance records +1 modifier', () => {
+        const tableC2 = loadBANatoTables()['C2'];
+        const processor = new DeclarativeTableProcessor('C2', tableC2);
+        const entry = {};
+        processor.resolveOrdnance(4, tableC2, { tasking: 'Bombing', aircraftId: 'FRG-TORNADO-IDS-1', aircraftType: 'Tornado IDS' }, entry);
+        expect(entry).toMatchObject({ modifier: 1, modified: 5, matched: '5-7' });
+    });
+
+    test('Table I GDR MiG-21 records the Note E branch', () => {
+        const tableI = loadRSWPTables()['I'];
+        const processor = new DeclarativeTableProcessor('I', tableI);
+        const entry = {};
+        const flight = { tasking: 'Bombing', aircraftId: 'POL-MIG-21MF-1', aircraftType: 'MiG-21MF' };
+        processor.resolveOrdnance(10, tableI.nationalities.GDR, flight, entry);
+        expect(entry.matched).toBe('GDR Note E');
+        expect(entry.detail).toBe('GDR MiG-21 restricted to Bombs/CBU/Rockets; roll ignored');
+    });
+
+    test('Table I GDR MiG-21 raid journals every ignored ordnance roll', () => {
+        // Nationality 9 (GDR), then every roll 5: MiG-21MF SEAD flights
+        mockRollSequence([9, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5]);
+        const result = createFactory().processTable('I', {});
+
+        const restricted = result.flights.filter(f => /Note E/.test(f.ordnance || ''));
+        const ignored = result.rollJournal.filter(e => e.matched === 'GDR Note E');
+        expect(restricted.length).toBeGreaterThan(0);
+        expect(ignored).toHaveLength(restricted.length);
+        ignored.forEach(entry => expect(entry.raw).toBe(5));
+    });
+
+    test('Table C result journal traces every ordnance roll', () => {
+        mockRollSequence([5]);
+        const result = createFactory().processTable('C', { scenarioDate: 'post' });
+
+        const ordnanceEntries = result.rollJournal.filter(e => /Ordnance$/.test(e.label));
+        const ordnanceFlights = result.flights.filter(f => f.ordnance);
+        expect(ordnanceEntries).toHaveLength(ordnanceFlights.length);
+        ordnanceEntries.forEach((entry, i) => {
+            expect(entry.result).toBe(ordnanceFlights[i].ordnance);
+        });
+    });
+});
+
+// ===========================================================================
+//  SUITE 3: Capture lifecycle
+// ===========================================================================
+
+describe('Roll journal — capture lifecycle', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('journal is captured with debug mode off', () => {
+        expect(getDebugMode()).toBe(false);
+        const result = createFactory().processTable('G', {});
+        expect(result.debugRolls).toBe('');
+        expect(result.rollJournal.length).toBeGreaterThan(0);
+    });
+
+    test('each result gets its own journal', () => {
+        const factory = createFactory();
+        const first = factory.processTable('G', {});
+        const second = factory.processTable('H', {});
+        expect(first.rollJournal).not.toBe(second.rollJournal);
+        expect(second.rollJournal.every(e => !first.rollJournal.includes(e))).toBe(true);
+    });
+
+    test('rolls outside processTable() are not recorded', () => {
+        makeDebugRoll(10, 'Stray roll');
+        startRollJournal();
+        expect(stopRollJournal()).toEqual([]);
+    });
+});
@@ -0,0 +1,205 @@
+/**
+ * Session Document Tests — Exporting and Importing Generated Results
+ * ===================================================================
+ *
+ * SessionDocument saves the module, scenario date and every result (in
+ * ResultSchema shape, with its seed and roll journal) as a versioned JSON
+ * document, and reads it back for the OOB generator's Import Results.
+ *
+ * Tests:
+ *   1. Round trip: results rolled by the processors survive export and
+ *      import unchanged, and print to the same flight cards
+ *   2. Import checks: other files, unknown or newer versions and results
+ *      that break the contract are rejected with clear errors; older
+ *      versions are upgraded
+ *
+ * Mock strategy:
+ *   Results are rolled with the seeded RNG (as the UI does), so each one
+ *   can be regenerated from the seed saved with it.
+ */
+
+require('../setup/load-processors');
+const { loadPrintDataFiles } = require('../helpers/table-data-loader');
+const { createPrintGenerator } = require('../helpers/print-fixtures');
+const { RS_FACTORY, rollEntry } = require('../helpers/roll-fixtures');
+
+// ---------------------------------------------------------------------------
+//  Test utilities
+// ---------------------------------------------------------------------------
+
+/**
+ * Roll a Red Storm table the way the UI does and build its results-list
+ * entry (see createResultEntry() in ui-controller.js)
+ */
+function uiEntry(tableId, params, seed, id) {
+    return rollEntry(RS_FACTORY, tableId, params, seed, {
+        id,
+        scenarioDate: params.scenarioDate,
+        timestamp: 1700000000000 + id,
+        diceSource: 'random',
+    });
+}
+
+function rollSession() {
+    return [
+        uiEntry('A', { atafZone: '2ATAF', scenarioDate: 'post' }, 'abc', 1),
+        uiEntry('C', { scenarioDate: 'post' }, 'abc-2', 2),
+        uiEntry('E', { nationality: 'US' }, 'csar', 3),
+        uiEntry('I', { scenarioDate: 'post' }, 'strike', 4),
+        uiEntry('L', { missionType: 'Standoff Jamming' }, 'ecm', 5),
+    ];
+}
+
+/**
+ * Round trip through JSON text, as a download and re-import does
+ */
+function exportAndImport(results) {
+    const doc = SessionDocument.create({ module: 'red-storm', scenarioDate: 'post', results });
+    return SessionDocument.parse(SessionDocument.serialize(doc));
+}
+
+/**
+ * Render every flight card for a results list (the print generator's
+ * flight sheet path, without opening a window)
+ */
+async function renderCards(results) {
+    const printGen = createPrintGenerator();
+    const data = loadPrintDataFiles();
+    const sorted = printGen.sortFlights(printGen.processFlights(results));
+    const flights = [...sorted.natoRegular, ...sorted.natoCSAR, ...sorted.wpRegular, ...sorted.wpCSAR];
+
+    const cards = [];
+    for (const flight of flights) {
+        cards.push(await printGen.generateDesignerFlightCard(
+            flight, data.aircraftNATO, data.aircraftWP, data.noteRules, data.weapons, data.nameMapping
+        ));
+    }
+    return cards;
+}
+
+describe('Session document', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    // =====================================================================
+    //  1. Round trip
+    // =====================================================================
+
+    describe('Round trip', () => {
+        test('Document holds the module, scenario date, selected table and results', () => {
+            const results = rollSession();
+
+            const doc = SessionDocument.create({ module: 'red-storm', scenarioDate: 'post', selectedTable: 'C', results });
+
+            expect(doc).toMatchObject({
+                format: 'oob-generator-session',
+                version: SessionDocument.VERSION,
+                module: 'red-storm',
+                scenarioDate: 'post',
+                selectedTable: 'C',
+            });
+            expect(doc.results).toHaveLength(results.length);
+            expect(doc.results[1]).toMatchObject({ table: 'C', processor: 'DeclarativeTableProcessor', seed: 'abc-2' });
+            expect(doc.results[1].rollJournal.length).toBeGreaterThan(0);
+            expect(doc.results[1]).not.toHaveProperty('id');
+        });
+
+        test('Imported results equal the originals (apart from ids)', () => {
+            const results = rollSession();
+
+            const imported = exportAndImport(results);
+
+            expect(imported.results).toEqual(results.map(({ id, ...entry }) => entry));
+        });
+
+        test('Each imported result regenerates from its saved seed', () => {
+            for (const entry of exportAndImport(rollSession()).results) {
+                const again = rollEntry(RS_FACTORY, entry.table, entry.params, entry.seed);
+                expect(again.flights).toEqual(entry.flights);
+                expect(again.rollJournal).toEqual(entry.rollJournal);
+            }
+        });
+
+        test('Imported results print the same flight cards', async () => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const results = rollSession();
+
+            const original = await renderCards(results);
+            const imported = await renderCards(exportAndImport(results).results);
+
+            expect(original.length).toBeGreaterThan(results.length);
+            expect(original.every(card => card.includes('flight-card') || card.includes('compact-csar-card'))).toBe(true);
+            expect(imported).toEqual(original);
+        });
+
+        test('File name names the module and date', () => {
+            const doc = SessionDocument.create({ module: 'baltic-approaches', scenarioDate: 2, results: [] });
+
+            expect(SessionDocument.filename(doc)).toBe('oob-baltic-approaches-2.json');
+        });
+    });
+
+    // =====================================================================
+    //  2. Import checks
+    // =====================================================================
+
+    describe('Import checks', () => {
+        const { SessionDocumentError } = SessionDocument;
+
+        function documentText(overrides) {
+            const doc = SessionDocument.create({ module: 'red-storm', scenarioDate: 'pre', results: rollSession().slice(0, 1) });
+            return JSON.stringify({ ...doc, ...overrides });
+        }
+
+        test('Files that are not session documents are rejected', () => {
+            expect(() => SessionDocument.parse('not json')).toThrow(SessionDocumentError);
+            expect(() => SessionDocument.parse('{"results": []}')).toThrow('Not an OOB generator results file');
+        });
+
+        test('Documents from a newer version are rejected', () => {
+            expect(() => SessionDocument.parse(documentText({ version: SessionDocument.VERSION + 1 })))
+                .toThrow(`saved by a newer version of the OOB generator (version ${SessionDocument.VERSION + 1})`);
+        });
+
+        test('Version 1 documents are upgraded (no selected table)', () => {
+            const { selectedTable, ...v1 } = JSON.parse(documentText({ version: 1 }));
+
+            const parsed = SessionDocument.parse(JSON.stringify(v1));
+
+            expect(parsed.version).toBe(SessionDocument.VERSION);
+            expect(parsed.selectedTable).toBeNull();
+            expect(parsed.results).toEqual(v1.results);
+        });
+
+        test('Documents without a valid version are rejected', () => {
+            expect(() => SessionDocument.parse(documentText({ version: '1' })))
+                .toThrow('Unknown session version "1"');
+        });
+
+        test('Results that break the contract are listed', () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const doc = JSON.parse(documentText({}));
+            delete doc.results[0].flights[0].nationality;
+            doc.results[0].rollJournal = null;
+
+            let thrown;
+            try {
+                SessionDocument.parse(JSON.stringify(doc));
+            } catch (error) {
+                thrown = error;
+            }
+
+            expect(thrown).toBeInstanceOf(SessionDocumentError);
+            expect(thrown.message).toContain('Result 1 (Table A): flights[0]: missing nationality');
+            expect(thrown.message).toContain('Result 1 (Table A): rollJournal must be an array');
+        });
+
+        test('Error results import without flights', () => {
+            const failed = uiEntry('C', {}, 'x', 1);
+
+            const imported = exportAndImport([failed]);
+
+            expect(imported.results[0]).toMatchObject({ error: 'Scenario date is required for Table C', flights: [] });
+        });
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * Session Store Tests — Autosave and Named Saves in Browser Storage
+ * ==================================================================
+ *
+ * SessionStore keeps OOB generator sessions (SessionDocument) in
+ * localStorage: an autosave per module that the generator restores on
+ * load, and named saves the player can list, load, rename and delete.
+ *
+ * Tests:
+ *   1. Autosave: round trip, per-module keys, unreadable autosaves and
+ *      storage failures
+ *   2. Named saves: save, list, load, rename, delete, replacing a save by
+ *      name, and name checks
+ *
+ * Mock strategy:
+ *   An in-memory Storage replaces localStorage (setStorage). Results are
+ *   rolled with the seeded RNG.
+ */
+
+require('../setup/load-processors');
+const { createMemoryStorage } = require('../helpers/memory-storage');
+const { RS_FACTORY, rollEntry } = require('../helpers/roll-fixtures');
+
+// ---------------------------------------------------------------------------
+//  Test utilities
+// ---------------------------------------------------------------------------
+
+/**
+ * A session with one seeded Table A result
+ */
+function createSession(overrides = {}) {
+    return {
+        module: 'red-storm',
+        scenarioDate: 'pre',
+        selectedTable: 'A',
+        results: [rollEntry(RS_FACTORY, 'A', { atafZone: '2ATAF', scenarioDate: 'pre' }, 'store', { id: 1, diceSource: 'random' })],
+        ...overrides,
+    };
+}
+
+describe('Session store', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = createMemoryStorage();
+        SessionStore.setStorage(storage);
+    });
+
+    afterEach(() => {
+        SessionStore.setStorage(null);
+        jest.restoreAllMocks();
+    });
+
+    // =====================================================================
+    //  1. Autosave
+    // =====================================================================
+
+    describe('Autosave', () => {
+        test('Autosaved session loads back with its date, table and results', () => {
+            const session = createSession();
+
+            expect(SessionStore.autosave(session)).toBe(true);
+            const restored = SessionStore.loadAutosave('red-storm');
+
+            expect(restored).toMatchObject({ module: 'red-storm', scenarioDate: 'pre', selectedTable: 'A' });
+            expect(restored.results).toEqual(session.results.map(({ id, ...entry }) => entry));
+        });
+
+        test('Each module has its own autosave', () => {
+            SessionStore.autosave(createSession());
+
+            expect(storage.items.has('oob-generator-red-storm-autosave')).toBe(true);
+            expect(SessionStore.loadAutosave('baltic-approaches')).toBeNull();
+        });
+
+        test('An unreadable autosave is ignored', () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            storage.setItem('oob-generator-red-storm-autosave', '{"format": "something else"}');
+
+            expect(SessionStore.loadAutosave('red-storm')).toBeNull();
+        });
+
+        test('A full or unavailable storage never throws', () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            storage.setItem = () => { throw new Error('QuotaExceededError'); };
+
+            expect(SessionStore.autosave(createSession())).toBe(false);
+
+            SessionStore.setStorage(null);
+            expect(SessionStore.autosave(createSession())).toBe(false);
+            expect(SessionStore.loadAutosave('red-storm')).toBeNull();
+            expect(SessionStore.listSaves('red-storm')).toEqual([]);
+        });
+    });
+
+    // =====================================================================
+    //  2. Named saves
+    // =====================================================================
+
+    describe('Named saves', () => {
+        test('Save, list and load', () => {
+            const slot = SessionStore.save('  Op Dnepr turn 3 ', createSession());
+
+            expect(slot).toMatchObject({ name: 'Op Dnepr turn 3', scenarioDate: 'pre', resultsCount: 1 });
+            expect(SessionStore.listSaves('red-storm')).toEqual([slot]);
+            expect(SessionStore.load('red-storm', slot.id).results[0].table).toBe('A');
+        });
+
+        test('Saves list newest first', () => {
+            const times = ['2026-01-01T10:00:00.000Z', '2026-01-02T10:00:00.000Z'];
+            jest.spyOn(Date.prototype, 'toISOString').mockImplementation(() => times.shift());
+
+            SessionStore.save('Turn 1', createSession());
+            SessionStore.save('Turn 2', createSession());
+
+            expect(SessionStore.listSaves('red-storm').map(slot => slot.name)).toEqual(['Turn 2', 'Turn 1']);
+        });
+
+        test('Saving under an existing name replaces that save', () => {
+            const first = SessionStore.save('Turn 1', createSession());
+            const second = SessionStore.save('Turn 1', createSession({ results: [] }));
+
+            expect(second.id).toBe(first.id);
+            expect(SessionStore.listSaves('red-storm')).toHaveLength(1);
+            expect(SessionStore.load('red-storm', first.id).results).toEqual([]);
+        });
+
+        test('Rename keeps the saved session', () => {
+            const slot = SessionStore.save('Turn 1', createSession());
+            SessionStore.save('Turn 2', createSession());
+
+            expect(SessionStore.rename('red-storm', slot.id, 'Op Dnepr turn 1').name).toBe('Op Dnepr turn 1');
+            expect(SessionStore.load('red-storm', slot.id).selectedTable).toBe('A');
+            expect(() => SessionStore.rename('red-storm', slot.id, 'Turn 2')).toThrow('A save named "Turn 2" already exists');
+        });
+
+        test('Delete removes the save and its data', () => {
+            const slot = SessionStore.save('Turn 1', createSession());
+
+            SessionStore.remove('red-storm', slot.id);
+
+            expect(SessionStore.listSaves('red-storm')).toEqual([]);
+            expect(storage.items.has(`oob-generator-red-storm-save-${slot.id}`)).toBe(false);
+            expect(() => SessionStore.load('red-storm', slot.id)).toThrow(`No saved session "${slot.id}"`);
+        });
+
+        test('Names are required and saves are per module', () => {
+            expect(() => SessionStore.save('   ', createSession())).toThrow('Save name is required');
+
+            SessionStore.save('Turn 1', createSession());
+            expect(SessionStore.listSaves('baltic-approaches')).toEqual([]);
+        });
+    });
+});
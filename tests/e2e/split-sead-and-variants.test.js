@@ -99,11 +99,11 @@ describe('Split SEAD & F-4 Variant Rules (Tables C and D)', () => {
         for (const tc of testCases) {
             for (const aircraftRoll of [4, 6, 8]) {
                 test(`${tc.label}, aircraft roll ${aircraftRoll}: returns array of 2 entries (F-4G + F-4E)`, () => {
-                    const processor = new NATOTableC(tables['C']);
+                    const processor = new DeclarativeTableProcessor('C', tables['C']);
                     // Rolls: nation, aircraft, then 4 ordnance rolls (2 per aircraft type)
                     mockRollSequence([tc.nationRoll, aircraftRoll, 3, 7, 2, 9]);
 
-                    const result = processor.processTasking('SEAD', tc.scenarioDate);
+                    const result = processor.processTasking('SEAD', { scenarioDate: tc.scenarioDate });
 
                     // Must return an array (split result), not a single object
                     expect(Array.isArray(result)).toBe(true);
@@ -133,9 +133,9 @@ describe('Split SEAD & F-4 Variant Rules (Tables C and D)', () => {
         }
 
         test('Each entry\'s aircraftType exists in the aircraft database', () => {
-            const processor = new NATOTableC(tables['C']);
+            const processor = new DeclarativeTableProcessor('C', tables['C']);
             mockRollSequence([1, 5, 5, 5, 5, 5]);
-            const result = processor.processTasking('SEAD', 'pre');
+            const result = processor.processTasking('SEAD', { scenarioDate: 'pre' });
 
             for (const entry of result) {
                 expect(aircraftDB).toHaveProperty(entry.aircraftType);
@@ -143,9 +143,9 @@ describe('Split SEAD & F-4 Variant Rules (Tables C and D)', () => {
         });
 
         test('Ordnance text includes ARM for all SEAD flights', () => {
-            const processor = new NATOTableC(tables['C']);
+            const processor = new DeclarativeTableProcessor('C', tables['C']);
             mockRollSequence([1, 5, 3, 7, 2, 9]);
-            const result = processor.processTasking('SEAD', 'pre');
+            const result = processor.processTasking('SEAD', { scenarioDate: 'pre' });
 
             for (const entry of result) {
                 // Each entry's text has 2 flight lines joined by <br>
@@ -158,9 +158,9 @@ describe('Split SEAD & F-4 Variant Rules (Tables C and D)', () => {
         });
 
         test('Total flight count across both entries is 4', () => {
-            const processor = new NATOTableC(tables['C']);
+            const processor = new DeclarativeTableProcessor('C', tables['C']);
             mockRollSequence([1, 5, 5, 5, 5, 5]);
-            const result = processor.processTasking('SEAD', 'pre');
+            const result = processor.processTasking('SEAD', { scenarioDate: 'pre' });
             const totalFlights = result.reduce((sum, entry) => sum + entry.flightCount, 0);
             expect(totalFlights).toBe(4);
         });
@@ -180,10 +180,10 @@ describe('Split SEAD & F-4 Variant Rules (Tables C and D)', () => {
 
         for (const tc of testCases) {
             test(`${tc.label}, aircraft roll 9: returns array of 2 entries (F-4G + F-16C)`, () => {
-                const processor = new NATOTableC(tables['C']);
+                const processor = new DeclarativeTableProcessor('C', tables['C']);
                 mockRollSequence([tc.nationRoll, 9, 5, 5, 5, 5]);
 
-                const result = processor.processTasking('SEAD', tc.scenarioDate);
+                const result = processor.processTasking('SEAD', { scenarioDate: tc.scenarioDate });
 
                 expect(Array.isArray(result)).toBe(true);
                 expect(result).toHaveLength(2);
@@ -205,9 +205,9 @@ describe('Split SEAD & F-4 Variant Rules (Tables C and D)', () => {
         }
 
         test('Each entry\'s aircraftType exists in the aircraft database', () => {
-            const processor = new NATOTableC(tables['C']);
+            const processor = new DeclarativeTableProcessor('C', tables['C']);
             mockRollSequence([1, 9, 5, 5, 5, 5]);
-            const result = processor.processTasking('SEAD', 'pre');
+            const result = processor.processTasking('SEAD', { scenarioDate: 'pre' });
 
             for (const entry of result) {
                 expect(aircraftDB).toHaveProperty(entry.aircraftType);
@@ -215,11 +215,11 @@ describe('Split SEAD & F-4 Variant Rules (Tables C and D)', () => {
         });
 
         test('F-16C flights get +2 ordnance modifier (better ordnance at same roll)', () => {
-            const processor = new NATOTableC(tables['C']);
+            const processor = new DeclarativeTableProcessor('C', tables['C']);
             // Roll 3 for ordnance: F-4G gets Bombs/CBU/Rockets (3 ≤ 4)
             // Roll 3 for ordnance: F-16C gets Bombs/CBU/Rockets + EOGM (3+2=5, in range 5-7)
             mockRollSequence([1, 9, 3, 3, 3, 3]);
-            const result = processor.processTasking('SEAD', 'pre');
+            const result = processor.processTasking('SEAD', { scenarioDate: 'pre' });
 
             // F-4G (no modifier): roll 3 → Bombs/CBU/Rockets + ARM
             const f4gLines = result[0].text.split('<br>');
@@ -246,11 +246,11 @@ describe('Split SEAD & F-4 Variant Rules (Tables C and D)', () => {
         // Pre: US = nation rolls 1-4, Post: US = nation rolls 1-6
 
         test('Sub-roll 1-5 resolves to F-4D (pre)', () => {
-            const processor = new NATOTableC(tables['C']);
+            const processor = new DeclarativeTableProcessor('C', tables['C']);
             for (const subRoll of [1, 3, 5]) {
                 // Rolls: nation=1 (US), aircraft=8 (F-4²), subRoll, then 4 ordnance rolls
                 mockRollSequence([1, 8, subRoll, 5, 5, 5, 5]);
-                const result = processor.processTasking('Bombing', 'pre');
+                const result = processor.processTasking('Bombing', { scenarioDate: 'pre' });
 
                 expect(result.aircraftType).toBe('F-4D');
                 expect(result.nationality).toBe('US');
@@ -264,10 +264,10 @@ describe('Split SEAD & F-4 Variant Rules (Tables C and D)', () => {
         });
 
         test('Sub-roll 6-10 resolves to F-4E (pre)', () => {
-            const processor = new NATOTableC(tables['C']);
+            const processor = new DeclarativeTableProcessor('C', tables['C']);
             for (const subRoll of [6, 8, 10]) {
                 mockRollSequence([1, 8, subRoll, 5, 5, 5, 5]);
-                const result = processor.processTasking('Bombing', 'pre');
+                const result = processor.processTasking('Bombing', { scenarioDate: 'pre' });
 
                 expect(result.aircraftType).toBe('F-4E');
                 expect(result.nationality).toBe('US');
@@ -279,65 +279,65 @@ describe('Split SEAD & F-4 Variant Rules (Tables C and D)', () => {
         });
 
         test('Sub-roll works for all three triggering aircraft rolls (8, 9, 10)', () => {
-            const processor = new NATOTableC(tables['C']);
+            const processor = new DeclarativeTableProcessor('C', tables['C']);
             for (const aircraftRoll of [8, 9, 10]) {
                 // Sub-roll 3 → F-4D
                 mockRollSequence([1, aircraftRoll, 3, 5, 5, 5, 5]);
-                const resultD = processor.processTasking('Bombing', 'pre');
+                const resultD = processor.processTasking('Bombing', { scenarioDate: 'pre' });
                 expect(resultD.aircraftType).toBe('F-4D');
                 jest.restoreAllMocks();
 
                 // Sub-roll 7 → F-4E
                 mockRollSequence([1, aircraftRoll, 7, 5, 5, 5, 5]);
-                const resultE = processor.processTasking('Bombing', 'pre');
+                const resultE = processor.processTasking('Bombing', { scenarioDate: 'pre' });
                 expect(resultE.aircraftType).toBe('F-4E');
                 jest.restoreAllMocks();
             }
         });
 
         test('Sub-roll works for post-6/1/87 scenario date', () => {
-            const processor = new NATOTableC(tables['C']);
+            const processor = new DeclarativeTableProcessor('C', tables['C']);
 
             mockRollSequence([1, 9, 2, 5, 5, 5, 5]);
-            const resultD = processor.processTasking('Bombing', 'post');
+            const resultD = processor.processTasking('Bombing', { scenarioDate: 'post' });
             expect(resultD.aircraftType).toBe('F-4D');
             jest.restoreAllMocks();
 
             mockRollSequence([1, 9, 8, 5, 5, 5, 5]);
-            const resultE = processor.processTasking('Bombing', 'post');
+            const resultE = processor.processTasking('Bombing', { scenarioDate: 'post' });
             expect(resultE.aircraftType).toBe('F-4E');
         });
 
         test('Resolved aircraft types exist in the aircraft database', () => {
-            const processor = new NATOTableC(tables['C']);
+            const processor = new DeclarativeTableProcessor('C', tables['C']);
 
             mockRollSequence([1, 8, 1, 5, 5, 5, 5]);
-            const resultD = processor.processTasking('Bombing', 'pre');
+            const resultD = processor.processTasking('Bombing', { scenarioDate: 'pre' });
             expect(aircraftDB).toHaveProperty(resultD.aircraftType);
             jest.restoreAllMocks();
 
             mockRollSequence([1, 8, 10, 5, 5, 5, 5]);
-            const resultE = processor.processTasking('Bombing', 'pre');
+            const resultE = processor.processTasking('Bombing', { scenarioDate: 'pre' });
             expect(aircraftDB).toHaveProperty(resultE.aircraftType);
         });
 
         test('Resolved aircraft has valid aircraftId', () => {
-            const processor = new NATOTableC(tables['C']);
+            const processor = new DeclarativeTableProcessor('C', tables['C']);
 
             mockRollSequence([1, 8, 1, 5, 5, 5, 5]);
-            const resultD = processor.processTasking('Bombing', 'pre');
+            const resultD = processor.processTasking('Bombing', { scenarioDate: 'pre' });
             expect(resultD.aircraftId).toBe('US-F-4D-1');
             jest.restoreAllMocks();
 
             mockRollSequence([1, 8, 10, 5, 5, 5, 5]);
-            const resultE = processor.processTasking('Bombing', 'pre');
+            const resultE = processor.processTasking('Bombing', { scenarioDate: 'pre' });
             expect(resultE.aircraftId).toBe('US-F-4E-1');
         });
 
         test('Is NOT a split (returns single object, not array)', () => {
-            const processor = new NATOTableC(tables['C']);
+            const processor = new DeclarativeTableProcessor('C', tables['C']);
             mockRollSequence([1, 8, 5, 5, 5, 5, 5]);
-            const result = processor.processTasking('Bombing', 'pre');
+            const result = processor.processTasking('Bombing', { scenarioDate: 'pre' });
 
             // The F-4² sub-roll resolves to a SINGLE aircraft type, not a split
             expect(Array.isArray(result)).toBe(false);
@@ -355,7 +355,7 @@ describe('Split SEAD & F-4 Variant Rules (Tables C and D)', () => {
 
         for (const aircraftRoll of [7, 8, 9]) {
             test(`US, aircraft roll ${aircraftRoll}: returns array of 2 entries (F-4G + F-4E)`, () => {
-                const processor = new NATOTableD(tables['D']);
+                const processor = new DeclarativeTableProcessor('D', tables['D']);
                 mockRollSequence([1, aircraftRoll]);
 
                 const result = processor.processTasking('SEAD');
@@ -382,7 +382,7 @@ describe('Split SEAD & F-4 Variant Rules (Tables C and D)', () => {
         }
 
         test('Each entry\'s aircraftType exists in the aircraft database', () => {
-            const processor = new NATOTableD(tables['D']);
+            const processor = new DeclarativeTableProcessor('D', tables['D']);
             mockRollSequence([1, 8]);
             const result = processor.processTasking('SEAD');
 
@@ -392,7 +392,7 @@ describe('Split SEAD & F-4 Variant Rules (Tables C and D)', () => {
         });
 
         test('Total flight count across both entries is 4', () => {
-            const processor = new NATOTableD(tables['D']);
+            const processor = new DeclarativeTableProcessor('D', tables['D']);
             mockRollSequence([1, 7]);
             const result = processor.processTasking('SEAD');
             const totalFlights = result.reduce((sum, e) => sum + e.flightCount, 0);
@@ -407,7 +407,7 @@ describe('Split SEAD & F-4 Variant Rules (Tables C and D)', () => {
         // Source: Table D SEAD, US nation (rolls 1-6), aircraft roll 10
 
         test('US, aircraft roll 10: returns array of 2 entries (F-4G + F-16C)', () => {
-            const processor = new NATOTableD(tables['D']);
+            const processor = new DeclarativeTableProcessor('D', tables['D']);
             mockRollSequence([1, 10]);
 
             const result = processor.processTasking('SEAD');
@@ -425,7 +425,7 @@ describe('Split SEAD & F-4 Variant Rules (Tables C and D)', () => {
         });
 
         test('Each entry\'s aircraftType exists in the aircraft database', () => {
-            const processor = new NATOTableD(tables['D']);
+            const processor = new DeclarativeTableProcessor('D', tables['D']);
             mockRollSequence([1, 10]);
             const result = processor.processTasking('SEAD');
 
@@ -438,10 +438,10 @@ describe('Split SEAD & F-4 Variant Rules (Tables C and D)', () => {
     // =========================================================================
     //  Integration: process() flattening
     // =========================================================================
-    describe('process() correctly flattens split SEAD entries into taskings array', () => {
+    describe('process() correctly flattens split SEAD entries into flights array', () => {
 
-        test('Table C: split SEAD produces separate entries in taskings[]', () => {
-            const processor = new NATOTableC(tables['C']);
+        test('Table C: split SEAD produces separate entries in flights[]', () => {
+            const processor = new DeclarativeTableProcessor('C', tables['C']);
             // CAP: nation=1, aircraft=1 (US, normal)
             // SEAD: nation=1, aircraft=5 → US, F-4G/F-4E split
             //   4 ordnance rolls for the split
@@ -457,26 +457,26 @@ describe('Split SEAD & F-4 Variant Rules (Tables C and D)', () => {
 
             const result = processor.process({ scenarioDate: 'pre' });
 
-            expect(result).toHaveProperty('taskings');
-            expect(Array.isArray(result.taskings)).toBe(true);
+            expect(result).toHaveProperty('flights');
+            expect(Array.isArray(result.flights)).toBe(true);
 
             // Should be 4 entries: 1 CAP + 2 SEAD (split) + 1 Bombing
-            expect(result.taskings).toHaveLength(4);
+            expect(result.flights).toHaveLength(4);
 
             // Verify the SEAD entries are properly split
-            const seadEntries = result.taskings.filter(t => t.tasking === 'SEAD');
+            const seadEntries = result.flights.filter(t => t.tasking === 'SEAD');
             expect(seadEntries).toHaveLength(2);
             expect(seadEntries[0].aircraftType).toBe('F-4G');
             expect(seadEntries[1].aircraftType).toBe('F-4E');
 
             // No entry should have a "/" in aircraftType
-            for (const entry of result.taskings) {
+            for (const entry of result.flights) {
                 expect(entry.aircraftType).not.toContain('/');
             }
         });
 
-        test('Table D: split SEAD produces separate entries in taskings[]', () => {
-            const processor = new NATOTableD(tables['D']);
+        test('Table D: split SEAD produces separate entries in flights[]', () => {
+            const processor = new DeclarativeTableProcessor('D', tables['D']);
             // Escort Jamming: nation=1, aircraft=1
             // CAP: nation=1, aircraft=1
             // SEAD: nation=1, aircraft=8 → US, F-4G/F-4E split
@@ -492,13 +492,13 @@ describe('Split SEAD & F-4 Variant Rules (Tables C and D)', () => {
 
             const result = processor.process({});
 
-            expect(result).toHaveProperty('taskings');
-            expect(Array.isArray(result.taskings)).toBe(true);
+            expect(result).toHaveProperty('flights');
+            expect(Array.isArray(result.flights)).toBe(true);
 
             // Should be 6: Escort Jamming + CAP + 2 SEAD (split) + Bombing + Recon
-            expect(result.taskings).toHaveLength(6);
+            expect(result.flights).toHaveLength(6);
 
-            const seadEntries = result.taskings.filter(t => t.tasking === 'SEAD');
+            const seadEntries = result.flights.filter(t => t.tasking === 'SEAD');
             expect(seadEntries).toHaveLength(2);
             expect(seadEntries[0].aircraftType).toBe('F-4G');
             expect(seadEntries[1].aircraftType).toBe('F-4E');
@@ -511,7 +511,7 @@ describe('Split SEAD & F-4 Variant Rules (Tables C and D)', () => {
         });
 
         test('Table C: non-split SEAD (F-4G only) returns single entry', () => {
-            const processor = new NATOTableC(tables['C']);
+            const processor = new DeclarativeTableProcessor('C', tables['C']);
             // SEAD: nation=1 (US), aircraft=2 (F-4G, rolls 1-3)
             mockRollSequence([
                 1, 1,           // CAP
@@ -522,7 +522,7 @@ describe('Split SEAD & F-4 Variant Rules (Tables C and D)', () => {
             ]);
 
             const result = processor.process({ scenarioDate: 'pre' });
-            const seadEntries = result.taskings.filter(t => t.tasking === 'SEAD');
+            const seadEntries = result.flights.filter(t => t.tasking === 'SEAD');
 
             // Single F-4G entry, not split
             expect(seadEntries).toHaveLength(1);
@@ -531,7 +531,7 @@ describe('Split SEAD & F-4 Variant Rules (Tables C and D)', () => {
         });
 
         test('Table D: non-split SEAD (F-4G only) returns single entry', () => {
-            const processor = new NATOTableD(tables['D']);
+            const processor = new DeclarativeTableProcessor('D', tables['D']);
             // SEAD: US, aircraft roll 3 → F-4G (rolls 1-6)
             mockRollSequence([
                 1, 1,   // Escort Jamming
@@ -542,7 +542,7 @@ describe('Split SEAD & F-4 Variant Rules (Tables C and D)', () => {
             ]);
 
             const result = processor.process({});
-            const seadEntries = result.taskings.filter(t => t.tasking === 'SEAD');
+            const seadEntries = result.flights.filter(t => t.tasking === 'SEAD');
 
             expect(seadEntries).toHaveLength(1);
             expect(seadEntries[0].aircraftType).toBe('F-4G');
@@ -76,7 +76,7 @@ describe('Red Storm NATO — End-to-End Processor Tests (Tables A-F)', () => {
         for (const params of variants) {
             describe(`${params.atafZone} / ${params.scenarioDate}`, () => {
                 test('All 100 d10×d10 combinations produce valid results', () => {
-                    const processor = new NATOTableA(tables['A']);
+                    const processor = new DeclarativeTableProcessor('A', tables['A']);
                     const failures = [];
 
                     for (let nationRoll = 1; nationRoll <= 10; nationRoll++) {
@@ -100,17 +100,19 @@ describe('Red Storm NATO — End-to-End Processor Tests (Tables A-F)', () => {
                 });
 
                 test('Results have required fields', () => {
-                    const processor = new NATOTableA(tables['A']);
+                    const processor = new DeclarativeTableProcessor('A', tables['A']);
                     mockRollSequence([1, 1]);
                     const result = processor.process(params);
                     jest.restoreAllMocks();
 
                     expect(result).toHaveProperty('text');
-                    expect(result).toHaveProperty('nationName');
-                    expect(result).toHaveProperty('aircraftType');
-                    expect(result).toHaveProperty('flightSize');
-                    expect(result).toHaveProperty('tasking');
-                    expect(result.tasking).toBe('CAP');
+                    expect(result.flights).toHaveLength(1);
+
+                    const [flight] = result.flights;
+                    expect(flight).toHaveProperty('nationality');
+                    expect(flight).toHaveProperty('aircraftType');
+                    expect(flight).toHaveProperty('flightSize');
+                    expect(flight.tasking).toBe('CAP');
                 });
             });
         }
@@ -127,7 +129,7 @@ describe('Red Storm NATO — End-to-End Processor Tests (Tables A-F)', () => {
 
         for (const params of variants) {
             test(`${params.atafZone}/${params.scenarioDate}: All 100 combos produce valid results`, () => {
-                const processor = new NATOTableB(tables['B']);
+                const processor = new DeclarativeTableProcessor('B', tables['B']);
                 const failures = [];
 
                 for (let r1 = 1; r1 <= 10; r1++) {
@@ -160,7 +162,7 @@ describe('Red Storm NATO — End-to-End Processor Tests (Tables A-F)', () => {
         for (const tasking of taskings) {
             for (const scenarioDate of dates) {
                 test(`${tasking}/${scenarioDate}: All 100 combos produce valid results`, () => {
-                    const processor = new NATOTableC(tables['C']);
+                    const processor = new DeclarativeTableProcessor('C', tables['C']);
                     const failures = [];
 
                     for (let r1 = 1; r1 <= 10; r1++) {
@@ -194,7 +196,7 @@ describe('Red Storm NATO — End-to-End Processor Tests (Tables A-F)', () => {
         for (const tasking of taskings) {
             for (const scenarioDate of dates) {
                 test(`${tasking}/${scenarioDate}: All 100 combos produce valid results`, () => {
-                    const processor = new NATOTableD(tables['D']);
+                    const processor = new DeclarativeTableProcessor('D', tables['D']);
                     const failures = [];
 
                     for (let r1 = 1; r1 <= 10; r1++) {
@@ -228,7 +230,7 @@ describe('Red Storm NATO — End-to-End Processor Tests (Tables A-F)', () => {
         for (const nationality of nationalities) {
             for (const scenarioDate of dates) {
                 test(`${nationality}/${scenarioDate}: All 100 combos produce valid results`, () => {
-                    const processor = new NATOTableE(tables['E']);
+                    const processor = new DeclarativeTableProcessor('E', tables['E']);
                     const failures = [];
 
                     for (let r1 = 1; r1 <= 10; r1++) {
@@ -264,7 +266,7 @@ describe('Red Storm NATO — End-to-End Processor Tests (Tables A-F)', () => {
         test('All 10 rolls produce valid results for each mission type', () => {
             const missionTypes = Object.keys(tables['F'].missionTypes);
             const dates = ['pre', 'post'];
-            const processor = new NATOTableF(tables['F']);
+            const processor = new DeclarativeTableProcessor('F', tables['F']);
             const failures = [];
 
             for (const missionType of missionTypes) {
@@ -34,12 +34,6 @@ describe('Baltic Approaches NATO — End-to-End Processor Tests (Tables A2-F2)',
         if (typeof window !== 'undefined') {
             window.oobTables = global.oobTables;
         }
-
-        // BA processors may reference BA_DATE_RANGES for date index → string conversion
-        global.BA_DATE_RANGES = ['15-20 May', '21-31 May', '1-15 June'];
-        if (typeof window !== 'undefined') {
-            window.BA_DATE_RANGES = global.BA_DATE_RANGES;
-        }
     });
 
     afterEach(() => {
@@ -52,7 +46,7 @@ describe('Baltic Approaches NATO — End-to-End Processor Tests (Tables A2-F2)',
 
         for (const dateRange of dateRanges) {
             test(`${dateRange}: All 100 d10×d10 combos produce valid results`, () => {
-                const processor = new NATOTableA2(tables['A2']);
+                const processor = new DeclarativeTableProcessor('A2', tables['A2']);
                 const failures = [];
 
                 for (let r1 = 1; r1 <= 10; r1++) {
@@ -87,7 +81,7 @@ describe('Baltic Approaches NATO — End-to-End Processor Tests (Tables A2-F2)',
                 return;
             }
 
-            const processor = new NATOTableA2(tableData, 'A2-SE');
+            const processor = new DeclarativeTableProcessor('A2-SE', tableData);
             const failures = [];
 
             for (let r1 = 1; r1 <= 10; r1++) {
@@ -117,7 +111,7 @@ describe('Baltic Approaches NATO — End-to-End Processor Tests (Tables A2-F2)',
 
         for (const dateRange of dateRanges) {
             test(`${dateRange}: All 100 d10×d10 combos produce valid results`, () => {
-                const processor = new NATOTableB2(tables['B2']);
+                const processor = new DeclarativeTableProcessor('B2', tables['B2']);
                 const failures = [];
 
                 for (let r1 = 1; r1 <= 10; r1++) {
@@ -150,7 +144,7 @@ describe('Baltic Approaches NATO — End-to-End Processor Tests (Tables A2-F2)',
         for (const tasking of taskings) {
             for (const scenarioDate of dateRanges) {
                 test(`${tasking}/${scenarioDate}: All 10 rolls produce valid results`, () => {
-                    const processor = new NATOTableC2(tables['C2']);
+                    const processor = new DeclarativeTableProcessor('C2', tables['C2']);
                     const failures = [];
 
                     for (let roll = 1; roll <= 10; roll++) {
@@ -182,7 +176,7 @@ describe('Baltic Approaches NATO — End-to-End Processor Tests (Tables A2-F2)',
         for (const tasking of taskings) {
             for (const scenarioDate of dateRanges) {
                 test(`${tasking}/${scenarioDate}: All 10 rolls produce valid results`, () => {
-                    const processor = new NATOTableD2(tables['D2']);
+                    const processor = new DeclarativeTableProcessor('D2', tables['D2']);
                     const failures = [];
 
                     for (let roll = 1; roll <= 10; roll++) {
@@ -213,7 +207,7 @@ describe('Baltic Approaches NATO — End-to-End Processor Tests (Tables A2-F2)',
         });
 
         test('All 10 rolls produce valid results for each date', () => {
-            const processor = new NATOTableD3(tables['D3']);
+            const processor = new DeclarativeTableProcessor('D3', tables['D3']);
             // D3 uses only two date ranges (per the scan), not three like other BA tables
             const dateRanges = ['15-31 May', '1-15 June'];
             const failures = [];
@@ -250,7 +244,7 @@ describe('Baltic Approaches NATO — End-to-End Processor Tests (Tables A2-F2)',
         for (const hexType of ['land', 'sea']) {
             for (const scenarioDate of dateRanges) {
                 test(`FRG/${scenarioDate} (${hexType}): All 10 rolls produce valid results`, () => {
-                    const processor = new NATOTableE2(tables['E2']);
+                    const processor = new DeclarativeTableProcessor('E2', tables['E2']);
                     const failures = [];
 
                     for (let roll = 1; roll <= 10; roll++) {
@@ -277,7 +271,7 @@ describe('Baltic Approaches NATO — End-to-End Processor Tests (Tables A2-F2)',
         for (const nationality of ['DK', 'SE']) {
             for (const scenarioDate of dateRanges) {
                 test(`${nationality}/${scenarioDate}: All 10 rolls produce valid results`, () => {
-                    const processor = new NATOTableE2(tables['E2']);
+                    const processor = new DeclarativeTableProcessor('E2', tables['E2']);
                     const failures = [];
 
                     for (let roll = 1; roll <= 10; roll++) {
@@ -308,7 +302,7 @@ describe('Baltic Approaches NATO — End-to-End Processor Tests (Tables A2-F2)',
         });
 
         test('All 100 d10×d10 combos produce valid results', () => {
-            const processor = new NATOTableF2(tables['F2']);
+            const processor = new DeclarativeTableProcessor('F2', tables['F2']);
             const failures = [];
 
             for (let r1 = 1; r1 <= 10; r1++) {
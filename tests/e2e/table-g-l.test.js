@@ -47,7 +47,7 @@ describe('Red Storm WP — End-to-End Processor Tests (Tables G-L)', () => {
     // Flat structure: nations → aircraft (no variants)
     describe('Table G — QRA Flights', () => {
         test('All 100 d10×d10 combinations produce valid results', () => {
-            const processor = new WPTableG(tables['G']);
+            const processor = new DeclarativeTableProcessor('G', tables['G']);
             const failures = [];
 
             for (let r1 = 1; r1 <= 10; r1++) {
@@ -71,7 +71,7 @@ describe('Red Storm WP — End-to-End Processor Tests (Tables G-L)', () => {
         });
 
         test('Results include aircraftType and nationName', () => {
-            const processor = new WPTableG(tables['G']);
+            const processor = new DeclarativeTableProcessor('G', tables['G']);
             mockRollSequence([1, 1]);
             const result = processor.process({});
             jest.restoreAllMocks();
@@ -84,7 +84,7 @@ describe('Red Storm WP — End-to-End Processor Tests (Tables G-L)', () => {
     // ---- Table H: Fighter Sweep ----
     describe('Table H — Fighter Sweep', () => {
         test('All 100 d10×d10 combinations produce valid results', () => {
-            const processor = new WPTableH(tables['H']);
+            const processor = new DeclarativeTableProcessor('H', tables['H']);
             const failures = [];
 
             for (let r1 = 1; r1 <= 10; r1++) {
@@ -118,7 +118,7 @@ describe('Red Storm WP — End-to-End Processor Tests (Tables G-L)', () => {
             for (const tasking of taskings) {
                 for (const scenarioDate of dates) {
                     test(`${nationality}/${tasking}/${scenarioDate}: All 10 rolls produce valid results`, () => {
-                        const processor = new WPTableI(tables['I']);
+                        const processor = new DeclarativeTableProcessor('I', tables['I']);
                         const failures = [];
 
                         for (let roll = 1; roll <= 10; roll++) {
@@ -151,7 +151,7 @@ describe('Red Storm WP — End-to-End Processor Tests (Tables G-L)', () => {
         for (const tasking of taskings) {
             for (const scenarioDate of dates) {
                 test(`${tasking}/${scenarioDate}: All 10 rolls produce valid results`, () => {
-                    const processor = new WPTableJ(tables['J']);
+                    const processor = new DeclarativeTableProcessor('J', tables['J']);
                     const failures = [];
 
                     for (let roll = 1; roll <= 10; roll++) {
@@ -183,7 +183,7 @@ describe('Red Storm WP — End-to-End Processor Tests (Tables G-L)', () => {
         for (const nationality of nationalities) {
             for (const scenarioDate of dates) {
                 test(`${nationality}/${scenarioDate}: All 10 rolls produce valid results`, () => {
-                    const processor = new WPTableK(tables['K']);
+                    const processor = new DeclarativeTableProcessor('K', tables['K']);
                     const failures = [];
 
                     for (let roll = 1; roll <= 10; roll++) {
@@ -215,7 +215,7 @@ describe('Red Storm WP — End-to-End Processor Tests (Tables G-L)', () => {
         });
 
         test('Standoff Jamming: All 10 rolls produce valid results', () => {
-            const processor = new WPTableL(tables['L']);
+            const processor = new DeclarativeTableProcessor('L', tables['L']);
             const failures = [];
 
             for (let roll = 1; roll <= 10; roll++) {
@@ -240,7 +240,7 @@ describe('Red Storm WP — End-to-End Processor Tests (Tables G-L)', () => {
         // The scan says "Number of aircraft in flight as shown in scenario."
         // Test both USSR and GDR separately.
         test('Tactical Recon: All 10 rolls produce valid results for each nation', () => {
-            const processor = new WPTableL(tables['L']);
+            const processor = new DeclarativeTableProcessor('L', tables['L']);
             const nations = ['USSR', 'GDR'];
             const failures = [];
 
@@ -37,12 +37,6 @@ describe('Baltic Approaches WP — End-to-End Processor Tests (Tables G2-L2)', (
         if (typeof window !== 'undefined') {
             window.oobTables = global.oobTables;
         }
-
-        // BA date ranges for index-to-string conversion
-        global.BA_DATE_RANGES = ['15-20 May', '21-31 May', '1-15 June'];
-        if (typeof window !== 'undefined') {
-            window.BA_DATE_RANGES = global.BA_DATE_RANGES;
-        }
     });
 
     afterEach(() => {
@@ -55,7 +49,7 @@ describe('Baltic Approaches WP — End-to-End Processor Tests (Tables G2-L2)', (
 
         for (const dateRange of dateRanges) {
             test(`${dateRange}: All 100 d10×d10 combos produce valid results`, () => {
-                const processor = new WPTableG2(tables['G2']);
+                const processor = new DeclarativeTableProcessor('G2', tables['G2']);
                 const failures = [];
 
                 for (let r1 = 1; r1 <= 10; r1++) {
@@ -87,7 +81,7 @@ describe('Baltic Approaches WP — End-to-End Processor Tests (Tables G2-L2)', (
 
         for (const dateRange of dateRanges) {
             test(`${dateRange}: All 100 d10×d10 combos produce valid results`, () => {
-                const processor = new WPTableH2(tables['H2']);
+                const processor = new DeclarativeTableProcessor('H2', tables['H2']);
                 const failures = [];
 
                 for (let r1 = 1; r1 <= 10; r1++) {
@@ -122,7 +116,7 @@ describe('Baltic Approaches WP — End-to-End Processor Tests (Tables G2-L2)', (
             for (const tasking of taskings) {
                 // Test with a representative date
                 test(`${nationality}/${tasking}: All 10 rolls produce valid results`, () => {
-                    const processor = new WPTableI2(tables['I2']);
+                    const processor = new DeclarativeTableProcessor('I2', tables['I2']);
                     const failures = [];
 
                     for (let roll = 1; roll <= 10; roll++) {
@@ -157,7 +151,7 @@ describe('Baltic Approaches WP — End-to-End Processor Tests (Tables G2-L2)', (
 
         for (const tasking of taskings) {
             test(`${tasking}: All 10 rolls produce valid results`, () => {
-                const processor = new WPTableJ2(tables['J2']);
+                const processor = new DeclarativeTableProcessor('J2', tables['J2']);
                 const failures = [];
 
                 for (let roll = 1; roll <= 10; roll++) {
@@ -190,7 +184,7 @@ describe('Baltic Approaches WP — End-to-End Processor Tests (Tables G2-L2)', (
 
         for (const nationality of nationalities) {
             test(`${nationality}: All 10 rolls produce valid results`, () => {
-                const processor = new WPTableJ3(tables['J3']);
+                const processor = new DeclarativeTableProcessor('J3', tables['J3']);
                 const failures = [];
 
                 for (let roll = 1; roll <= 10; roll++) {
@@ -223,7 +217,7 @@ describe('Baltic Approaches WP — End-to-End Processor Tests (Tables G2-L2)', (
 
         for (const nationality of nationalities) {
             test(`${nationality}: All 10 rolls produce valid results`, () => {
-                const processor = new WPTableK2(tables['K2']);
+                const processor = new DeclarativeTableProcessor('K2', tables['K2']);
                 const failures = [];
 
                 for (let roll = 1; roll <= 10; roll++) {
@@ -258,7 +252,7 @@ describe('Baltic Approaches WP — End-to-End Processor Tests (Tables G2-L2)', (
 
         test('All rolls produce valid results for each mission type', () => {
             const missionTypes = Object.keys(tables['L2'].missionTypes);
-            const processor = new WPTableL2(tables['L2']);
+            const processor = new DeclarativeTableProcessor('L2', tables['L2']);
             const failures = [];
 
             for (const missionType of missionTypes) {
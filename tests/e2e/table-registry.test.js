@@ -0,0 +1,186 @@
+/**
+ * Table Registry Tests — Processor Routing and Table Parameters
+ * ==============================================================
+ *
+ * TableRegistry replaces the factory's table switch and the UI's table
+ * inference: processor classes register the tables they handle, the
+ * declarative processor registers itself as the default for tables with a
+ * definition block, and each module pack registers its tables' faction
+ * and parameters (read by the table buttons and parameter inputs).
+ *
+ * Tests:
+ *   1. Every table in the module data is registered with its module and
+ *      faction, in button order
+ *   2. Processor routing: class registrations, the declarative default,
+ *      merged registrations and unregistered tables
+ *   3. Parameters: the registry lists every parameter a definition reads,
+ *      conditional parameters and display labels
+ *
+ * Mock strategy:
+ *   Math.random() is mocked to force specific d10 rolls: (R - 1) / 10.
+ */
+
+require('../setup/load-processors');
+const {
+    loadRSNatoTables,
+    loadRSWPTables,
+    loadBANatoTables,
+    loadBAWPTables,
+} = require('../helpers/table-data-loader');
+
+// ---------------------------------------------------------------------------
+//  Test utilities
+// ---------------------------------------------------------------------------
+
+function mockRollSequence(rollValues) {
+    let callIndex = 0;
+    jest.spyOn(Math, 'random').mockImplementation(() => {
+        const roll = rollValues[callIndex % rollValues.length];
+        callIndex++;
+        return (roll - 1) / 10;
+    });
+}
+
+/**
+ * Table entries of a data file (skips _comment, _version, ...)
+ */
+function tablesOf(data) {
+    return Object.fromEntries(Object.entries(data).filter(([id]) => !id.startsWith('_')));
+}
+
+const MODULE_TABLES = {
+    'red-storm': { ...tablesOf(loadRSNatoTables()), ...tablesOf(loadRSWPTables()) },
+    'baltic-approaches': { ...tablesOf(loadBANatoTables()), ...tablesOf(loadBAWPTables()) },
+};
+
+/**
+ * Parameter names a table definition reads through select steps
+ */
+function definitionParams(definition) {
+    const names = new Set();
+    JSON.stringify(definition || {}, (key, value) => {
+        if (key === 'param') names.add(value);
+        return value;
+    });
+    return [...names];
+}
+
+describe('Table registry', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    // =====================================================================
+    //  1. Registered tables
+    // =====================================================================
+
+    describe('Registered tables', () => {
+        test.each(Object.keys(MODULE_TABLES))('Every %s table is registered with its faction', (module) => {
+            for (const [tableId, tableData] of Object.entries(MODULE_TABLES[module])) {
+                expect(TableRegistry.get(tableId)).toMatchObject({ module, faction: tableData.faction });
+            }
+            expect(TableRegistry.list({ module }).map(entry => entry.id).sort())
+                .toEqual(Object.keys(MODULE_TABLES[module]).sort());
+        });
+
+        test('Tables list by module and faction in button order', () => {
+            const ids = filter => TableRegistry.list(filter).map(entry => entry.id);
+
+            expect(ids({ module: 'red-storm', faction: 'NATO' })).toEqual(['A', 'B', 'C', 'D', 'E', 'F']);
+            expect(ids({ module: 'red-storm', faction: 'WP' })).toEqual(['G', 'H', 'I', 'J', 'K', 'L']);
+            expect(ids({ module: 'baltic-approaches', faction: 'NATO' }))
+                .toEqual(['A2', 'A2-SE', 'B2', 'C2', 'D2', 'D3', 'E2', 'F2']);
+            expect(ids({ module: 'baltic-approaches', faction: 'WP' }))
+                .toEqual(['G2', 'H2', 'I2', 'J2', 'J3', 'K2', 'L2']);
+        });
+
+        test('Unknown parameter names are rejected at registration', () => {
+            expect(() => TableRegistry.register('Z-BAD', { params: [{ name: 'weather' }] }))
+                .toThrow('Unknown parameter "weather" for table Z-BAD');
+        });
+    });
+
+    // =====================================================================
+    //  2. Processor routing
+    // =====================================================================
+
+    describe('Processor routing', () => {
+        test('Tables C and L use the declarative processor', () => {
+            expect(TableRegistry.createProcessor('C', MODULE_TABLES['red-storm'].C)).toBeInstanceOf(DeclarativeTableProcessor);
+            expect(TableRegistry.createProcessor('L', MODULE_TABLES['red-storm'].L)).toBeInstanceOf(DeclarativeTableProcessor);
+        });
+
+        test('A2-SE is its own table, not an alias of A2', () => {
+            const processor = TableRegistry.createProcessor('A2-SE', MODULE_TABLES['baltic-approaches']['A2-SE']);
+
+            expect(processor).toBeInstanceOf(DeclarativeTableProcessor);
+            expect(processor.tableId).toBe('A2-SE');
+        });
+
+        test('Processor and pack registrations merge in either order', () => {
+            const create = tableData => new DeclarativeTableProcessor('Z-MERGE', tableData);
+            TableRegistry.registerProcessor('Z-MERGE', create);
+            TableRegistry.registerPack('test-pack', { 'Z-MERGE': { faction: 'WP', params: [{ name: 'nationality' }] } });
+
+            expect(TableRegistry.get('Z-MERGE')).toMatchObject({
+                module: 'test-pack',
+                faction: 'WP',
+                create,
+                params: [{ name: 'nationality', label: 'Nationality of downed crew' }],
+            });
+        });
+
+        test('A table with no processor and no definition gets none', () => {
+            expect(TableRegistry.createProcessor('Z-NONE', { name: 'No definition' })).toBeNull();
+        });
+    });
+
+    // =====================================================================
+    //  3. Parameters
+    // =====================================================================
+
+    describe('Parameters', () => {
+        test.each(Object.keys(MODULE_TABLES))('%s: every parameter a definition reads is registered', (module) => {
+            for (const [tableId, tableData] of Object.entries(MODULE_TABLES[module])) {
+                const registered = TableRegistry.getParams(tableId).map(param => param.name);
+                for (const name of definitionParams(tableData.definition)) {
+                    expect({ tableId, registered }).toEqual({ tableId, registered: expect.arrayContaining([name]) });
+                }
+            }
+        });
+
+        test('Parameters come with labels and options', () => {
+            const [nationality] = TableRegistry.getParams('K2');
+            const [missionType, reconNation] = TableRegistry.getParams('L');
+
+            expect(nationality.label).toBe('Land or sea hex?');
+            expect(nationality.options.map(o => o.value)).toEqual(['GDR', 'GDR Naval']);
+            expect(TableRegistry.getOptions(missionType, MODULE_TABLES['red-storm'].L).map(o => o.value))
+                .toEqual(Object.keys(MODULE_TABLES['red-storm'].L.missionTypes));
+            expect(reconNation.label).toBe('Nation');
+        });
+
+        test('Conditional parameters apply only when their condition holds', () => {
+            const hexType = TableRegistry.getParams('E2').find(param => param.name === 'hexType');
+
+            expect(TableRegistry.isParamActive(hexType, { nationality: 'FRG' })).toBe(true);
+            expect(TableRegistry.isParamActive(hexType, { nationality: 'DK' })).toBe(false);
+        });
+
+        test('Parameter values are described with their labels', () => {
+            expect(TableRegistry.describeParams('A', { atafZone: '2ATAF', scenarioDate: 'pre' })).toBe('2ATAF, Pre-6/1/87');
+            expect(TableRegistry.describeParams('E', { nationality: 'UK' })).toBe('UK/BE/NE');
+            expect(TableRegistry.describeParams('D3', { scenarioDate: 2 })).toBe('15-31 May');
+            expect(TableRegistry.describeParams('D', {})).toBe('');
+        });
+
+        test('Registry parameters drive the factory (Table E2 FRG sea hex)', () => {
+            const factory = new TableProcessorFactory();
+            factory.tableData = MODULE_TABLES['baltic-approaches'];
+            mockRollSequence([1]);
+
+            const result = factory.processTable('E2', { nationality: 'FRG', hexType: 'sea' });
+
+            expect(result.error).toBeUndefined();
+            expect(result.flights.find(f => f.tasking === 'CSAR').aircraftType).toBe('Mk41 Sea King');
+        });
+    });
+});
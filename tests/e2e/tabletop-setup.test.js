@@ -0,0 +1,199 @@
+/**
+ * Tabletop Setup Tests — OOB Results for VASSAL and Tabletop Simulator
+ * ======================================================================
+ *
+ * Players on VASSAL and Tabletop Simulator get a raid from a setup file
+ * instead of retyping it: PrintGenerator.buildTabletopSetup() lists each
+ * flight in print order with its aircraft, the aircraft ID it resolved to,
+ * nation, flight size, tasking, ordnance and card numbers, and its card as
+ * text and as an SVG image. SvgWriter draws the SVG with the PDF card
+ * drawing, so the image shows what the PDF card shows.
+ *
+ * Tests:
+ *   1. SvgWriter: the drawing calls as SVG elements, text escaping, JPEGs
+ *      embedded as data URIs
+ *   2. Setup file: the flights in print order with resolved aircraft IDs,
+ *      card numbers, flights with no card, card text and images
+ *
+ * Mock strategy:
+ *   No mocks. Results are rolled with the seeded RNG or made with
+ *   ResultSchema.createResult(); the data files are the shared JSON files
+ *   and the roundels the shared images. The PDF is read back by parsing its
+ *   (uncompressed) page content streams.
+ */
+
+require('../setup/load-processors');
+const { loadPrintDataFiles } = require('../helpers/table-data-loader');
+const { roll, createPrintGenerator, handMadeRaid, UNKNOWN_AIRCRAFT_FLIGHT, pageTexts } = require('../helpers/print-fixtures');
+
+const fs = require('fs');
+const path = require('path');
+const ROUNDELS = path.join(__dirname, '..', '..', 'shared', 'assets', 'roundels');
+
+// ---------------------------------------------------------------------------
+//  Test utilities
+// ---------------------------------------------------------------------------
+
+const DATA_FILES = loadPrintDataFiles();
+
+function readRoundel(file) {
+    return new Uint8Array(fs.readFileSync(path.join(ROUNDELS, file)));
+}
+
+/**
+ * Text of an SVG image's <text> elements (entities undone)
+ */
+function svgTexts(svg) {
+    return [...svg.matchAll(/<text [^>]*>([^<]*)<\/text>/g)].map(match => match[1]
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&'));
+}
+
+describe('Tabletop setup', () => {
+    beforeEach(() => {
+        PrintLayouts.setStorage(null);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    // =====================================================================
+    //  1. SvgWriter
+    // =====================================================================
+
+    describe('SvgWriter', () => {
+        test('The PdfWriter drawing calls become SVG elements', () => {
+            const svg = SvgWriter.create({ width: 100, height: 50 });
+            svg.rect(1, 1, 98, 48, { stroke: 0, lineWidth: 2 });
+            svg.rect(5, 5, 20, 10, { fill: 0.88 });
+            svg.line(0, 25, 100, 25, { stroke: 0.4, lineWidth: 0.75 });
+            svg.circle(50, 40, 4, { stroke: 0.4 });
+            svg.text(5, 12, 'F-15C', { font: 'bold', size: 7 });
+            svg.text(5, 20, 'Fuel', { font: 'italic', size: 6.5, gray: 0.6 });
+            svg.text(5, 30, '');
+
+            expect(svg.toString()).toBe([
+                '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="100" height="50" viewBox="0 0 100 50" font-family="Helvetica, Arial, sans-serif">',
+                '<rect width="100" height="50" fill="#ffffff"/>',
+                '<rect x="1" y="1" width="98" height="48" fill="none" stroke="#000000" stroke-width="2"/>',
+                '<rect x="5" y="5" width="20" height="10" fill="#e0e0e0"/>',
+                '<line x1="0" y1="25" x2="100" y2="25" stroke="#666666" stroke-width="0.75"/>',
+                '<circle cx="50" cy="40" r="4" fill="none" stroke="#666666" stroke-width="1"/>',
+                '<text x="5" y="12" font-size="7" fill="#000000" font-weight="bold">F-15C</text>',
+                '<text x="5" y="20" font-size="6.5" fill="#999999" font-style="italic">Fuel</text>',
+                '</svg>',
+            ].join('\n'));
+        });
+
+        test('Text is escaped; widths are the PDF\'s Helvetica widths', () => {
+            const svg = SvgWriter.create({ width: 100, height: 50 });
+            svg.text(0, 10, 'AIM-9 <L> & "R"');
+
+            expect(svgTexts(svg.toString())).toEqual(['AIM-9 <L> & "R"']);
+            expect(svg.toString()).toContain('AIM-9 &lt;L&gt; &amp; &quot;R&quot;');
+            expect(svg.textWidth('F-15C Eagle', 'bold', 7)).toBe(PdfWriter.textWidth('F-15C Eagle', 'bold', 7));
+            expect(svg.fitText('F-15C Eagle', 'regular', 7, 20)).toBe(PdfWriter.fitText('F-15C Eagle', 'regular', 7, 20));
+        });
+
+        test('JPEGs are embedded as data URIs; other images are refused', () => {
+            const bytes = readRoundel('USSR.jpg');
+            const svg = SvgWriter.create({ width: 100, height: 50 });
+            const image = svg.addJpeg(bytes);
+            svg.image(image.name, 2, 3, 20, 10);
+
+            expect(image).toMatchObject({ name: 'Im1', width: expect.any(Number), height: expect.any(Number) });
+            expect(svg.toString()).toContain(`<image x="2" y="3" width="20" height="10" preserveAspectRatio="none" xlink:href="data:image/jpeg;base64,${Buffer.from(bytes).toString('base64')}"/>`);
+            expect(svg.addJpeg(readRoundel('Canada.jpg'))).toBeNull();
+        });
+    });
+
+    // =====================================================================
+    //  2. Setup file
+    // =====================================================================
+
+    describe('Setup file', () => {
+        test('Each flight in print order with its resolved aircraft ID', () => {
+            const results = [
+                roll('G', {}, 'cap', 1),
+                roll('C', { scenarioDate: 'post' }, 'raid', 2),
+                roll('E', { nationality: 'US' }, 'csar', 3),
+            ];
+            const printGen = createPrintGenerator();
+            const setup = printGen.buildTabletopSetup(results, DATA_FILES);
+            const preview = printGen.previewFlights(results, DATA_FILES);
+
+            expect(setup).toMatchObject({ format: 'oob-generator-tabletop-setup', version: 1, module: 'red-storm', layout: 'letter' });
+            expect(Date.parse(setup.exportedAt)).not.toBeNaN();
+            expect(setup.flights.map(flight => [flight.resultId, flight.aircraftType, flight.aircraftId]))
+                .toEqual(preview.map(entry => [entry.flight.resultId, entry.flight.aircraftType, entry.aircraftId]));
+            expect(setup.flights.every(flight => flight.aircraftId)).toBe(true);
+            expect(setup.flights.findIndex(flight => flight.faction === 'WP'))
+                .toBe(setup.flights.length - results[0].flights.length);
+            expect(JSON.parse(JSON.stringify(setup))).toEqual(setup);
+        });
+
+        test('Aircraft, nation, size, tasking, ordnance and card numbers; no card for unknown aircraft', () => {
+            const setup = createPrintGenerator().buildTabletopSetup([handMadeRaid([UNKNOWN_AIRCRAFT_FLIGHT])], DATA_FILES);
+
+            expect(setup.flights.map(({ card, ...flight }) => flight)).toEqual([
+                {
+                    resultId: 1, table: 'C', faction: 'NATO', raidType: null,
+                    aircraftType: 'F-111F', aircraftId: 'US-F-111F-1', aircraft: 'F-111F Aardvark', nationality: 'US',
+                    tasking: 'Bombing', flightSize: 4, flightCount: 2, ordnance: ['LGB'], cards: [1, 2],
+                },
+                {
+                    resultId: 1, table: 'C', faction: 'NATO', raidType: null,
+                    aircraftType: 'F-99', aircraftId: null, aircraft: null, nationality: 'US',
+                    tasking: 'SEAD', flightSize: 2, flightCount: 1, ordnance: [], cards: null,
+                },
+                {
+                    resultId: 1, table: 'C', faction: 'NATO', raidType: null,
+                    aircraftType: 'F-15C', aircraftId: 'US-F-15C-1', aircraft: 'F-15C Eagle', nationality: 'US',
+                    tasking: 'Close Escort', flightSize: 2, flightCount: 1, ordnance: [], cards: [3, 3],
+                },
+                {
+                    resultId: 1, table: 'C', faction: 'NATO', raidType: null,
+                    aircraftType: 'H-53', aircraftId: expect.any(String), aircraft: 'H-53', nationality: 'US',
+                    tasking: 'CSAR', flightSize: 2, flightCount: 1, ordnance: [], cards: [4, 4],
+                },
+            ]);
+            expect(setup.flights[1].card).toBeNull();
+        });
+
+        test('The card numbers are the raid summary\'s', () => {
+            const printGen = createPrintGenerator();
+            const results = [roll('I', { scenarioDate: 'post' }, 'wp-raid', 1), roll('C', { scenarioDate: 'post' }, 'raid', 2)];
+            const summaries = printGen.raidSummaries(results, DATA_FILES).flatMap(raid => raid.flights.map(flight => flight.cards));
+
+            expect(printGen.buildTabletopSetup(results, DATA_FILES).flights.map(flight => flight.cards)).toEqual(summaries);
+        });
+
+        test('The card as text and as an SVG image showing what the PDF card shows', () => {
+            const printGen = createPrintGenerator();
+            const raid = handMadeRaid([UNKNOWN_AIRCRAFT_FLIGHT]);
+            const images = { 'USAF.jpg': readRoundel('USAF.jpg') };
+            const [bomber, , , csar] = printGen.buildTabletopSetup([raid], DATA_FILES, images).flights;
+            const cards = printGen.preparePdfCards([raid], DATA_FILES);
+
+            expect(bomber.card.text).toBe(printGen.renderCardText(cards[0]));
+            expect(bomber.card.svg).toMatch(/^<svg [^>]*width="286.5" height="240"/);
+            expect(bomber.card.svg).toContain('xlink:href="data:image/jpeg;base64,');
+            expect(csar.card.svg).toMatch(/^<svg [^>]*width="141.75" height="125"/);
+
+            const [firstPage] = pageTexts(printGen.buildPdfSheet(cards.slice(0, 1), images));
+            expect(svgTexts(bomber.card.svg)).toEqual(firstPage);
+        });
+
+        test('The card images follow the print layout', () => {
+            const printGen = createPrintGenerator();
+            printGen.setLayout('a4-half');
+            const setup = printGen.buildTabletopSetup([handMadeRaid([UNKNOWN_AIRCRAFT_FLIGHT])], DATA_FILES);
+
+            expect(setup.layout).toBe('a4-half');
+            expect(setup.flights[0].card.svg).toMatch(/^<svg [^>]*width="523.28" height="381"/);
+            expect(setup.flights[3].card.svg).toMatch(/^<svg [^>]*width="523.28" height="381"/);
+        });
+    });
+});
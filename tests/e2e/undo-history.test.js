@@ -0,0 +1,249 @@
+/**
+ * Undo History Tests — Undo and Redo for the Results List
+ * ========================================================
+ *
+ * Every change to the results list (a roll, a batch of rolls, removing a
+ * result, Clear All) is one step in the state manager's history. Undo and
+ * redo put back both the results and the scenario date, and the date
+ * buttons stay locked exactly while results exist.
+ *
+ * Tests:
+ *   1. Undo and redo of single rolls, batches, removals and Clear All
+ *   2. Scenario date lock and date restore
+ *   3. History bookkeeping: labels, redo cleared by a new change, no-op
+ *      changes, restored sessions
+ *
+ * Mock strategy:
+ *   state-manager.js runs against a stub document whose scenario date
+ *   buttons record their disabled state. Result entries are plain objects;
+ *   no tables are rolled.
+ */
+
+require('../setup/load-processors');
+
+// ---------------------------------------------------------------------------
+//  Test utilities
+// ---------------------------------------------------------------------------
+
+/**
+ * Scenario date button stub (updateDateButtonStates reads its onclick)
+ */
+function createDateButton(dateValue) {
+    return {
+        disabled: false,
+        style: {},
+        title: '',
+        classList: { add: () => {}, remove: () => {} },
+        getAttribute: () => `setScenarioDate('${dateValue}')`,
+    };
+}
+
+const dateButtons = [createDateButton('pre'), createDateButton('post')];
+
+global.document = {
+    getElementById: () => null,
+    querySelectorAll: selector => (selector === '.scenario-date-button' ? dateButtons : []),
+};
+global.alert = jest.fn();
+
+require('../../shared/oob-generator/js/state-manager');
+
+let nextTimestamp = 1;
+
+/**
+ * Minimal results-list entry
+ */
+function entry(table) {
+    return { table, flights: [], text: `Table ${table}`, timestamp: nextTimestamp++ };
+}
+
+function resultTables() {
+    return getAppState().results.map(result => result.table);
+}
+
+/**
+ * Start each test with no results, no history and the given date
+ */
+function resetState(dateValue = 'pre') {
+    setModule('red-storm');
+    restoreSession({ scenarioDate: null, selectedTable: null, results: [] });
+    setScenarioDate(dateValue);
+}
+
+describe('Undo history', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        global.alert.mockClear();
+        resetState();
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    // =====================================================================
+    //  1. Undo and redo
+    // =====================================================================
+
+    describe('Undo and redo', () => {
+        test('Undo removes a roll and redo brings it back', () => {
+            addResult(entry('A'));
+            addResult(entry('B'));
+
+            undo();
+            expect(resultTables()).toEqual(['A']);
+
+            redo();
+            expect(resultTables()).toEqual(['A', 'B']);
+        });
+
+        test('A batch of rolls is undone as one step', () => {
+            addResult(entry('A'));
+            recordChange('3 rolls on Table C', () => {
+                addResult(entry('C'));
+                addResult(entry('C'));
+                addResult(entry('C'));
+            });
+
+            expect(getHistoryState().undoLabel).toBe('3 rolls on Table C');
+            undo();
+            expect(resultTables()).toEqual(['A']);
+
+            redo();
+            expect(resultTables()).toEqual(['A', 'C', 'C', 'C']);
+        });
+
+        test('Undoing a removal puts the result back in its place', () => {
+            addResult(entry('A'));
+            addResult(entry('B'));
+            addResult(entry('C'));
+            const removed = getAppState().results[1];
+
+            removeResult(removed.id);
+            expect(resultTables()).toEqual(['A', 'C']);
+
+            undo();
+            expect(resultTables()).toEqual(['A', 'B', 'C']);
+            expect(getAppState().results[1]).toBe(removed);
+        });
+
+        test('Clear All needs no confirmation and can be undone', () => {
+            global.confirm = jest.fn(() => false);
+            addResult(entry('A'));
+            addResult(entry('B'));
+
+            clearAllResults();
+            expect(global.confirm).not.toHaveBeenCalled();
+            expect(resultTables()).toEqual([]);
+
+            undo();
+            expect(resultTables()).toEqual(['A', 'B']);
+            delete global.confirm;
+        });
+
+        test('Undo and redo with nothing to do are ignored', () => {
+            undo();
+            redo();
+
+            expect(resultTables()).toEqual([]);
+            expect(getHistoryState()).toEqual({ undoLabel: null, redoLabel: null });
+        });
+    });
+
+    // =====================================================================
+    //  2. Scenario date lock
+    // =====================================================================
+
+    describe('Scenario date lock', () => {
+        test('Date buttons lock and unlock with the restored results', () => {
+            addResult(entry('A'));
+            expect(dateButtons.every(button => button.disabled)).toBe(true);
+
+            undo();
+            expect(getAppState().hasGeneratedResults).toBe(false);
+            expect(dateButtons.every(button => !button.disabled)).toBe(true);
+
+            redo();
+            expect(getAppState().hasGeneratedResults).toBe(true);
+            expect(dateButtons.every(button => button.disabled)).toBe(true);
+        });
+
+        test('Undoing Clear All re-locks the date', () => {
+            addResult(entry('A'));
+            clearAllResults();
+            expect(dateButtons.every(button => !button.disabled)).toBe(true);
+
+            undo();
+            expect(getAppState().hasGeneratedResults).toBe(true);
+            expect(dateButtons.every(button => button.disabled)).toBe(true);
+        });
+
+        test('Undoing Clear All after a date change restores the date the results were rolled for', () => {
+            addResult(entry('A'));
+            clearAllResults();
+            setScenarioDate('post');
+
+            undo();
+            expect(getScenarioDate()).toBe('pre');
+            expect(resultTables()).toEqual(['A']);
+
+            redo();
+            expect(getScenarioDate()).toBe('pre');
+            expect(resultTables()).toEqual([]);
+            expect(global.alert).not.toHaveBeenCalled();
+        });
+    });
+
+    // =====================================================================
+    //  3. History bookkeeping
+    // =====================================================================
+
+    describe('History bookkeeping', () => {
+        test('Labels describe the next undo and redo', () => {
+            addResult(entry('A'));
+            const id = getAppState().results[0].id;
+            removeResult(id);
+
+            expect(getHistoryState()).toEqual({ undoLabel: 'Remove Table A result', redoLabel: null });
+            undo();
+            expect(getHistoryState()).toEqual({ undoLabel: 'Roll Table A', redoLabel: 'Remove Table A result' });
+        });
+
+        test('A new change clears the redo history', () => {
+            addResult(entry('A'));
+            undo();
+            addResult(entry('B'));
+
+            expect(getHistoryState().redoLabel).toBeNull();
+            redo();
+            expect(resultTables()).toEqual(['B']);
+        });
+
+        test('Changes that leave the results alone are not recorded', () => {
+            clearAllResults();
+            removeResult(999);
+            recordChange('Cancelled batch', () => {});
+
+            expect(getHistoryState().undoLabel).toBeNull();
+        });
+
+        test('History is kept to the last 50 changes', () => {
+            for (let i = 0; i < 55; i++) {
+                addResult(entry('A'));
+            }
+            for (let i = 0; i < 55; i++) {
+                undo();
+            }
+
+            expect(resultTables()).toHaveLength(5);
+        });
+
+        test('Restoring a saved session starts a new history', () => {
+            addResult(entry('A'));
+
+            restoreSession({ scenarioDate: 'post', selectedTable: null, results: [entry('B')] });
+
+            expect(getHistoryState()).toEqual({ undoLabel: null, redoLabel: null });
+            undo();
+            expect(resultTables()).toEqual(['B']);
+        });
+    });
+});
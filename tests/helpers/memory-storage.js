@@ -0,0 +1,34 @@
+/**
+ * Memory Storage — In-Memory Web Storage for the Tests
+ * =====================================================
+ *
+ * SessionStore (which also saves campaigns) and PrintLayouts save to
+ * localStorage, which Node.js doesn't have. Their tests hand them this
+ * Storage instead (setStorage()) and read back what was saved through its
+ * `items` Map.
+ *
+ * Usage in tests:
+ *   const { createMemoryStorage } = require('../helpers/memory-storage');
+ *   const storage = createMemoryStorage();
+ *   PrintLayouts.setStorage(storage);
+ *   expect(storage.items.get('print-layout')).toBe('a4-half');
+ */
+
+/**
+ * Minimal in-memory Storage (getItem/setItem/removeItem)
+ *
+ * @returns {{items: Map<string, string>, getItem: Function, setItem: Function, removeItem: Function}}
+ */
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        items,
+        getItem: name => (items.has(name) ? items.get(name) : null),
+        setItem: (name, value) => items.set(name, String(value)),
+        removeItem: name => items.delete(name),
+    };
+}
+
+module.exports = {
+    createMemoryStorage,
+};
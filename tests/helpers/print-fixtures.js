@@ -0,0 +1,98 @@
+/**
+ * Print Fixtures — Rolled Results and Print Generators for the Print Tests
+ * =========================================================================
+ *
+ * The print tests (print preview, PDF export, layouts, card model, raid
+ * summaries, tabletop setup) all roll Red Storm results with a seed and
+ * hand them to a Red Storm PrintGenerator with the shared data files. This
+ * module holds that setup so each test file only describes its results,
+ * along with a hand-made raid they share and a reader for the text of the
+ * PDFs they build.
+ *
+ * Requires the processor globals (tests/setup/load-processors.js), which it
+ * loads itself.
+ *
+ * Usage in tests:
+ *   const { roll, createPrintGenerator } = require('../helpers/print-fixtures');
+ *   const { loadPrintDataFiles } = require('../helpers/table-data-loader');
+ *   const DATA_FILES = loadPrintDataFiles();
+ *   const results = [roll('C', { scenarioDate: 'post' }, 'raid', 1)];
+ *   const cards = createPrintGenerator().preparePdfCards(results, DATA_FILES);
+ *   const pages = pageTexts(createPrintGenerator().buildPdfSheet(cards));
+ */
+
+require('../setup/load-processors');
+const ModuleConfig = require('../../shared/js/module-config.js');
+const { RS_FACTORY, rollEntry } = require('./roll-fixtures');
+
+/**
+ * Roll a Red Storm table with a seed, as a results-list entry
+ * (roll-fixtures.js rollEntry())
+ *
+ * @param {string} tableId - Table ID (A-L)
+ * @param {object} params - Table parameters
+ * @param {string} seed - RNG seed
+ * @param {number} id - Result ID
+ * @returns {object} Result with its id
+ */
+function roll(tableId, params, seed, id) {
+    return rollEntry(RS_FACTORY, tableId, params, seed, { id });
+}
+
+/**
+ * A PrintGenerator with a module's configuration
+ *
+ * @param {string} [module='red-storm'] - Module ID
+ * @returns {PrintGenerator}
+ */
+function createPrintGenerator(module = 'red-storm') {
+    return new PrintGenerator(ModuleConfig.getModuleConfig(module));
+}
+
+/**
+ * A flight of an aircraft that is not in the database, for handMadeRaid()
+ */
+const UNKNOWN_AIRCRAFT_FLIGHT = { aircraftType: 'F-99', nationality: 'US', tasking: 'SEAD', flightSize: 2, flightCount: 1 };
+
+/**
+ * A hand-made Table C raid: an F-111F bombing flight, its escort, a CSAR
+ * flight and any extra flights (e.g. UNKNOWN_AIRCRAFT_FLIGHT)
+ *
+ * @param {object[]} [extraFlights=[]] - Flights added after the F-111F
+ * @returns {object} Result (id 1)
+ */
+function handMadeRaid(extraFlights = []) {
+    return {
+        ...ResultSchema.createResult({ table: 'C', faction: 'NATO', nationality: 'US' }, [
+            { aircraftType: 'H-53', nationality: 'US', tasking: 'CSAR', flightSize: 2, flightCount: 1 },
+            { aircraftType: 'F-111F', nationality: 'US', tasking: 'Bombing', flightSize: 4, flightCount: 2, ordnance: 'Bombs/CBU/Rockets +LGB' },
+            ...extraFlights,
+            { aircraftType: 'F-15C', nationality: 'US', tasking: 'Close Escort', flightSize: 2, flightCount: 1 },
+        ]),
+        tableName: 'NATO Table C - Bombing Raid',
+        id: 1,
+    };
+}
+
+/**
+ * Text drawn on each page of a PdfWriter file (string escapes undone)
+ *
+ * @param {Uint8Array} bytes - PDF file
+ * @returns {string[][]} Each page's text strings in drawing order
+ */
+function pageTexts(bytes) {
+    const file = Buffer.from(bytes).toString('latin1');
+    const streams = [...file.matchAll(/<< \/Length (\d+) >>\nstream\n/g)]
+        .map(match => file.substr(match.index + match[0].length, Number(match[1])));
+    return streams.map(content => [...content.matchAll(/\(((?:\\.|[^\\)])*)\) Tj/g)].map(match =>
+        match[1].replace(/\\([0-7]{3}|.)/g, (_, escaped) =>
+            (escaped.length === 3 ? String.fromCharCode(parseInt(escaped, 8)) : escaped))));
+}
+
+module.exports = {
+    roll,
+    createPrintGenerator,
+    handMadeRaid,
+    UNKNOWN_AIRCRAFT_FLIGHT,
+    pageTexts,
+};
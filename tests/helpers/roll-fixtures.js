@@ -0,0 +1,57 @@
+/**
+ * Roll Fixtures — Seeded Results-List Entries for the Tests
+ * ==========================================================
+ *
+ * Tests that roll real tables with the seeded RNG work on results-list
+ * entries, as the generator and the CLI build them (tableName, params and
+ * seed on the canonical result). This module holds a factory per game
+ * module and the seeded roll they share.
+ *
+ * Requires the processor globals (tests/setup/load-processors.js), which it
+ * loads itself.
+ *
+ * Usage in tests:
+ *   const { RS_FACTORY, BA_FACTORY, rollEntry } = require('../helpers/roll-fixtures');
+ *   const raid = rollEntry(RS_FACTORY, 'C', { scenarioDate: 'post' }, 'raid');
+ *   const strike = rollEntry(BA_FACTORY, 'I2', { scenarioDate: 1 }, 'strike', { id: 2 });
+ */
+
+require('../setup/load-processors');
+const {
+    loadRSNatoTables,
+    loadRSWPTables,
+    loadBANatoTables,
+    loadBAWPTables,
+} = require('./table-data-loader');
+
+/** Red Storm tables (A-L) */
+const RS_FACTORY = new TableProcessorFactory({ ...loadRSNatoTables(), ...loadRSWPTables() });
+
+/** Baltic Approaches tables (A2-L2) */
+const BA_FACTORY = new TableProcessorFactory({ ...loadBANatoTables(), ...loadBAWPTables() });
+
+/**
+ * Roll a table with a seed, as a results-list entry (see roll() in
+ * cli/headless.js)
+ *
+ * @param {TableProcessorFactory} factory - RS_FACTORY, BA_FACTORY or a
+ *   factory of your own tables
+ * @param {string} tableId - Table ID
+ * @param {object} params - Table parameters
+ * @param {string} seed - RNG seed
+ * @param {object} [extra={}] - More entry fields (id, timestamp...)
+ * @returns {object} Result with its tableName, params, seed and extra fields
+ */
+function rollEntry(factory, tableId, params, seed, extra = {}) {
+    setRngSeed(seed);
+    const result = factory.processTable(tableId, params);
+    setRngSeed(null);
+    const table = factory.loadTableData()[tableId];
+    return { ...result, tableName: table ? table.name : null, params, seed, ...extra };
+}
+
+module.exports = {
+    RS_FACTORY,
+    BA_FACTORY,
+    rollEntry,
+};
@@ -16,6 +16,7 @@
  *   const { loadAllTables, loadAircraftDb } = require('../helpers/table-data-loader');
  *   const tables = loadAllTables();       // All tables from both modules
  *   const aircraft = loadAircraftDb();    // All aircraft (NATO + WP)
+ *   const dataFiles = loadPrintDataFiles(); // What the print generator loads
  */
 
 const path = require('path');
@@ -90,6 +91,22 @@ function loadAircraftWP() {
     return require(path.join(ROOT, 'shared', 'data', 'aircraft-wp.json'));
 }
 
+/**
+ * Load the data files PrintGenerator.loadDataFiles() fetches in the browser
+ * (the shared aircraft databases, note rules, weapons and name mapping).
+ *
+ * @returns {object} { aircraftNATO, aircraftWP, noteRules, weapons, nameMapping }
+ */
+function loadPrintDataFiles() {
+    return {
+        aircraftNATO: loadAircraftNATO(),
+        aircraftWP: loadAircraftWP(),
+        noteRules: require(path.join(ROOT, 'shared', 'data', 'aircraft-note-rules.json')),
+        weapons: require(path.join(ROOT, 'shared', 'data', 'weapons.json')),
+        nameMapping: require(path.join(ROOT, 'shared', 'data', 'aircraft-name-mapping.json')),
+    };
+}
+
 /**
  * Load both aircraft databases and merge them into a single lookup object.
  * Metadata keys (prefixed with _) are excluded.
@@ -129,6 +146,7 @@ module.exports = {
     loadAllTables,
     loadAircraftNATO,
     loadAircraftWP,
+    loadPrintDataFiles,
     loadAircraftDb,
     ROOT,
 };
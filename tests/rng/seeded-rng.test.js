@@ -0,0 +1,147 @@
+/**
+ * Seeded RNG Tests — Reproducible OOB Generation
+ * ================================================
+ *
+ * Verifies the seedable RNG layer in dice-roller.js:
+ *
+ *   1. The same seed produces the same roll sequence; different seeds differ
+ *   2. Clearing the seed falls back to Math.random() (so the jest.spyOn
+ *      mocks used by the e2e tests keep working)
+ *   3. Both makeDebugRoll() and BaseTableProcessor.rollDie() use the
+ *      active RNG
+ *   4. Re-seeding and re-running a processor reproduces an identical raid,
+ *      including per-flight ordnance rolls (C, I) and variant sub-rolls
+ *
+ * Usage:
+ *   npm run test:rng
+ */
+
+require('../setup/load-processors');
+const {
+    loadRSNatoTables,
+    loadRSWPTables,
+    loadBANatoTables,
+} = require('../helpers/table-data-loader');
+
+/**
+ * Run fn() twice under the same seed and return both results.
+ * @param {string} seed - Seed string
+ * @param {Function} fn - Generation function
+ * @returns {Array} [first, second]
+ */
+function runTwice(seed, fn) {
+    setRngSeed(seed);
+    const first = fn();
+    setRngSeed(seed);
+    const second = fn();
+    return [first, second];
+}
+
+describe('Seeded RNG', () => {
+    afterEach(() => {
+        setRngSeed(null);
+        jest.restoreAllMocks();
+    });
+
+    test('same seed produces the same d10 sequence', () => {
+        const [a, b] = runTwice('abc', () =>
+            Array.from({ length: 50 }, () => makeDebugRoll(10, 'Test').roll));
+        expect(a).toEqual(b);
+        a.forEach(roll => {
+            expect(roll).toBeGreaterThanOrEqual(1);
+            expect(roll).toBeLessThanOrEqual(10);
+        });
+    });
+
+    test('different seeds produce different sequences', () => {
+        setRngSeed('abc');
+        const a = Array.from({ length: 50 }, () => rollDie(10));
+        setRngSeed('abd');
+        const b = Array.from({ length: 50 }, () => rollDie(10));
+        expect(a).not.toEqual(b);
+    });
+
+    test('getRngSeed() reports the active seed; empty seed clears it', () => {
+        expect(setRngSeed('  xyz  ')).toBe('xyz');
+        expect(getRngSeed()).toBe('xyz');
+        setRngSeed('');
+        expect(getRngSeed()).toBeNull();
+    });
+
+    test('unseeded rolls use Math.random()', () => {
+        setRngSeed(null);
+        jest.spyOn(Math, 'random').mockReturnValue(0.65);
+        expect(makeDebugRoll(10, 'Test').roll).toBe(7);
+        expect(new BaseTableProcessor('X', {}).rollDie(10)).toBe(7);
+    });
+
+    test('seeded rolls ignore Math.random()', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+        setRngSeed('seeded');
+        const rolls = Array.from({ length: 20 }, () => makeDebugRoll(10, 'Test').roll);
+        expect(rolls.some(r => r !== 1)).toBe(true);
+    });
+
+    test('setRngSource() injects a custom random source', () => {
+        setRngSource(() => 0.95);
+        expect(makeDebugRoll(10, 'Test').roll).toBe(10);
+        expect(new BaseTableProcessor('X', {}).rollDie(10)).toBe(10);
+        expect(getRngSeed()).toBeNull();
+    });
+
+    test('generateRngSeed() returns an 8-character seed', () => {
+        expect(generateRngSeed()).toMatch(/^[0-9a-z]{8}$/);
+    });
+
+    test('uniformity: seeded d10 stays within 2% of expected over 100k rolls', () => {
+        setRngSeed('uniformity');
+        const counts = new Array(10).fill(0);
+        for (let i = 0; i < 100000; i++) counts[rollDie(10) - 1]++;
+        counts.forEach(count => {
+            expect(Math.abs(count - 10000) / 10000).toBeLessThan(0.02);
+        });
+    });
+});
+
+describe('Seeded RNG — reproducible raids', () => {
+    afterEach(() => setRngSeed(null));
+
+    test('Table C (ordnance rolls) regenerates identically', () => {
+        const processor = new DeclarativeTableProcessor('C', loadRSNatoTables()['C']);
+        for (const seed of ['a', 'b', 'c', 'd', 'e']) {
+            const [a, b] = runTwice(seed, () =>
+                processor.process({ tasking: 'Bombing', scenarioDate: 'post' }));
+            expect(a.error).toBeUndefined();
+            expect(a).toEqual(b);
+        }
+    });
+
+    test('Table I (nationality + ordnance) regenerates identically', () => {
+        const processor = new DeclarativeTableProcessor('I', loadRSWPTables()['I']);
+        for (const seed of ['a', 'b', 'c', 'd', 'e']) {
+            const [a, b] = runTwice(seed, () => processor.process({}));
+            expect(a.error).toBeUndefined();
+            expect(a).toEqual(b);
+        }
+    });
+
+    test('Table A (variant sub-rolls) regenerates identically', () => {
+        const processor = new DeclarativeTableProcessor('A', loadRSNatoTables()['A']);
+        for (let i = 0; i < 20; i++) {
+            const [a, b] = runTwice(`seed-${i}`, () =>
+                processor.process({ atafZone: '2ATAF', scenarioDate: 'post' }));
+            expect(a.error).toBeUndefined();
+            expect(a).toEqual(b);
+        }
+    });
+
+    test('Table C2 (rollDie ordnance) regenerates identically', () => {
+        const processor = new DeclarativeTableProcessor('C2', loadBANatoTables()['C2']);
+        for (const seed of ['a', 'b', 'c']) {
+            const [a, b] = runTwice(seed, () =>
+                processor.process({ scenarioDate: '15-20 May' }));
+            expect(a.error).toBeUndefined();
+            expect(a).toEqual(b);
+        }
+    });
+});
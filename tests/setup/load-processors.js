@@ -1,27 +1,21 @@
 /**
- * Load Processors — Execute Browser JS in Node.js
- * =================================================
+ * Load Processors — Engine Modules and Page Scripts as Test Globals
+ * ==================================================================
  *
- * The table processor files are written as browser scripts. We need to
- * make all their classes available as globals for Jest tests.
+ * The OOB engine (dice-roller.js, result-schema.js, the table processors,
+ * the factory and the table packs) is made of CommonJS modules with
+ * explicit dependencies, so it needs no browser globals. The tests still
+ * use the engine the way the page does — through globals — so this file
+ * requires each module and assigns it to global.
  *
- * Hybrid loading strategy:
+ * The browser adapter (engine-browser.js) is loaded as on the generator
+ * page: it puts the dice functions on window (setRngSeed, makeDebugRoll,
+ * ...) and asks for manual dice rolls with window.prompt(), which the
+ * manual dice tests mock. The page scripts (utils.js, print-generator.js,
+ * ...) still expect the window/document stubs from test-globals.js.
  *
- *   1. For utility files (utils.js, dice-roller.js) that attach to `window`:
- *      Use indirect eval since they do `window.parseRange = parseRange`,
- *      and we've set `global.window = global`. After eval, the functions
- *      are on global.
- *
- *   2. For processor files WITH module.exports (24 files):
- *      Use Node's `require()` directly. The class is exported normally
- *      and we assign it to global.
- *
- *   3. For ALL processor files (including BA NATO A2, B2, E2, F2):
- *      All processor files now have module.exports, so they are loaded
- *      with require() and assigned to global.
- *
- * This ensures all classes share the same `Math.random()` as Jest
- * (critical for jest.spyOn mocking in e2e tests).
+ * Requiring the modules keeps them on Jest's Math.random(), which the e2e
+ * tests mock with jest.spyOn.
  *
  * Usage:
  *   In e2e test files:
@@ -33,6 +27,7 @@ const path = require('path');
 // Base directories
 const SHARED_JS = path.join(__dirname, '..', '..', 'shared', 'oob-generator', 'js');
 const PROCESSORS_DIR = path.join(SHARED_JS, 'table-processors');
+const MODULES_DIR = path.join(__dirname, '..', '..', 'modules');
 
 /**
  * Load all processor scripts and expose their classes as globals.
@@ -41,85 +36,53 @@ const PROCESSORS_DIR = path.join(SHARED_JS, 'table-processors');
 function loadAllProcessors() {
     if (global.__processorsLoaded) return;
 
-    // ---- Set up browser globals ----
-    // Processors reference window, document, and debugMode at load time.
-    if (typeof global.window === 'undefined') {
-        global.window = global;
-    }
-    if (typeof global.document === 'undefined') {
-        const dummyEl = () => ({
-            textContent: '', innerHTML: '', style: {},
-            classList: { add: () => {}, remove: () => {}, toggle: () => {}, contains: () => false },
-            addEventListener: () => {}, appendChild: () => {}, querySelectorAll: () => [],
-            setAttribute: () => {},
-        });
-        global.document = {
-            getElementById: dummyEl,
-            createElement: dummyEl,
-            querySelectorAll: () => [],
-            querySelector: () => null,
-        };
-    }
-    if (typeof global.debugMode === 'undefined') {
-        global.debugMode = false;
-    }
-
-    // ---- 1. Load utility files (these use window.X = X pattern) ----
-    // utils.js does: window.parseRange = parseRange
-    // dice-roller.js does: window.makeDebugRoll = makeDebugRoll
-    // Since window === global, these become true globals after require.
-    require(path.join(SHARED_JS, 'utils.js'));
-    require(path.join(SHARED_JS, 'dice-roller.js'));
+    // ---- 1. Engine modules (CommonJS, explicit dependencies) ----
+    global.DiceRoller = require(path.join(SHARED_JS, 'dice-roller.js'));
     global.ResultSchema = require(path.join(SHARED_JS, 'result-schema.js'));
 
-    // ---- 2. Load processor files WITH module.exports ----
-    // Each file exports its class via: if (typeof module !== 'undefined') module.exports = ClassName
-    // We require it and assign the result to global.
+    // ---- 2. Browser adapter and page scripts ----
+    // engine-browser.js puts the dice functions on window, as on the page;
+    // utils.js provides parseRange() for the test helpers
+    require(path.join(SHARED_JS, 'engine-browser.js'));
+    require(path.join(SHARED_JS, 'utils.js'));
 
-    // Base class (needed before subclasses)
+    // Strict mode: any result that breaks the contract throws, naming the
+    // table and processor, instead of logging a warning
+    ResultSchema.setStrict(true);
+
+    // Page modules that use the engine
+    global.FlightEditor = require(path.join(SHARED_JS, 'flight-editor.js'));
+    global.ProbabilityCalculator = require(path.join(SHARED_JS, 'probability-calculator.js'));
+    global.SessionDocument = require(path.join(SHARED_JS, 'session-document.js'));
+    global.Campaign = require(path.join(SHARED_JS, 'campaign.js'));
+    global.SessionStore = require(path.join(SHARED_JS, 'session-store.js'));
+    global.AircraftResolver = require(path.join(__dirname, '..', '..', 'shared', 'js', 'aircraft-resolver.js'));
+    global.PdfWriter = require(path.join(__dirname, '..', '..', 'shared', 'js', 'pdf-writer.js'));
+    global.SvgWriter = require(path.join(__dirname, '..', '..', 'shared', 'js', 'svg-writer.js'));
+    global.PrintLayouts = require(path.join(__dirname, '..', '..', 'shared', 'js', 'print-layouts.js'));
+    global.PrintGenerator = require(path.join(SHARED_JS, 'print-generator.js'));
+
+    // ---- 3. Table processors ----
+    // Each module requires what it depends on; the globals are for the tests
+
+    // Registry of tables, parameters and date ranges
+    global.TableRegistry = require(path.join(PROCESSORS_DIR, 'TableRegistry.js'));
+
+    // Base class
     global.BaseTableProcessor = require(path.join(PROCESSORS_DIR, 'BaseTableProcessor.js'));
 
-    // RS NATO (A-F)
-    global.NATOTableA = require(path.join(PROCESSORS_DIR, 'NATOTableA.js'));
-    global.NATOTableB = require(path.join(PROCESSORS_DIR, 'NATOTableB.js'));
-    global.NATOTableC = require(path.join(PROCESSORS_DIR, 'NATOTableC.js'));
-    global.NATOTableD = require(path.join(PROCESSORS_DIR, 'NATOTableD.js'));
-    global.NATOTableE = require(path.join(PROCESSORS_DIR, 'NATOTableE.js'));
-    global.NATOTableF = require(path.join(PROCESSORS_DIR, 'NATOTableF.js'));
-
-    // BA NATO — C2, D2, D3 HAVE exports
-    global.NATOTableC2 = require(path.join(PROCESSORS_DIR, 'NATOTableC2.js'));
-    global.NATOTableD2 = require(path.join(PROCESSORS_DIR, 'NATOTableD2.js'));
-    global.NATOTableD3 = require(path.join(PROCESSORS_DIR, 'NATOTableD3.js'));
-
-    // RS WP (G-L)
-    global.WPTableG = require(path.join(PROCESSORS_DIR, 'WPTableG.js'));
-    global.WPTableH = require(path.join(PROCESSORS_DIR, 'WPTableH.js'));
-    global.WPTableI = require(path.join(PROCESSORS_DIR, 'WPTableI.js'));
-    global.WPTableJ = require(path.join(PROCESSORS_DIR, 'WPTableJ.js'));
-    global.WPTableK = require(path.join(PROCESSORS_DIR, 'WPTableK.js'));
-    global.WPTableL = require(path.join(PROCESSORS_DIR, 'WPTableL.js'));
-
-    // BA WP (G2-L2)
-    global.WPTableG2 = require(path.join(PROCESSORS_DIR, 'WPTableG2.js'));
-    global.WPTableH2 = require(path.join(PROCESSORS_DIR, 'WPTableH2.js'));
-    global.WPTableI2 = require(path.join(PROCESSORS_DIR, 'WPTableI2.js'));
-    global.WPTableJ2 = require(path.join(PROCESSORS_DIR, 'WPTableJ2.js'));
-    global.WPTableJ3 = require(path.join(PROCESSORS_DIR, 'WPTableJ3.js'));
-    global.WPTableK2 = require(path.join(PROCESSORS_DIR, 'WPTableK2.js'));
-    global.WPTableL2 = require(path.join(PROCESSORS_DIR, 'WPTableL2.js'));
-
-    // ---- 3. Load BA NATO files (A2, B2, E2, F2) ----
-    // These files now have module.exports, so require() works directly.
-    global.NATOTableA2 = require(path.join(PROCESSORS_DIR, 'NATOTableA2.js'));
-    global.NATOTableB2 = require(path.join(PROCESSORS_DIR, 'NATOTableB2.js'));
-    global.NATOTableE2 = require(path.join(PROCESSORS_DIR, 'NATOTableE2.js'));
-    global.NATOTableF2 = require(path.join(PROCESSORS_DIR, 'NATOTableF2.js'));
-
-    // ---- 4. Factory (must load last — references all processor classes) ----
-    const factoryExports = require(path.join(PROCESSORS_DIR, 'TableProcessorFactory.js'));
-    global.TableProcessorFactory = factoryExports.TableProcessorFactory || factoryExports;
-    global.getTableProcessorFactory = factoryExports.getTableProcessorFactory;
+    // Generic processor for every table with a definition block
+    global.DeclarativeTableProcessor = require(path.join(PROCESSORS_DIR, 'DeclarativeTableProcessor.js'));
+
+    // ---- 4. Factory (also loads the declarative processor, which registers itself) ----
+    global.TableProcessorFactory = require(path.join(PROCESSORS_DIR, 'TableProcessorFactory.js')).TableProcessorFactory;
+
+    // Batch simulations for scenario balancing (runs on the factory)
+    global.BatchSimulator = require(path.join(SHARED_JS, 'batch-simulator.js'));
+
+    // ---- 5. Module table packs (register table factions, parameters and date ranges) ----
+    require(path.join(MODULES_DIR, 'red-storm', 'oob-generator', 'js', 'table-pack.js'));
+    require(path.join(MODULES_DIR, 'baltic-approaches', 'oob-generator', 'js', 'table-pack.js'));
 
     global.__processorsLoaded = true;
 }
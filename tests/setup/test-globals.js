@@ -2,23 +2,24 @@
  * Test Globals — Browser Environment Stubs
  * ==========================================
  *
- * The OOB processor files are written for the browser: they reference
- * `window`, `document`, and `console` as globals. When running in Node.js
- * under Jest, we need to provide stubs for these so the processor code
- * can load without errors.
+ * The OOB engine modules (processors, factory, dice roller, result
+ * contract) need no browser globals, but the page scripts the tests also
+ * load (utils.js, engine-browser.js, state-manager.js, print-generator.js)
+ * reference `window` and `document`. When running in Node.js under Jest,
+ * we provide stubs for these so the page code can load without errors.
  *
  * What we stub:
- *   - window: A plain object that serves as the global namespace.
- *     Processors attach their classes to window (e.g., window.TableProcessorFactory).
- *   - document: Minimal stub with getElementById() returning a dummy element.
- *     Only needed because some processor console.log calls happen at load time.
+ *   - window: The global object, as the page scripts' namespace
+ *     (e.g., the browser adapter's window.setRngSeed).
+ *   - document: Minimal stub with getElementById() returning a dummy element,
+ *     for the page scripts' element lookups (no-ops in tests).
  *   - console.log: Already available in Node, but we silence the "loaded" messages
  *     that each processor file outputs to keep test output clean.
  *
  * Why not jsdom?
- *   jsdom is a full browser simulation (~4MB, slower startup). The processor
- *   code doesn't actually manipulate the DOM — it just needs window as a
- *   namespace and document for a few edge cases. These lightweight stubs are
+ *   jsdom is a full browser simulation (~4MB, slower startup). The page
+ *   code the tests load doesn't actually manipulate the DOM — it just needs
+ *   window as a namespace and document for a few edge cases. These lightweight stubs are
  *   sufficient and much faster.
  *
  * This file runs before load-processors.js via Jest's setupFilesAfterFramework.
@@ -94,6 +95,3 @@ console.log = (...args) => {
     }
     _originalLog(...args);
 };
-
-// debugMode is a global that dice-roller.js references
-global.debugMode = false;